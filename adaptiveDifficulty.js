@@ -0,0 +1,76 @@
+/* ============================================
+   ADAPTIVE DIFFICULTY - Per-run skill estimate
+   Tracks recent kills, escapes and reaction times
+   (plus the player's best score as a starting prior)
+   and turns them into bounded tweaks to spawn rate,
+   flight speed and hazard chance. Driven only by sim
+   events, so replays re-adapt identically on the server.
+   ============================================ */
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Skill in [-1, 1]: 0 is the fixed curve, above 0 pushes harder, below 0 eases off
+ */
+export class AdaptiveDifficulty {
+    /**
+     * @param {Object} params - definitions.adaptive
+     * @param {number} [best] - Player's best score in this mode (0 = no history)
+     */
+    constructor(params, best = 0) {
+        this.params = params;
+        this.best = Math.max(0, Math.floor(Number(best) || 0));
+        this.outcomes = []; // Most recent last: reaction ms for a kill, null for an escape
+
+        const { pivot, range, weight } = params.history;
+        this.prior = this.best > 0 ? clamp((this.best - pivot) / range, -1, 1) * weight : 0;
+        this.skill = this.prior;
+    }
+
+    recordKill(reaction) {
+        this.record(reaction);
+    }
+
+    recordEscape() {
+        this.record(null);
+    }
+
+    record(outcome) {
+        const { window, response } = this.params;
+        this.outcomes.push(outcome);
+        if (this.outcomes.length > window) this.outcomes.shift();
+        this.skill += (this.getTargetSkill() - this.skill) * response;
+    }
+
+    // Measured skill blended with the prior until the window has filled
+    getTargetSkill() {
+        const { window, minSamples, hitRate, reaction } = this.params;
+        const samples = this.outcomes.length;
+        if (samples < minSamples) return this.prior;
+
+        const reactions = this.outcomes.filter(outcome => outcome !== null);
+        const hitScore = clamp((reactions.length / samples - hitRate.target) / hitRate.spread, -1, 1);
+        const averageReaction = reactions.length
+            ? reactions.reduce((sum, value) => sum + value, 0) / reactions.length
+            : reaction.target + reaction.spread;
+        const reactionScore = clamp((reaction.target - averageReaction) / reaction.spread, -1, 1);
+
+        const confidence = Math.min(samples / window, 1);
+        return this.prior * (1 - confidence) + (hitScore + reactionScore) / 2 * confidence;
+    }
+
+    /**
+     * Multipliers for the current skill, each inside definitions.adaptive.bounds
+     * @returns {{ spawnInterval: number, flightDuration: number, hazardChance: number }}
+     */
+    getTuning() {
+        const { bounds } = this.params;
+        return {
+            spawnInterval: 1 - this.skill * bounds.spawnInterval,
+            flightDuration: 1 - this.skill * bounds.speed,
+            hazardChance: 1 + this.skill * bounds.hazardChance
+        };
+    }
+}
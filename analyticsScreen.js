@@ -0,0 +1,216 @@
+/* ============================================
+   ANALYTICS SCREEN - Draws a RunAnalytics summary
+   Score timeline (swarm windows shaded, last run
+   dashed), points by insect type, penalties vs
+   bonuses, multiplier uptime and the tap heatmap.
+   ============================================ */
+
+import { getInsectDef } from './gameRules.js';
+import { DEFAULT_DEFINITIONS } from './gameDefinitions.js';
+
+const LAST_RUN_KEY = 'mosquito-last-analytics';
+const TIMELINE_HEIGHT = 120;
+const HEATMAP_CELL = 18;   // px per heatmap cell
+const TIMELINE_POINTS = 240; // Long survival runs are downsampled to this many points
+
+const MULTIPLIER_COLORS = { 1: 'var(--text-dim)', 2: 'var(--warning)', 3: 'var(--primary)' };
+
+class AnalyticsScreen {
+    constructor() {
+        this.screen = document.getElementById('analytics-screen');
+        this.timelineCanvas = document.getElementById('analytics-timeline');
+        this.typesEl = document.getElementById('analytics-types');
+        this.balanceEl = document.getElementById('analytics-balance');
+        this.multiplierEl = document.getElementById('analytics-multiplier');
+        this.heatmapCanvas = document.getElementById('analytics-heatmap');
+        this.lastRunLegend = document.getElementById('analytics-last-run');
+        this.summary = null;
+        this.previous = null;
+    }
+
+    /**
+     * Keep a finished run's summary; the run before it becomes the comparison
+     * @param {Object} summary - RunAnalytics.getSummary()
+     * @param {string} mode - Runs are only compared within a mode
+     */
+    setRun(summary, mode) {
+        const stored = this.loadLastRun();
+        this.previous = stored?.mode === mode ? stored.summary : null;
+        this.summary = summary;
+        try {
+            localStorage.setItem(LAST_RUN_KEY, JSON.stringify({ mode, summary }));
+        } catch (error) {
+            console.log('Could not store run analytics:', error.message);
+        }
+    }
+
+    loadLastRun() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_RUN_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    show(definitions = DEFAULT_DEFINITIONS) {
+        if (!this.summary) return;
+        this.screen.classList.remove('hidden');
+        this.drawTimeline();
+        this.renderTypes(definitions);
+        this.renderBalance();
+        this.renderMultiplier();
+        this.drawHeatmap();
+    }
+
+    hide() {
+        this.screen.classList.add('hidden');
+    }
+
+    color(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim() || '#ffffff';
+    }
+
+    // Canvas sized for the device pixel ratio; returns a context in CSS px
+    prepareCanvas(canvas, width, height) {
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return ctx;
+    }
+
+    drawTimeline() {
+        const { summary, previous } = this;
+        const width = Math.min(this.screen.clientWidth - 48, 360);
+        const ctx = this.prepareCanvas(this.timelineCanvas, width, TIMELINE_HEIGHT);
+        const duration = Math.max(summary.duration, previous?.duration ?? 0);
+        const maxScore = Math.max(summary.score, ...summary.timeline.map(([, score]) => score),
+            ...(previous?.timeline ?? []).map(([, score]) => score), 1);
+        const toX = (t) => t / duration * width;
+        const toY = (score) => TIMELINE_HEIGHT - 4 - score / maxScore * (TIMELINE_HEIGHT - 8);
+
+        // Swarm windows
+        ctx.fillStyle = 'rgba(255, 204, 0, 0.15)';
+        for (const swarm of summary.swarms) {
+            ctx.fillRect(toX(swarm.start), 0, toX((swarm.end ?? summary.duration) - swarm.start), TIMELINE_HEIGHT);
+        }
+
+        ctx.strokeStyle = this.color('text-dim');
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, TIMELINE_HEIGHT - 0.5);
+        ctx.lineTo(width, TIMELINE_HEIGHT - 0.5);
+        ctx.stroke();
+
+        if (previous) {
+            ctx.setLineDash([4, 4]);
+            this.strokeTimeline(ctx, previous.timeline, toX, toY, this.color('text-dim'));
+            ctx.setLineDash([]);
+        }
+        this.strokeTimeline(ctx, summary.timeline, toX, toY, this.color('primary'));
+        this.lastRunLegend.classList.toggle('hidden', !previous);
+    }
+
+    strokeTimeline(ctx, timeline, toX, toY, color) {
+        const every = Math.max(1, Math.ceil(timeline.length / TIMELINE_POINTS));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        timeline.forEach(([t, score], i) => {
+            if (i % every !== 0 && i !== timeline.length - 1) return;
+            if (i === 0) ctx.moveTo(toX(t), toY(score));
+            else ctx.lineTo(toX(t), toY(score));
+        });
+        ctx.stroke();
+    }
+
+    renderTypes(definitions) {
+        const entries = Object.entries(this.summary.pointsByType).sort(([, a], [, b]) => b - a);
+        const top = Math.max(...entries.map(([, points]) => points), 1);
+        this.typesEl.innerHTML = entries.length ? '' : '<span class="analytics-empty">No kills</span>';
+        for (const [type, points] of entries) {
+            const label = type === 'boosts' ? '🎁' : getInsectDef(type, definitions).emoji;
+            const previous = this.previous?.pointsByType[type];
+            const row = document.createElement('div');
+            row.className = 'analytics-bar-row';
+            row.innerHTML = `
+                <span class="analytics-bar-label">${label}</span>
+                <span class="analytics-bar"><span class="analytics-bar-fill" style="width: ${points / top * 100}%"></span></span>
+                <span class="analytics-bar-value">${points}${this.formatDelta(points, previous)}</span>
+            `;
+            this.typesEl.appendChild(row);
+        }
+    }
+
+    renderBalance() {
+        const { penalties, bonuses } = this.summary;
+        const lost = penalties.hazards + penalties.misses;
+        const gained = bonuses.avoided + bonuses.boss;
+        this.balanceEl.innerHTML = `
+            <div class="analytics-balance-side penalty">
+                <span class="analytics-balance-value">${lost}</span>
+                <span class="analytics-balance-detail">${penalties.hazardHits} hazard hits${penalties.missCount && penalties.misses ? `, ${penalties.missCount} misses` : ''}</span>
+            </div>
+            <div class="analytics-balance-side bonus">
+                <span class="analytics-balance-value">+${gained}</span>
+                <span class="analytics-balance-detail">${bonuses.avoidCount} avoided${bonuses.boss ? ', boss bonus' : ''}</span>
+            </div>
+        `;
+    }
+
+    renderMultiplier() {
+        const uptime = Object.entries(this.summary.multiplierUptime).sort(([a], [b]) => a - b);
+        this.multiplierEl.innerHTML = '';
+        const bar = document.createElement('div');
+        bar.className = 'analytics-uptime-bar';
+        const legend = document.createElement('div');
+        legend.className = 'analytics-uptime-legend';
+        for (const [multiplier, share] of uptime) {
+            if (share <= 0) continue;
+            const color = MULTIPLIER_COLORS[multiplier] ?? 'var(--primary)';
+            const segment = document.createElement('span');
+            segment.style.width = `${share * 100}%`;
+            segment.style.background = color;
+            bar.appendChild(segment);
+
+            const item = document.createElement('span');
+            item.textContent = `${multiplier}x ${Math.round(share * 100)}%`;
+            item.style.color = color;
+            legend.appendChild(item);
+        }
+        this.multiplierEl.append(bar, legend);
+    }
+
+    drawHeatmap() {
+        const { columns, rows, hits, misses } = this.summary.heatmap;
+        const ctx = this.prepareCanvas(this.heatmapCanvas, columns * HEATMAP_CELL, rows * HEATMAP_CELL);
+        const busiest = Math.max(...hits.map((count, i) => count + misses[i]), 1);
+
+        ctx.fillStyle = this.color('bg-play');
+        ctx.fillRect(0, 0, columns * HEATMAP_CELL, rows * HEATMAP_CELL);
+        for (let i = 0; i < hits.length; i++) {
+            const total = hits[i] + misses[i];
+            if (!total) continue;
+            const x = (i % columns) * HEATMAP_CELL;
+            const y = Math.floor(i / columns) * HEATMAP_CELL;
+            // Brighter = more taps, redder = more of them missed
+            const missShare = misses[i] / total;
+            const red = Math.round(255 * missShare);
+            const green = Math.round(255 - 120 * missShare);
+            ctx.fillStyle = `rgba(${red}, ${green}, 136, ${0.15 + 0.85 * total / busiest})`;
+            ctx.fillRect(x + 1, y + 1, HEATMAP_CELL - 2, HEATMAP_CELL - 2);
+        }
+    }
+
+    formatDelta(value, previous) {
+        if (previous === undefined || previous === value) return '';
+        const delta = value - previous;
+        return ` <span class="analytics-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    }
+}
+
+export const analyticsScreen = new AnalyticsScreen();
@@ -0,0 +1,218 @@
+// Boost Inventory API
+// GET - Boosts waiting for a player's next run (?fid=, falls back to ?walletAddress=)
+// POST ?action=grant - Earn a boost for a verified action
+//   share:    { source: 'share', fid, castHash } - the cast must be published by that fid and link the game
+//   referral: { source: 'referral', referrer, username } - once per fid, before their first run
+// POST ?action=claim - Claim boosts for a classic run that is starting ({ walletAddress })
+// Referral grants and claims need a Quick Auth token (Authorization: Bearer) - the player is the token's fid
+// Mission rewards are granted by api/missions.js; the sponsor perk is checked on-chain at claim time,
+// for a wallet that is one of the fid's Farcaster-verified addresses
+
+import { createClient } from '@supabase/supabase-js';
+import { claimRunBoosts, grantBoost, listBoosts } from '../server/boostInventory.js';
+import { getAuthenticatedFid } from '../server/farcasterAuth.js';
+import { getVerifiedAddresses } from '../server/versusBridge.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+const APP_HOST = 'tap-mosquito.vercel.app';
+
+// Freshly published casts can take a moment to reach Neynar
+const CAST_LOOKUP_ATTEMPTS = 3;
+const CAST_LOOKUP_DELAY_MS = 1500;
+
+function normalizeAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address)
+        ? address.toLowerCase()
+        : null;
+}
+
+function parseFid(fid) {
+    const parsed = Number.parseInt(fid, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().replace(/^@/, '').toLowerCase() : '';
+}
+
+// Same keys as player_profiles: fid first, wallet-only players get a wallet key
+function getPlayerKey(fid, walletAddress) {
+    if (fid) return `fid:${fid}`;
+    if (walletAddress) return `wallet:${walletAddress}`;
+    return null;
+}
+
+// Helper: Fetch a cast by hash from Neynar
+async function lookupCast(castHash) {
+    const neynarApiKey = process.env.NEYNAR_API_KEY || process.env.VITE_NEYNAR_API_KEY;
+    if (!neynarApiKey) {
+        console.error('NEYNAR_API_KEY missing; cannot verify share casts.');
+        return { cast: null, reason: 'neynar_missing' };
+    }
+
+    const url = `https://api.neynar.com/v2/farcaster/cast?identifier=${encodeURIComponent(castHash)}&type=hash`;
+    for (let attempt = 0; attempt < CAST_LOOKUP_ATTEMPTS; attempt++) {
+        if (attempt > 0) await new Promise(resolve => setTimeout(resolve, CAST_LOOKUP_DELAY_MS));
+        try {
+            const response = await fetch(url, { headers: { 'api_key': neynarApiKey } });
+            if (!response.ok) continue;
+            const data = await response.json();
+            if (data?.cast) return { cast: data.cast, reason: null };
+        } catch (e) {
+            console.error('Neynar cast lookup failed:', e);
+        }
+    }
+
+    return { cast: null, reason: 'not_found' };
+}
+
+function castLinksGame(cast) {
+    const urls = (cast.embeds || []).map(embed => embed?.url).filter(Boolean);
+    return [cast.text || '', ...urls].some(text => text.includes(APP_HOST));
+}
+
+async function grantShareBoost(req, res) {
+    const fid = parseFid(req.body?.fid);
+    const { castHash } = req.body || {};
+    if (!fid || typeof castHash !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(castHash)) {
+        return res.status(400).json({ error: 'Missing fid or castHash' });
+    }
+
+    const playerKey = getPlayerKey(fid, null);
+
+    // One share boost waits at a time, like the old pending flag
+    const waiting = await listBoosts(supabase, playerKey);
+    if (waiting.some(row => row.source === 'share')) {
+        return res.status(409).json({ error: 'Share boost already waiting' });
+    }
+
+    const lookup = await lookupCast(castHash);
+    if (!lookup.cast) {
+        const status = lookup.reason === 'neynar_missing' ? 503 : 404;
+        return res.status(status).json({ error: 'Cast not found' });
+    }
+    if (lookup.cast.author?.fid !== fid) {
+        return res.status(403).json({ error: 'Cast belongs to another player' });
+    }
+    if (!castLinksGame(lookup.cast)) {
+        return res.status(400).json({ error: 'Cast does not link the game' });
+    }
+
+    const granted = await grantBoost(supabase, playerKey, 'share', castHash.toLowerCase());
+    if (!granted) {
+        return res.status(409).json({ error: 'Cast already rewarded' });
+    }
+    return res.status(200).json({ success: true, boost: granted });
+}
+
+async function grantReferralBoost(req, res) {
+    // Signed-in fids only - unauthenticated wallets could be minted fresh to farm the welcome boost
+    const fid = await getAuthenticatedFid(req);
+    if (!fid) {
+        return res.status(401).json({ error: 'Sign in with Farcaster to earn referral boosts' });
+    }
+
+    const referrer = normalizeUsername(req.body?.referrer);
+    const playerKey = getPlayerKey(fid, null);
+    if (!referrer) {
+        return res.status(400).json({ error: 'Missing referrer' });
+    }
+
+    if (referrer === normalizeUsername(req.body?.username)) {
+        return res.status(400).json({ error: 'Cannot refer yourself' });
+    }
+
+    // Referral boosts welcome new players only
+    const { data: profile, error } = await supabase
+        .from('player_profiles')
+        .select('games_played')
+        .eq('player_key', playerKey)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (profile?.games_played > 0) {
+        return res.status(409).json({ error: 'Referral boosts are for new players' });
+    }
+
+    // A fixed reference makes it once per player, whoever referred them
+    const granted = await grantBoost(supabase, playerKey, 'referral', 'welcome');
+    if (!granted) {
+        return res.status(409).json({ error: 'Referral boost already granted' });
+    }
+    return res.status(200).json({ success: true, boost: granted, referrer });
+}
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // GET - Waiting boosts
+    if (req.method === 'GET') {
+        const playerKey = getPlayerKey(parseFid(req.query.fid), normalizeAddress(req.query.walletAddress));
+        if (!playerKey) {
+            return res.status(400).json({ error: 'Missing fid or walletAddress' });
+        }
+
+        try {
+            return res.status(200).json({ boosts: await listBoosts(supabase, playerKey) });
+        } catch (error) {
+            console.error('Boost inventory fetch error:', error);
+            return res.status(500).json({ error: 'Failed to fetch boosts' });
+        }
+    }
+
+    // POST - Earn a boost
+    if (req.method === 'POST' && req.query.action === 'grant') {
+        try {
+            const { source } = req.body || {};
+            if (source === 'share') return await grantShareBoost(req, res);
+            if (source === 'referral') return await grantReferralBoost(req, res);
+            return res.status(400).json({ error: 'Invalid boost source' });
+        } catch (error) {
+            console.error('Boost grant error:', error);
+            return res.status(500).json({ error: 'Failed to grant boost' });
+        }
+    }
+
+    // POST - Claim boosts for a starting run
+    if (req.method === 'POST' && req.query.action === 'claim') {
+        try {
+            // Claiming spends the boosts, so only the player themselves can do it
+            const fid = await getAuthenticatedFid(req);
+            if (!fid) {
+                return res.status(401).json({ error: 'Sign in with Farcaster to claim boosts' });
+            }
+
+            // The sponsor perk follows the wallet, so it must be one of this fid's verified addresses
+            let walletAddress = normalizeAddress(req.body?.walletAddress);
+            if (walletAddress) {
+                const verified = await getVerifiedAddresses(fid);
+                if (!verified?.includes(walletAddress)) walletAddress = null;
+            }
+
+            const claim = await claimRunBoosts(supabase, getPlayerKey(fid, null), { walletAddress });
+            return res.status(200).json({ success: true, ...claim });
+        } catch (error) {
+            console.error('Boost claim error:', error);
+            return res.status(500).json({ error: 'Failed to claim boosts' });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
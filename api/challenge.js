@@ -1,11 +1,21 @@
 // Versus Challenge API
-// POST /create - Create challenge to username
-// POST /accept - Accept pending challenge  
-// POST /submit - Submit score after playing
+// POST /create - Create challenge to username (mode: 'casual' off-chain, or 'onchain' for a VersusNFT battle)
+// POST /accept - Accept pending challenge (on-chain challenges must be accepted on VersusNFT first)
+// POST /decline - Decline a pending casual challenge (on-chain challenges are left to expire)
+// POST /cancel - Challenger withdraws a pending challenge that isn't on-chain yet
+// POST /link - Report a VersusNFT transaction (create/accept/cancel) for an on-chain challenge
+// POST /submit - Submit a played run (replayId); the score is the replay's verified score
 // GET /pending - Get pending challenges for user
 // GET /active - Get active challenge for user
+// GET /get - One challenge by id (?id=), polled by the versus result screen until both scores are in
 
 import { createClient } from '@supabase/supabase-js';
+import { generateSeed } from '../rng.js';
+import { VERSUS_MAX_PAUSES, VERSUS_MAX_PAUSE_MS, matchesPreset } from '../gameRules.js';
+import { fetchNotificationTokens, sendNotification } from '../server/notifications.js';
+import { trackMissions } from '../server/missionBoard.js';
+import { awardVersusBadges } from '../server/versusBadges.js';
+import { applyChallengeEvent, getVerifiedAddresses, readChallengeEvents } from '../server/versusBridge.js';
 
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -39,12 +49,18 @@ export default async function handler(req, res) {
                 return await acceptChallenge(req, res);
             case 'decline':
                 return await declineChallenge(req, res);
+            case 'cancel':
+                return await cancelChallenge(req, res);
+            case 'link':
+                return await linkOnchainChallenge(req, res);
             case 'submit':
                 return await submitScore(req, res);
             case 'pending':
                 return await getPendingChallenges(req, res);
             case 'active':
                 return await getActiveChallenge(req, res);
+            case 'get':
+                return await getChallenge(req, res);
             default:
                 return res.status(400).json({ error: 'Invalid action' });
         }
@@ -56,7 +72,7 @@ export default async function handler(req, res) {
 
 // Create a new challenge
 async function createChallenge(req, res) {
-    const { challengerFid, challengerUsername, opponentUsername, opponentFid } = req.body;
+    const { challengerFid, challengerUsername, opponentUsername, opponentFid, mode = 'casual', challengerAddress } = req.body;
 
     const hasOpponentFid = opponentFid !== undefined && opponentFid !== null && opponentFid !== '';
     const hasOpponentUsername = typeof opponentUsername === 'string' && opponentUsername.trim().length > 0;
@@ -65,6 +81,10 @@ async function createChallenge(req, res) {
         return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    if (mode !== 'casual' && mode !== 'onchain') {
+        return res.status(400).json({ error: 'Invalid mode' });
+    }
+
     let normalizedOpponentUsername = normalizeUsername(opponentUsername);
     const normalizedChallengerUsername = normalizeUsername(challengerUsername);
     let resolvedOpponentFid = null;
@@ -124,6 +144,16 @@ async function createChallenge(req, res) {
         return res.status(409).json({ error: 'Already challenged this user in the last 24 hours' });
     }
 
+    // On-chain battles are between both players' Farcaster-verified wallets
+    let addresses = {};
+    if (mode === 'onchain') {
+        const resolved = await resolveBattleAddresses(challengerFid, resolvedOpponentFid, challengerAddress);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        addresses = { challenger_address: resolved.challengerAddress, opponent_address: resolved.opponentAddress };
+    }
+
     // Create challenge
     const { data: challenge, error } = await supabase
         .from('challenges')
@@ -132,13 +162,22 @@ async function createChallenge(req, res) {
             opponent_fid: resolvedOpponentFid,
             challenger_username: normalizedChallengerUsername,
             opponent_username: normalizedOpponentUsername,
-            status: 'pending'
+            status: 'pending',
+            mode,
+            ...addresses
         })
         .select()
         .single();
 
     if (error) throw error;
 
+    // "Send a challenge" daily mission
+    try {
+        await trackMissions(supabase, Number.parseInt(challengerFid, 10), { event: 'challengeSent' });
+    } catch (missionError) {
+        console.error('Mission tracking error:', missionError);
+    }
+
     // Send notification to opponent
     const notificationSent = await sendChallengeNotification(
         resolvedOpponentFid,
@@ -157,9 +196,21 @@ async function acceptChallenge(req, res) {
         return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const { data: current } = await supabase
+        .from('challenges')
+        .select('mode, onchain_status')
+        .eq('id', challengeId)
+        .maybeSingle();
+
+    // The off-chain row follows the contract, so the battle can be finalized later
+    if (current?.mode === 'onchain' && current.onchain_status !== 'accepted') {
+        return res.status(409).json({ error: 'Accept the on-chain challenge first' });
+    }
+
+    // Seed is fixed at accept time so both players face identical waves
     const { data: challenge, error } = await supabase
         .from('challenges')
-        .update({ status: 'accepted' })
+        .update({ status: 'accepted', seed: generateSeed() })
         .eq('id', challengeId)
         .eq('opponent_fid', opponentFid)
         .eq('status', 'pending')
@@ -184,12 +235,15 @@ async function declineChallenge(req, res) {
         return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // VersusNFT only lets the challenger cancel, so an on-chain challenge can't be declined
+    // off-chain without leaving its on-chain side open - it expires instead
     const { data: challenge, error } = await supabase
         .from('challenges')
         .update({ status: 'declined' })
         .eq('id', challengeId)
         .eq('opponent_fid', opponentFid)
         .eq('status', 'pending')
+        .eq('mode', 'casual')
         .select()
         .single();
 
@@ -200,11 +254,83 @@ async function declineChallenge(req, res) {
     return res.status(200).json({ success: true });
 }
 
+// Cancel a challenge (challenger only). Linked on-chain challenges are cancelled
+// on VersusNFT instead and reported through /link.
+async function cancelChallenge(req, res) {
+    const { challengeId, challengerFid } = req.body;
+
+    if (!challengeId || !challengerFid) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const { data: challenge, error } = await supabase
+        .from('challenges')
+        .update({ status: 'cancelled' })
+        .eq('id', challengeId)
+        .eq('challenger_fid', challengerFid)
+        .eq('status', 'pending')
+        .is('onchain_challenge_id', null)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!challenge) {
+        return res.status(404).json({ error: 'Challenge not found or already on-chain' });
+    }
+
+    return res.status(200).json({ success: true, challenge });
+}
+
+// Link a VersusNFT transaction to an on-chain challenge.
+// Only the challenge events in the receipt are trusted, never the request.
+async function linkOnchainChallenge(req, res) {
+    const { challengeId, fid, txHash } = req.body;
+
+    if (!challengeId || !fid || typeof txHash !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const { data: challenge, error: fetchError } = await supabase
+        .from('challenges')
+        .select('*')
+        .eq('id', challengeId)
+        .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!challenge) {
+        return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    if (challenge.challenger_fid !== fid && challenge.opponent_fid !== fid) {
+        return res.status(403).json({ error: 'Not a participant in this challenge' });
+    }
+
+    if (challenge.mode !== 'onchain') {
+        return res.status(409).json({ error: 'Challenge is not on-chain' });
+    }
+
+    const events = await readChallengeEvents(txHash);
+    if (!events) {
+        return res.status(409).json({ error: 'Transaction not confirmed yet' });
+    }
+
+    let updated = null;
+    for (const event of events) {
+        updated = await applyChallengeEvent(supabase, event, challenge.id) || updated;
+    }
+
+    if (!updated) {
+        return res.status(400).json({ error: 'Transaction does not match this challenge' });
+    }
+
+    return res.status(200).json({ success: true, challenge: updated });
+}
+
 // Submit score for a challenge
 async function submitScore(req, res) {
-    const { challengeId, fid, score } = req.body;
+    const { challengeId, fid, replayId } = req.body;
 
-    if (!challengeId || !fid || score === undefined) {
+    if (!challengeId || !fid || !replayId) {
         return res.status(400).json({ error: 'Missing required fields' });
     }
 
@@ -227,47 +353,114 @@ async function submitScore(req, res) {
         return res.status(403).json({ error: 'Not a participant in this challenge' });
     }
 
-    // Update score
-    const updateField = isChallenger ? 'challenger_score' : 'opponent_score';
-    const updates = { [updateField]: score };
-
-    // Check if challenge is now complete
-    const otherScore = isChallenger ? challenge.opponent_score : challenge.challenger_score;
-    if (otherScore !== null) {
-        // Both have played - determine winner
-        const challengerFinalScore = isChallenger ? score : challenge.challenger_score;
-        const opponentFinalScore = isOpponent ? score : challenge.opponent_score;
-
-        let winnerFid = null;
-        if (challengerFinalScore > opponentFinalScore) {
-            winnerFid = challenge.challenger_fid;
-        } else if (opponentFinalScore > challengerFinalScore) {
-            winnerFid = challenge.opponent_fid;
-        }
-        // If tie, winner_fid stays null
+    if (challenge.status !== 'accepted') {
+        return res.status(409).json({ error: 'Challenge is not in progress', challenge });
+    }
+
+    // The score comes from the player's verified replay of this challenge's seed, never the client
+    const { data: replay, error: replayError } = await supabase
+        .from('replays')
+        .select('id, fid, wallet_address, seed, verified_score, stats')
+        .eq('id', replayId)
+        .maybeSingle();
+
+    if (replayError || !replay) {
+        return res.status(404).json({ error: 'Replay not found' });
+    }
 
-        updates.status = 'completed';
-        updates.winner_fid = winnerFid;
-        updates.completed_at = new Date().toISOString();
+    const playerAddress = isChallenger ? challenge.challenger_address : challenge.opponent_address;
+    if (Number(replay.fid) !== Number(fid) || (playerAddress && replay.wallet_address !== playerAddress)) {
+        return res.status(403).json({ error: 'Replay belongs to another player' });
     }
 
-    const { data: updated, error: updateError } = await supabase
+    if (replay.stats?.challengeId !== challenge.id || Number(replay.seed) !== Number(challenge.seed)) {
+        return res.status(400).json({ error: 'Replay was not played on this challenge' });
+    }
+
+    // Both players must have played the same game: the versus options, the fixed curve, no boosts
+    if (!matchesPreset(replay.stats, 'versus')) {
+        return res.status(400).json({ error: 'Replay was not played with the versus options' });
+    }
+    if (replay.stats?.adaptive) {
+        return res.status(400).json({ error: 'Adaptive difficulty runs cannot settle a challenge' });
+    }
+    if (replay.stats?.boosted) {
+        return res.status(400).json({ error: 'Boosted runs cannot settle a challenge' });
+    }
+
+    // Update score
+    const pausePrefix = isChallenger ? 'challenger' : 'opponent';
+    const updateField = `${pausePrefix}_score`;
+    const updates = {
+        [updateField]: replay.verified_score,
+        [`${pausePrefix}_replay_id`]: replay.id
+    };
+
+    // Record the replay's pauses; runs over the cap are flagged for review rather than rejected
+    const pauseCount = Math.max(0, Number.parseInt(replay.stats?.pauses, 10) || 0);
+    const pausedMs = Math.max(0, Number.parseInt(replay.stats?.pausedMs, 10) || 0);
+    updates[`${pausePrefix}_pauses`] = { count: pauseCount, totalMs: pausedMs };
+    updates[`${pausePrefix}_flagged`] = pauseCount > VERSUS_MAX_PAUSES || pausedMs > VERSUS_MAX_PAUSE_MS;
+
+    // One run per player - a second submit must not rewrite a decided result
+    const { data: saved, error: updateError } = await supabase
         .from('challenges')
         .update(updates)
         .eq('id', challengeId)
+        .eq('status', 'accepted')
+        .is(updateField, null)
         .select()
-        .single();
+        .maybeSingle();
 
     if (updateError) throw updateError;
-
-    // If completed, send result notification
-    if (updated.status === 'completed') {
-        await sendResultNotification(updated);
+    if (!saved) {
+        return res.status(409).json({ error: 'Score already submitted' });
+    }
+
+    // Both have played - whoever lands second decides the winner (the status check makes it happen once)
+    let updated = saved;
+    if (saved.challenger_score !== null && saved.opponent_score !== null) {
+        const { data: completed, error: completeError } = await supabase
+            .from('challenges')
+            .update(decideWinner(saved))
+            .eq('id', challengeId)
+            .eq('status', 'accepted')
+            .select()
+            .maybeSingle();
+
+        if (completeError) throw completeError;
+        if (completed) {
+            updated = completed;
+            await sendResultNotification(completed);
+
+            // The win only exists now, so versus badges are judged here rather than when the run was credited
+            try {
+                await awardVersusBadges(supabase, completed);
+            } catch (badgeError) {
+                console.error('Versus badge error:', badgeError);
+            }
+        }
     }
 
     return res.status(200).json({ success: true, challenge: updated });
 }
 
+// Helper: Final status for a challenge with both scores in (a tie leaves winner_fid null)
+function decideWinner(challenge) {
+    let winnerFid = null;
+    if (challenge.challenger_score > challenge.opponent_score) {
+        winnerFid = challenge.challenger_fid;
+    } else if (challenge.opponent_score > challenge.challenger_score) {
+        winnerFid = challenge.opponent_fid;
+    }
+
+    return {
+        status: 'completed',
+        winner_fid: winnerFid,
+        completed_at: new Date().toISOString()
+    };
+}
+
 // Get pending challenges for a user
 async function getPendingChallenges(req, res) {
     const { fid } = req.query;
@@ -313,6 +506,57 @@ async function getActiveChallenge(req, res) {
     return res.status(200).json({ challenge: data || null });
 }
 
+// Get one challenge (scores and server-decided winner)
+async function getChallenge(req, res) {
+    const { id } = req.query;
+
+    if (!id) {
+        return res.status(400).json({ error: 'Missing id' });
+    }
+
+    const { data, error } = await supabase
+        .from('challenges')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+        return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    return res.status(200).json({ challenge: data });
+}
+
+// Helper: Wallets for an on-chain battle. The challenger's wallet must be verified
+// for their fid; the opponent plays from their primary verified wallet.
+async function resolveBattleAddresses(challengerFid, opponentFid, challengerAddress) {
+    if (typeof challengerAddress !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(challengerAddress)) {
+        return { status: 400, error: 'Connect a wallet to send an on-chain challenge' };
+    }
+
+    const [challengerAddresses, opponentAddresses] = await Promise.all([
+        getVerifiedAddresses(challengerFid),
+        getVerifiedAddresses(opponentFid)
+    ]);
+
+    if (!challengerAddresses || !opponentAddresses) {
+        return { status: 503, error: 'Wallet lookup unavailable. Please try again later.' };
+    }
+
+    const normalizedChallenger = challengerAddress.toLowerCase();
+    if (!challengerAddresses.includes(normalizedChallenger)) {
+        return { status: 403, error: 'Connected wallet is not verified on your Farcaster account' };
+    }
+
+    const opponentAddress = opponentAddresses.find(address => address !== normalizedChallenger);
+    if (!opponentAddress) {
+        return { status: 409, error: 'Opponent has no verified wallet for on-chain battles' };
+    }
+
+    return { challengerAddress: normalizedChallenger, opponentAddress };
+}
+
 // Helper: Look up FID by username (mock - replace with Neynar API)
 async function lookupFidByUsername(username) {
     const cleanUsername = normalizeUsername(username);
@@ -393,104 +637,6 @@ function formatUsername(username) {
     return normalized ? `@${normalized}` : 'Someone';
 }
 
-async function fetchNotificationTokens(fid) {
-    console.log('[Notification] Fetching tokens for FID:', fid);
-
-    if (!supabase) {
-        console.warn('[Notification] Supabase not configured, skipping token fetch');
-        return [];
-    }
-    if (fid === null || fid === undefined) {
-        console.warn('[Notification] FID is null/undefined, skipping token fetch');
-        return [];
-    }
-
-    const parsedFid = Number.parseInt(fid, 10);
-    if (!Number.isFinite(parsedFid)) {
-        console.warn('[Notification] Invalid FID format:', fid);
-        return [];
-    }
-
-    const { data, error } = await supabase
-        .from('notification_tokens')
-        .select('token, url')
-        .eq('fid', parsedFid);
-
-    if (error) {
-        console.error('[Notification] Failed to load tokens for FID', parsedFid, ':', error);
-        return [];
-    }
-
-    console.log('[Notification] Found', data?.length || 0, 'token(s) for FID', parsedFid);
-    return data || [];
-}
-
-async function sendNotification(tokens, payload) {
-    console.log('[Notification] Attempting to send:', {
-        notificationId: payload.notificationId,
-        title: payload.title,
-        tokenCount: tokens?.length || 0
-    });
-
-    if (!tokens || tokens.length === 0) {
-        console.warn('[Notification] No tokens provided, cannot send notification');
-        return false;
-    }
-
-    const grouped = new Map();
-    for (const item of tokens) {
-        if (!item?.token || !item?.url) {
-            console.warn('[Notification] Skipping invalid token entry:', item);
-            continue;
-        }
-        if (!grouped.has(item.url)) {
-            grouped.set(item.url, []);
-        }
-        grouped.get(item.url).push(item.token);
-    }
-
-    console.log('[Notification] Sending to', grouped.size, 'unique endpoint(s)');
-
-    let delivered = false;
-    for (const [url, tokenList] of grouped.entries()) {
-        if (!tokenList.length) continue;
-
-        const requestBody = {
-            ...payload,
-            token: tokenList[0],
-            tokens: tokenList
-        };
-
-        console.log('[Notification] POST to:', url.substring(0, 50) + '...');
-        console.log('[Notification] Payload:', JSON.stringify(requestBody, null, 2));
-
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (response.ok) {
-                console.log('[Notification] ✅ Successfully delivered to', url.substring(0, 50));
-                delivered = true;
-            } else {
-                const detail = await response.text();
-                console.error('[Notification] ❌ Request failed:', {
-                    status: response.status,
-                    statusText: response.statusText,
-                    detail: detail.substring(0, 200)
-                });
-            }
-        } catch (e) {
-            console.error('[Notification] ❌ Network error:', e.message);
-        }
-    }
-
-    console.log('[Notification] Final delivery status:', delivered ? 'SUCCESS' : 'FAILED');
-    return delivered;
-}
-
 // Helper: Send challenge notification
 async function sendChallengeNotification(opponentFid, challengerUsername, challengeId) {
     console.log('[Challenge Notification] Sending challenge notification:', {
@@ -499,7 +645,7 @@ async function sendChallengeNotification(opponentFid, challengerUsername, challe
         challengeId
     });
 
-    const tokens = await fetchNotificationTokens(opponentFid);
+    const tokens = await fetchNotificationTokens(supabase, opponentFid);
     if (!tokens.length) {
         console.warn('[Challenge Notification] Opponent FID', opponentFid, 'has no notification tokens - they may not have added the frame');
         return false;
@@ -524,7 +670,7 @@ async function sendAcceptedNotification(challengerFid, opponentUsername, challen
         challengeId
     });
 
-    const tokens = await fetchNotificationTokens(challengerFid);
+    const tokens = await fetchNotificationTokens(supabase, challengerFid);
     if (!tokens.length) {
         console.warn('[Accepted Notification] Challenger FID', challengerFid, 'has no notification tokens');
         return;
@@ -562,7 +708,7 @@ async function sendResultNotification(challenge) {
     if (winnerFid) {
         console.log('[Result Notification] Winner FID:', winnerFid, '| Loser FID:', loserFid);
 
-        const winnerTokens = await fetchNotificationTokens(winnerFid);
+        const winnerTokens = await fetchNotificationTokens(supabase, winnerFid);
         const winnerScore = winnerFid === challenge.challenger_fid ? challengerScore : opponentScore;
         const loserScoreForWinner = winnerFid === challenge.challenger_fid ? opponentScore : challengerScore;
 
@@ -575,7 +721,7 @@ async function sendResultNotification(challenge) {
         console.log('[Result Notification] Winner notification:', winResult ? 'SENT' : 'FAILED');
 
         // Notify loser
-        const loserTokens = await fetchNotificationTokens(loserFid);
+        const loserTokens = await fetchNotificationTokens(supabase, loserFid);
         const loserScore = loserFid === challenge.challenger_fid ? challengerScore : opponentScore;
         const winnerScoreForLoser = loserFid === challenge.challenger_fid ? opponentScore : challengerScore;
 
@@ -591,7 +737,7 @@ async function sendResultNotification(challenge) {
         console.log('[Result Notification] TIE - notifying both players');
 
         for (const fid of [challenge.challenger_fid, challenge.opponent_fid]) {
-            const tokens = await fetchNotificationTokens(fid);
+            const tokens = await fetchNotificationTokens(supabase, fid);
             const tieResult = await sendNotification(tokens, {
                 notificationId: `tie-${challenge.id}-${fid}`,
                 title: '🤝 It\'s a Tie!',
@@ -0,0 +1,229 @@
+// Daily Mosquito API
+// GET - Today's seed, top 50 and the caller's attempt (?fid=&walletAddress=)
+// POST - Rank a verified replay (one ranked attempt per fid/wallet per UTC day: their first daily replay)
+
+import { createClient } from '@supabase/supabase-js';
+import { getUtcDay, getDailySeed } from '../rng.js';
+import { matchesPreset } from '../gameRules.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+// Runs that started just before midnight UTC may finish after it
+const ROLLOVER_GRACE_MS = 5 * 60 * 1000;
+
+function normalizeAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address)
+        ? address.toLowerCase()
+        : null;
+}
+
+function parseFid(fid) {
+    const parsed = Number.parseInt(fid, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function sanitizeUsername(username) {
+    if (typeof username !== 'string') return null;
+    const trimmed = username.trim().replace(/^@/, '');
+    return trimmed && trimmed.toLowerCase() !== 'connected' ? trimmed : null;
+}
+
+// Accept today, or yesterday for a few minutes after rollover
+function isRankableDay(day) {
+    const now = new Date();
+    if (day === getUtcDay(now)) return true;
+    return day === getUtcDay(new Date(now.getTime() - ROLLOVER_GRACE_MS));
+}
+
+async function findAttempt(day, walletAddress, fid) {
+    const filters = [];
+    if (walletAddress) filters.push(`wallet_address.eq.${walletAddress}`);
+    if (fid) filters.push(`fid.eq.${fid}`);
+    if (!filters.length) return null;
+
+    const { data, error } = await supabase
+        .from('daily_scores')
+        .select('*')
+        .eq('day', day)
+        .or(filters.join(','))
+        .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+}
+
+async function getRank(day, score) {
+    const { count, error } = await supabase
+        .from('daily_scores')
+        .select('id', { count: 'exact', head: true })
+        .eq('day', day)
+        .gt('score', score);
+
+    if (error) throw error;
+    return (count || 0) + 1;
+}
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // GET - Today's board and whether the caller has used their ranked attempt
+    if (req.method === 'GET') {
+        try {
+            const day = getUtcDay();
+            const { data, error } = await supabase
+                .from('daily_scores')
+                .select('*')
+                .eq('day', day)
+                .order('score', { ascending: false })
+                .order('created_at', { ascending: true })
+                .limit(50);
+
+            if (error) throw error;
+
+            const walletAddress = normalizeAddress(req.query.walletAddress);
+            const fid = parseFid(req.query.fid);
+            const attempt = await findAttempt(day, walletAddress, fid);
+
+            return res.status(200).json({
+                day,
+                seed: getDailySeed(day),
+                entries: data || [],
+                attempt: attempt
+                    ? { score: attempt.score, rank: await getRank(day, attempt.score) }
+                    : null
+            });
+        } catch (error) {
+            console.error('Daily fetch error:', error);
+            return res.status(500).json({ error: 'Failed to fetch daily leaderboard' });
+        }
+    }
+
+    // POST - Rank a verified daily run
+    if (req.method === 'POST') {
+        try {
+            const { replayId, walletAddress, username, day } = req.body;
+            const normalizedAddress = normalizeAddress(walletAddress);
+
+            if (!replayId || !normalizedAddress || typeof day !== 'string') {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+
+            if (!isRankableDay(day)) {
+                return res.status(400).json({ error: 'Daily run has expired' });
+            }
+
+            // The score comes from the server-verified replay, never the client
+            const { data: replay, error: replayError } = await supabase
+                .from('replays')
+                .select('id, wallet_address, fid, seed, verified_score, stats')
+                .eq('id', replayId)
+                .single();
+
+            if (replayError || !replay) {
+                return res.status(404).json({ error: 'Replay not found' });
+            }
+
+            if (replay.wallet_address !== normalizedAddress) {
+                return res.status(403).json({ error: 'Replay belongs to another player' });
+            }
+
+            // The fid was proven by Quick Auth when the replay was uploaded (api/replay.js)
+            const parsedFid = parseFid(replay.fid);
+
+            if (Number(replay.seed) !== getDailySeed(day)) {
+                return res.status(400).json({ error: 'Replay is not a Daily Mosquito run' });
+            }
+
+            // Everyone plays the same options: boss and power-ups on
+            if (!matchesPreset(replay.stats, 'daily')) {
+                return res.status(400).json({ error: 'Replay was not played with the Daily Mosquito options' });
+            }
+
+            // Ranked boards only take the fixed difficulty curve
+            if (replay.stats?.adaptive) {
+                return res.status(400).json({ error: 'Adaptive difficulty runs are not ranked' });
+            }
+
+            // Everyone plays the same seed unboosted
+            if (replay.stats?.boosted) {
+                return res.status(400).json({ error: 'Boosted runs are not ranked' });
+            }
+
+            // Only the first daily replay the player uploaded today counts (recorded by api/replay.js),
+            // so uploading several runs and ranking the best one doesn't work
+            const { data: firstRun, error: firstRunError } = await supabase
+                .from('daily_attempts')
+                .select('replay_id')
+                .eq('day', day)
+                .eq('replay_id', replay.id)
+                .maybeSingle();
+
+            if (firstRunError) throw firstRunError;
+            if (!firstRun) {
+                return res.status(409).json({ error: 'Only your first Daily Mosquito run of the day is ranked' });
+            }
+
+            const existing = await findAttempt(day, normalizedAddress, parsedFid);
+            if (existing) {
+                return res.status(409).json({
+                    error: 'Ranked attempt already used today',
+                    attempt: { score: existing.score, rank: await getRank(day, existing.score) }
+                });
+            }
+
+            const { data: inserted, error } = await supabase
+                .from('daily_scores')
+                .insert({
+                    day,
+                    fid: parsedFid,
+                    wallet_address: normalizedAddress,
+                    username: sanitizeUsername(username),
+                    score: replay.verified_score,
+                    tapped: replay.stats?.tapped || 0,
+                    best_combo: replay.stats?.bestCombo || 1,
+                    boss_kills: replay.stats?.bossesDefeated || 0,
+                    power_ups: Object.values(replay.stats?.powerUps || {}).reduce((sum, count) => sum + count, 0),
+                    taps: replay.stats?.taps || 0,
+                    misses: replay.stats?.misses || 0,
+                    avg_reaction: replay.stats?.reactions?.average ?? null,
+                    best_reaction: replay.stats?.reactions?.best ?? null,
+                    replay_id: replay.id
+                })
+                .select()
+                .single();
+
+            // Unique (day, wallet) / (day, fid) lost a race with another submit
+            if (error?.code === '23505') {
+                return res.status(409).json({ error: 'Ranked attempt already used today' });
+            }
+            if (error) throw error;
+
+            return res.status(200).json({
+                success: true,
+                entry: inserted,
+                rank: await getRank(day, inserted.score)
+            });
+        } catch (error) {
+            console.error('Daily submission error:', error);
+            return res.status(500).json({ error: 'Failed to submit daily score' });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
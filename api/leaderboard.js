@@ -1,8 +1,11 @@
 // Global Leaderboard API
-// GET - Fetch top 50 scores (one per user, cumulative weekly)
-// POST - Add score to user's total (or create new entry)
+// GET - Fetch top 50 scores (one per user, cumulative weekly) - ?mode=survival for the survival board
+// POST - Add a verified replay's score to user's total (or create new entry); survival keeps the user's best run instead
+//        Each replay counts once, and only on a seed issued by /api/replay this week with the mode's standard options
+//        Boosted runs still count but are tallied in boosted_runs so the board can flag them
 
 import { createClient } from '@supabase/supabase-js';
+import { GAME_MODES, matchesPreset } from '../gameRules.js';
 
 const supabaseUrl = process.env.VITE_SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -20,6 +23,21 @@ function getWeekStart() {
     return monday.toISOString().split('T')[0];
 }
 
+// Weekly board columns from a verified replay's stats
+function getReplayRunStats(replay) {
+    const stats = replay.stats || {};
+    return {
+        tapped: stats.tapped || 0,
+        bestCombo: stats.bestCombo || 1,
+        bossKills: stats.bossesDefeated || 0,
+        powerUps: Object.values(stats.powerUps || {}).reduce((sum, count) => sum + count, 0),
+        taps: stats.taps || 0,
+        misses: stats.misses || 0,
+        avgReaction: stats.reactions?.average ?? null,
+        bestReaction: stats.reactions?.best ?? null
+    };
+}
+
 export default async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -35,6 +53,10 @@ export default async function handler(req, res) {
     }
 
     const weekStart = getWeekStart();
+    const mode = req.query.mode || req.body?.mode || 'classic';
+    if (!GAME_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'Invalid mode' });
+    }
 
     // GET - Fetch leaderboard (one entry per user, current week only)
     if (req.method === 'GET') {
@@ -43,6 +65,7 @@ export default async function handler(req, res) {
                 .from('leaderboard')
                 .select('*')
                 .eq('week_start', weekStart)
+                .eq('mode', mode)
                 .order('score', { ascending: false })
                 .limit(50);
 
@@ -58,9 +81,9 @@ export default async function handler(req, res) {
     // POST - Submit score (add to existing user's total or create new)
     if (req.method === 'POST') {
         try {
-            const { walletAddress, username, score, tapped, bestCombo } = req.body;
+            const { walletAddress, username, replayId } = req.body;
 
-            if (!walletAddress || score === undefined) {
+            if (!walletAddress || !replayId) {
                 return res.status(400).json({ error: 'Missing required fields' });
             }
 
@@ -80,20 +103,84 @@ export default async function handler(req, res) {
                 }
             }
 
+            // The score comes from the server-verified replay, never the client
+            const { data: replay, error: replayError } = await supabase
+                .from('replays')
+                .select('id, wallet_address, verified_score, stats, created_at')
+                .eq('id', replayId)
+                .maybeSingle();
+
+            if (replayError || !replay) {
+                return res.status(404).json({ error: 'Replay not found' });
+            }
+
+            if (replay.wallet_address !== normalizedAddress) {
+                return res.status(403).json({ error: 'Replay belongs to another player' });
+            }
+
+            if (replay.stats?.seedSource !== 'issued' || (replay.stats?.mode || 'classic') !== mode) {
+                return res.status(400).json({ error: 'Replay is not a weekly run' });
+            }
+
+            if (replay.stats?.adaptive) {
+                return res.status(400).json({ error: 'Adaptive difficulty runs are not ranked' });
+            }
+
+            // Everyone on a board plays the same options (boss, power-ups, movement, definitions)
+            if (!matchesPreset(replay.stats, mode)) {
+                return res.status(400).json({ error: `Replay was not played with the standard ${mode} options` });
+            }
+
+            if (replay.created_at.slice(0, 10) < weekStart) {
+                return res.status(400).json({ error: 'Replay is from a previous week' });
+            }
+
+            // Claim the replay so it only adds to the total once
+            const { data: claimed, error: claimError } = await supabase
+                .from('replays')
+                .update({ ranked_at: new Date().toISOString() })
+                .eq('id', replay.id)
+                .is('ranked_at', null)
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed?.length) {
+                return res.status(409).json({ error: 'Replay already ranked' });
+            }
+
+            const score = replay.verified_score;
+            const { tapped, bestCombo, bossKills, powerUps, taps, misses, avgReaction, bestReaction } =
+                getReplayRunStats(replay);
+
+            // Boost use is recorded by the verified replay, never reported by the client
+            const boostedRun = replay.stats?.boosted === true ? 1 : 0;
+
             // Check if user already has an entry this week
             const { data: existing } = await supabase
                 .from('leaderboard')
                 .select('*')
                 .eq('wallet_address', normalizedAddress)
                 .eq('week_start', weekStart)
+                .eq('mode', mode)
                 .single();
 
             let data;
             if (existing) {
-                // UPDATE: Add score to existing total
-                const newScore = existing.score + score;
+                // UPDATE: Add score to existing total (survival: keep the best run)
+                const newScore = mode === 'survival' ? Math.max(existing.score, score) : existing.score + score;
                 const newTapped = existing.tapped + (tapped || 0);
                 const newBestCombo = Math.max(existing.best_combo, bestCombo || 1);
+                const newBossKills = (existing.boss_kills || 0) + (bossKills || 0);
+                const newPowerUps = (existing.power_ups || 0) + (powerUps || 0);
+                // Reaction average is weighted by kills across the week's runs
+                const killsSoFar = existing.tapped || 0;
+                const newAvgReaction = avgReaction > 0
+                    ? Math.round(((existing.avg_reaction || 0) * killsSoFar + avgReaction * (tapped || 0)) /
+                        Math.max(killsSoFar + (tapped || 0), 1))
+                    : existing.avg_reaction;
+                const newBestReaction = bestReaction > 0
+                    ? Math.min(existing.best_reaction || Infinity, bestReaction)
+                    : existing.best_reaction;
 
                 const { data: updated, error } = await supabase
                     .from('leaderboard')
@@ -101,6 +188,13 @@ export default async function handler(req, res) {
                         score: newScore,
                         tapped: newTapped,
                         best_combo: newBestCombo,
+                        boss_kills: newBossKills,
+                        power_ups: newPowerUps,
+                        taps: (existing.taps || 0) + (taps || 0),
+                        misses: (existing.misses || 0) + (misses || 0),
+                        avg_reaction: newAvgReaction,
+                        best_reaction: newBestReaction,
+                        boosted_runs: (existing.boosted_runs || 0) + boostedRun,
                         username: sanitizedUsername || existing.username // Update username if provided
                     })
                     .eq('id', existing.id)
@@ -119,7 +213,15 @@ export default async function handler(req, res) {
                         score: score,
                         tapped: tapped || 0,
                         best_combo: bestCombo || 1,
+                        boss_kills: bossKills || 0,
+                        power_ups: powerUps || 0,
+                        taps: taps || 0,
+                        misses: misses || 0,
+                        avg_reaction: avgReaction > 0 ? Math.round(avgReaction) : null,
+                        best_reaction: bestReaction > 0 ? Math.round(bestReaction) : null,
+                        boosted_runs: boostedRun,
                         week_start: weekStart,
+                        mode,
                         created_at: new Date().toISOString()
                     })
                     .select()
@@ -134,6 +236,7 @@ export default async function handler(req, res) {
                 .from('leaderboard')
                 .select('id')
                 .eq('week_start', weekStart)
+                .eq('mode', mode)
                 .gte('score', data.score);
 
             const rank = rankData?.length || -1;
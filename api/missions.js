@@ -0,0 +1,83 @@
+// Daily Missions API
+// GET - Today's three missions and progress for a fid (?fid=)
+// POST ?action=claim - Claim a completed mission's boost into the boost inventory ({ missionId })
+//   Needs a Quick Auth token (Authorization: Bearer) - the player is the token's fid
+// Progress itself is recorded server-side (verified runs in api/player.js, challenges in api/challenge.js)
+
+import { createClient } from '@supabase/supabase-js';
+import { loadDailyMissions, claimMission } from '../server/missionBoard.js';
+import { getAuthenticatedFid } from '../server/farcasterAuth.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+function parseFid(fid) {
+    const parsed = Number.parseInt(fid, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // GET - Today's missions
+    if (req.method === 'GET') {
+        const fid = parseFid(req.query.fid);
+        if (!fid) {
+            return res.status(400).json({ error: 'Missing fid' });
+        }
+
+        try {
+            const row = await loadDailyMissions(supabase, fid);
+            return res.status(200).json({ day: row.day, missions: row.missions });
+        } catch (error) {
+            console.error('Missions fetch error:', error);
+            return res.status(500).json({ error: 'Failed to fetch missions' });
+        }
+    }
+
+    // POST - Claim a reward
+    if (req.method === 'POST' && req.query.action === 'claim') {
+        const { missionId } = req.body || {};
+        if (!missionId) {
+            return res.status(400).json({ error: 'Missing missionId' });
+        }
+
+        try {
+            // The reward lands in the fid's boost inventory, so only the player themselves can claim it
+            const fid = await getAuthenticatedFid(req);
+            if (!fid) {
+                return res.status(401).json({ error: 'Sign in with Farcaster to claim mission rewards' });
+            }
+            const bodyFid = parseFid(req.body?.fid);
+            if (bodyFid && bodyFid !== fid) {
+                return res.status(403).json({ error: 'Missions belong to another player' });
+            }
+
+            const result = await claimMission(supabase, fid, missionId);
+            if (result.error) {
+                return res.status(409).json({ error: result.error });
+            }
+            return res.status(200).json({ success: true, mission: result.mission, boost: result.boost });
+        } catch (error) {
+            console.error('Mission claim error:', error);
+            return res.status(500).json({ error: 'Failed to claim mission' });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
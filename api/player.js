@@ -0,0 +1,377 @@
+// Player Profile API
+// GET - Lifetime profile for a player (?fid=, falls back to ?walletAddress=)
+// POST - Credit a verified replay to its player's profile (each replay counts once; a fid's runs need its Quick Auth token)
+//        and advance the daily play streak in the player's time zone
+//        (the GamePass streak saver is checked on-chain for the player's wallets)
+// POST ?action=timezone - Change the time zone streak days follow ({ timeZone }; Quick Auth token's fid)
+
+import { createClient } from '@supabase/supabase-js';
+import { ethers } from 'ethers';
+import { getRunXp, getLevelProgress } from '../playerProgress.js';
+import { advanceBadgeProgress, evaluateBadges } from '../badges.js';
+import { trackMissions } from '../server/missionBoard.js';
+import { notifyStreakMilestone } from '../server/streakNotifications.js';
+import { getVerifiedAddresses } from '../server/versusBridge.js';
+import { getAuthenticatedFid } from '../server/farcasterAuth.js';
+import {
+    advanceStreak, getLocalDay, getProfileStreak, normalizeTimeZone, summarizeStreak
+} from '../playStreak.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+// GamePass NFT (see gamePassManager.js); GAMEPASS_RPC_URL points at the chain it is deployed on
+const GAMEPASS_ADDRESS = process.env.VITE_GAMEPASS_CONTRACT_ADDRESS;
+const GAMEPASS_RPC_URL = process.env.GAMEPASS_RPC_URL || process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+const GAMEPASS_ABI = ['function hasGamePass(address player) view returns (bool)'];
+
+function normalizeAddress(address) {
+    return typeof address === 'string' && /^0x[a-fA-F0-9]{40}$/.test(address)
+        ? address.toLowerCase()
+        : null;
+}
+
+function parseFid(fid) {
+    const parsed = Number.parseInt(fid, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function sanitizeUsername(username) {
+    if (typeof username !== 'string') return null;
+    const trimmed = username.trim().replace(/^@/, '');
+    return trimmed && trimmed.toLowerCase() !== 'connected' ? trimmed : null;
+}
+
+// Profiles are keyed by fid; wallet-only players get a wallet key
+function getPlayerKey(fid, walletAddress) {
+    if (fid) return `fid:${fid}`;
+    if (walletAddress) return `wallet:${walletAddress}`;
+    return null;
+}
+
+async function findProfile(playerKey) {
+    const { data, error } = await supabase
+        .from('player_profiles')
+        .select('*')
+        .eq('player_key', playerKey)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Whether the replay's player holds a GamePass: any of a fid's Farcaster-verified
+// wallets, or a wallet-only player's own wallet
+// @returns {Promise<boolean|null>} null if ownership can't be checked right now
+async function holdsGamePass(replay) {
+    if (!GAMEPASS_ADDRESS) return false;
+
+    const wallets = replay.fid
+        ? await getVerifiedAddresses(replay.fid)
+        : [normalizeAddress(replay.wallet_address)].filter(Boolean);
+    if (!wallets) return null;
+
+    try {
+        const gamePass = new ethers.Contract(GAMEPASS_ADDRESS, GAMEPASS_ABI, new ethers.JsonRpcProvider(GAMEPASS_RPC_URL));
+        for (const wallet of wallets) {
+            if (await gamePass.hasGamePass(wallet)) return true;
+        }
+        return false;
+    } catch (error) {
+        console.error('GamePass check failed:', error);
+        return null;
+    }
+}
+
+function withProgress(profile) {
+    return profile
+        ? { ...profile, progress: getLevelProgress(profile.xp), streak: summarizeStreak(profile) }
+        : null;
+}
+
+// Lifetime totals after one more verified run
+function mergeRun(profile, replay, { versus, username, timeZone, streakUpdate }) {
+    const stats = replay.stats || {};
+    const mode = stats.mode || 'classic';
+    const xp = (profile?.xp || 0) + getRunXp(replay.verified_score, stats, versus) +
+        (streakUpdate.milestone?.xp || 0);
+    const { streak } = streakUpdate;
+
+    const kills = { ...(profile?.kills || {}) };
+    for (const [type, count] of Object.entries(stats.kills || {})) {
+        kills[type] = (kills[type] || 0) + count;
+    }
+
+    const bestScores = { ...(profile?.best_scores || {}) };
+    bestScores[mode] = Math.max(bestScores[mode] || 0, replay.verified_score);
+
+    return {
+        fid: replay.fid ?? profile?.fid ?? null,
+        wallet_address: replay.wallet_address ?? profile?.wallet_address ?? null,
+        username: username || profile?.username || null,
+        games_played: (profile?.games_played || 0) + 1,
+        versus_games: (profile?.versus_games || 0) + (versus ? 1 : 0),
+        total_score: (profile?.total_score || 0) + replay.verified_score,
+        best_scores: bestScores,
+        kills,
+        hazards_avoided: (profile?.hazards_avoided || 0) + (stats.hazardsAvoided || 0),
+        bosses_defeated: (profile?.bosses_defeated || 0) + (stats.bossesDefeated || 0),
+        best_combo: Math.max(profile?.best_combo || 0, stats.bestCombo || 0),
+        badge_progress: advanceBadgeProgress(profile?.badge_progress, { score: replay.verified_score }),
+        badges: { ...(profile?.badges || {}) },
+        time_zone: timeZone,
+        game_pass: streak.gamePass,
+        streak_days: streak.days,
+        streak_best: streak.best,
+        streak_last_day: streak.lastDay,
+        streak_saver_used: streak.saverUsed,
+        xp,
+        level: getLevelProgress(xp).level,
+        updated_at: new Date().toISOString()
+    };
+}
+
+// A profile write can race another run being credited, so each write re-reads and retries
+const PROFILE_WRITE_ATTEMPTS = 3;
+
+// Write a merged profile only if nobody else has written it since it was read
+// @returns {Promise<Object|null>} The saved profile, or null if it changed underneath us
+async function saveProfile(playerKey, existing, merged) {
+    if (!existing) {
+        const { data, error } = await supabase
+            .from('player_profiles')
+            .insert({ player_key: playerKey, ...merged })
+            .select()
+            .maybeSingle();
+
+        if (error?.code === '23505') return null;
+        if (error) throw error;
+        return data;
+    }
+
+    const { data, error } = await supabase
+        .from('player_profiles')
+        .update(merged)
+        .eq('player_key', playerKey)
+        .eq('updated_at', existing.updated_at)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Merge a claimed replay into its player's profile and write it back
+async function creditReplay(replay, playerKey, { username, timeZone }) {
+    // GamePass unlocks the streak saver (last known if the chain is unreachable)
+    const gamePass = await holdsGamePass(replay);
+
+    for (let attempt = 0; attempt < PROFILE_WRITE_ATTEMPTS; attempt++) {
+        const existing = await findProfile(playerKey);
+
+        // Streak days follow the stored zone; a run's zone only seeds a new profile
+        // (moving it is an explicit ?action=timezone update, so a request can't pick its day)
+        const playerTimeZone = normalizeTimeZone(existing?.time_zone || timeZone);
+        const streakUpdate = advanceStreak(
+            { ...getProfileStreak(existing), gamePass: gamePass ?? !!existing?.game_pass },
+            getLocalDay(new Date(), playerTimeZone)
+        );
+        const merged = mergeRun(existing, replay, {
+            // Versus runs are the ones api/replay.js bound to a challenge's seed
+            versus: Boolean(replay.stats?.challengeId),
+            username,
+            timeZone: playerTimeZone,
+            streakUpdate
+        });
+
+        // Badges are judged on the updated lifetime totals plus this run
+        // (versus wins are judged when the challenge completes, see server/versusBadges.js)
+        const newBadges = evaluateBadges({
+            profile: merged,
+            stats: replay.stats,
+            score: replay.verified_score
+        }, merged.badges);
+        for (const id of newBadges) {
+            merged.badges[id] = merged.updated_at;
+        }
+
+        const profile = await saveProfile(playerKey, existing, merged);
+        if (profile) return { existing, profile, streakUpdate, newBadges };
+    }
+
+    throw new Error('Profile kept changing while crediting the run');
+}
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    // GET - Profile lookup
+    if (req.method === 'GET') {
+        const playerKey = getPlayerKey(parseFid(req.query.fid), normalizeAddress(req.query.walletAddress));
+        if (!playerKey) {
+            return res.status(400).json({ error: 'Missing fid or walletAddress' });
+        }
+
+        try {
+            const profile = await findProfile(playerKey);
+            return res.status(200).json({ profile: withProgress(profile) });
+        } catch (error) {
+            console.error('Player fetch error:', error);
+            return res.status(500).json({ error: 'Failed to fetch player' });
+        }
+    }
+
+    // POST - Move the streak to another time zone
+    if (req.method === 'POST' && req.query.action === 'timezone') {
+        try {
+            const fid = await getAuthenticatedFid(req);
+            if (!fid) {
+                return res.status(401).json({ error: 'Sign in with Farcaster to change your time zone' });
+            }
+
+            const timeZone = req.body?.timeZone;
+            if (normalizeTimeZone(timeZone) !== timeZone) {
+                return res.status(400).json({ error: 'Invalid timeZone' });
+            }
+
+            // Bumping updated_at makes a run being credited at the same time re-read the zone
+            const { data: profile, error } = await supabase
+                .from('player_profiles')
+                .update({ time_zone: timeZone, updated_at: new Date().toISOString() })
+                .eq('player_key', getPlayerKey(fid, null))
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!profile) {
+                return res.status(404).json({ error: 'Profile not found' });
+            }
+            return res.status(200).json({ success: true, profile: withProgress(profile) });
+        } catch (error) {
+            console.error('Time zone update error:', error);
+            return res.status(500).json({ error: 'Failed to update time zone' });
+        }
+    }
+
+    // POST - Add a verified run to the lifetime totals
+    if (req.method === 'POST') {
+        try {
+            const { replayId, username, timeZone } = req.body;
+
+            if (!replayId) {
+                return res.status(400).json({ error: 'Missing replayId' });
+            }
+
+            // Everything comes from the server-verified replay, including whose run it was
+            const { data: replay, error: replayError } = await supabase
+                .from('replays')
+                .select('id, wallet_address, fid, verified_score, stats, profile_credited')
+                .eq('id', replayId)
+                .single();
+
+            if (replayError || !replay) {
+                return res.status(404).json({ error: 'Replay not found' });
+            }
+
+            const playerKey = getPlayerKey(parseFid(replay.fid), normalizeAddress(replay.wallet_address));
+            if (!playerKey) {
+                return res.status(400).json({ error: 'Replay has no player' });
+            }
+
+            // Only the fid that played the run can add it to its profile
+            if (replay.fid) {
+                const authFid = await getAuthenticatedFid(req);
+                if (!authFid) {
+                    return res.status(401).json({ error: 'Sign in with Farcaster to update your profile' });
+                }
+                if (authFid !== Number(replay.fid)) {
+                    return res.status(403).json({ error: 'Replay belongs to another player' });
+                }
+            }
+
+            // Claim the replay first so a retried request can't count it twice
+            const { data: claimed, error: claimError } = await supabase
+                .from('replays')
+                .update({ profile_credited: true })
+                .eq('id', replay.id)
+                .eq('profile_credited', false)
+                .select('id');
+
+            if (claimError) throw claimError;
+            if (!claimed?.length) {
+                return res.status(409).json({ error: 'Run already counted' });
+            }
+
+            // Release the claim if the profile can't be written, so a retry can still count the run
+            let credit;
+            try {
+                credit = await creditReplay(replay, playerKey, {
+                    username: sanitizeUsername(username),
+                    timeZone
+                });
+            } catch (creditError) {
+                await supabase
+                    .from('replays')
+                    .update({ profile_credited: false })
+                    .eq('id', replay.id);
+                throw creditError;
+            }
+            const { existing, profile, streakUpdate, newBadges } = credit;
+
+            // Daily missions are per fid; a mission hiccup shouldn't lose the profile credit
+            let missionsCompleted = [];
+            if (profile.fid) {
+                try {
+                    missionsCompleted = await trackMissions(supabase, profile.fid, {
+                        stats: replay.stats,
+                        score: replay.verified_score
+                    });
+                } catch (missionError) {
+                    console.error('Mission tracking error:', missionError);
+                }
+            }
+
+            if (streakUpdate.milestone && profile.fid) {
+                try {
+                    await notifyStreakMilestone(supabase, profile.fid, streakUpdate.streak.days, streakUpdate.milestone);
+                } catch (notifyError) {
+                    console.error('Streak notification error:', notifyError);
+                }
+            }
+
+            return res.status(200).json({
+                success: true,
+                profile: withProgress(profile),
+                streak: {
+                    days: streakUpdate.streak.days,
+                    event: streakUpdate.event,
+                    milestone: streakUpdate.milestone
+                },
+                xpGained: profile.xp - (existing?.xp || 0),
+                levelUp: profile.level > (existing?.level || 1),
+                newBadges,
+                missionsCompleted
+            });
+        } catch (error) {
+            console.error('Player update error:', error);
+            return res.status(500).json({ error: 'Failed to update player' });
+        }
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,217 @@
+// Replay Verification API
+// POST ?action=seed - Issue a seed for a classic or survival run (each seed backs one replay)
+// POST - Upload a finished run, re-simulate it and store the verified score
+//        A fid needs its Quick Auth token (Authorization: Bearer); wallet-only runs send no fid
+//        The seed must be issued here, today's Daily Mosquito seed, or the seed of an accepted challenge (challengeId)
+//        A player's first Daily Mosquito replay of the day is recorded as their ranked attempt
+//        Boosted runs pass the boostClaimId from api/boosts.js; every boost in the replay must be in that claim
+
+import { createClient } from '@supabase/supabase-js';
+import { verifyReplay } from '../server/replayVerifier.js';
+import { getAuthenticatedFid } from '../server/farcasterAuth.js';
+import { linkBoostsToReplay, matchRunBoosts, useClaim } from '../server/boostInventory.js';
+import { generateSeed, getDailySeed, getUtcDay } from '../rng.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+// Issued seeds expire, so a run can't be worked out long before it is played
+const SEED_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Same keys as player_profiles: fid first, wallet-only players get a wallet key
+function getPlayerKey(fid, walletAddress) {
+    if (fid) return `fid:${fid}`;
+    if (walletAddress) return `wallet:${walletAddress}`;
+    return null;
+}
+
+async function issueSeed(res) {
+    // uint32 seeds can collide; try again with a fresh one
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const seed = generateSeed();
+        const { error } = await supabase.from('run_seeds').insert({ seed });
+        if (!error) return res.status(200).json({ seed });
+        if (error.code !== '23505') throw error;
+    }
+    return res.status(503).json({ error: 'Could not issue a seed' });
+}
+
+// Where a replay's seed came from - the client never gets to pick one
+// @returns {Promise<{ seedSource: string, challengeId?: string, dailyDay?: string }|null>}
+async function claimSeed(seed, playerFid, challengeId) {
+    if (challengeId) {
+        const { data: challenge, error } = await supabase
+            .from('challenges')
+            .select('id, seed, status, challenger_fid, opponent_fid')
+            .eq('id', challengeId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!challenge || challenge.status !== 'accepted' || Number(challenge.seed) !== seed) return null;
+        if (!playerFid || (challenge.challenger_fid !== playerFid && challenge.opponent_fid !== playerFid)) return null;
+        return { seedSource: 'challenge', challengeId: challenge.id };
+    }
+
+    // Today's Daily Mosquito, or yesterday's for a run that crossed midnight UTC
+    const now = Date.now();
+    const days = [getUtcDay(new Date(now)), getUtcDay(new Date(now - SEED_TTL_MS))];
+    const dailyDay = days.find(day => getDailySeed(day) === seed);
+    if (dailyDay) {
+        return { seedSource: 'daily', dailyDay };
+    }
+
+    // An issued seed is used up by the first replay that claims it
+    const { data, error } = await supabase
+        .from('run_seeds')
+        .update({ used_at: new Date(now).toISOString() })
+        .eq('seed', seed)
+        .is('used_at', null)
+        .gte('issued_at', new Date(now - SEED_TTL_MS).toISOString())
+        .select('seed');
+
+    if (error) throw error;
+    return data?.length ? { seedSource: 'issued' } : null;
+}
+
+// The day's ranked Daily Mosquito attempt is the first daily replay a fid / wallet uploads;
+// later ones are still stored (and credited) but /api/daily won't rank them
+async function recordDailyAttempt(day, playerFid, walletAddress, replayId) {
+    if (!playerFid && !walletAddress) return false;
+
+    const { error } = await supabase
+        .from('daily_attempts')
+        .insert({ day, fid: playerFid, wallet_address: walletAddress, replay_id: replayId });
+
+    if (error?.code === '23505') return false;
+    if (error) throw error;
+    return true;
+}
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    if (req.query.action === 'seed') {
+        try {
+            return await issueSeed(res);
+        } catch (error) {
+            console.error('Seed issue error:', error);
+            return res.status(500).json({ error: 'Failed to issue seed' });
+        }
+    }
+
+    try {
+        const { replay, walletAddress, fid, boostClaimId, challengeId } = req.body;
+
+        if (!replay) {
+            return res.status(400).json({ error: 'Missing replay' });
+        }
+
+        const normalizedAddress = typeof walletAddress === 'string' && /^0x[a-fA-F0-9]{40}$/.test(walletAddress)
+            ? walletAddress.toLowerCase()
+            : null;
+        const parsedFid = Number.parseInt(fid, 10);
+        const playerFid = Number.isFinite(parsedFid) && parsedFid > 0 ? parsedFid : null;
+
+        // A run credited to a fid (profile, missions, versus) must come from that fid's Quick Auth token
+        if (playerFid) {
+            const authFid = await getAuthenticatedFid(req);
+            if (!authFid) {
+                return res.status(401).json({ error: 'Sign in with Farcaster to upload a run for a fid' });
+            }
+            if (authFid !== playerFid) {
+                return res.status(403).json({ error: 'fid does not match the signed-in player' });
+            }
+        }
+
+        const result = verifyReplay(replay);
+        if (!result.valid) {
+            console.warn('Replay rejected:', result.reason);
+            return res.status(422).json({ error: `Replay rejected: ${result.reason}` });
+        }
+
+        const seedClaim = await claimSeed(replay.seed, playerFid, challengeId);
+        if (!seedClaim) {
+            console.warn('Replay rejected: seed not issued');
+            return res.status(422).json({ error: 'Replay rejected: Seed was not issued for this run' });
+        }
+
+        // Boosts only count if the server handed them out for this run
+        let boostRows = [];
+        if (replay.boosts.length) {
+            const playerKey = getPlayerKey(playerFid, normalizedAddress);
+            const claimed = playerKey ? await useClaim(supabase, playerKey, boostClaimId) : [];
+            boostRows = matchRunBoosts(replay.boosts, claimed);
+            if (!boostRows) {
+                console.warn('Replay rejected: unclaimed boosts');
+                return res.status(422).json({ error: 'Replay rejected: Boosts were not claimed' });
+            }
+        }
+        const stats = {
+            ...result.stats,
+            ...seedClaim,
+            boosted: boostRows.length > 0,
+            boostSources: boostRows.map(row => row.source)
+        };
+
+        const { data, error } = await supabase
+            .from('replays')
+            .insert({
+                wallet_address: normalizedAddress,
+                fid: playerFid,
+                seed: replay.seed,
+                claimed_score: result.stats.claimedScore,
+                verified_score: result.score,
+                stats,
+                replay
+            })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+
+        try {
+            await linkBoostsToReplay(supabase, boostRows, data.id);
+        } catch (linkError) {
+            console.error('Boost link error:', linkError);
+        }
+
+        const dailyAttempt = seedClaim.seedSource === 'daily'
+            ? await recordDailyAttempt(seedClaim.dailyDay, playerFid, normalizedAddress, data.id)
+            : false;
+
+        if (result.stats.claimedScore !== result.score) {
+            console.log(`Replay ${data.id}: claimed ${result.stats.claimedScore}, verified ${result.score}`);
+        }
+
+        return res.status(200).json({
+            success: true,
+            replayId: data.id,
+            verifiedScore: result.score,
+            valid: true,
+            dailyAttempt,
+            stats
+        });
+    } catch (error) {
+        console.error('Replay verification error:', error);
+        return res.status(500).json({ error: 'Failed to verify replay' });
+    }
+}
@@ -1,8 +1,16 @@
 // api/sign-achievement.js
 // Serverless function for signing NFT achievement mints
-// This endpoint verifies the score and returns a signature for minting
+// This endpoint only signs scores derived from a verified replay (see api/replay.js), once per replay
 
 import { ethers } from 'ethers';
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
 
 // CORS headers for Vercel
 const corsHeaders = {
@@ -22,13 +30,17 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
     try {
-        const { playerAddress, tier, score, nonce } = req.body;
+        const { playerAddress, tier, nonce, replayId } = req.body;
 
         // Validate inputs
-        if (!playerAddress || tier === undefined || score === undefined || nonce === undefined) {
+        if (!playerAddress || tier === undefined || nonce === undefined || !replayId) {
             return res.status(400).json({
-                error: 'Missing required fields: playerAddress, tier, score, nonce'
+                error: 'Missing required fields: playerAddress, tier, nonce, replayId'
             });
         }
 
@@ -37,6 +49,40 @@ export default async function handler(req, res) {
             return res.status(400).json({ error: 'Invalid tier (must be 0-4)' });
         }
 
+        // Score comes from the server-side re-simulation, never from the request
+        const { data: replay, error: replayError } = await supabase
+            .from('replays')
+            .select('id, wallet_address, verified_score, stats, achievement_signed_at')
+            .eq('id', replayId)
+            .single();
+
+        if (replayError || !replay) {
+            return res.status(404).json({ error: 'Replay not found' });
+        }
+
+        if (!replay.wallet_address || replay.wallet_address !== playerAddress.toLowerCase()) {
+            return res.status(403).json({ error: 'Replay belongs to a different wallet' });
+        }
+
+        // Tiers are tuned for the 60s classic run; survival scores have no time cap
+        if (replay.stats?.mode === 'survival') {
+            return res.status(400).json({ error: 'Achievements are earned in classic runs' });
+        }
+
+        // On-chain tiers are earned on the fixed curve without boosts
+        if (replay.stats?.adaptive) {
+            return res.status(400).json({ error: 'Adaptive difficulty runs do not earn achievements' });
+        }
+        if (replay.stats?.boosted) {
+            return res.status(400).json({ error: 'Boosted runs do not earn achievements' });
+        }
+
+        if (replay.achievement_signed_at) {
+            return res.status(409).json({ error: 'Replay already signed for an achievement' });
+        }
+
+        const score = replay.verified_score;
+
         // Validate score meets tier requirement
         const tierThresholds = [0, 200, 500, 1000, 2000]; // Common, Uncommon, Rare, Epic, Legendary
         if (score < tierThresholds[tier]) {
@@ -52,24 +98,50 @@ export default async function handler(req, res) {
             return res.status(500).json({ error: 'Server configuration error' });
         }
 
-        // Create signer
-        const signer = new ethers.Wallet(signerPrivateKey);
+        // Claim the replay so it is only ever signed once
+        const { data: claimed, error: claimError } = await supabase
+            .from('replays')
+            .update({ achievement_signed_at: new Date().toISOString() })
+            .eq('id', replay.id)
+            .is('achievement_signed_at', null)
+            .select('id');
+
+        if (claimError) throw claimError;
+        if (!claimed?.length) {
+            return res.status(409).json({ error: 'Replay already signed for an achievement' });
+        }
 
-        // Create message hash exactly as the contract expects
-        // keccak256(abi.encodePacked(msg.sender, tier, score, nonce))
-        const messageHash = ethers.solidityPackedKeccak256(
-            ['address', 'uint8', 'uint256', 'uint256'],
-            [playerAddress, tier, score, nonce]
-        );
+        let signer;
+        let messageHash;
+        let signature;
+        try {
+            // Create signer
+            signer = new ethers.Wallet(signerPrivateKey);
 
-        // Sign the message (this creates an EIP-191 signed message)
-        const signature = await signer.signMessage(ethers.getBytes(messageHash));
+            // Create message hash exactly as the contract expects
+            // keccak256(abi.encodePacked(msg.sender, tier, score, nonce))
+            messageHash = ethers.solidityPackedKeccak256(
+                ['address', 'uint8', 'uint256', 'uint256'],
+                [playerAddress, tier, score, nonce]
+            );
+
+            // Sign the message (this creates an EIP-191 signed message)
+            signature = await signer.signMessage(ethers.getBytes(messageHash));
+        } catch (signError) {
+            // Nothing was signed, so the run can still be used
+            await supabase
+                .from('replays')
+                .update({ achievement_signed_at: null })
+                .eq('id', replay.id);
+            throw signError;
+        }
 
         console.log(`Signed achievement: player=${playerAddress}, tier=${tier}, score=${score}, nonce=${nonce}`);
 
         return res.status(200).json({
             success: true,
             signature,
+            score,
             messageHash,
             signer: signer.address
         });
@@ -0,0 +1,135 @@
+// api/sign-battle.js
+// Serverless function for signing VersusNFT battle results (finalizeBattle)
+// Only completed challenges are signed, with scores and winner taken from the challenges table,
+// never from the request. Both scores must come from verified replays (api/challenge.js submit).
+// Each battle is signed once.
+
+import { createClient } from '@supabase/supabase-js';
+import { signBattleResult } from '../server/gameSigner.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+export default async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    if (!process.env.SIGNER_PRIVATE_KEY) {
+        console.error('SIGNER_PRIVATE_KEY not configured');
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    try {
+        // The Supabase challenge id; everything else is read from its row
+        const { challengeId } = req.body || {};
+        if (!challengeId) {
+            return res.status(400).json({ error: 'Missing challengeId' });
+        }
+
+        const { data: challenge, error: fetchError } = await supabase
+            .from('challenges')
+            .select('*')
+            .eq('id', challengeId)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!challenge) {
+            return res.status(404).json({ error: 'Challenge not found' });
+        }
+
+        if (challenge.status !== 'completed') {
+            return res.status(409).json({ error: 'Challenge not completed' });
+        }
+
+        if (challenge.onchain_challenge_id === null || challenge.onchain_challenge_id === undefined) {
+            return res.status(409).json({ error: 'Challenge has no on-chain battle' });
+        }
+
+        // Both scores must be replay-verified; rows scored before replays were required stay off-chain
+        if (!challenge.challenger_replay_id || !challenge.opponent_replay_id) {
+            return res.status(409).json({ error: 'Battle scores are not replay-verified' });
+        }
+
+        // The contract needs a strict winner (winnerScore > loserScore), so draws stay off-chain
+        const winnerIsChallenger = challenge.winner_fid === challenge.challenger_fid;
+        const winnerScore = Math.max(0, winnerIsChallenger ? challenge.challenger_score : challenge.opponent_score);
+        const loserScore = Math.max(0, winnerIsChallenger ? challenge.opponent_score : challenge.challenger_score);
+        if (challenge.winner_fid === null || winnerScore <= loserScore) {
+            return res.status(409).json({ error: 'Drawn battles cannot be finalized' });
+        }
+
+        // Runs over the versus pause cap are held for review
+        const winnerFlagged = winnerIsChallenger ? challenge.challenger_flagged : challenge.opponent_flagged;
+        if (winnerFlagged) {
+            return res.status(403).json({ error: 'Winning run is flagged for review' });
+        }
+
+        const result = {
+            onchainChallengeId: String(challenge.onchain_challenge_id),
+            winnerScore,
+            loserScore,
+            winnerIsChallenger
+        };
+
+        // Hand back the signature already issued so a failed transaction can be retried
+        const alreadySigned = (signature) => res.status(409).json({
+            error: 'Battle already signed',
+            signature: signature || null,
+            ...result
+        });
+
+        if (challenge.battle_signed_at) {
+            return alreadySigned(challenge.battle_signature);
+        }
+
+        // Signing is deterministic, so a concurrent request signs the same result; the
+        // signature and timestamp are saved together and only the first write lands
+        const signature = await signBattleResult(
+            challenge.onchain_challenge_id, winnerScore, loserScore, winnerIsChallenger
+        );
+
+        const { data: saved, error: saveError } = await supabase
+            .from('challenges')
+            .update({ battle_signature: signature, battle_signed_at: new Date().toISOString() })
+            .eq('id', challenge.id)
+            .is('battle_signed_at', null)
+            .select('id');
+
+        if (saveError) throw saveError;
+        if (!saved?.length) {
+            const { data: signed, error: refetchError } = await supabase
+                .from('challenges')
+                .select('battle_signature')
+                .eq('id', challenge.id)
+                .maybeSingle();
+
+            if (refetchError) throw refetchError;
+            return alreadySigned(signed?.battle_signature);
+        }
+
+        console.log(`Signed battle: challenge=${challenge.id}, onchain=${challenge.onchain_challenge_id}, ${winnerScore}-${loserScore}`);
+
+        return res.status(200).json({ success: true, signature, ...result });
+    } catch (error) {
+        console.error('Sign battle error:', error);
+        return res.status(500).json({ error: 'Failed to sign battle' });
+    }
+}
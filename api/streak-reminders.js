@@ -0,0 +1,85 @@
+// Play Streak Reminders (scheduled job - run hourly)
+// GET - Remind players whose streak is at risk in their evening, close out lapsed streaks
+// Requires Authorization: Bearer $CRON_SECRET
+
+import { createClient } from '@supabase/supabase-js';
+import {
+    STREAK_REMINDER_HOUR, getLocalDay, getLocalHour, getProfileStreak, getStreakStatus
+} from '../playStreak.js';
+import { notifyStreakAtRisk, notifyStreakLost } from '../server/streakNotifications.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const cronSecret = process.env.CRON_SECRET;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+// Lost streaks shorter than this end quietly
+const LOST_NOTICE_MIN_DAYS = 3;
+const BATCH_SIZE = 1000;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!cronSecret) {
+        return res.status(500).json({ error: 'CRON_SECRET not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    try {
+        const { data: profiles, error } = await supabase
+            .from('player_profiles')
+            .select('id, fid, time_zone, game_pass, streak_days, streak_best, streak_last_day, streak_saver_used, streak_notified_day')
+            .not('fid', 'is', null)
+            .gt('streak_days', 0)
+            .order('streak_last_day', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) throw error;
+
+        const now = new Date();
+        let reminded = 0;
+        let lost = 0;
+        for (const profile of profiles || []) {
+            const today = getLocalDay(now, profile.time_zone);
+            if (profile.streak_notified_day === today) continue;
+
+            const streak = getProfileStreak(profile);
+            const status = getStreakStatus(streak, today);
+
+            if (status === 'lapsed') {
+                if (streak.days >= LOST_NOTICE_MIN_DAYS) {
+                    await notifyStreakLost(supabase, profile.fid, streak.days, today);
+                }
+                await supabase
+                    .from('player_profiles')
+                    .update({ streak_days: 0, streak_notified_day: today })
+                    .eq('id', profile.id);
+                lost++;
+            } else if ((status === 'at-risk' || status === 'saver') &&
+                getLocalHour(now, profile.time_zone) >= STREAK_REMINDER_HOUR) {
+                await notifyStreakAtRisk(supabase, profile.fid, streak.days, today, status === 'saver');
+                await supabase
+                    .from('player_profiles')
+                    .update({ streak_notified_day: today })
+                    .eq('id', profile.id);
+                reminded++;
+            }
+        }
+
+        return res.status(200).json({ success: true, checked: profiles?.length || 0, reminded, lost });
+    } catch (error) {
+        console.error('Streak reminder error:', error);
+        return res.status(500).json({ error: 'Failed to send streak reminders' });
+    }
+}
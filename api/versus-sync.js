@@ -0,0 +1,50 @@
+// Versus Challenge Sync (scheduled job - run hourly)
+// GET - Reconcile on-chain challenges from recent VersusNFT events
+//   ChallengeCreated links an unlinked on-chain row, ChallengeAccepted / ChallengeCancelled update its on-chain status
+// Catches transactions whose player closed the app before reporting them to /api/challenge?action=link
+// Requires Authorization: Bearer $CRON_SECRET
+
+import { createClient } from '@supabase/supabase-js';
+import { applyChallengeEvent, fetchRecentChallengeEvents } from '../server/versusBridge.js';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+const cronSecret = process.env.CRON_SECRET;
+
+const supabase = supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey)
+    : null;
+
+// A bit over an hour of Base blocks (2s each), so hourly runs overlap
+const SYNC_BLOCKS = 2000;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!cronSecret) {
+        return res.status(500).json({ error: 'CRON_SECRET not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${cronSecret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured' });
+    }
+
+    try {
+        const events = await fetchRecentChallengeEvents(SYNC_BLOCKS);
+
+        let updated = 0;
+        for (const event of events) {
+            if (await applyChallengeEvent(supabase, event)) updated++;
+        }
+
+        return res.status(200).json({ success: true, events: events.length, updated });
+    } catch (error) {
+        console.error('Versus sync error:', error);
+        return res.status(500).json({ error: 'Failed to sync versus challenges' });
+    }
+}
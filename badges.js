@@ -0,0 +1,171 @@
+/* ============================================
+   BADGES - Rule-driven achievements beyond score tiers
+   Shared by /api/player (unlocks them when a verified
+   run is credited) and the profile badge gallery.
+   Each rule names a metric and a target; lifetime
+   metrics also show progress in the gallery.
+   `mintable` badges are the ones meant to go through
+   the same signer flow as api/sign-achievement.js.
+   ============================================ */
+
+export const BADGES = [
+    {
+        id: 'blink-hunter',
+        name: 'Blink Hunter',
+        emoji: '⚡',
+        description: 'Kill 100 blink mosquitoes',
+        rule: { metric: 'kills', insect: 'blink', atLeast: 100 },
+        mintable: true
+    },
+    {
+        id: 'exterminator',
+        name: 'Exterminator',
+        emoji: '🧪',
+        description: 'Kill 1000 insects',
+        rule: { metric: 'kills', atLeast: 1000 },
+        mintable: true
+    },
+    {
+        id: 'clean-sweep',
+        name: 'Clean Sweep',
+        emoji: '🧹',
+        description: 'Get through a swarm without tapping a hazard',
+        rule: { metric: 'cleanSwarms', atLeast: 1 }
+    },
+    {
+        id: 'on-a-roll',
+        name: 'On a Roll',
+        emoji: '🔥',
+        description: 'Score over 500 in 10 runs in a row',
+        rule: { metric: 'scoreStreak', above: 500, atLeast: 10 },
+        mintable: true
+    },
+    {
+        id: 'week-warrior',
+        name: 'Week Warrior',
+        emoji: '📆',
+        description: 'Play 7 days in a row',
+        rule: { metric: 'playStreak', atLeast: 7 }
+    },
+    {
+        id: 'dedicated',
+        name: 'Dedicated',
+        emoji: '🗓️',
+        description: 'Play 30 days in a row',
+        rule: { metric: 'playStreak', atLeast: 30 },
+        mintable: true
+    },
+    {
+        id: 'sharpshooter',
+        name: 'Sharpshooter',
+        emoji: '🎯',
+        description: '95% accuracy over at least 50 taps',
+        rule: { metric: 'accuracy', minTaps: 50, atLeast: 95 }
+    },
+    {
+        id: 'boss-slayer',
+        name: 'Boss Slayer',
+        emoji: '👑',
+        description: 'Defeat the boss mosquito',
+        rule: { metric: 'bossesDefeated', atLeast: 1 }
+    },
+    {
+        id: 'triple-threat',
+        name: 'Triple Threat',
+        emoji: '⚔️',
+        description: 'Win 3 versus battles in one day (UTC)',
+        rule: { metric: 'versusWinsToday', atLeast: 3 },
+        mintable: true
+    }
+];
+
+/*
+ * Metric value for a rule. `lifetime` metrics read the player's profile
+ * (so the gallery can show progress); the rest read the run just credited.
+ * `onChallengeComplete` metrics are judged when a versus challenge completes
+ * instead (server/versusBadges.js).
+ * Context: { profile, stats, score } or { profile, versusWinsToday }
+ */
+const METRICS = {
+    kills: {
+        lifetime: true,
+        value: ({ profile }, rule) => rule.insect
+            ? profile?.kills?.[rule.insect] || 0
+            : Object.values(profile?.kills || {}).reduce((sum, count) => sum + count, 0)
+    },
+    bossesDefeated: {
+        lifetime: true,
+        value: ({ profile }) => profile?.bosses_defeated || 0
+    },
+    // Consecutive credited runs over `rule.above`, kept in profile.badge_progress
+    scoreStreak: {
+        lifetime: true,
+        value: ({ profile }, rule, badge) => profile?.badge_progress?.[badge.id] || 0,
+        advance: (current, { score }, rule) => score > rule.above ? current + 1 : 0
+    },
+    playStreak: {
+        lifetime: true,
+        value: ({ profile }) => profile?.streak_best || 0
+    },
+    cleanSwarms: {
+        value: ({ stats }) => stats?.cleanSwarms || 0
+    },
+    accuracy: {
+        value: ({ stats }, rule) => (stats?.taps || 0) >= rule.minTaps && stats.accuracy !== null
+            ? Math.round(stats.accuracy * 100)
+            : 0
+    },
+    versusWinsToday: {
+        onChallengeComplete: true,
+        value: ({ versusWinsToday }) => versusWinsToday || 0
+    }
+};
+
+export function getBadge(id) {
+    return BADGES.find(badge => badge.id === id) ?? null;
+}
+
+/**
+ * Carry per-badge counters (streaks) forward by one credited run
+ * @param {Object} progress - profile.badge_progress
+ * @param {{ score: number }} run
+ * @returns {Object} New badge_progress
+ */
+export function advanceBadgeProgress(progress, run) {
+    const next = { ...(progress || {}) };
+    for (const badge of BADGES) {
+        const metric = METRICS[badge.rule.metric];
+        if (metric.advance) {
+            next[badge.id] = metric.advance(next[badge.id] || 0, run, badge.rule);
+        }
+    }
+    return next;
+}
+
+/**
+ * Badges earned by this context that aren't unlocked yet
+ * @param {Object} context - { profile, stats, score } for a credited run, { profile, versusWinsToday } for a completed challenge
+ * @param {Object} unlocked - Badge id -> unlock time
+ * @param {boolean} [onChallengeComplete] - Judge the versus badges instead of the run badges
+ * @returns {string[]} Newly earned badge ids
+ */
+export function evaluateBadges(context, unlocked = {}, onChallengeComplete = false) {
+    return BADGES
+        .filter(badge => !unlocked[badge.id])
+        .filter(badge => Boolean(METRICS[badge.rule.metric].onChallengeComplete) === onChallengeComplete)
+        .filter(badge => METRICS[badge.rule.metric].value(context, badge.rule, badge) >= badge.rule.atLeast)
+        .map(badge => badge.id);
+}
+
+/**
+ * Gallery progress for lifetime badges (null for single-run ones)
+ * @returns {{ value: number, target: number }|null}
+ */
+export function getBadgeProgress(badge, profile) {
+    const metric = METRICS[badge.rule.metric];
+    if (!metric.lifetime) return null;
+    return {
+        value: Math.min(metric.value({ profile }, badge.rule, badge), badge.rule.atLeast),
+        target: badge.rule.atLeast
+    };
+}
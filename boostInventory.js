@@ -0,0 +1,93 @@
+/* ============================================
+   BOOST INVENTORY - Server-granted run boosts
+   Share, referral, mission and sponsor boosts live
+   server-side (/api/boosts) so they can't be forged
+   and follow the player across devices. A classic
+   run claims its boosts when it starts and hands
+   the claim id to the replay upload. Referral
+   grants and claims carry a Quick Auth token, so
+   only Farcaster-signed-in players can use them.
+   ============================================ */
+
+import { getQuickAuthHeaders } from './quickAuth.js';
+
+const BOOSTS_API = '/api/boosts';
+
+class BoostInventory {
+    constructor() {
+        this.fid = null;
+        this.walletAddress = null;
+    }
+
+    /**
+     * Set whose inventory this is (fid first, wallet-only players use the wallet)
+     */
+    identify({ fid = null, walletAddress = null } = {}) {
+        this.fid = fid || null;
+        this.walletAddress = walletAddress || null;
+    }
+
+    async post(action, body) {
+        const response = await fetch(`${BOOSTS_API}?action=${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(this.fid ? await getQuickAuthHeaders() : {}) },
+            body: JSON.stringify({ fid: this.fid, walletAddress: this.walletAddress, ...body })
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        return data;
+    }
+
+    /**
+     * Earn a share boost for a published cast (checked server-side)
+     * @returns {Promise<boolean>} True if a boost was granted
+     */
+    async grantShare(castHash) {
+        if (!this.fid || !castHash) return false;
+
+        try {
+            await this.post('grant', { source: 'share', castHash });
+            console.log('🚀 Share boost granted for next game!');
+            return true;
+        } catch (error) {
+            console.log('Share boost not granted:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Earn the welcome boost for arriving through someone's referral link
+     * @returns {Promise<boolean>} True if a boost was granted
+     */
+    async grantReferral(referrer, username = null) {
+        if (!this.fid || !referrer) return false;
+
+        try {
+            await this.post('grant', { source: 'referral', referrer, username });
+            console.log('🔗 Referral boost granted for next game!');
+            return true;
+        } catch (error) {
+            console.log('Referral boost not granted:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Claim the boosts for a run that is starting
+     * @returns {Promise<{ claimId: string, boosts: Array<{ source: string, boost: Object }> }|null>}
+     */
+    async claim() {
+        if (!this.fid) return null;
+
+        try {
+            const data = await this.post('claim', {});
+            return { claimId: data.claimId, boosts: data.boosts || [] };
+        } catch (error) {
+            console.log('Boost claim failed:', error.message);
+            return null;
+        }
+    }
+}
+
+export const boostInventory = new BoostInventory();
@@ -0,0 +1,377 @@
+/* ============================================
+   CANVAS RENDERER
+   Draws every insect, splat, score popup and penalty
+   effect onto one canvas from the game's frame loop.
+   Taps are hit-tested by the simulation.
+   ============================================ */
+
+import { INSECT_SIZE, getInsectDef } from './gameRules.js';
+import { DEFAULT_DEFINITIONS } from './gameDefinitions.js';
+
+// Emoji and corner badges come from the insect catalogue; glow and wobble
+// are styling only (types without an entry look like a normal mosquito)
+const GLOW = {
+    normal: 'rgba(0, 0, 0, 0.5)',
+    armored: 'rgba(180, 180, 200, 0.8)',
+    cracked: 'rgba(255, 100, 50, 0.9)',
+    healer: 'rgba(0, 255, 100, 0.8)',
+    healing: 'rgba(0, 255, 100, 1)',
+    blink: 'rgba(180, 0, 255, 0.8)',
+    bee: '#ffcc00',
+    skull: '#ff4444',
+    boss: 'rgba(255, 60, 60, 0.7)',
+    enraged: 'rgba(255, 0, 0, 1)',
+    freeze: 'rgba(120, 220, 255, 1)',
+    bomb: 'rgba(255, 120, 0, 1)',
+    magnet: 'rgba(255, 60, 120, 1)',
+    slowmo: 'rgba(120, 255, 120, 1)'
+};
+
+// Wing-beat wobble period per type (ms per swing, like the CSS fly animation)
+const WOBBLE_PERIOD = {
+    normal: 300,
+    armored: 400,
+    healer: 500,
+    blink: 400,
+    bee: 300,
+    skull: 200,
+    boss: 600
+};
+
+const POPUP_STYLE = {
+    '': { size: 14, color: 'primary', glow: 'shadow-glow' },
+    combo: { size: 16, color: 'warning', glow: 'rgba(255, 204, 0, 0.8)' },
+    penalty: { size: 18, color: '#ff4444', glow: 'rgba(255, 68, 68, 0.8)' },
+    avoidance: { size: 14, color: '#00ddff', glow: 'rgba(0, 221, 255, 0.8)' },
+    immunity: { size: 14, color: '#00ddff', glow: 'rgba(0, 221, 255, 0.9)' },
+    powerup: { size: 14, color: '#ffffff', glow: 'rgba(120, 220, 255, 0.9)' }
+};
+
+const SPLAT_DURATION = 400;
+const POPUP_DURATION = 800;
+const DEATH_DURATION = 300;
+const POPUP_RISE = 40;
+
+/**
+ * Can this browser draw the game on a 2D canvas
+ */
+export function isCanvasSupported() {
+    try {
+        return Boolean(document.createElement('canvas').getContext('2d'));
+    } catch {
+        return false;
+    }
+}
+
+export class CanvasRenderer {
+    constructor(playArea) {
+        this.playArea = playArea;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'game-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.onTap = null;
+
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 1;
+        this.sprites = new Map();      // cached emoji sprites (glow baked in)
+        this.positions = new Map();    // insect id -> last drawn { x, y }
+        this.blinking = new Set();     // insect ids mid-teleport
+        this.dying = [];               // { type, x, y, kind, start }
+        this.splats = [];              // { x, y, start }
+        this.popups = [];              // { x, y, text, variant, start }
+        this.colors = {};
+        this.definitions = DEFAULT_DEFINITIONS;
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            this.onTap?.(e.clientX - rect.left, e.clientY - rect.top, null);
+        });
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    // Called after the play area is cleared for a new run
+    mount() {
+        this.positions.clear();
+        this.blinking.clear();
+        this.dying = [];
+        this.splats = [];
+        this.popups = [];
+
+        // Theme colours come from the stylesheet (light/dark)
+        const styles = getComputedStyle(document.documentElement);
+        for (const name of ['primary', 'warning', 'bg-dark', 'shadow-glow']) {
+            this.colors[name] = styles.getPropertyValue(`--${name}`).trim();
+        }
+
+        this.playArea.appendChild(this.canvas);
+        this.resize();
+    }
+
+    setTapHandler(handler) {
+        this.onTap = handler;
+    }
+
+    resize() {
+        const rect = this.playArea.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        if (dpr !== this.dpr) {
+            this.sprites.clear(); // Sprites are rasterised at the old pixel ratio
+        }
+        this.dpr = dpr;
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = Math.round(rect.width * this.dpr);
+        this.canvas.height = Math.round(rect.height * this.dpr);
+    }
+
+    color(value) {
+        return this.colors[value] || value;
+    }
+
+    // Emoji drawn once into an offscreen canvas; shadows are too slow to redraw per frame
+    getSprite(emoji, size, glow) {
+        const key = `${emoji}|${size}|${glow}`;
+        let sprite = this.sprites.get(key);
+        if (sprite) return sprite;
+
+        const pad = 12;
+        sprite = document.createElement('canvas');
+        sprite.width = Math.ceil((size + pad * 2) * this.dpr);
+        sprite.height = sprite.width;
+        const ctx = sprite.getContext('2d');
+        ctx.scale(this.dpr, this.dpr);
+        ctx.font = `${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (glow) {
+            ctx.shadowColor = glow;
+            ctx.shadowBlur = 10;
+        }
+        ctx.fillText(emoji, size / 2 + pad, size / 2 + pad);
+
+        sprite.pad = pad;
+        this.sprites.set(key, sprite);
+        return sprite;
+    }
+
+    drawSprite(emoji, size, glow, x, y, { scale = 1, rotation = 0, alpha = 1 } = {}) {
+        const sprite = this.getSprite(emoji, size, glow);
+        const drawSize = sprite.width / this.dpr;
+        const { ctx } = this;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(x, y);
+        ctx.rotate(rotation);
+        ctx.scale(scale, scale);
+        ctx.drawImage(sprite, -drawSize / 2, -drawSize / 2, drawSize, drawSize);
+        ctx.restore();
+    }
+
+    addInsect(insect) {
+        this.positions.set(insect.id, { x: insect.startX, y: insect.startY });
+    }
+
+    render(sim, now) {
+        const { ctx } = this;
+        ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        this.definitions = sim.definitions;
+
+        // Splats sit under the insects
+        this.splats = this.splats.filter(splat => now - splat.start < SPLAT_DURATION);
+        for (const splat of this.splats) {
+            const t = (now - splat.start) / SPLAT_DURATION;
+            const scale = t < 0.5 ? t * 2.4 : 1.2 - (t - 0.5) * 0.4;
+            this.drawSprite('💥', 48, null, splat.x, splat.y, { scale, alpha: t < 0.5 ? 1 : 2 - t * 2 });
+        }
+
+        for (const insect of sim.insects) {
+            const position = sim.getInsectPosition(insect);
+            this.positions.set(insect.id, position);
+            this.drawInsect(insect, position, now);
+        }
+
+        this.dying = this.dying.filter(death => now - death.start < DEATH_DURATION);
+        for (const death of this.dying) {
+            this.drawDeath(death, now);
+        }
+
+        this.popups = this.popups.filter(popup => now - popup.start < POPUP_DURATION);
+        for (const popup of this.popups) {
+            this.drawPopup(popup, now);
+        }
+    }
+
+    drawInsect(insect, { x, y }, now) {
+        const type = insect.type;
+        const def = getInsectDef(type, this.definitions);
+        const size = insect.size ?? INSECT_SIZE;
+        const swing = Math.sin((now / (WOBBLE_PERIOD[type] ?? WOBBLE_PERIOD.normal)) * Math.PI + insect.id);
+        const centerX = x + size / 2;
+        const centerY = y + size / 2 - 4 - swing * 4;
+        const rotation = swing * 5 * Math.PI / 180;
+
+        let glow = GLOW[type] ?? GLOW.normal;
+        let badge = def.badge;
+        let scale = 1;
+        let alpha = 1;
+
+        if (def.hits === 2 && insect.cracked) {
+            glow = GLOW.cracked;
+            badge = '💥';
+            scale = 1 + 0.05 * (1 + Math.sin(now / 150 * Math.PI));
+        } else if (def.ability === 'heal' && insect.hasHealed) {
+            glow = GLOW.healing;
+            badge = '✨';
+            scale = 1.2 + 0.1 * Math.sin(now / 250 * Math.PI);
+        } else if (insect.isBoss && insect.phase > 0) {
+            glow = GLOW.enraged;
+            scale = 1 + 0.04 * insect.phase * Math.sin(now / 200 * Math.PI);
+        }
+        if (this.blinking.has(insect.id)) {
+            scale = 0.5;
+            alpha = 0.3;
+        }
+
+        this.drawSprite(def.emoji, 40 * size / INSECT_SIZE, glow, centerX, centerY, { scale, rotation, alpha });
+        if (badge) {
+            this.drawSprite(badge, 10 * size / INSECT_SIZE, null, x + size - 2, y + 2, { alpha });
+        }
+    }
+
+    // Squash (kill), shake (hazard hit) or poof (blocked hazard)
+    drawDeath(death, now) {
+        const t = (now - death.start) / DEATH_DURATION;
+        const centerX = death.x + death.size / 2;
+        const centerY = death.y + death.size / 2;
+        let scale;
+        let offsetX = 0;
+
+        if (death.kind === 'shake') {
+            offsetX = Math.sin(t * Math.PI * 4) * 8 * (1 - t);
+            scale = t < 0.6 ? 1.1 : 1.1 - (t - 0.6) * 2.75;
+        } else {
+            scale = t < 0.5 ? 1 + t * 0.6 : 1.3 - (t - 0.5) * 2.6;
+        }
+
+        const { emoji } = getInsectDef(death.type, this.definitions);
+        this.drawSprite(emoji, 40 * death.size / INSECT_SIZE, GLOW[death.type] ?? GLOW.normal, centerX + offsetX, centerY, {
+            scale: Math.max(scale, 0),
+            alpha: 1 - t
+        });
+    }
+
+    drawPopup(popup, now) {
+        const t = (now - popup.start) / POPUP_DURATION;
+        const style = POPUP_STYLE[popup.variant] || POPUP_STYLE[''];
+        const { ctx } = this;
+        const y = popup.y - POPUP_RISE * t;
+
+        ctx.save();
+        ctx.globalAlpha = 1 - t;
+        ctx.font = `${style.size}px 'Press Start 2P', cursive`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = this.color('bg-dark');
+        ctx.fillText(popup.text, popup.x + 2, y + 2);
+        ctx.shadowColor = this.color(style.glow);
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = this.color(style.color);
+        ctx.fillText(popup.text, popup.x, y);
+        ctx.restore();
+    }
+
+    getPosition(insect) {
+        return this.positions.get(insect.id) || { x: insect.startX, y: insect.startY };
+    }
+
+    showPopup(insect, text, variant = '') {
+        const { x, y } = this.getPosition(insect);
+        this.popups.push({ x: x + (insect.size ?? INSECT_SIZE) / 2, y, text, variant, start: performance.now() });
+    }
+
+    addDeath(insect, kind) {
+        const { x, y } = this.getPosition(insect);
+        this.dying.push({ type: insect.type, size: insect.size ?? INSECT_SIZE, x, y, kind, start: performance.now() });
+        this.removeInsect(insect);
+    }
+
+    addSplat(insect) {
+        const { x, y } = this.getPosition(insect);
+        const size = insect.size ?? INSECT_SIZE;
+        this.splats.push({ x: x + size / 2, y: y + size / 2, start: performance.now() });
+    }
+
+    killInsect(insect, points, isCombo) {
+        this.addSplat(insect);
+        this.showPopup(insect, `+${points}`, isCombo ? 'combo' : '');
+        this.addDeath(insect, 'squash');
+    }
+
+    // Boss survives the hit; enraged phases are read from insect.phase when drawing
+    hitBoss(insect, points, isCombo) {
+        this.addSplat(insect);
+        this.showPopup(insect, `+${points}`, isCombo ? 'combo' : '');
+    }
+
+    setBossPhase() {}
+
+    collectPowerUp(insect, label) {
+        this.showPopup(insect, label, 'powerup');
+        this.addDeath(insect, 'poof');
+    }
+
+    crackInsect(insect) {
+        this.showPopup(insect, 'CRACK!');
+    }
+
+    // Precision runs: a tap on empty space costs points
+    showMiss(x, y, text) {
+        this.popups.push({ x, y, text, variant: 'penalty', start: performance.now() });
+    }
+
+    setBlinking(insect, isBlinking) {
+        if (isBlinking) {
+            this.blinking.add(insect.id);
+        } else {
+            this.blinking.delete(insect.id);
+        }
+    }
+
+    // Healing state is read from insect.hasHealed when drawing
+    setHealing() {}
+
+    hazardHit(insect, penalty) {
+        this.showPopup(insect, `${penalty}`, 'penalty');
+        this.addDeath(insect, 'shake');
+    }
+
+    // Hazard removed without penalty (share boost immunity)
+    blockHazard(insect) {
+        this.showPopup(insect, '🛡️ BLOCKED!', 'immunity');
+        this.addDeath(insect, 'poof');
+    }
+
+    avoidHazard(insect, bonus) {
+        this.showPopup(insect, `+${bonus} 🛡️`, 'avoidance');
+        this.removeInsect(insect);
+    }
+
+    removeInsect(insect) {
+        this.positions.delete(insect.id);
+        this.blinking.delete(insect.id);
+    }
+
+    clear() {
+        this.positions.clear();
+        this.blinking.clear();
+        this.dying = [];
+        this.splats = [];
+        this.popups = [];
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+}
@@ -19,7 +19,8 @@ class ChallengeManager {
     }
 
     // Create a challenge to a user
-    async createChallenge(opponent) {
+    // mode: 'casual' (off-chain) or 'onchain' (a VersusNFT battle from the connected wallet)
+    async createChallenge(opponent, { mode = 'casual', walletAddress = null } = {}) {
         if (!this.userFid) {
             throw new Error('Not logged in');
         }
@@ -59,7 +60,9 @@ class ChallengeManager {
                 challengerFid: this.userFid,
                 challengerUsername: this.username,
                 opponentUsername,
-                opponentFid
+                opponentFid,
+                mode,
+                challengerAddress: walletAddress
             })
         });
 
@@ -124,8 +127,57 @@ class ChallengeManager {
         return true;
     }
 
-    // Submit score after playing
-    async submitScore(challengeId, score) {
+    // Withdraw a challenge you sent (only before it is on-chain)
+    async cancelChallenge(challengeId) {
+        if (!this.userFid) {
+            throw new Error('Not logged in');
+        }
+
+        const response = await fetch(`${CHALLENGE_API}?action=cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                challengeId,
+                challengerFid: this.userFid
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to cancel challenge');
+        }
+
+        return data.challenge;
+    }
+
+    // Report a VersusNFT transaction (create/accept/cancel) for an on-chain challenge
+    async linkOnchain(challengeId, txHash) {
+        if (!this.userFid) {
+            throw new Error('Not logged in');
+        }
+
+        const response = await fetch(`${CHALLENGE_API}?action=link`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                challengeId,
+                fid: this.userFid,
+                txHash
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to link on-chain challenge');
+        }
+
+        return data.challenge;
+    }
+
+    // Submit a played run - the server scores the verified replay and flags it from the replay's pauses
+    async submitScore(challengeId, replayId) {
         if (!this.userFid) {
             throw new Error('Not logged in');
         }
@@ -136,7 +188,7 @@ class ChallengeManager {
             body: JSON.stringify({
                 challengeId,
                 fid: this.userFid,
-                score
+                replayId
             })
         });
 
@@ -185,6 +237,18 @@ class ChallengeManager {
         return data.challenge;
     }
 
+    // Get one challenge by id (scores and winner once both have played)
+    async getChallenge(challengeId) {
+        const response = await fetch(`${CHALLENGE_API}?action=get&id=${encodeURIComponent(challengeId)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to get challenge');
+        }
+
+        return data.challenge;
+    }
+
     // Check if in versus mode
     isVersusMode() {
         return !!this.currentChallenge && this.currentChallenge.status === 'accepted';
@@ -0,0 +1,113 @@
+/* ============================================
+   DAILY MOSQUITO
+   Everyone plays the same seeded run each UTC day.
+   One ranked attempt per player, own leaderboard.
+   ============================================ */
+
+import { getUtcDay, getDailySeed } from './rng.js';
+
+const DAILY_API = '/api/daily';
+const DAILY_ATTEMPT_KEY = 'mosquito-daily-attempt';
+
+class DailyChallengeManager {
+    constructor() {
+        this.day = getUtcDay();
+        this.entries = [];
+        this.attempt = null; // { score, rank } once today's ranked run is in
+    }
+
+    getDay() {
+        return getUtcDay();
+    }
+
+    getSeed(day = this.getDay()) {
+        return getDailySeed(day);
+    }
+
+    /**
+     * Has this device or player already used today's ranked attempt
+     */
+    hasPlayedToday() {
+        return this.day === this.getDay() && this.attempt !== null ||
+            localStorage.getItem(DAILY_ATTEMPT_KEY) === this.getDay();
+    }
+
+    /**
+     * Remember that today's ranked attempt has started (quitting doesn't refund it)
+     */
+    markAttempt(day) {
+        localStorage.setItem(DAILY_ATTEMPT_KEY, day);
+    }
+
+    /**
+     * Fetch today's board and the player's attempt
+     */
+    async fetchStatus({ walletAddress = null, fid = null } = {}) {
+        const params = new URLSearchParams();
+        if (walletAddress) params.set('walletAddress', walletAddress);
+        if (fid) params.set('fid', fid);
+
+        try {
+            const response = await fetch(`${DAILY_API}?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.day = data.day;
+            this.entries = (data.entries || []).map(entry => ({
+                score: entry.score,
+                address: entry.wallet_address,
+                username: entry.username,
+                fid: entry.fid,
+                tapped: entry.tapped,
+                bestCombo: entry.best_combo,
+                bossKills: entry.boss_kills || 0,
+                powerUps: entry.power_ups || 0,
+                accuracy: entry.taps ? (entry.taps - (entry.misses || 0)) / entry.taps : null,
+                avgReaction: entry.avg_reaction ?? null,
+                bestReaction: entry.best_reaction ?? null,
+                timestamp: new Date(entry.created_at).getTime()
+            }));
+            this.attempt = data.attempt;
+            if (this.attempt) {
+                this.markAttempt(this.day);
+            }
+        } catch (error) {
+            console.log('Daily leaderboard unavailable:', error.message);
+        }
+
+        return this.entries;
+    }
+
+    /**
+     * Rank a verified daily run
+     * @returns {Promise<{rank: number, score: number}|null>}
+     */
+    async submit({ replayId, walletAddress, username = null, day }) {
+        try {
+            const response = await fetch(DAILY_API, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ replayId, walletAddress, username, day })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.log('Daily score not ranked:', data.error);
+                this.attempt = data.attempt || this.attempt;
+                return null;
+            }
+
+            this.attempt = { score: data.entry.score, rank: data.rank };
+            return this.attempt;
+        } catch (error) {
+            console.log('Daily submit failed:', error.message);
+            return null;
+        }
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+}
+
+export const dailyChallenge = new DailyChallengeManager();
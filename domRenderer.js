@@ -0,0 +1,207 @@
+/* ============================================
+   DOM RENDERER
+   One element per insect, effects as CSS-animated
+   nodes. Fallback when canvas is unavailable.
+   ============================================ */
+
+export class DomRenderer {
+    constructor(playArea) {
+        this.playArea = playArea;
+        this.insectElements = new Map(); // insect id -> DOM element
+        this.onTap = null;
+
+        // Taps on empty space still reach the sim so misses are counted
+        this.playArea.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.mosquito')) return;
+            const areaRect = this.playArea.getBoundingClientRect();
+            this.onTap?.(e.clientX - areaRect.left, e.clientY - areaRect.top, null);
+        });
+    }
+
+    // Called after the play area is cleared for a new run
+    mount() {
+        this.insectElements.clear();
+    }
+
+    setTapHandler(handler) {
+        this.onTap = handler;
+    }
+
+    addInsect(insect) {
+        const mosquito = document.createElement('div');
+        mosquito.className = `mosquito mosquito-${insect.type}`;
+        mosquito.dataset.type = insect.type;
+        mosquito.style.left = `${insect.startX}px`;
+        mosquito.style.top = `${insect.startY}px`;
+
+        // Click handler
+        const tap = (e) => {
+            const { x, y } = this.getTapPosition(e, mosquito);
+            this.onTap?.(x, y, insect.id);
+        };
+        mosquito.addEventListener('click', tap);
+        mosquito.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            tap(e);
+        }, { passive: false });
+
+        this.insectElements.set(insect.id, mosquito);
+        this.playArea.appendChild(mosquito);
+    }
+
+    render(sim) {
+        for (const insect of sim.insects) {
+            const element = this.insectElements.get(insect.id);
+            if (!element) continue;
+            const { x, y } = sim.getInsectPosition(insect);
+            element.style.left = `${x}px`;
+            element.style.top = `${y}px`;
+        }
+    }
+
+    // Tap point relative to the play area (falls back to the insect centre)
+    getTapPosition(e, element) {
+        const point = e?.touches?.[0] || e?.changedTouches?.[0] || e;
+        const areaRect = this.playArea.getBoundingClientRect();
+        if (Number.isFinite(point?.clientX) && Number.isFinite(point?.clientY)) {
+            return { x: point.clientX - areaRect.left, y: point.clientY - areaRect.top };
+        }
+        const rect = element.getBoundingClientRect();
+        return {
+            x: rect.left - areaRect.left + rect.width / 2,
+            y: rect.top - areaRect.top + rect.height / 2
+        };
+    }
+
+    killInsect(insect, points, isCombo) {
+        const element = this.insectElements.get(insect.id);
+        this.showSplatEffect(element);
+        this.showScorePopup(element, `+${points}`, isCombo ? 'combo' : '');
+
+        // Animate squash, remove after animation
+        element.classList.add('tapped');
+        this.removeInsect(insect, 300);
+    }
+
+    // Boss survives the hit
+    hitBoss(insect, points, isCombo) {
+        const element = this.insectElements.get(insect.id);
+        this.showSplatEffect(element);
+        this.showScorePopup(element, `+${points}`, isCombo ? 'combo' : '');
+    }
+
+    setBossPhase(insect, phase) {
+        this.insectElements.get(insect.id)?.classList.toggle('enraged', phase > 0);
+    }
+
+    collectPowerUp(insect, label) {
+        const element = this.insectElements.get(insect.id);
+        this.showScorePopup(element, label, 'powerup');
+        element.classList.add('blocked');
+        this.removeInsect(insect, 300);
+    }
+
+    crackInsect(insect) {
+        const element = this.insectElements.get(insect.id);
+        element.classList.add('cracked');
+        this.showScorePopup(element, 'CRACK!');
+    }
+
+    // Precision runs: a tap on empty space costs points
+    showMiss(x, y, text) {
+        const popup = document.createElement('div');
+        popup.className = 'score-popup penalty';
+        popup.textContent = text;
+        popup.style.left = `${x}px`;
+        popup.style.top = `${y}px`;
+        this.playArea.appendChild(popup);
+        setTimeout(() => popup.remove(), 800);
+    }
+
+    setBlinking(insect, isBlinking) {
+        this.insectElements.get(insect.id)?.classList.toggle('blinking', isBlinking);
+    }
+
+    setHealing(insect) {
+        this.insectElements.get(insect.id).classList.add('healing');
+    }
+
+    hazardHit(insect, penalty) {
+        const element = this.insectElements.get(insect.id);
+        this.showScorePopup(element, `${penalty}`, 'penalty');
+
+        // Animate shake and remove
+        element.classList.add('hazard-tapped');
+        this.removeInsect(insect, 300);
+    }
+
+    // Hazard removed without penalty (share boost immunity)
+    blockHazard(insect) {
+        const element = this.insectElements.get(insect.id);
+        this.showScorePopup(element, '🛡️ BLOCKED!', 'immunity');
+        element.classList.add('blocked');
+        this.removeInsect(insect, 300);
+    }
+
+    avoidHazard(insect, bonus) {
+        this.showScorePopup(this.insectElements.get(insect.id), `+${bonus} 🛡️`, 'avoidance');
+        this.removeInsect(insect);
+    }
+
+    // Remove an insect's element, optionally after its squash/shake animation
+    removeInsect(insect, delay = 0) {
+        const element = this.insectElements.get(insect.id);
+        if (!element) return;
+
+        const remove = () => {
+            element.remove();
+            if (this.insectElements.get(insect.id) === element) {
+                this.insectElements.delete(insect.id);
+            }
+        };
+
+        if (delay > 0) {
+            setTimeout(remove, delay);
+        } else {
+            remove();
+        }
+    }
+
+    // Clear remaining mosquitoes
+    clear() {
+        this.insectElements.forEach(element => element.remove());
+        this.insectElements.clear();
+    }
+
+    showSplatEffect(mosquitoEl) {
+        const splat = document.createElement('div');
+        splat.className = 'splat';
+
+        const rect = mosquitoEl.getBoundingClientRect();
+        const areaRect = this.playArea.getBoundingClientRect();
+
+        splat.style.left = `${rect.left - areaRect.left + rect.width / 2 - 30}px`;
+        splat.style.top = `${rect.top - areaRect.top + rect.height / 2 - 30}px`;
+
+        this.playArea.appendChild(splat);
+
+        setTimeout(() => splat.remove(), 400);
+    }
+
+    // variant: '' | 'combo' | 'penalty' | 'avoidance' | 'immunity' | 'powerup'
+    showScorePopup(mosquitoEl, text, variant = '') {
+        const popup = document.createElement('div');
+        popup.className = `score-popup${variant ? ` ${variant}` : ''}`;
+        popup.textContent = text;
+
+        const rect = mosquitoEl.getBoundingClientRect();
+        const areaRect = this.playArea.getBoundingClientRect();
+
+        popup.style.left = `${rect.left - areaRect.left + rect.width / 2}px`;
+        popup.style.top = `${rect.top - areaRect.top}px`;
+
+        this.playArea.appendChild(popup);
+
+        setTimeout(() => popup.remove(), 800);
+    }
+}
@@ -6,16 +6,44 @@
 import { sdk } from '@farcaster/miniapp-sdk';
 import { ethers } from 'ethers';
 import { soundManager } from './sounds.js';
+import { RunAnalytics } from './runAnalytics.js';
+import { analyticsScreen } from './analyticsScreen.js';
+import { playerProfile, getDeviceTimeZone } from './playerProfile.js';
+import { BADGES, getBadge, getBadgeProgress } from './badges.js';
+import { missionManager } from './missionManager.js';
+import { boostInventory } from './boostInventory.js';
 import { leaderboard } from './leaderboard.js';
 import { nftMinter } from './nftMinter.js';
 import { TIER_INFO, Tier } from './contract.js';
-import { versusManager, getVictoryTitle } from './versusContract.js';
+import { versusManager, getVictoryTitle, ChallengeStatus } from './versusContract.js';
 import { challengeManager } from './challengeManager.js';
 import { shareManager } from './shareManager.js';
 import { referralManager } from './referralManager.js';
 import { sponsorManager } from './sponsorManager.js';
 import { getBaseAccountProvider } from './baseAccount.js';
 import { gamePassManager, MINT_PRICE_ETH } from './gamePassManager.js';
+import { generateSeed } from './rng.js';
+import { RUN_PRESETS, VERSUS_MAX_PAUSES, SURVIVAL_LIVES, getInsectDef } from './gameRules.js';
+import { GameSimulation } from './gameSimulation.js';
+import { CanvasRenderer, isCanvasSupported } from './canvasRenderer.js';
+import { DomRenderer } from './domRenderer.js';
+import { replayRecorder } from './replayRecorder.js';
+import { dailyChallenge } from './dailyChallenge.js';
+
+const HIGHSCORE_KEYS = {
+    classic: 'mosquito-highscore',
+    survival: 'mosquito-highscore-survival'
+};
+const ADAPTIVE_KEY = 'mosquito-adaptive';
+
+// Play area classes while a timed power-up is active
+const POWER_UP_STATES = ['powerup-freeze', 'powerup-slowmo', 'powerup-magnet'];
+const POWER_UP_LABELS = {
+    freeze: 'FREEZE!',
+    bomb: 'BOOM!',
+    magnet: 'MAGNET!',
+    slowmo: 'SLOW-MO!'
+};
 
 // Expose for React/OnchainKit
 window.gamePassManager = gamePassManager;
@@ -32,6 +60,7 @@ class Game {
         this.restartBtn = document.getElementById('restart-btn');
         this.finalScoreEl = document.getElementById('final-score');
         this.newHighscoreEl = document.getElementById('new-highscore');
+        this.unrankedNote = document.getElementById('unranked-note');
         this.tappedCountEl = document.getElementById('tapped-count');
         this.escapedCountEl = document.getElementById('escaped-count');
         this.bestComboEl = document.getElementById('best-combo');
@@ -49,12 +78,87 @@ class Game {
         this.achievementBadge = document.getElementById('achievement-badge');
         this.achievementIcon = document.getElementById('achievement-icon');
         this.menuBtn = document.getElementById('menu-btn');
+        this.analyticsBtn = document.getElementById('analytics-btn');
+        this.closeAnalyticsBtn = document.getElementById('close-analytics-btn');
+        this.pauseBtn = document.getElementById('pause-btn');
+        this.pauseScreen = document.getElementById('pause-screen');
+        this.pauseReasonEl = document.getElementById('pause-reason');
+        this.resumeBtn = document.getElementById('resume-btn');
 
         // Leaderboard Modal Elements
         this.leaderboardBtn = document.getElementById('leaderboard-btn');
         this.leaderboardModal = document.getElementById('leaderboard-modal');
         this.closeLeaderboardBtn = document.getElementById('close-leaderboard-btn');
+
+        // Player profile elements
+        this.profileBtn = document.getElementById('profile-btn');
+        this.profileModal = document.getElementById('profile-modal');
+        this.closeProfileBtn = document.getElementById('close-profile-btn');
+        this.profileNameEl = document.getElementById('profile-name');
+        this.profileLevelEl = document.getElementById('profile-level');
+        this.profileXpFill = document.getElementById('profile-xp-fill');
+        this.profileXpEl = document.getElementById('profile-xp');
+        this.profileGamesEl = document.getElementById('profile-games');
+        this.profileVersusEl = document.getElementById('profile-versus');
+        this.profileComboEl = document.getElementById('profile-combo');
+        this.profileAvoidedEl = document.getElementById('profile-avoided');
+        this.profileBestClassicEl = document.getElementById('profile-best-classic');
+        this.profileBestSurvivalEl = document.getElementById('profile-best-survival');
+        this.profileKillsEl = document.getElementById('profile-kills');
+        this.profileEmptyEl = document.getElementById('profile-empty');
+        this.profileBadgesEl = document.getElementById('profile-badges');
+        this.profileBadgeCountEl = document.getElementById('profile-badge-count');
+        this.badgeToasts = document.getElementById('badge-toasts');
+        this.streakChip = document.getElementById('streak-chip');
+        this.streakDaysEl = document.getElementById('streak-days');
+        this.streakNoteEl = document.getElementById('streak-note');
+        this.streakZoneBtn = document.getElementById('streak-zone-btn');
+
+        // Daily missions elements
+        this.missionsBtn = document.getElementById('missions-btn');
+        this.missionsDot = document.getElementById('missions-dot');
+        this.missionsModal = document.getElementById('missions-modal');
+        this.missionsList = document.getElementById('missions-list');
+        this.missionsEmpty = document.getElementById('missions-empty');
+        this.closeMissionsBtn = document.getElementById('close-missions-btn');
+        this.xpGainedEl = document.getElementById('xp-gained');
         this.homeLeaderboardList = document.getElementById('home-leaderboard-list');
+        this.leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+        this.activeBoard = 'weekly';
+
+        // Survival mode elements
+        this.survivalBtn = document.getElementById('survival-btn');
+        this.timerLabel = document.getElementById('timer-label');
+        this.livesDisplay = document.getElementById('lives-display');
+        this.livesEl = document.getElementById('lives');
+        this.survivalStats = document.getElementById('survival-stats');
+        this.timeSurvivedEl = document.getElementById('time-survived');
+        this.wavesClearedEl = document.getElementById('waves-cleared');
+        this.bossStat = document.getElementById('boss-stat');
+        this.bossResultEl = document.getElementById('boss-result');
+        this.powerUpStat = document.getElementById('powerup-stat');
+        this.powerUpsCollectedEl = document.getElementById('powerups-collected');
+        this.accuracyEl = document.getElementById('accuracy');
+        this.avgReactionEl = document.getElementById('avg-reaction');
+        this.bestReactionEl = document.getElementById('best-reaction');
+        this.reactionBreakdownEl = document.getElementById('reaction-breakdown');
+
+        // Practice mode elements
+        this.practiceBtn = document.getElementById('practice-btn');
+        this.practiceScreen = document.getElementById('practice-screen');
+        this.drillBtns = document.querySelectorAll('.drill-btn');
+        this.zenToggle = document.getElementById('zen-toggle');
+        this.precisionToggle = document.getElementById('precision-toggle');
+        this.adaptiveToggle = document.getElementById('adaptive-toggle');
+        this.startPracticeBtn = document.getElementById('start-practice-btn');
+        this.closePracticeBtn = document.getElementById('close-practice-btn');
+        this.quitRunBtn = document.getElementById('quit-run-btn');
+
+        // Daily Mosquito elements
+        this.dailyBtn = document.getElementById('daily-btn');
+        this.gameOverTitle = document.getElementById('game-over-title');
+        this.rankLabel = document.getElementById('rank-label');
+        this.leaderboardTitle = document.getElementById('leaderboard-title');
 
         // Versus mode elements
         this.versusBtn = document.getElementById('versus-btn');
@@ -62,6 +166,7 @@ class Game {
         this.versusWaiting = document.getElementById('versus-waiting');
         this.versusResultScreen = document.getElementById('versus-result-screen');
         this.opponentInput = document.getElementById('opponent-username');
+        this.onchainChallengeToggle = document.getElementById('onchain-challenge-toggle');
         this.createChallengeBtn = document.getElementById('create-challenge-btn');
         this.backToMenuBtn = document.getElementById('back-to-menu-btn');
         this.cancelChallengeBtn = document.getElementById('cancel-challenge-btn');
@@ -74,6 +179,9 @@ class Game {
         this.opponentVersusScore = document.getElementById('opponent-versus-score');
         this.winnerMintSection = document.getElementById('winner-mint-section');
         this.loserSection = document.getElementById('loser-section');
+        this.loserText = document.getElementById('loser-text');
+        this.versusPendingSection = document.getElementById('versus-pending-section');
+        this.versusPendingText = document.getElementById('versus-pending-text');
         this.challengeStatus = document.getElementById('challenge-status');
         this.pendingChallengesList = document.getElementById('pending-challenges');
         this.challengeReceivedModal = document.getElementById('challenge-received-modal');
@@ -114,25 +222,50 @@ class Game {
         this.rankDisplay = document.getElementById('rank-display');
         this.playerRank = document.getElementById('player-rank');
 
-        // Game state
-        this.score = 0;
-        this.timeLeft = 60;
-        this.highscore = this.loadHighscore();
+        // Game state - gameplay rules live in the simulation, Game renders it
+        this.sim = null;
+        this.simUnsubscribers = [];
+        this.renderer = this.createRenderer(); // Canvas or DOM, chosen once at startup
+        this.renderer.setTapHandler((x, y, insectId) => this.tapMosquito(x, y, insectId));
+        this.frameRequest = null;
+        this.lastFrameTime = 0;
+        this.highscores = {
+            classic: this.loadHighscore('classic'),
+            survival: this.loadHighscore('survival')
+        };
         this.isRunning = false;
-        this.mosquitoes = [];
-        this.spawnInterval = null;
-        this.gameTimer = null;
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pauseStartedAt = 0;
+        this.pauses = []; // { t, ms, reason } for the current run
+
+        // Survival mode: lives instead of the 60s timer
+        this.isSurvivalMode = false;
+
+        // Practice mode: drills, optional zen (no timer); never recorded, submitted or boosted
+        this.isPracticeMode = false;
+        this.practiceDrill = null;
+        this.practiceUntimed = false;
+
+        // Daily Mosquito state - one ranked attempt per UTC day, replays are practice
+        this.isDailyMode = false;
+        this.dailyDay = null;
+        this.isDailyRanked = false;
+        this.pendingDailyLink = false;
 
         // Wallet state
         this.walletAddress = null;
         this.username = null; // Farcaster username
         this.fid = null;
+        this.missionsFid = null; // Fid the missions panel was loaded for
         this.isConnecting = false;
         this.walletProvider = null;
 
         // Versus mode state
         this.isVersusMode = false;
         this.currentChallengeId = null;
+        this.currentChallengeMode = null;
+        this.challengeSeed = null;
         this.currentBattleId = null;
         this.opponentAddress = null;
         this.opponentUsername = null;
@@ -143,34 +276,47 @@ class Game {
         this.challengePollInterval = null;
         this.pendingChallenges = [];
         this.activePendingChallenge = null;
+        this.pendingAcceptTx = null; // { challengeId, hash } of an on-chain accept still confirming
+        // Versus record as read from VersusNFT after a Victory mint
         this.winStreak = 0;
         this.totalWins = 0;
-        this.previousHighscore = this.highscore;
         this.isMinting = false;
 
-        // Stats
-        this.tappedCount = 0;
-        this.escapedCount = 0;
-        this.currentCombo = 0;
-        this.bestCombo = 0;
-        this.lastTapTime = 0;
-        this.comboTimeout = null;
-
-        // Difficulty settings
-        this.baseSpawnRate = 1000; // ms between spawns
-        this.minSpawnRate = 320;
-        this.mosquitoSpeed = { min: 2400, max: 5600 }; // ms to cross screen
-
-        // Challenge system
-        this.comboMultiplier = 1;
-        this.consecutiveTaps = 0;
-        this.isSwarmActive = false;
-        this.swarmTimeouts = [];
+        // Server-verified result of the last run (required for minting)
+        this.replayId = null;
+        this.replayBoosted = false; // Boosted runs are never signed for an achievement
+        this.verifiedScore = null;
+        this.boostClaimId = null; // Boost inventory claim the current run applied
 
         // Initialize
         this.init();
     }
 
+    // Current run state (read from the simulation)
+    get score() {
+        return this.sim?.score ?? 0;
+    }
+
+    get timeLeft() {
+        return this.sim?.timeLeft ?? 0;
+    }
+
+    get tappedCount() {
+        return this.sim?.tappedCount ?? 0;
+    }
+
+    get escapedCount() {
+        return this.sim?.escapedCount ?? 0;
+    }
+
+    get bestCombo() {
+        return this.sim?.bestCombo ?? 0;
+    }
+
+    get comboMultiplier() {
+        return this.sim?.comboMultiplier ?? 1;
+    }
+
     async init() {
         // DEBUG: Log init start to verify debug endpoint works (remove after debugging)
         try {
@@ -207,7 +353,19 @@ class Game {
             this.mintNFT();
         });
         this.soundToggle.addEventListener('click', () => this.toggleSound());
+
+        // Pause: button, backgrounding the app, or the wallet panel (onchainkit.jsx dispatches game:pause)
+        this.pauseBtn.addEventListener('click', () => this.pauseGame('manual'));
+        this.resumeBtn.addEventListener('click', () => this.resumeGame());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame('hidden');
+            }
+        });
+        window.addEventListener('game:pause', (event) => this.pauseGame(event?.detail?.reason || 'external'));
         this.menuBtn.addEventListener('click', () => this.goToMainMenu());
+        this.analyticsBtn.addEventListener('click', () => analyticsScreen.show(this.sim?.definitions));
+        this.closeAnalyticsBtn.addEventListener('click', () => analyticsScreen.hide());
 
         // Leaderboard modal listeners
         if (this.leaderboardBtn) {
@@ -216,12 +374,43 @@ class Game {
                 this.renderLeaderboard(); // Refresh when opening
             });
         }
+        this.leaderboardTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.showLeaderboardBoard(tab.dataset.board));
+        });
         if (this.closeLeaderboardBtn) {
             this.closeLeaderboardBtn.addEventListener('click', () => {
                 this.leaderboardModal.classList.add('hidden');
             });
         }
 
+        // Player profile
+        this.profileBtn.addEventListener('click', () => this.showProfile());
+        this.closeProfileBtn.addEventListener('click', () => this.profileModal.classList.add('hidden'));
+        this.streakZoneBtn.addEventListener('click', () => this.moveStreakTimeZone());
+
+        // Daily missions
+        this.missionsBtn.addEventListener('click', () => this.showMissions());
+        this.closeMissionsBtn.addEventListener('click', () => this.missionsModal.classList.add('hidden'));
+
+        // Daily Mosquito + Survival
+        this.dailyBtn.addEventListener('click', () => this.startDailyGame());
+        this.survivalBtn.addEventListener('click', () => this.startSurvivalGame());
+
+        // Adaptive difficulty preference
+        this.adaptiveToggle.checked = localStorage.getItem(ADAPTIVE_KEY) === 'true';
+        this.adaptiveToggle.addEventListener('change', () => {
+            localStorage.setItem(ADAPTIVE_KEY, String(this.adaptiveToggle.checked));
+        });
+
+        // Practice
+        this.practiceBtn.addEventListener('click', () => this.showPracticeScreen());
+        this.closePracticeBtn.addEventListener('click', () => this.hidePracticeScreen());
+        this.startPracticeBtn.addEventListener('click', () => this.startPracticeGame());
+        this.drillBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectDrill(btn.dataset.drill || null));
+        });
+        this.quitRunBtn.addEventListener('click', () => this.quitPractice());
+
         // Versus mode event listeners
         this.versusBtn.addEventListener('click', () => this.showVersusScreen());
         this.backToMenuBtn.addEventListener('click', () => this.hideVersusScreen());
@@ -260,6 +449,7 @@ class Game {
         await this.tryAutoConnect();
         await this.refreshPendingChallenges();
         await this.handleChallengeLink();
+        this.handleModeLink();
 
         // Sponsor Wall event listeners
         this.becomeSponsorBtn.addEventListener('click', () => this.showSponsorModal());
@@ -605,6 +795,9 @@ class Game {
     }
 
     async handleWalletClick() {
+        // Wallet prompts cover the board
+        this.pauseGame('wallet');
+
         if (this.walletAddress) {
             // Already connected - show address info
             this.showWalletInfo();
@@ -741,6 +934,8 @@ class Game {
         this.walletBtn.classList.add('connected');
 
         // Initialize referral system with wallet address and username
+        // (after the boost inventory knows the player, so a referral boost can be granted)
+        this.syncBoostPlayer();
         referralManager.init(address, null, username);
 
         // Display username if available, otherwise formatted address
@@ -782,6 +977,14 @@ class Game {
 
         this.syncChallengeUser();
         this.refreshPendingChallenges();
+        this.refreshMissions();
+        this.refreshStreak();
+        this.refreshDailyStatus().then(() => {
+            if (this.pendingDailyLink) {
+                this.pendingDailyLink = false;
+                this.startDailyGame();
+            }
+        });
     }
 
     setWalletDisconnected() {
@@ -988,11 +1191,16 @@ class Game {
     }
 
     syncChallengeUser() {
+        this.syncBoostPlayer();
         const fid = this.fid || this.authenticatedFid;
         if (!fid) return;
         challengeManager.setUser(fid, this.username);
     }
 
+    syncBoostPlayer() {
+        boostInventory.identify({ fid: this.fid || this.authenticatedFid, walletAddress: this.walletAddress });
+    }
+
     async ensureFarcasterContext() {
         const existingFid = this.fid || this.authenticatedFid;
         if (existingFid) return existingFid;
@@ -1194,7 +1402,7 @@ class Game {
             const display = this.getChallengeDisplay(challenge);
             return `
                 <div class="challenge-item" data-challenge-id="${challenge.id}">
-                    <span class="challenge-from">${display.label}</span>
+                    <span class="challenge-from">${display.label}${challenge.mode === 'onchain' ? '<span class="challenge-onchain" title="On-chain battle">⛓️</span>' : ''}</span>
                     <button class="accept-btn" data-action="open">VIEW</button>
                 </div>
             `;
@@ -1219,6 +1427,23 @@ class Game {
         }
     }
 
+    // ?mode=daily opens straight into today's Daily Mosquito (once a wallet is connected);
+    // ?missions=1 (mission notifications) opens the missions panel
+    handleModeLink() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('missions')) {
+            this.showMissions();
+            return;
+        }
+        if (params.get('mode') !== 'daily') return;
+
+        if (this.walletAddress) {
+            this.startDailyGame();
+        } else {
+            this.pendingDailyLink = true;
+        }
+    }
+
     async handleChallengeLink() {
         const params = new URLSearchParams(window.location.search);
         const challengeId = params.get('challenge');
@@ -1228,11 +1453,16 @@ class Game {
 
     openChallengeModal(challenge) {
         if (!challenge || !this.challengeReceivedModal) return;
+        this.pauseGame('challenge');
         this.activePendingChallenge = challenge;
         const display = this.getChallengeDisplay(challenge);
         if (this.challengerNameEl) {
             this.challengerNameEl.textContent = display.name;
         }
+        // On-chain challenges can't be declined (only the challenger can cancel on VersusNFT)
+        if (this.declineChallengeBtn) {
+            this.declineChallengeBtn.textContent = challenge.mode === 'onchain' ? 'LATER' : 'DECLINE';
+        }
         this.challengeReceivedModal.classList.remove('hidden');
     }
 
@@ -1243,9 +1473,14 @@ class Game {
         try {
             await this.ensureFarcasterContext();
             this.syncChallengeUser();
-            await challengeManager.acceptChallenge(challenge.id);
+            if (challenge.mode === 'onchain') {
+                await this.acceptOnchainChallenge(challenge);
+            }
+            const accepted = await challengeManager.acceptChallenge(challenge.id);
 
             this.currentChallengeId = challenge.id;
+            this.currentChallengeMode = challenge.mode;
+            this.challengeSeed = accepted?.seed ?? null;
             const rawOpponent = challenge.challenger_username || '';
             this.opponentUsername = rawOpponent ? rawOpponent.replace(/^@/, '') : null;
             this.opponentFid = challenge.challenger_fid || null;
@@ -1266,10 +1501,58 @@ class Game {
         }
     }
 
+    // On-chain challenges are accepted on VersusNFT first, from the wallet the challenge names.
+    // The row and the contract are re-read each time: a retry may follow an accept that has
+    // confirmed since, or a challenge that was cancelled in the meantime.
+    async acceptOnchainChallenge(challenge) {
+        const latest = await challengeManager.getChallenge(challenge.id);
+        if (latest.status !== 'pending') {
+            throw new Error(`Challenge ${latest.status}`);
+        }
+        if (latest.onchain_status === 'accepted') return;
+        if (!latest.onchain_challenge_id) {
+            throw new Error('The on-chain challenge is still confirming. Try again in a minute.');
+        }
+
+        const onchain = await versusManager.getChallenge(latest.onchain_challenge_id);
+        if (onchain.status === ChallengeStatus.Cancelled) {
+            throw new Error('This challenge was cancelled on-chain');
+        }
+        if (onchain.status !== ChallengeStatus.Pending) {
+            // Our earlier accept has landed - report it so the row catches up
+            const tx = this.pendingAcceptTx?.challengeId === latest.id ? this.pendingAcceptTx : null;
+            if (!tx) {
+                throw new Error('The on-chain accept is still syncing. Try again in a minute.');
+            }
+            await challengeManager.linkOnchain(latest.id, tx.hash);
+            this.pendingAcceptTx = null;
+            return;
+        }
+
+        const account = await versusManager.getAccount() || await versusManager.requestAccount();
+        if (account?.toLowerCase() !== latest.opponent_address) {
+            throw new Error(`Connect ${this.formatAddress(latest.opponent_address)} to accept this on-chain challenge`);
+        }
+
+        const tx = await versusManager.acceptChallenge(latest.onchain_challenge_id);
+        if (tx.pending) {
+            this.pendingAcceptTx = { challengeId: latest.id, hash: tx.hash };
+            throw new Error('Accept transaction submitted. Try again once it confirms.');
+        }
+        await challengeManager.linkOnchain(latest.id, tx.hash);
+    }
+
     async declineActiveChallenge() {
         const challenge = this.activePendingChallenge;
         if (!challenge) return;
 
+        // Leave an on-chain challenge pending until it expires or the challenger cancels it
+        if (challenge.mode === 'onchain') {
+            this.challengeReceivedModal.classList.add('hidden');
+            this.activePendingChallenge = null;
+            return;
+        }
+
         try {
             await this.ensureFarcasterContext();
             this.syncChallengeUser();
@@ -1549,89 +1832,321 @@ class Game {
     // END SDK ACTIONS
     // ============================================
 
-    loadHighscore() {
-        return parseInt(localStorage.getItem('mosquito-highscore')) || 0;
+    // Classic (timed, daily) and survival keep separate bests
+    loadHighscore(mode = 'classic') {
+        return parseInt(localStorage.getItem(HIGHSCORE_KEYS[mode])) || 0;
+    }
+
+    saveHighscore(score, mode = 'classic') {
+        localStorage.setItem(HIGHSCORE_KEYS[mode], score.toString());
+    }
+
+    getRunMode() {
+        return this.isSurvivalMode ? 'survival' : 'classic';
+    }
+
+    // Adaptive runs start from the mode's best score. Ranked runs (daily, versus) never call this.
+    getAdaptiveOptions(mode = 'classic') {
+        return this.adaptiveToggle.checked ? { best: this.highscores[mode] } : null;
+    }
+
+    // Each start* method clears the other modes before setting its own
+    clearRunModes() {
+        this.isVersusMode = false;
+        this.isDailyMode = false;
+        this.isSurvivalMode = false;
+        this.isPracticeMode = false;
     }
 
-    saveHighscore(score) {
-        localStorage.setItem('mosquito-highscore', score.toString());
+    // Ranked runs play a seed issued by api/replay.js; offline runs still play
+    // on a local seed, their replay just won't verify
+    async getRunSeed() {
+        return await replayRecorder.requestSeed() ?? generateSeed();
     }
 
-    startGame() {
+    async startGame() {
+        if (this.isRunning) return;
+        const seed = await this.getRunSeed();
+        if (this.isRunning) return;
+
+        this.clearRunModes();
         this.startScreen.classList.add('hidden');
-        this.resetGame();
+        this.resetGame(seed, { ...RUN_PRESETS.classic, adaptive: this.getAdaptiveOptions('classic') });
         this.applyShareBoosts();
-        this.isRunning = true;
-        this.startTimers();
-        this.spawnMosquito();
-        soundManager.playStart();
+        this.startRun();
 
         // Hide primary button during gameplay
         this.hidePrimaryButton();
     }
 
-    restartGame() {
+    async restartGame() {
+        if (this.isDailyMode) {
+            this.startDailyGame();
+            return;
+        }
+        if (this.isSurvivalMode) {
+            this.startSurvivalGame();
+            return;
+        }
+        if (this.isPracticeMode) {
+            this.startPracticeGame();
+            return;
+        }
+
+        if (this.isRunning) return;
+        const seed = await this.getRunSeed();
+        if (this.isRunning) return;
+
         this.gameOverScreen.classList.add('hidden');
-        this.resetGame();
+        this.resetGame(seed, { ...RUN_PRESETS.classic, adaptive: this.getAdaptiveOptions('classic') });
         this.applyShareBoosts();
+        this.startRun();
+    }
+
+    // ============ SURVIVAL ============
+
+    // Endless run: escapes and hazard taps cost lives. Share boosts are tuned
+    // for the 60s timer, so they stay banked for the next classic run.
+    async startSurvivalGame() {
+        if (this.isRunning) return;
+        const seed = await this.getRunSeed();
+        if (this.isRunning) return;
+
+        this.clearRunModes();
+        this.isSurvivalMode = true;
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.resetGame(seed, { ...RUN_PRESETS.survival, adaptive: this.getAdaptiveOptions('survival') });
+        this.startRun();
+        this.hidePrimaryButton();
+    }
+
+    updateLives(lives) {
+        this.livesEl.textContent = lives;
+        this.livesDisplay.classList.remove('life-lost');
+        void this.livesDisplay.offsetWidth; // Restart the pulse animation
+        this.livesDisplay.classList.add('life-lost');
+    }
+
+    formatSurvivalTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // ============ PRACTICE ============
+
+    showPracticeScreen() {
+        this.startScreen.classList.add('hidden');
+        this.practiceScreen.classList.remove('hidden');
+    }
+
+    hidePracticeScreen() {
+        this.practiceScreen.classList.add('hidden');
+        this.startScreen.classList.remove('hidden');
+    }
+
+    selectDrill(drill) {
+        this.practiceDrill = drill;
+        this.drillBtns.forEach(btn => {
+            btn.classList.toggle('active', (btn.dataset.drill || null) === drill);
+        });
+    }
+
+    // No boosts, no replay, no leaderboard/daily/highscore, no minting
+    startPracticeGame() {
+        this.clearRunModes();
+        this.isPracticeMode = true;
+        this.practiceUntimed = this.zenToggle.checked;
+        this.practiceScreen.classList.add('hidden');
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.resetGame(generateSeed(), {
+            drill: this.practiceDrill, untimed: this.practiceUntimed, powerUps: true,
+            adaptive: this.getAdaptiveOptions('classic'), precision: this.precisionToggle.checked
+        });
+        this.startRun();
+        this.hidePrimaryButton();
+    }
+
+    // Zen runs only end from the pause screen
+    quitPractice() {
+        if (!this.isPracticeMode || !this.isRunning) return;
+        this.clearPause();
+        this.sim.end();
+    }
+
+    endPracticeGame() {
+        this.isRunning = false;
+        this.stopFrameLoop();
+        this.pauseBtn.classList.add('hidden');
+        this.renderer.clear();
+        soundManager.playGameOver();
+
+        this.gameOverTitle.textContent = 'PRACTICE OVER';
+        this.finalScoreEl.textContent = this.score;
+        this.tappedCountEl.textContent = this.tappedCount;
+        this.escapedCountEl.textContent = this.escapedCount;
+        this.bestComboEl.textContent = `x${this.bestCombo || 1}`;
+        this.achievementBadge.classList.add('hidden');
+        this.rankDisplay.classList.add('hidden');
+        this.newHighscoreEl.classList.add('hidden');
+        this.unrankedNote.classList.add('hidden');
+        this.xpGainedEl.classList.add('hidden');
+        this.survivalStats.classList.add('hidden');
+        this.bossStat.classList.add('hidden');
+        this.showPowerUpStat();
+        this.showAccuracyStats();
+        analyticsScreen.setRun(this.analytics.getSummary(), 'practice');
+        this.shareBtn.classList.add('hidden');
+        this.updateMintButton();
+
+        this.gameOverScreen.classList.remove('hidden');
+        this.updatePrimaryButton('PRACTICE AGAIN', () => this.restartGame());
+    }
+
+    // ============ DAILY MOSQUITO ============
+
+    // Today's seeded run - no boosts, so every player gets the exact same 60s
+    async startDailyGame() {
+        if (this.isRunning) return;
+        this.dailyBtn.disabled = true;
+        try {
+            await this.refreshDailyStatus();
+        } finally {
+            this.dailyBtn.disabled = false;
+        }
+
+        this.clearRunModes();
+        this.isDailyMode = true;
+        this.dailyDay = dailyChallenge.getDay();
+        this.isDailyRanked = !dailyChallenge.hasPlayedToday();
+        if (this.isDailyRanked) {
+            dailyChallenge.markAttempt(this.dailyDay); // Quitting mid-run still uses the attempt
+        }
+
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.leaderboardModal.classList.add('hidden');
+        this.resetGame(dailyChallenge.getSeed(this.dailyDay), RUN_PRESETS.daily);
+        this.startRun();
+        this.showDailyNotification();
+        this.hidePrimaryButton();
+    }
+
+    showDailyNotification() {
+        const notification = document.createElement('div');
+        notification.className = 'boost-notification daily';
+        notification.innerHTML = `
+            <div class="boost-title">📅 DAILY MOSQUITO</div>
+            <div class="boost-items">
+                <span>${this.dailyDay}</span>
+                <span>${this.isDailyRanked ? 'Ranked' : 'Practice'}</span>
+            </div>
+        `;
+        this.playArea.appendChild(notification);
+        setTimeout(() => notification.remove(), 2500);
+    }
+
+    async refreshDailyStatus() {
+        await dailyChallenge.fetchStatus({
+            walletAddress: this.walletAddress,
+            fid: this.fid || this.authenticatedFid
+        });
+        this.updateDailyButton();
+        if (this.activeBoard === 'daily') {
+            this.renderLeaderboard();
+        }
+    }
+
+    updateDailyButton() {
+        const played = dailyChallenge.hasPlayedToday();
+        this.dailyBtn.classList.toggle('played', played);
+        this.dailyBtn.textContent = played ? '📅 DAILY ✓' : '📅 DAILY';
+    }
+
+    startRun() {
         this.isRunning = true;
-        this.startTimers();
-        this.spawnMosquito();
+        this.sim.start();
+        this.startFrameLoop();
+        this.updatePauseButton();
+        this.pauseBtn.classList.remove('hidden');
         soundManager.playStart();
     }
 
-    applyShareBoosts() {
-        // Check for share boost first
-        const shareBoost = shareManager.consumeBoost();
-        if (shareBoost) {
-            this.timeLeft += shareBoost.bonusTime;
-            this.comboMultiplier = shareBoost.startMultiplier;
-            this.consecutiveTaps = 5;
-            this.hazardImmunity = shareBoost.hazardImmunity;
-            this.timerEl.textContent = this.timeLeft;
-            this.showMultiplier();
-            this.showBoostNotification('share');
+    // ============ PAUSE ============
+
+    // Freezes the whole run: sim time (timer, spawns, swarms, combo, insects) only moves in the frame loop
+    pauseGame(reason = 'manual') {
+        if (!this.isRunning || this.isPaused) return;
+        // Versus runs cap voluntary pauses; backgrounding and modals still pause but get flagged
+        if (reason === 'manual' && this.isVersusMode && this.pauses.length >= VERSUS_MAX_PAUSES) return;
+
+        this.isPaused = true;
+        this.pauseReason = reason;
+        this.pauseStartedAt = Date.now();
+        this.stopFrameLoop();
+
+        const reasons = {
+            hidden: 'Paused while you were away',
+            wallet: 'Paused for your wallet',
+            challenge: 'Paused - new challenge!'
+        };
+        let text = reasons[reason] || '';
+        if (this.isVersusMode) {
+            const left = Math.max(0, VERSUS_MAX_PAUSES - this.pauses.length - 1);
+            text = `${text}${text ? ' · ' : ''}Versus pauses left: ${left}`;
         }
+        this.pauseReasonEl.textContent = text;
+        this.quitRunBtn.classList.toggle('hidden', !this.isPracticeMode);
+        this.pauseScreen.classList.remove('hidden');
+    }
 
-        // Check for referral boost (can stack!)
-        const refBoost = referralManager.consumeReferralBoost();
-        if (refBoost) {
-            this.timeLeft += refBoost.bonusTime;       // +10 seconds
-            this.score += refBoost.bonusPoints;         // +50 starting points
-            if (!shareBoost) {
-                this.comboMultiplier = refBoost.startMultiplier;
-                this.consecutiveTaps = 5;
-            }
-            this.timerEl.textContent = this.timeLeft;
-            this.scoreEl.textContent = this.score;
-            this.showMultiplier();
-            this.showBoostNotification('referral');
+    resumeGame() {
+        if (!this.isPaused) return;
+
+        const pause = { t: this.sim.time, ms: Date.now() - this.pauseStartedAt, reason: this.pauseReason };
+        this.pauses.push(pause);
+        replayRecorder.recordPause(pause);
+
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pauseScreen.classList.add('hidden');
+        this.updatePauseButton();
+        if (this.isRunning) {
+            this.startFrameLoop();
         }
+    }
 
-        // Check for sponsor perk (Silver+ = permanent boost!)
-        this.applySponsorPerk();
+    // Clear pause state when a run is replaced
+    clearPause() {
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pauses = [];
+        this.pauseScreen.classList.add('hidden');
+        this.pauseBtn.classList.add('hidden');
     }
 
-    async applySponsorPerk() {
-        if (!this.walletAddress) return;
+    updatePauseButton() {
+        this.pauseBtn.disabled = this.isVersusMode && this.pauses.length >= VERSUS_MAX_PAUSES;
+    }
 
-        try {
-            const hasPerk = await sponsorManager.hasBoostPerk(this.walletAddress);
-            if (hasPerk) {
-                // Silver+ sponsors always get boosts
-                this.timeLeft += 10;                   // +10 seconds
-                this.comboMultiplier = Math.max(this.comboMultiplier, 2);
-                this.consecutiveTaps = Math.max(this.consecutiveTaps, 5);
-                this.timerEl.textContent = this.timeLeft;
-                this.showMultiplier();
-                this.showBoostNotification('sponsor');
-            }
-        } catch (error) {
-            console.log('Sponsor perk check failed:', error.message);
+    // Share, referral, mission and sponsor boosts are claimed from the server inventory.
+    // The run starts straight away; boosts land when the claim comes back.
+    async applyShareBoosts() {
+        this.syncBoostPlayer();
+        const sim = this.sim;
+        const claim = await boostInventory.claim();
+
+        // Only boost the run that asked (a fast restart may have replaced it)
+        if (!claim || sim !== this.sim || sim.isOver) return;
+        this.boostClaimId = claim.claimId;
+        for (const { source, boost } of claim.boosts) {
+            sim.applyBoost(boost);
+            this.showBoostNotification(source, boost);
         }
     }
 
-    showBoostNotification(type = 'share') {
+    showBoostNotification(type = 'share', boost = null) {
         const notification = document.createElement('div');
         notification.className = `boost-notification ${type}`;
 
@@ -1653,6 +2168,18 @@ class Game {
                     <span>Forever!</span>
                 </div>
             `;
+        } else if (type === 'mission') {
+            const items = [
+                boost.bonusTime && `+${boost.bonusTime}s`,
+                boost.bonusPoints && `+${boost.bonusPoints} pts`,
+                boost.startMultiplier > 1 && `${boost.startMultiplier}x Start`
+            ].filter(Boolean);
+            notification.innerHTML = `
+                <div class="boost-title">📋 MISSION REWARD!</div>
+                <div class="boost-items">
+                    ${items.map(item => `<span>${item}</span>`).join('')}
+                </div>
+            `;
         } else {
             notification.innerHTML = `
                 <div class="boost-title">🚀 SHARE BOOST!</div>
@@ -1668,141 +2195,170 @@ class Game {
         setTimeout(() => notification.remove(), 2500);
     }
 
-    resetGame() {
-        this.score = 0;
-        this.timeLeft = 60;
-        this.tappedCount = 0;
-        this.escapedCount = 0;
-        this.currentCombo = 0;
-        this.bestCombo = 0;
-        this.lastTapTime = 0;
-        this.mosquitoes = [];
-
-        // Reset challenge system
-        this.comboMultiplier = 1;
-        this.consecutiveTaps = 0;
-        this.isSwarmActive = false;
-        this.hazardImmunity = 0;
-        this.swarmTimeouts.forEach(t => clearTimeout(t));
-        this.swarmTimeouts = [];
+    // simOptions: { mode, drill, untimed, boss, powerUps, adaptive, precision } (see GameSimulation); every mode gets movement patterns
+    resetGame(seed = generateSeed(), simOptions = {}) {
+        this.stopFrameLoop();
+        this.clearPause();
+        this.simUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.replayId = null;
+        this.replayBoosted = false;
+        this.boostClaimId = null;
+        this.verifiedScore = null;
 
         // Clear play area
         this.playArea.innerHTML = '';
+        this.playArea.classList.remove(...POWER_UP_STATES);
+        analyticsScreen.hide();
+        this.renderer.mount();
+
+        const areaRect = this.playArea.getBoundingClientRect();
+        this.sim = new GameSimulation({
+            seed, width: areaRect.width, height: areaRect.height, movement: true, ...simOptions
+        });
+        this.bindSimulation(this.sim);
+        this.analytics = new RunAnalytics(this.sim);
+        this.simUnsubscribers.push(() => this.analytics.detach());
+
+        // Start recording the run for server-side verification (before any boosts).
+        // Practice runs are never recorded or uploaded.
+        if (this.isPracticeMode) {
+            replayRecorder.reset();
+        } else {
+            replayRecorder.start(this.sim);
+        }
 
         // Update display
         this.scoreEl.textContent = '0';
-        this.timerEl.textContent = '60';
+        this.timerEl.textContent = this.sim.isUntimed ? this.formatSurvivalTime(0) : this.timeLeft;
         this.timerEl.classList.remove('timer-warning');
+        this.timerLabel.textContent = this.sim.isSurvival ? 'SURVIVED' : 'TIME';
+        this.livesDisplay.classList.toggle('hidden', !this.sim.isSurvival);
+        this.livesDisplay.classList.remove('life-lost');
+        this.livesEl.textContent = SURVIVAL_LIVES;
         this.hideCombo();
         this.hideMultiplier();
     }
 
-    startTimers() {
-        // Game timer (countdown)
-        this.gameTimer = setInterval(() => {
-            this.timeLeft--;
-            this.timerEl.textContent = this.timeLeft;
-
-            // Warning when time is low
-            if (this.timeLeft <= 10) {
-                this.timerEl.classList.add('timer-warning');
+    // Render simulation events to the DOM
+    bindSimulation(sim) {
+        this.simUnsubscribers = [
+            sim.on('spawn', (insect) => this.renderer.addInsect(insect)),
+            sim.on('timer', (timeLeft) => this.updateTimer(timeLeft)),
+            sim.on('survived', (seconds) => {
+                this.timerEl.textContent = this.formatSurvivalTime(seconds);
+            }),
+            sim.on('life', ({ lives }) => {
+                this.updateLives(lives);
+                soundManager.playBuzz();
+            }),
+            sim.on('score', (score) => {
+                this.scoreEl.textContent = score;
+            }),
+            sim.on('multiplier', () => this.showMultiplier()),
+            sim.on('comboReset', () => this.hideCombo()),
+            sim.on('swarm', (level) => {
+                this.showSwarmWarning(level);
                 soundManager.playWarning();
-            }
-
-            if (this.timeLeft <= 0) {
+            }),
+            sim.on('kill', (event) => this.onMosquitoKilled(event)),
+            sim.on('miss', ({ x, y, penalty }) => {
+                if (!penalty) return;
+                this.renderer.showMiss(x, y, `MISS ${penalty}`);
+                soundManager.playBuzz();
+            }),
+            sim.on('crack', (insect) => {
+                this.renderer.crackInsect(insect);
+                soundManager.playSplat();
+            }),
+            sim.on('blink', (insect) => {
+                this.renderer.setBlinking(insect, true);
+                soundManager.playSplat(); // Quick feedback
+            }),
+            sim.on('blinkLand', (insect) => this.renderer.setBlinking(insect, false)),
+            sim.on('hazardHit', (event) => this.onHazardHit(event)),
+            sim.on('immunityBlock', (insect) => this.renderer.blockHazard(insect)),
+            sim.on('healerBuff', (insect) => {
+                this.renderer.setHealing(insect);
+                this.showSwarmWarning('HEALER BUFF! +20% SPEED');
+            }),
+            sim.on('bossSpawn', (boss) => {
+                this.showBossBar(boss);
+                this.showBossWarning('👑 BOSS INCOMING! 👑');
+                soundManager.playWarning();
+            }),
+            sim.on('bossHit', (event) => this.onBossHit(event)),
+            sim.on('bossPhase', ({ insect, phase }) => {
+                this.renderer.setBossPhase(insect, phase);
+                this.showBossWarning(phase > 1 ? '💢 BOSS FRENZY! 💢' : '💢 BOSS ENRAGED! 💢');
+            }),
+            sim.on('bossDefeated', (event) => this.onBossDefeated(event)),
+            sim.on('powerUp', (event) => this.onPowerUp(event)),
+            sim.on('powerUpEnd', (effect) => {
+                this.playArea.classList.remove(`powerup-${effect}`);
+                soundManager.playPowerDown();
+            }),
+            sim.on('powerUpMissed', (insect) => this.renderer.removeInsect(insect)),
+            sim.on('avoid', ({ insect, bonus }) => this.renderer.avoidHazard(insect, bonus)),
+            sim.on('escape', (insect) => this.renderer.removeInsect(insect)),
+            sim.on('end', () => {
                 if (this.isVersusMode) {
                     this.endVersusGame();
+                } else if (this.isPracticeMode) {
+                    this.endPracticeGame();
                 } else {
                     this.endGame();
                 }
-            }
-        }, 1000);
-
-        // Spawn timer (difficulty increases over time)
-        this.scheduleNextSpawn();
-
-        // Schedule swarm events (2-3 random times during game)
-        this.scheduleSwarmEvents();
+            })
+        ];
     }
 
-    scheduleNextSpawn() {
-        if (!this.isRunning) return;
+    // One animation loop drives the simulation and draws every insect
+    startFrameLoop() {
+        this.stopFrameLoop();
+        this.lastFrameTime = performance.now();
 
-        // Calculate spawn rate based on elapsed time
-        const elapsed = 60 - this.timeLeft;
-        const difficultyFactor = Math.min(elapsed / 60, 1);
-        const spawnRate = this.baseSpawnRate - (this.baseSpawnRate - this.minSpawnRate) * difficultyFactor;
-        const jitter = 240 - 140 * difficultyFactor;
-
-        this.spawnInterval = setTimeout(() => {
-            this.spawnMosquito();
-            const extraSpawnChance = 0.08 + difficultyFactor * 0.27;
-            if (Math.random() < extraSpawnChance) {
-                const extraDelay = 80 + Math.random() * 160;
-                setTimeout(() => {
-                    if (this.isRunning) {
-                        this.spawnMosquito();
-                    }
-                }, extraDelay);
-            }
-            this.scheduleNextSpawn();
-        }, spawnRate + Math.random() * jitter);
+        const frame = (now) => {
+            if (!this.isRunning) return;
+            this.sim.tick(now - this.lastFrameTime);
+            this.lastFrameTime = now;
+            // The run may have ended during this tick
+            if (!this.isRunning) return;
+            this.renderer.render(this.sim, now);
+            this.frameRequest = requestAnimationFrame(frame);
+        };
+        this.frameRequest = requestAnimationFrame(frame);
     }
 
-    // ============ SWARM EVENT SYSTEM ============
-
-    scheduleSwarmEvents() {
-        // Schedule 3 swarm events at fixed times with progressive difficulty
-        const swarmTimes = [
-            { time: 12, level: 1 },  // Early game: smaller swarm
-            { time: 28, level: 2 },  // Mid game: medium swarm
-            { time: 45, level: 3 },  // Late game: large swarm
-        ];
-
-        for (const swarm of swarmTimes) {
-            const delay = (swarm.time + Math.random() * 3) * 1000;
-            const timeout = setTimeout(() => this.triggerSwarm(swarm.level), delay);
-            this.swarmTimeouts.push(timeout);
+    stopFrameLoop() {
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
         }
     }
 
-    triggerSwarm(level = 1) {
-        if (!this.isRunning) return;
+    updateTimer(timeLeft) {
+        this.timerEl.textContent = timeLeft;
 
-        this.isSwarmActive = true;
-        this.currentSwarmLevel = level;
-        this.showSwarmWarning(level);
-        soundManager.playWarning();
-
-        // Progressive spawn count based on level
-        const spawnCounts = { 1: 7, 2: 12, 3: 18 };
-        const count = spawnCounts[level] + Math.floor(Math.random() * 3);
-        const spawnInterval = Math.max(70, 110 - level * 10);
-
-        for (let i = 0; i < count; i++) {
-            setTimeout(() => {
-                if (this.isRunning) {
-                    this.spawnMosquito(true, level);
-                }
-            }, i * spawnInterval);
+        // Warning when time is low
+        if (this.isRunning && timeLeft <= 10) {
+            this.timerEl.classList.add('timer-warning');
+            soundManager.playWarning();
         }
-
-        // End swarm after 4 seconds
-        setTimeout(() => {
-            this.isSwarmActive = false;
-        }, 4000);
     }
 
+    // ============ SWARM EVENT SYSTEM ============
+
     showSwarmWarning(level = 1) {
         const warning = document.createElement('div');
-        warning.className = `swarm-warning level-${level}`;
+        warning.className = `swarm-warning level-${level > 3 ? 3 : level}`;
 
         const labels = {
             1: '⚠️ SWARM! ⚠️',
             2: '⚠️ BIG SWARM! ⚠️',
             3: '💀 MEGA SWARM! 💀'
         };
-        warning.innerHTML = labels[level] || labels[1];
+        // Survival swarms keep escalating past level 3
+        warning.innerHTML = labels[level] || (level > 3 ? `💀 WAVE ${level}! 💀` : labels[1]);
         this.playArea.appendChild(warning);
 
         // Flash play area border
@@ -1814,367 +2370,367 @@ class Game {
         }, 2000);
     }
 
-    // ============ SPAWN MOSQUITO (with hazard support) ============
-
-    spawnMosquito(isSwarm = false, swarmLevel = 1) {
-        if (!this.isRunning) return;
-
-        const elapsed = 60 - this.timeLeft;
-        const difficultyFactor = Math.min(elapsed / 60, 1);
+    // ============ BOSS ENCOUNTER ============
 
-        // Determine insect type with progressive hazard chance
-        let type = 'normal';
-        const skullBiasBase = isSwarm ? 0.35 : 0.25;
-        const skullBias = Math.min(0.6, skullBiasBase + difficultyFactor * 0.2);
-        if (isSwarm) {
-            // Hazard chance increases with swarm level and game time
-            const hazardChance = Math.min(0.5, 0.14 + (swarmLevel * 0.08) + difficultyFactor * 0.06);
-            if (Math.random() < hazardChance) {
-                type = Math.random() < skullBias ? 'skull' : 'bee';
-            }
-        } else {
-            const hazardChance = 0.03 + difficultyFactor * 0.09;
-            if (Math.random() < hazardChance) {
-                type = Math.random() < skullBias ? 'skull' : 'bee';
-            }
+    showBossWarning(text) {
+        const warning = document.createElement('div');
+        warning.className = 'swarm-warning boss-warning';
+        warning.textContent = text;
+        this.playArea.appendChild(warning);
+        setTimeout(() => warning.remove(), 2000);
+    }
+
+    showBossBar(boss) {
+        let bar = document.getElementById('boss-bar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'boss-bar';
+            bar.className = 'boss-bar';
+            bar.innerHTML = `
+                <span class="boss-bar-label">👑 BOSS</span>
+                <div class="boss-bar-track"><div class="boss-bar-fill"></div></div>
+            `;
+            this.playArea.appendChild(bar);
         }
+        bar.classList.remove('hidden');
+        this.updateBossBar(boss);
+    }
 
-        // Elite mosquito spawns (only if not already a hazard)
-        if (type === 'normal') {
-            const roll = Math.random();
-            if (elapsed >= 15 && roll < 0.08) {
-                type = 'blink';      // 8% after 15s
-            } else if (elapsed >= 20 && roll < 0.13) {
-                type = 'armored';    // 5% after 20s (0.08 + 0.05)
-            } else if (elapsed >= 30 && roll < 0.16) {
-                type = 'healer';     // 3% after 30s (0.13 + 0.03)
-            }
+    updateBossBar(boss) {
+        const fill = document.querySelector('#boss-bar .boss-bar-fill');
+        if (fill) {
+            fill.style.width = `${(boss.hp / boss.maxHp) * 100}%`;
         }
+    }
 
-        const mosquito = document.createElement('div');
-        mosquito.className = `mosquito mosquito-${type}`;
-        mosquito.dataset.type = type;
-
-        // Random position
-        const areaRect = this.playArea.getBoundingClientRect();
-        const maxX = areaRect.width - 48;
-        const maxY = areaRect.height - 48;
-
-        // Start from edges (random side)
-        const side = Math.floor(Math.random() * 4);
-        let startX, startY, endX, endY;
-
-        switch (side) {
-            case 0: // Top
-                startX = Math.random() * maxX;
-                startY = -48;
-                endX = Math.random() * maxX;
-                endY = maxY + 48;
-                break;
-            case 1: // Right
-                startX = maxX + 48;
-                startY = Math.random() * maxY;
-                endX = -48;
-                endY = Math.random() * maxY;
-                break;
-            case 2: // Bottom
-                startX = Math.random() * maxX;
-                startY = maxY + 48;
-                endX = Math.random() * maxX;
-                endY = -48;
-                break;
-            case 3: // Left
-                startX = -48;
-                startY = Math.random() * maxY;
-                endX = maxX + 48;
-                endY = Math.random() * maxY;
-                break;
-        }
-
-        mosquito.style.left = `${startX}px`;
-        mosquito.style.top = `${startY}px`;
-
-        // Calculate speed based on difficulty (swarms and hazards are faster)
-        const speedRange = this.mosquitoSpeed.max - this.mosquitoSpeed.min;
-        const speedFactor = 0.2 + difficultyFactor * 0.55;
-        let duration = this.mosquitoSpeed.max - speedRange * speedFactor;
-        if (isSwarm) {
-            duration *= 0.92;
-        }
-        if (type !== 'normal') {
-            duration *= 0.82;
-        }
-        const actualDuration = duration + Math.random() * 900;
-
-        // Animate movement
-        const startTime = Date.now();
-        const mosquitoData = {
-            element: mosquito,
-            startX, startY, endX, endY,
-            duration: actualDuration,
-            startTime,
-            tapped: false,
-            type: type,
-            // Elite mosquito state
-            cracked: false,       // For armored: true after first tap
-            blinked: false,       // For blink: true after teleport
-            healerSpawnTime: type === 'healer' ? Date.now() : null,
-            hasHealed: false      // For healer: true after buffing
-        };
-
-        this.mosquitoes.push(mosquitoData);
+    hideBossBar() {
+        document.getElementById('boss-bar')?.classList.add('hidden');
+    }
 
-        // Click handler
-        mosquito.addEventListener('click', (e) => this.tapMosquito(e, mosquitoData));
-        mosquito.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.tapMosquito(e, mosquitoData);
-        }, { passive: false });
+    onBossHit({ insect, points, multiplier, combo }) {
+        this.renderer.hitBoss(insect, points, multiplier > 1);
+        this.updateBossBar(insect);
 
-        this.playArea.appendChild(mosquito);
+        soundManager.playSplat();
+        if (combo >= 2) {
+            soundManager.playCombo(combo);
+            this.showCombo(combo);
+        }
+    }
 
-        // Animate
-        this.animateMosquito(mosquitoData);
+    onBossDefeated({ insect, points, bonus, multiplier, combo }) {
+        this.hideBossBar();
+        this.onMosquitoKilled({ insect, points, multiplier, combo });
+        this.showBossWarning(`👑 BOSS DOWN! +${bonus} 👑`);
     }
 
-    animateMosquito(data) {
-        if (!this.isRunning || data.tapped) {
-            return;
-        }
+    // Game over stat: defeated, hits landed, or not reached
+    formatBossResult(sim) {
+        if (sim.bossesDefeated > 0) return 'DOWN';
+        if (sim.bossSpawned) return `${sim.bossDamage}/${sim.definitions.boss.hp}`;
+        return '-';
+    }
 
-        const elapsed = Date.now() - data.startTime;
-        const progress = Math.min(elapsed / data.duration, 1);
+    // ============ POWER-UPS ============
 
-        // Healer mosquito activates after 3 seconds if not killed
-        if (data.type === 'healer' && !data.hasHealed && data.healerSpawnTime) {
-            const healerAlive = Date.now() - data.healerSpawnTime;
-            if (healerAlive >= 3000) {
-                data.hasHealed = true;
-                data.element.classList.add('healing');
-                this.activateHealerBuff();
-            }
-        }
+    onPowerUp({ insect, effect }) {
+        const { emoji } = getInsectDef(insect.type, this.sim.definitions);
+        this.renderer.collectPowerUp(insect, `${emoji} ${POWER_UP_LABELS[effect] || 'POWER-UP!'}`);
+        soundManager.playPowerUp(effect);
 
-        if (progress >= 1) {
-            // Mosquito escaped
-            this.mosquitoEscaped(data);
-            return;
+        if (effect === 'bomb') {
+            // Restart the flash if two bombs land close together
+            this.playArea.classList.remove('bomb-flash');
+            void this.playArea.offsetWidth;
+            this.playArea.classList.add('bomb-flash');
+        } else {
+            this.playArea.classList.add(`powerup-${effect}`);
         }
-
-        // Update position with easing
-        const easeProgress = this.easeInOut(progress);
-        const x = data.startX + (data.endX - data.startX) * easeProgress;
-        const y = data.startY + (data.endY - data.startY) * easeProgress;
-
-        data.element.style.left = `${x}px`;
-        data.element.style.top = `${y}px`;
-
-        requestAnimationFrame(() => this.animateMosquito(data));
     }
 
-    easeInOut(t) {
-        return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    // Game over stat: pickups per type, e.g. "❄️1 🧲2"
+    showPowerUpStat() {
+        const collected = Object.entries(this.sim?.powerUpsCollected || {});
+        this.powerUpStat.classList.toggle('hidden', !this.sim?.powerUpsEnabled);
+        this.powerUpsCollectedEl.textContent = collected.length
+            ? collected.map(([type, count]) => `${getInsectDef(type, this.sim.definitions).emoji}${count}`).join(' ')
+            : '0';
     }
 
-    tapMosquito(e, data) {
-        if (data.tapped || !this.isRunning) return;
+    // Game over stats: accuracy, reaction times and the per-insect breakdown, e.g. "🦟 0.62s  🛡️ 0.91s"
+    showAccuracyStats() {
+        const accuracy = this.sim.getAccuracy();
+        const reactions = this.sim.getReactionStats();
+        this.accuracyEl.textContent = accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`;
+        this.avgReactionEl.textContent = this.formatReaction(reactions.average);
+        this.bestReactionEl.textContent = this.formatReaction(reactions.best);
+        this.reactionBreakdownEl.textContent = Object.entries(reactions.byType)
+            .sort(([, a], [, b]) => b.count - a.count)
+            .map(([type, entry]) => `${getInsectDef(type, this.sim.definitions).emoji} ${this.formatReaction(entry.average)}`)
+            .join('  ');
+    }
 
-        const type = data.type || 'normal';
+    formatReaction(ms) {
+        return ms === null ? '-' : `${(ms / 1000).toFixed(2)}s`;
+    }
 
-        // Handle hazard taps (bee or skull)
-        if (type === 'bee' || type === 'skull') {
-            data.tapped = true;
-            const penalty = type === 'skull' ? -100 : -50;
-            this.handleHazardTap(data, penalty);
-            return;
-        }
+    // ============ DAILY MISSIONS ============
 
-        // Handle Blink mosquito - teleports on first tap
-        if (type === 'blink' && !data.blinked) {
-            data.blinked = true;
-            data.element.classList.add('blinking');
-            soundManager.playSplat(); // Quick feedback
+    async showMissions() {
+        this.missionsModal.classList.remove('hidden');
+        this.renderMissions();
+        await this.refreshMissions();
+    }
 
-            // Teleport to random position
-            const areaRect = this.playArea.getBoundingClientRect();
-            const newX = Math.random() * (areaRect.width - 64);
-            const newY = Math.random() * (areaRect.height - 64);
+    // Missions are per fid; the dot on the button flags unclaimed rewards
+    async refreshMissions() {
+        const fid = await this.ensureFarcasterContext();
+        this.missionsFid = fid;
+        if (fid) await missionManager.fetch(fid);
+        this.missionsDot.classList.toggle('hidden', !missionManager.hasUnclaimed());
+        this.renderMissions();
+    }
+
+    renderMissions() {
+        const { missions } = missionManager;
+        this.missionsEmpty.classList.toggle('hidden', !!this.missionsFid || missions.length > 0);
+        this.missionsList.innerHTML = '';
+        for (const mission of missions) {
+            const row = document.createElement('div');
+            row.className = `mission-row${mission.completedAt ? ' complete' : ''}${mission.claimedAt ? ' claimed' : ''}`;
+            row.innerHTML = `
+                <span class="mission-title">${mission.claimedAt ? '✅ ' : ''}${mission.title}</span>
+                <div class="mission-progress">
+                    <div class="profile-xp-track"><div class="profile-xp-fill" style="width: ${mission.progress / mission.target * 100}%"></div></div>
+                    <span class="mission-count">${mission.progress}/${mission.target}</span>
+                </div>
+                <div class="mission-reward">
+                    <span>REWARD: ${mission.rewardLabel}</span>
+                </div>
+            `;
 
-            setTimeout(() => {
-                if (!data.element.parentNode) return;
-                data.element.style.left = `${newX}px`;
-                data.element.style.top = `${newY}px`;
-                data.startX = newX;
-                data.startY = newY;
-                data.element.classList.remove('blinking');
-            }, 150);
-            return; // Don't kill yet
-        }
-
-        // Handle Armored mosquito - requires 2 taps
-        if (type === 'armored' && !data.cracked) {
-            data.cracked = true;
-            data.element.classList.add('cracked');
-            soundManager.playSplat();
-            this.showScorePopup(data.element, 'CRACK!', false);
-            return; // Don't kill yet, wait for second tap
-        }
-
-        // Now the mosquito is killed
-        data.tapped = true;
-
-        // Normal mosquito tap
-        this.tappedCount++;
-        this.consecutiveTaps++;
-
-        // Update combo multiplier based on consecutive taps
-        this.updateComboMultiplier();
-
-        // Calculate combo for visual effects
-        const now = Date.now();
-        if (now - this.lastTapTime < 800) {
-            this.currentCombo++;
-            if (this.currentCombo > this.bestCombo) {
-                this.bestCombo = this.currentCombo;
+            if (mission.completedAt && !mission.claimedAt) {
+                const claimBtn = document.createElement('button');
+                claimBtn.className = 'pixel-btn mission-claim-btn';
+                claimBtn.textContent = 'CLAIM';
+                claimBtn.addEventListener('click', () => this.claimMission(mission.id, claimBtn));
+                row.querySelector('.mission-reward').appendChild(claimBtn);
             }
-        } else {
-            this.currentCombo = 1;
+            this.missionsList.appendChild(row);
         }
-        this.lastTapTime = now;
+    }
 
-        // Calculate score with new multiplier system
-        // Elite bonus: Armored +25, Healer +30/+10, Blink +20, Normal +10
-        let basePoints = 10;
-        if (type === 'armored') {
-            basePoints = 25;
-        } else if (type === 'healer') {
-            basePoints = data.hasHealed ? 10 : 30; // Less points if healer already buffed
-        } else if (type === 'blink') {
-            basePoints = 20;
+    async claimMission(missionId, button) {
+        button.disabled = true;
+        const boost = await missionManager.claim(this.missionsFid, missionId);
+        if (!boost) {
+            await this.refreshMissions();
+            return;
         }
-        const points = basePoints * this.comboMultiplier;
-
-        this.score += points;
-        this.scoreEl.textContent = this.score;
+        this.missionsDot.classList.toggle('hidden', !missionManager.hasUnclaimed());
+        this.renderMissions();
+    }
 
-        // Show effects
-        this.showSplatEffect(data.element);
-        this.showScorePopup(data.element, points, this.comboMultiplier > 1);
+    // ============ PLAYER PROFILE ============
 
-        // Play sounds
-        soundManager.playSplat();
-        if (this.currentCombo >= 2) {
-            soundManager.playCombo(this.currentCombo);
+    async showProfile() {
+        this.profileModal.classList.remove('hidden');
+        this.renderProfile(playerProfile.getProfile());
+        const profile = await playerProfile.fetch({
+            fid: this.fid || this.authenticatedFid,
+            walletAddress: this.walletAddress
+        });
+        this.renderProfile(profile);
+        this.renderStreak(profile);
+    }
+
+    renderProfile(profile) {
+        this.profileEmptyEl.classList.toggle('hidden', !!profile);
+        if (!profile) {
+            this.profileNameEl.textContent = this.username || 'Player';
+            this.profileLevelEl.textContent = 'LV 1';
+            this.profileXpFill.style.width = '0%';
+            this.profileXpEl.textContent = '';
+            this.profileKillsEl.textContent = '-';
+            this.renderBadges(null);
+            return;
         }
 
-        if (this.currentCombo >= 2) {
-            this.showCombo(this.currentCombo);
+        const wallet = profile.wallet_address;
+        const { level, xpIntoLevel, xpForNext } = profile.progress;
+        this.profileNameEl.textContent = profile.username
+            || (wallet ? `${wallet.slice(0, 6)}...${wallet.slice(-4)}` : `FID ${profile.fid}`);
+        this.profileLevelEl.textContent = `LV ${level}`;
+        this.profileXpFill.style.width = `${xpIntoLevel / xpForNext * 100}%`;
+        this.profileXpEl.textContent = `${xpIntoLevel} / ${xpForNext} XP`;
+        this.profileGamesEl.textContent = profile.games_played;
+        this.profileVersusEl.textContent = profile.versus_games;
+        this.profileComboEl.textContent = `x${profile.best_combo || 1}`;
+        this.profileAvoidedEl.textContent = profile.hazards_avoided;
+        this.profileBestClassicEl.textContent = profile.best_scores?.classic || 0;
+        this.profileBestSurvivalEl.textContent = profile.best_scores?.survival || 0;
+        this.profileKillsEl.textContent = Object.entries(profile.kills || {})
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, count]) => `${getInsectDef(type).emoji} ${count}`)
+            .join('  ') || '-';
+        this.renderBadges(profile);
+    }
+
+    // Badge gallery: locked badges are dimmed and show lifetime progress where there is some
+    renderBadges(profile) {
+        const unlocked = profile?.badges || {};
+        this.profileBadgeCountEl.textContent = `${Object.keys(unlocked).length}/${BADGES.length}`;
+        this.profileBadgesEl.innerHTML = '';
+        for (const badge of BADGES) {
+            const unlockedAt = unlocked[badge.id];
+            const progress = unlockedAt ? null : getBadgeProgress(badge, profile);
+            const tile = document.createElement('div');
+            tile.className = `badge-tile${unlockedAt ? ' unlocked' : ''}`;
+            tile.title = unlockedAt
+                ? `${badge.description} - unlocked ${new Date(unlockedAt).toLocaleDateString()}`
+                : badge.description;
+            tile.innerHTML = `
+                <span class="badge-emoji">${unlockedAt ? badge.emoji : '🔒'}</span>
+                <span class="badge-name">${badge.name}</span>
+                <span class="badge-detail">${progress ? `${progress.value}/${progress.target}` : badge.description}</span>
+            `;
+            this.profileBadgesEl.appendChild(tile);
         }
+    }
 
-        // Show multiplier badge
-        this.showMultiplier();
-
-        // Animate squash
-        data.element.classList.add('tapped');
-
-        // Remove after animation
-        setTimeout(() => {
-            if (data.element.parentNode) {
-                data.element.remove();
-            }
-            this.removeMosquitoData(data);
-        }, 300);
+    // Tap a toast to share the badge
+    showBadgeToast(badge) {
+        this.showUnlockToast(badge.emoji, 'BADGE UNLOCKED!', badge.name, () => shareManager.shareBadgeUnlock(badge));
+    }
 
-        // Reset combo timeout
-        clearTimeout(this.comboTimeout);
-        this.comboTimeout = setTimeout(() => {
-            this.hideCombo();
-            this.currentCombo = 0;
-        }, 1500);
+    showUnlockToast(emoji, title, name, onClick) {
+        const toast = document.createElement('button');
+        toast.className = 'badge-toast';
+        toast.innerHTML = `
+            <span class="badge-toast-emoji">${emoji}</span>
+            <span class="badge-toast-text">
+                <span class="badge-toast-title">${title}</span>
+                <span class="badge-toast-name">${name}</span>
+            </span>
+        `;
+        toast.addEventListener('click', () => {
+            toast.remove();
+            onClick?.();
+        });
+        this.badgeToasts.appendChild(toast);
+        setTimeout(() => toast.remove(), 5000);
     }
 
-    handleHazardTap(data, penalty) {
-        // Check for hazard immunity from share boost
-        if (this.hazardImmunity && this.hazardImmunity > 0) {
-            this.hazardImmunity--;
-            this.showImmunityBlock(data.element);
+    async refreshStreak() {
+        const profile = await playerProfile.fetch({
+            fid: this.fid || this.authenticatedFid,
+            walletAddress: this.walletAddress
+        });
+        this.renderStreak(profile);
+    }
 
-            // Remove hazard without penalty
-            data.element.classList.add('blocked');
-            setTimeout(() => {
-                if (data.element.parentNode) {
-                    data.element.remove();
-                }
-                this.removeMosquitoData(data);
-            }, 300);
-            return;
-        }
+    // Start screen streak chip, e.g. "🔥 5-DAY STREAK" / "Play today to keep it!"
+    renderStreak(profile) {
+        const streak = profile?.streak;
+        this.streakChip.classList.toggle('hidden', !streak);
+        if (!streak) return;
 
-        // Apply penalty (no immunity)
-        this.score = Math.max(0, this.score + penalty);
-        this.scoreEl.textContent = this.score;
+        this.streakChip.classList.toggle('at-risk', streak.status === 'at-risk' || streak.status === 'saver');
+        this.streakDaysEl.textContent = streak.days > 0 ? `🔥 ${streak.days}-DAY STREAK` : '🔥 START A STREAK';
 
-        // Reset combo multiplier
-        this.consecutiveTaps = 0;
-        this.comboMultiplier = 1;
-        this.currentCombo = 0;
-        this.hideCombo();
-        this.hideMultiplier();
+        const notes = {
+            'at-risk': 'Play today to keep it!',
+            saver: '🛡️ Your streak saver will cover yesterday - play today!',
+            played: streak.nextMilestone
+                ? `Next reward at ${streak.nextMilestone.days} days (+${streak.nextMilestone.xp} XP)`
+                : `Best: ${streak.best} days`
+        };
+        const note = notes[streak.status] ?? 'Play every day for bonus XP';
+        this.streakNoteEl.textContent = streak.saverAvailable && streak.status !== 'saver'
+            ? `${note} • 🛡️ Saver ready`
+            : note;
 
-        // Show penalty effect
-        this.showPenaltyEffect(data.element, penalty);
+        // Streak days keep the zone they started in; a fid can move them to this device's zone
+        const deviceZone = getDeviceTimeZone();
+        const canMove = Boolean(profile.fid && profile.time_zone) && profile.time_zone !== deviceZone;
+        this.streakZoneBtn.classList.toggle('hidden', !canMove);
+        if (canMove) {
+            this.streakZoneBtn.textContent = `DAYS END IN ${profile.time_zone} • USE ${deviceZone}`;
+        }
+    }
 
-        // Play buzz sound
-        soundManager.playWarning();
+    async moveStreakTimeZone() {
+        this.streakZoneBtn.disabled = true;
+        const profile = await playerProfile.setTimeZone(getDeviceTimeZone());
+        this.streakZoneBtn.disabled = false;
+        if (profile) this.renderStreak(profile);
+    }
 
-        // Animate shake and remove
-        data.element.classList.add('hazard-tapped');
-        setTimeout(() => {
-            if (data.element.parentNode) {
-                data.element.remove();
-            }
-            this.removeMosquitoData(data);
-        }, 300);
+    // Verified runs feed the lifetime profile; the XP line only lives on the solo game over screen
+    async creditProfile(replayId, versus) {
+        const result = await playerProfile.recordRun({
+            replayId,
+            username: this.username
+        });
+        if (!result) return;
+        this.renderStreak(result.profile);
+        if (result.streak?.event === 'saved') {
+            this.showUnlockToast('🛡️', 'STREAK SAVED!', 'GamePass saver covered a missed day');
+        }
+        if (result.streak?.milestone) {
+            this.showUnlockToast('🔥', `${result.streak.days}-DAY STREAK!`, `+${result.streak.milestone.xp} XP bonus`);
+        }
+        result.newBadges.map(getBadge).filter(Boolean).forEach(badge => this.showBadgeToast(badge));
+        for (const mission of result.missionsCompleted) {
+            this.showUnlockToast('📋', 'MISSION COMPLETE!', mission.title, () => this.showMissions());
+        }
+        if (result.missionsCompleted.length) this.refreshMissions();
+        if (versus) return;
+        this.xpGainedEl.textContent = result.levelUp
+            ? `+${result.xpGained} XP • LEVEL ${result.profile.progress.level}!`
+            : `+${result.xpGained} XP`;
+        this.xpGainedEl.classList.remove('hidden');
     }
 
-    showImmunityBlock(element) {
-        const popup = document.createElement('div');
-        popup.className = 'score-popup immunity';
-        popup.textContent = '🛡️ BLOCKED!';
+    getPowerUpCount() {
+        return Object.values(this.sim?.powerUpsCollected || {}).reduce((sum, count) => sum + count, 0);
+    }
 
-        const rect = element.getBoundingClientRect();
-        const areaRect = this.playArea.getBoundingClientRect();
+    // ============ MOSQUITO RENDERING (with hazard support) ============
 
-        popup.style.left = `${rect.left - areaRect.left + rect.width / 2}px`;
-        popup.style.top = `${rect.top - areaRect.top}px`;
+    // Canvas by default; `?renderer=dom` or a missing 2D context falls back to DOM nodes
+    createRenderer() {
+        const requested = new URLSearchParams(window.location.search).get('renderer');
+        if (requested !== 'dom' && isCanvasSupported()) {
+            return new CanvasRenderer(this.playArea);
+        }
+        return new DomRenderer(this.playArea);
+    }
 
-        this.playArea.appendChild(popup);
-        setTimeout(() => popup.remove(), 800);
+    tapMosquito(x, y, insectId) {
+        if (!this.isRunning || this.isPaused) return;
+        this.sim.tap(x, y, insectId);
     }
 
-    updateComboMultiplier() {
-        if (this.consecutiveTaps >= 10) {
-            this.comboMultiplier = 3;
-        } else if (this.consecutiveTaps >= 5) {
-            this.comboMultiplier = 2;
-        } else {
-            this.comboMultiplier = 1;
+    onMosquitoKilled({ insect, points, multiplier, combo }) {
+        this.renderer.killInsect(insect, points, multiplier > 1);
+
+        // Play sounds
+        soundManager.playSplat();
+        if (combo >= 2) {
+            soundManager.playCombo(combo);
+            this.showCombo(combo);
         }
     }
 
-    showPenaltyEffect(element, penalty) {
-        const popup = document.createElement('div');
-        popup.className = 'score-popup penalty';
-        popup.textContent = `${penalty}`;
-
-        const rect = element.getBoundingClientRect();
-        const areaRect = this.playArea.getBoundingClientRect();
+    onHazardHit({ insect, penalty }) {
+        this.hideCombo();
 
-        popup.style.left = `${rect.left - areaRect.left + rect.width / 2}px`;
-        popup.style.top = `${rect.top - areaRect.top}px`;
+        // Show penalty effect, shake and remove
+        this.renderer.hazardHit(insect, penalty);
 
-        this.playArea.appendChild(popup);
-        setTimeout(() => popup.remove(), 800);
+        // Play buzz sound
+        soundManager.playWarning();
     }
 
     showMultiplier() {
@@ -2202,110 +2758,6 @@ class Game {
         }
     }
 
-    // Healer mosquito buff: increases speed of all active mosquitoes for 5s
-    activateHealerBuff() {
-        this.healerBuffActive = true;
-        this.healerBuffEndTime = Date.now() + 5000;
-
-        // Show warning
-        this.showSwarmWarning('HEALER BUFF! +20% SPEED');
-
-        // Increase speed of existing mosquitoes by reducing duration
-        this.mosquitoes.forEach(m => {
-            if (!m.tapped && m.type !== 'healer') {
-                m.duration *= 0.8; // 20% faster
-            }
-        });
-
-        // Clear buff after 5s
-        setTimeout(() => {
-            this.healerBuffActive = false;
-        }, 5000);
-    }
-
-    mosquitoEscaped(data) {
-        if (data.tapped) return;
-
-        const type = data.type || 'normal';
-
-        // Normal mosquito escape = penalty (reset multiplier)
-        if (type === 'normal') {
-            this.escapedCount++;
-
-            // Reset combo multiplier when you miss a normal mosquito
-            this.consecutiveTaps = 0;
-            this.comboMultiplier = 1;
-            this.hideMultiplier();
-        }
-        // Hazard escape = REWARD for resisting temptation!
-        else if (type === 'bee' || type === 'skull') {
-            const bonus = type === 'skull' ? 30 : 20;
-            this.score += bonus;
-            this.scoreEl.textContent = this.score;
-
-            // Show bonus popup
-            this.showAvoidanceBonus(data.element, bonus);
-        }
-
-        if (data.element.parentNode) {
-            data.element.remove();
-        }
-        this.removeMosquitoData(data);
-    }
-
-    showAvoidanceBonus(element, bonus) {
-        const popup = document.createElement('div');
-        popup.className = 'score-popup avoidance';
-        popup.textContent = `+${bonus} 🛡️`;
-
-        const rect = element.getBoundingClientRect();
-        const areaRect = this.playArea.getBoundingClientRect();
-
-        popup.style.left = `${rect.left - areaRect.left + rect.width / 2}px`;
-        popup.style.top = `${rect.top - areaRect.top}px`;
-
-        this.playArea.appendChild(popup);
-        setTimeout(() => popup.remove(), 800);
-    }
-
-    removeMosquitoData(data) {
-        const index = this.mosquitoes.indexOf(data);
-        if (index > -1) {
-            this.mosquitoes.splice(index, 1);
-        }
-    }
-
-    showSplatEffect(mosquitoEl) {
-        const splat = document.createElement('div');
-        splat.className = 'splat';
-
-        const rect = mosquitoEl.getBoundingClientRect();
-        const areaRect = this.playArea.getBoundingClientRect();
-
-        splat.style.left = `${rect.left - areaRect.left + rect.width / 2 - 30}px`;
-        splat.style.top = `${rect.top - areaRect.top + rect.height / 2 - 30}px`;
-
-        this.playArea.appendChild(splat);
-
-        setTimeout(() => splat.remove(), 400);
-    }
-
-    showScorePopup(mosquitoEl, points, isCombo) {
-        const popup = document.createElement('div');
-        popup.className = `score-popup${isCombo ? ' combo' : ''}`;
-        popup.textContent = `+${points}`;
-
-        const rect = mosquitoEl.getBoundingClientRect();
-        const areaRect = this.playArea.getBoundingClientRect();
-
-        popup.style.left = `${rect.left - areaRect.left + rect.width / 2}px`;
-        popup.style.top = `${rect.top - areaRect.top}px`;
-
-        this.playArea.appendChild(popup);
-
-        setTimeout(() => popup.remove(), 800);
-    }
-
     showCombo(combo) {
         this.comboText.textContent = `x${combo} COMBO!`;
         this.comboIndicator.classList.remove('hidden');
@@ -2318,41 +2770,61 @@ class Game {
     async endGame() {
         try {
             this.isRunning = false;
-
-            // Clear timers
-            clearInterval(this.gameTimer);
-            clearTimeout(this.spawnInterval);
-            clearTimeout(this.comboTimeout);
-
-            // Clear remaining mosquitoes
-            this.mosquitoes.forEach(data => {
-                if (data.element.parentNode) {
-                    data.element.remove();
-                }
-            });
-            this.mosquitoes = [];
+            this.stopFrameLoop();
+            this.pauseBtn.classList.add('hidden');
+            this.renderer.clear();
+            this.hideBossBar();
 
             // Play game over sound
             soundManager.playGameOver();
 
-            // Check high score
-            const isNewHighscore = this.score > this.highscore;
-            const previousBest = this.previousHighscore;
+            // Upload the replay - only server-verified scores can be minted
+            const verification = await replayRecorder.submit(replayRecorder.finish(this.score), {
+                walletAddress: this.walletAddress,
+                fid: this.fid || this.authenticatedFid,
+                boostClaimId: this.boostClaimId
+            });
+            this.xpGainedEl.classList.add('hidden');
+            if (verification?.valid) {
+                this.replayId = verification.replayId;
+                this.replayBoosted = verification.boosted;
+                this.verifiedScore = verification.verifiedScore;
+                this.creditProfile(verification.replayId, false);
+            }
+
+            // Check high score (survival has its own best); adaptive runs are unranked
+            const runMode = this.getRunMode();
+            const isRanked = !this.sim.adaptive;
+            const previousBest = this.highscores[runMode];
+            const isNewHighscore = isRanked && this.score > previousBest;
             if (isNewHighscore) {
-                this.previousHighscore = this.score;
-                this.highscore = this.score;
-                this.saveHighscore(this.score);
+                this.highscores[runMode] = this.score;
+                this.saveHighscore(this.score, runMode);
             }
 
-            // Add to leaderboard (async, with fallback)
+            // Daily runs go to the day's board only; everything else to the weekly board
             let rank = -1;
-            try {
-                rank = await leaderboard.addScore(this.score, this.walletAddress, this.username, {
-                    tapped: this.tappedCount,
-                    bestCombo: this.bestCombo,
-                });
-            } catch (error) {
-                console.error('Failed to save score to leaderboard:', error);
+            if (this.isDailyMode) {
+                rank = await this.submitDailyScore();
+            } else if (isRanked) {
+                try {
+                    const reactions = this.sim.getReactionStats();
+                    rank = await leaderboard.addScore(this.score, this.walletAddress, this.username, {
+                        tapped: this.tappedCount,
+                        bestCombo: this.bestCombo,
+                        bossKills: this.sim.bossesDefeated,
+                        powerUps: this.getPowerUpCount(),
+                        taps: this.sim.tapCount,
+                        misses: this.sim.missCount,
+                        avgReaction: reactions.average,
+                        bestReaction: reactions.best,
+                        replayId: verification?.valid ? verification.replayId : null,
+                        boosted: !!verification?.boosted,
+                        mode: runMode,
+                    });
+                } catch (error) {
+                    console.error('Failed to save score to leaderboard:', error);
+                }
             }
 
             // Get achievement tier
@@ -2363,13 +2835,39 @@ class Game {
             this.tappedCountEl.textContent = this.tappedCount;
             this.escapedCountEl.textContent = this.escapedCount;
             this.bestComboEl.textContent = `x${this.bestCombo || 1}`;
+            this.survivalStats.classList.toggle('hidden', !this.isSurvivalMode);
+            if (this.isSurvivalMode) {
+                this.timeSurvivedEl.textContent = this.formatSurvivalTime(this.sim.survived);
+                this.wavesClearedEl.textContent = this.sim.wavesCleared;
+            }
+            this.bossStat.classList.toggle('hidden', !this.sim.bossEnabled);
+            this.bossResultEl.textContent = this.formatBossResult(this.sim);
+            this.showPowerUpStat();
+            this.showAccuracyStats();
+            analyticsScreen.setRun(this.analytics.getSummary(), this.isDailyMode ? 'daily' : runMode);
 
             // Update achievement badge
+            this.achievementBadge.classList.remove('hidden');
+            this.shareBtn.classList.remove('hidden');
             this.achievementIcon.textContent = this.getAchievementIcon(achievement.tier);
             this.achievementName.textContent = achievement.name;
             this.achievementName.style.color = achievement.color;
             this.achievementBadge.style.borderColor = achievement.color;
 
+            if (this.isDailyMode) {
+                this.gameOverTitle.textContent = this.isDailyRanked ? 'DAILY DONE!' : 'DAILY PRACTICE';
+                this.rankLabel.textContent = 'DAILY RANK #';
+                this.leaderboardTitle.textContent = '📅 TODAY\'S DAILY';
+            } else if (this.isSurvivalMode) {
+                this.gameOverTitle.textContent = this.sim.lives > 0 ? 'TIME\'S UP!' : 'OUT OF LIVES!';
+                this.rankLabel.textContent = 'SURVIVAL RANK #';
+                this.leaderboardTitle.textContent = '❤️ SURVIVAL';
+            } else {
+                this.gameOverTitle.textContent = "TIME'S UP!";
+                this.rankLabel.textContent = 'RANK #';
+                this.leaderboardTitle.textContent = '🏆 LEADERBOARD';
+            }
+
             // Update rank display
             if (rank > 0) {
                 this.rankDisplay.classList.remove('hidden');
@@ -2383,6 +2881,7 @@ class Game {
             } else {
                 this.newHighscoreEl.classList.add('hidden');
             }
+            this.unrankedNote.classList.toggle('hidden', isRanked);
 
             // Update leaderboard display
             this.renderLeaderboard();
@@ -2431,8 +2930,35 @@ class Game {
         }
     }
 
+    // Rank today's run if it was the ranked attempt (score comes from the verified replay)
+    async submitDailyScore() {
+        if (!this.isDailyRanked) return -1;
+        if (!this.replayId) {
+            console.log('Daily run not ranked: replay was not verified');
+            return -1;
+        }
+
+        const result = await dailyChallenge.submit({
+            replayId: this.replayId,
+            walletAddress: this.walletAddress,
+            username: this.username,
+            day: this.dailyDay
+        });
+        await this.refreshDailyStatus();
+        return result?.rank ?? -1;
+    }
+
     // Prompt contextual share options based on achievements
     async promptContextualShares({ isFirstGame, isNewHighscore, previousBest, rank, achievement }) {
+        // Daily runs always share the daily result
+        this.pendingDailyShare = null;
+        if (this.isDailyMode) {
+            if (this.isDailyRanked) {
+                this.pendingDailyShare = { score: this.score, rank, day: this.dailyDay };
+            }
+            return;
+        }
+
         // Priority: First Game > New High Score > Leaderboard Rank
         if (isFirstGame && this.score > 0) {
             // Prompt first game share after a short delay
@@ -2485,13 +3011,30 @@ class Game {
     }
 
     renderLeaderboard() {
-        const entries = leaderboard.getAll();
-
-        // Render to Game Over leaderboard
-        this.renderLeaderboardList(this.leaderboardList, entries);
+        // Render to Game Over leaderboard (the board the last run counted towards)
+        const runBoard = this.isDailyMode ? 'daily' : this.isSurvivalMode ? 'survival' : 'weekly';
+        this.renderLeaderboardList(this.leaderboardList, this.getBoardEntries(runBoard));
 
         // Render to Homepage leaderboard
-        this.renderLeaderboardList(this.homeLeaderboardList, entries);
+        this.renderLeaderboardList(this.homeLeaderboardList, this.getBoardEntries(this.activeBoard));
+    }
+
+    getBoardEntries(board) {
+        if (board === 'daily') return dailyChallenge.getEntries();
+        return leaderboard.getAll(board === 'survival' ? 'survival' : 'classic');
+    }
+
+    showLeaderboardBoard(board) {
+        this.activeBoard = board;
+        this.leaderboardTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.board === board);
+        });
+        this.renderLeaderboard();
+        if (board === 'daily') {
+            this.refreshDailyStatus();
+        } else if (board === 'survival') {
+            leaderboard.fetchGlobal('survival').then(() => this.renderLeaderboard());
+        }
     }
 
     renderLeaderboardList(container, entries) {
@@ -2540,7 +3083,7 @@ class Game {
                 <div class="leaderboard-entry ${isCurrentPlayer ? 'current-player' : ''}">
                     <span class="leaderboard-rank ${rankClass}">#${index + 1}</span>
                     <span class="leaderboard-name ${clickableClass}" ${fidAttr}>${nameDisplay}</span>
-                    <span class="leaderboard-score">${entry.score}</span>
+                    <span class="leaderboard-score">${entry.score}${entry.boostedRuns ? '<span class="leaderboard-boosted" title="Includes boosted runs">🚀</span>' : ''}</span>
                 </div>
             `;
         }).join('');
@@ -2561,6 +3104,11 @@ class Game {
         const achievement = leaderboard.getAchievementTier(this.score);
 
         // Check for pending contextual shares
+        if (this.pendingDailyShare) {
+            await shareManager.shareDailyScore(this.pendingDailyShare);
+            return;
+        }
+
         if (this.pendingHighScoreShare) {
             await shareManager.shareNewHighScore(this.pendingHighScoreShare);
             this.pendingHighScoreShare = null;
@@ -2602,12 +3150,17 @@ Can you beat my score?`;
             return; // Already minting
         }
 
+        if (!this.replayId) {
+            alert('This score could not be verified, so it cannot be minted.');
+            return;
+        }
+
         try {
             this.isMinting = true;
             this.mintBtn.classList.add('loading');
             this.mintBtn.textContent = '⏳ MINTING...';
 
-            const tier = nftMinter.getBestTierForScore(this.score);
+            const tier = nftMinter.getBestTierForScore(this.verifiedScore);
             const tierInfo = nftMinter.getTierInfo(tier);
 
             // Attempt to mint with timeout guard
@@ -2616,7 +3169,7 @@ Can you beat my score?`;
                     reject(new Error('Minting timed out. Please try again.'));
                 }, 25000);
 
-                nftMinter.mintAchievement(tier, this.score)
+                nftMinter.mintAchievement(tier, this.verifiedScore, this.replayId)
                     .then((value) => {
                         clearTimeout(timeoutId);
                         resolve(value);
@@ -2709,23 +3262,78 @@ Can you beat my score?`;
             return;
         }
 
+        if (!this.replayId) {
+            this.mintBtn.classList.add('hidden');
+            window.dispatchEvent(new CustomEvent('game:mint-availability', {
+                detail: {
+                    score: this.score,
+                    tier: null,
+                    label: 'SCORE UNVERIFIED',
+                    canMint: false
+                }
+            }));
+            return;
+        }
+
+        if (this.isPracticeMode) {
+            this.mintBtn.classList.add('hidden');
+            window.dispatchEvent(new CustomEvent('game:mint-availability', {
+                detail: {
+                    score: this.score,
+                    tier: null,
+                    label: 'PRACTICE RUN',
+                    canMint: false
+                }
+            }));
+            return;
+        }
+
+        // Achievement tiers are tuned for the 60s classic run
+        if (this.isSurvivalMode) {
+            this.mintBtn.classList.add('hidden');
+            window.dispatchEvent(new CustomEvent('game:mint-availability', {
+                detail: {
+                    score: this.score,
+                    tier: null,
+                    label: 'CLASSIC RUNS ONLY',
+                    canMint: false
+                }
+            }));
+            return;
+        }
+
+        // Tiers are signed for the fixed curve without boosts (see api/sign-achievement.js)
+        if (this.sim?.adaptive || this.replayBoosted) {
+            this.mintBtn.classList.add('hidden');
+            window.dispatchEvent(new CustomEvent('game:mint-availability', {
+                detail: {
+                    score: this.score,
+                    tier: null,
+                    label: this.replayBoosted ? 'BOOSTED RUN' : 'ADAPTIVE RUN',
+                    canMint: false
+                }
+            }));
+            return;
+        }
+
         this.mintBtn.classList.remove('hidden');
         this.mintBtn.classList.remove('loading');
         this.mintBtn.classList.remove('success');
         this.mintBtn.disabled = false;
 
-        const bestTier = nftMinter.getBestTierForScore(this.score);
+        const bestTier = nftMinter.getBestTierForScore(this.verifiedScore);
         let tierToShow = bestTier;
 
         try {
-            const claimableTier = await nftMinter.getBestClaimableTier(this.walletAddress, this.score);
+            const claimableTier = await nftMinter.getBestClaimableTier(this.walletAddress, this.verifiedScore);
             if (claimableTier === null) {
                 const bestTierInfo = nftMinter.getTierInfo(bestTier);
                 this.mintBtn.textContent = `✅ ${bestTierInfo.name.toUpperCase()} MINTED`;
                 this.mintBtn.disabled = true;
                 window.dispatchEvent(new CustomEvent('game:mint-availability', {
                     detail: {
-                        score: this.score,
+                        score: this.verifiedScore,
+                        replayId: this.replayId,
                         tier: bestTier,
                         label: this.mintBtn.textContent,
                         canMint: false
@@ -2747,7 +3355,8 @@ Can you beat my score?`;
         this.mintBtn.textContent = `🎖️ MINT ${tierInfo.name.toUpperCase()}`;
         window.dispatchEvent(new CustomEvent('game:mint-availability', {
             detail: {
-                score: this.score,
+                score: this.verifiedScore,
+                replayId: this.replayId,
                 tier: tierToShow,
                 label: this.mintBtn.textContent,
                 canMint: true
@@ -2833,16 +3442,23 @@ Can you beat my score?`;
             }
 
             this.syncChallengeUser();
+            const mode = this.onchainChallengeToggle?.checked ? 'onchain' : 'casual';
             const { challenge, notificationSent } = await challengeManager.createChallenge({
                 opponentUsername,
                 opponentFid
-            });
+            }, { mode, walletAddress: this.walletAddress });
+
+            if (mode === 'onchain') {
+                this.createChallengeBtn.textContent = '⏳ Confirm in wallet...';
+                await this.createOnchainChallenge(challenge);
+            }
 
             this.opponentAddress = parsedOpponent.type === 'address' ? parsedOpponent.value : null;
             const rawOpponent = challenge.opponent_username || opponentUsername || '';
             this.opponentUsername = rawOpponent ? rawOpponent.replace(/^@/, '') : null;
             this.opponentFid = challenge.opponent_fid || opponentFid || null;
             this.currentChallengeId = challenge.id;
+            this.currentChallengeMode = mode;
 
             // Show waiting screen
             this.versusScreen.classList.add('hidden');
@@ -2873,6 +3489,20 @@ Can you beat my score?`;
         }
     }
 
+    // Mirror the challenge on VersusNFT; if the wallet step fails the casual row is withdrawn
+    async createOnchainChallenge(challenge) {
+        try {
+            const tx = await versusManager.createChallenge(challenge.opponent_address);
+            // Unconfirmed transactions are linked by the scheduled sync (api/versus-sync.js)
+            if (!tx.pending) {
+                await challengeManager.linkOnchain(challenge.id, tx.hash);
+            }
+        } catch (error) {
+            await challengeManager.cancelChallenge(challenge.id).catch(() => {});
+            throw error;
+        }
+    }
+
     startChallengePolling() {
         if (!this.currentChallengeId) return;
         this.clearChallengeTimeout();
@@ -2881,6 +3511,7 @@ Can you beat my score?`;
                 const active = await challengeManager.getActiveChallenge();
                 if (!active || String(active.id) !== String(this.currentChallengeId)) return;
                 if (this.versusWaiting.classList.contains('hidden')) return;
+                this.challengeSeed = active.seed ?? null;
                 this.clearChallengeTimeout();
                 this.startVersusGame();
             } catch (error) {
@@ -2890,36 +3521,67 @@ Can you beat my score?`;
     }
 
     cancelChallenge() {
+        const challengeId = this.currentChallengeId;
         this.clearChallengeTimeout();
         this.currentChallengeId = null;
+        this.currentChallengeMode = null;
+        this.challengeSeed = null;
         this.opponentAddress = null;
         this.opponentUsername = null;
         this.opponentFid = null;
         this.versusWaiting.classList.add('hidden');
         this.versusScreen.classList.remove('hidden');
         this.setChallengeStatus('', false);
+
+        if (challengeId) {
+            this.withdrawChallenge(challengeId);
+        }
+    }
+
+    // Linked on-chain challenges are cancelled on VersusNFT, the rest directly
+    async withdrawChallenge(challengeId) {
+        try {
+            const challenge = await challengeManager.getChallenge(challengeId);
+            if (challenge.status !== 'pending') return;
+
+            if (challenge.onchain_challenge_id && challenge.onchain_status === 'pending') {
+                const tx = await versusManager.cancelChallenge(challenge.onchain_challenge_id);
+                if (!tx.pending) {
+                    await challengeManager.linkOnchain(challengeId, tx.hash);
+                }
+            } else {
+                await challengeManager.cancelChallenge(challengeId);
+            }
+        } catch (error) {
+            console.log('Challenge cancel failed:', error.message);
+        }
     }
 
     startVersusGame() {
         this.clearChallengeTimeout();
+        this.clearRunModes();
         this.isVersusMode = true;
         this.versusWaiting.classList.add('hidden');
-        this.resetGame();
-        this.isRunning = true;
-        this.startTimers();
-        this.spawnMosquito();
-        soundManager.playStart();
+        // Both players share the seed stored on the challenge row and the versus options
+        this.resetGame(this.challengeSeed ?? generateSeed(), RUN_PRESETS.versus);
+        this.startRun();
     }
 
+    // Each challenge row holds one result, so a rematch is a new challenge to the same opponent
     startVersusRematch() {
-        this.versusResultScreen.classList.add('hidden');
-        this.startVersusGame();
+        const opponent = this.opponentUsername || (this.opponentFid ? String(this.opponentFid) : this.opponentAddress);
+        this.showVersusScreenFromResult();
+        if (opponent && this.opponentInput) {
+            this.opponentInput.value = opponent;
+        }
     }
 
     showVersusScreenFromResult() {
         this.clearChallengeTimeout();
         this.isVersusMode = false;
         this.currentChallengeId = null;
+        this.currentChallengeMode = null;
+        this.challengeSeed = null;
         this.currentBattleId = null;
         this.opponentAddress = null;
         this.opponentUsername = null;
@@ -2934,6 +3596,7 @@ Can you beat my score?`;
         this.clearChallengeTimeout();
         this.gameOverScreen.classList.add('hidden');
         this.startScreen.classList.remove('hidden');
+        this.updateDailyButton();
         this.loadSponsors(); // Refresh sponsors
     }
 
@@ -2941,6 +3604,8 @@ Can you beat my score?`;
         this.clearChallengeTimeout();
         this.isVersusMode = false;
         this.currentChallengeId = null;
+        this.currentChallengeMode = null;
+        this.challengeSeed = null;
         this.currentBattleId = null;
         this.opponentAddress = null;
         this.opponentUsername = null;
@@ -2949,70 +3614,125 @@ Can you beat my score?`;
         this.startScreen.classList.remove('hidden');
     }
 
-    // Override endGame for versus mode
+    // Override endGame for versus mode. The result comes from the challenge row:
+    // the server decides the winner once both players have submitted.
     endVersusGame() {
         this.isRunning = false;
+        this.stopFrameLoop();
+        this.pauseBtn.classList.add('hidden');
+
+        const replay = replayRecorder.finish(this.score);
+        this.renderer.clear();
 
-        // Clear timers
-        clearInterval(this.gameTimer);
-        clearTimeout(this.spawnInterval);
-        clearTimeout(this.comboTimeout);
+        this.opponentScore = null;
+        this.isWinner = false;
+        this.showVersusPending(`Waiting for ${this.getOpponentLabel()} to finish...`);
 
-        this.submitVersusScore()
+        this.submitVersusScore(replay)
+            .then((challenge) => {
+                if (!challenge) {
+                    this.showVersusPending('Score not linked to a challenge - open in Farcaster to record versus results.');
+                    return;
+                }
+                this.updateVersusResult(challenge);
+            })
             .catch((error) => {
                 console.log('Failed to submit versus score:', error.message);
+                this.showVersusPending(`Couldn't submit your score: ${error.message}`);
             });
+    }
 
-        // Clear remaining mosquitoes
-        this.mosquitoes.forEach(data => {
-            if (data.element.parentNode) {
-                data.element.remove();
-            }
+    // Upload the replay against the challenge, then submit it - the challenge
+    // scores the verified replay, not this.score
+    async submitVersusScore(replay) {
+        const fid = this.currentChallengeId ? await this.ensureFarcasterContext() : null;
+        const verification = await replayRecorder.submit(replay, {
+            walletAddress: this.walletAddress,
+            fid: fid || this.fid || this.authenticatedFid,
+            challengeId: fid ? this.currentChallengeId : null
         });
-        this.mosquitoes = [];
+        if (verification?.valid) this.creditProfile(verification.replayId, true);
 
-        // Simulate opponent score (for demo - in production this comes from chain)
-        // Make it competitive but player has ~60% chance to win
-        const baseOpponentScore = Math.floor(this.score * (0.6 + Math.random() * 0.6));
-        this.opponentScore = Math.max(0, baseOpponentScore);
+        if (!fid) return;
+        if (!verification?.valid) {
+            throw new Error('your run could not be verified');
+        }
+        this.syncChallengeUser();
+        return challengeManager.submitScore(this.currentChallengeId, verification.replayId);
+    }
 
-        // Determine winner
-        this.isWinner = this.score > this.opponentScore;
+    // Show a challenge row on the result screen: the final result once it's
+    // completed, otherwise keep waiting and poll until the opponent finishes
+    updateVersusResult(challenge) {
+        if (this.versusResultScreen.classList.contains('hidden')) return;
+        if (String(challenge.id) !== String(this.currentChallengeId)) return;
 
-        // Play appropriate sound
-        if (this.isWinner) {
-            soundManager.playStart(); // Victory sound
+        if (challenge.status === 'completed') {
+            this.clearChallengeTimeout();
+            this.resolveVersusResult(challenge);
+        } else if (challenge.status === 'accepted') {
+            this.startVersusResultPolling(challenge.id);
         } else {
-            soundManager.playGameOver();
+            this.clearChallengeTimeout();
+            this.showVersusPending(`Challenge ${challenge.status} - no result.`);
         }
+    }
 
-        // Update win tracking
+    startVersusResultPolling(challengeId) {
+        if (this.challengePollInterval) return;
+        this.challengePollInterval = setInterval(async () => {
+            try {
+                this.updateVersusResult(await challengeManager.getChallenge(challengeId));
+            } catch (error) {
+                console.log('Versus result polling failed:', error.message);
+            }
+        }, 3000);
+    }
+
+    resolveVersusResult(challenge) {
+        const details = challengeManager.getResultDetails(challenge);
+        this.currentChallengeMode = challenge.mode;
+        this.opponentScore = details.theirScore;
+        this.isWinner = details.result === 'win';
+
+        // Play appropriate sound
         if (this.isWinner) {
-            this.winStreak++;
-            this.totalWins++;
+            soundManager.playStart(); // Victory sound
         } else {
-            this.winStreak = 0;
+            soundManager.playGameOver();
         }
 
-        // Update versus result screen
-        this.showVersusResult();
+        this.showVersusResult(details);
     }
 
-    async submitVersusScore() {
-        if (!this.currentChallengeId) return;
-        const fid = await this.ensureFarcasterContext();
-        if (!fid) return;
-        this.syncChallengeUser();
-        await challengeManager.submitScore(this.currentChallengeId, this.score);
+    showVersusPending(message) {
+        this.yourVersusScore.textContent = this.score;
+        this.opponentVersusScore.textContent = '…';
+        this.versusResultTitle.textContent = '⏳ WAITING...';
+        this.versusResultTitle.className = 'versus-result-title waiting';
+        this.versusPendingText.textContent = message;
+        this.versusPendingSection.classList.remove('hidden');
+        this.winnerMintSection.classList.add('hidden');
+        this.loserSection.classList.add('hidden');
+        this.versusResultScreen.classList.remove('hidden');
     }
 
-    showVersusResult() {
-        // Update scores
-        this.yourVersusScore.textContent = this.score;
+    showVersusResult({ result, myScore }) {
+        this.versusPendingSection.classList.add('hidden');
+
+        // Update scores (as stored on the challenge)
+        this.yourVersusScore.textContent = myScore ?? this.score;
         this.opponentVersusScore.textContent = this.opponentScore;
 
         // Update title based on win/loss
-        if (this.isWinner) {
+        if (this.isWinner && this.currentChallengeMode !== 'onchain') {
+            // Casual battles have nothing on-chain to mint from
+            this.versusResultTitle.textContent = '🏆 VICTORY!';
+            this.versusResultTitle.className = 'versus-result-title victory';
+            this.loserText.textContent = 'Casual win! Send an on-chain challenge to battle for a Victory NFT. ⛓️';
+            this.winnerMintSection.classList.add('hidden');
+            this.loserSection.classList.remove('hidden');
+        } else if (this.isWinner) {
             this.versusResultTitle.textContent = '🏆 VICTORY!';
             this.versusResultTitle.className = 'versus-result-title victory';
             this.winnerMintSection.classList.remove('hidden');
@@ -3023,8 +3743,10 @@ Can you beat my score?`;
             this.mintVictoryBtn.disabled = false;
             this.mintVictoryBtn.classList.remove('loading', 'success');
         } else {
-            this.versusResultTitle.textContent = '😢 DEFEAT';
+            const isDraw = result === 'tie';
+            this.versusResultTitle.textContent = isDraw ? '🤝 DRAW' : '😢 DEFEAT';
             this.versusResultTitle.className = 'versus-result-title defeat';
+            this.loserText.textContent = isDraw ? 'Dead even! Go again? 🤝' : 'Better luck next time! 💪';
             this.winnerMintSection.classList.add('hidden');
             this.loserSection.classList.remove('hidden');
         }
@@ -3045,34 +3767,44 @@ Can you beat my score?`;
 
         try {
             this.mintVictoryBtn.classList.add('loading');
-            this.mintVictoryBtn.textContent = '⏳ MINTING...';
 
-            // For demo: simulate minting
-            // In production: 
-            // 1. Call finalizeBattle to record on-chain
-            // 2. Call mintVictoryNFT with battleId
-
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate tx
+            // 1. Record the battle on-chain (scores and winner come from the stored challenge)
+            this.mintVictoryBtn.textContent = '⏳ FINALIZING...';
+            const battle = await versusManager.finalizeBattle(this.currentChallengeId);
+            if (!battle.battleId) {
+                this.showVictoryMintPending(battle.hash);
+                return;
+            }
+            this.currentBattleId = battle.battleId;
 
-            /* Production code:
-            const battleResult = await versusManager.finalizeBattle(
-                this.currentChallengeId,
-                this.score,
-                this.opponentScore,
-                true // winner is current player
-            );
-            this.currentBattleId = battleResult.battleId;
-            
-            const mintResult = await versusManager.mintVictoryNFT(this.currentBattleId);
-            */
+            // 2. Mint the Victory NFT for that battle
+            this.mintVictoryBtn.textContent = '⏳ MINTING...';
+            const mint = await versusManager.mintVictoryNFT(this.currentBattleId);
+            if (mint.pending) {
+                this.showVictoryMintPending(mint.hash);
+                return;
+            }
 
             this.mintVictoryBtn.classList.remove('loading');
             this.mintVictoryBtn.classList.add('success');
             this.mintVictoryBtn.textContent = '\u2705 MINTED!';
             this.mintVictoryBtn.disabled = true;
 
+            // Streak and wins as the contract recorded them
+            const account = await versusManager.getAccount();
+            const [battleStreak, record] = await Promise.all([
+                versusManager.getBattleWinStreak(this.currentBattleId),
+                versusManager.getVersusRecord(account)
+            ]);
+            this.winStreak = battleStreak;
+            this.totalWins = record.totalWins;
+
             const victoryInfo = getVictoryTitle(this.winStreak);
-            alert(`Victory NFT Minted!\n\nTitle: ${victoryInfo.title}\nScore: ${this.score} vs ${this.opponentScore}\n\nYou defeated ${this.getOpponentLabel()}!`);
+            if (mint.alreadyMinted) {
+                alert(`Victory NFT already minted for this battle.\n\nTitle: ${victoryInfo.title}`);
+            } else {
+                alert(`Victory NFT Minted!\n\nTitle: ${victoryInfo.title}\nScore: ${battle.winnerScore} vs ${battle.loserScore}\n\nYou defeated ${this.getOpponentLabel()}!`);
+            }
 
             // Prompt to share victory
             setTimeout(() => {
@@ -3080,21 +3812,18 @@ Can you beat my score?`;
                     const opponentName = this.getOpponentLabel();
 
                     shareManager.shareVersusVictory({
-                        myScore: this.score,
-                        opponentScore: this.opponentScore,
+                        myScore: battle.winnerScore,
+                        opponentScore: battle.loserScore,
                         opponentName,
                         winStreak: this.winStreak
                     });
                 }
 
-                // Check for Champion NFT eligibility (5+ wins)
-                if (this.totalWins >= 5) {
+                // Offer the Champion NFT only when the contract says it's claimable
+                if (record.canClaimChampion) {
                     setTimeout(() => {
-                        if (confirm(`You've won ${this.totalWins} battles! You're eligible for a CHAMPION NFT. Want to claim and share?`)) {
-                            shareManager.shareChampionNFT({
-                                totalWins: this.totalWins,
-                                winStreak: this.winStreak
-                            });
+                        if (confirm(`You've won ${this.totalWins} battles! You're eligible for a CHAMPION NFT. Want to claim it?`)) {
+                            this.claimChampionNFT();
                         }
                     }, 1000);
                 }
@@ -3104,7 +3833,38 @@ Can you beat my score?`;
             console.error('Victory NFT mint failed:', error);
             this.mintVictoryBtn.classList.remove('loading');
             this.mintVictoryBtn.textContent = '🏆 MINT VICTORY NFT';
-            alert('Minting failed: ' + error.message);
+            alert('Minting failed: ' + (error?.shortMessage || error?.reason || error?.message));
+        }
+    }
+
+    showVictoryMintPending(hash) {
+        this.mintVictoryBtn.classList.remove('loading');
+        this.mintVictoryBtn.textContent = '⏳ CHECK WALLET';
+        this.mintVictoryBtn.disabled = true;
+        const hashText = hash ? `\n\nTx: ${hash}` : '';
+        alert(`Transaction submitted. Confirm in your wallet and wait for it to finalize.${hashText}`);
+    }
+
+    async claimChampionNFT() {
+        try {
+            const result = await versusManager.claimChampionNFT();
+            if (result.pending) {
+                const hashText = result.hash ? `\n\nTx: ${result.hash}` : '';
+                alert(`Transaction submitted. Confirm in your wallet and wait for it to finalize.${hashText}`);
+                return;
+            }
+
+            alert(`Champion NFT Claimed!\n\n${this.totalWins} versus victories.`);
+
+            if (confirm('Share your Champion NFT on Farcaster?')) {
+                shareManager.shareChampionNFT({
+                    totalWins: this.totalWins,
+                    winStreak: this.winStreak
+                });
+            }
+        } catch (error) {
+            console.error('Champion NFT claim failed:', error);
+            alert('Champion claim failed: ' + (error?.shortMessage || error?.reason || error?.message));
         }
     }
 }
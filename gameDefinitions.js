@@ -0,0 +1,495 @@
+/* ============================================
+   GAME DEFINITIONS - Insect catalogue + wave script
+   Balance, seasonal events and new modes are data:
+   edit or register a definition set instead of the
+   simulation. Every set is validated when registered.
+   ============================================ */
+
+import { getMovementPatterns } from './movementPatterns.js';
+
+const ABILITIES = ['blink', 'heal'];
+const POWER_UP_EFFECTS = ['freeze', 'bomb', 'magnet', 'slowmo'];
+
+/**
+ * Default balance. Replays record the set id, so a set must never change
+ * once scored runs exist for it - ship balance changes under a new id.
+ */
+export const DEFAULT_DEFINITIONS = {
+    id: 'default',
+
+    // Insect catalogue. Hazards cost points when tapped and pay a bonus when left alone.
+    insects: {
+        normal: {
+            emoji: '🦟',
+            points: 10,
+            speedFactor: 1,
+            escapeBreaksCombo: true   // Letting one through resets the multiplier
+        },
+        armored: {
+            emoji: '🦟',
+            badge: '🛡️',
+            points: 25,
+            speedFactor: 0.82,
+            hits: 2                   // First tap cracks the armor
+        },
+        healer: {
+            emoji: '🦟',
+            badge: '💚',
+            points: 30,
+            healedPoints: 10,         // Worth less once it has buffed the others
+            speedFactor: 0.82,
+            ability: 'heal',
+            healDelay: 3000,          // ms alive before it buffs
+            buffFactor: 0.8,          // Flight duration multiplier (20% faster)
+            buffLength: 5000          // ms the buff counts as active
+        },
+        blink: {
+            emoji: '🦟',
+            badge: '⚡',
+            points: 20,
+            speedFactor: 0.82,
+            ability: 'blink',
+            blinkDelay: 150           // ms before it reappears
+        },
+        bee: {
+            emoji: '🐝',
+            hazard: true,
+            speedFactor: 0.82,
+            penalty: -50,
+            avoidBonus: 20
+        },
+        skull: {
+            emoji: '💀',
+            hazard: true,
+            speedFactor: 0.82,
+            penalty: -100,
+            avoidBonus: 30
+        },
+        boss: {
+            emoji: '🦟',
+            badge: '👑',
+            points: 15,               // Per hit
+            speedFactor: 1
+        },
+        // Power-ups: tap to collect, flying off costs nothing
+        freeze: {
+            emoji: '❄️',
+            powerUp: 'freeze',        // Every insect hangs in place
+            speedFactor: 0.9,
+            duration: 3000
+        },
+        bomb: {
+            emoji: '💣',
+            powerUp: 'bomb',          // Kills everything on screen except hazards
+            speedFactor: 0.9
+        },
+        magnet: {
+            emoji: '🧲',
+            powerUp: 'magnet',        // Taps reach further
+            speedFactor: 0.9,
+            duration: 6000,
+            reach: 28                 // px added to the hit slop
+        },
+        slowmo: {
+            emoji: '🐢',
+            powerUp: 'slowmo',        // Insects fly at a fraction of their speed
+            speedFactor: 0.9,
+            duration: 5000,
+            flightRate: 0.5
+        }
+    },
+
+    // Regular spawns. Difficulty runs 0 -> 1 over a classic run (past 1 in survival).
+    spawning: {
+        fallback: 'normal',
+        rate: {
+            base: 1000,               // ms between spawns at difficulty 0
+            min: 320,                 // ms at difficulty 1
+            beyondMaxSpeedup: 0.35,   // Survival: extra rate cut per difficulty point past 1
+            jitter: 240,
+            jitterPerDifficulty: -140,
+            minJitter: 60,
+            extraChance: 0.08,        // Chance of a second spawn right after
+            extraChancePerDifficulty: 0.27,
+            extraDelay: [80, 240]
+        },
+        // Checked in order against one roll; chances are cumulative
+        elites: [
+            { type: 'blink', chance: 0.08, unlockAt: 15 },
+            { type: 'armored', chance: 0.05, unlockAt: 20 },
+            { type: 'healer', chance: 0.03, unlockAt: 30 }
+        ],
+        hazards: {
+            heavy: 'skull',
+            light: 'bee',
+            chance: { base: 0.03, perDifficulty: 0.09 },
+            swarmChance: { base: 0.14, perLevel: 0.08, perDifficulty: 0.06, max: 0.5 },
+            heavyBias: { base: 0.25, swarmBase: 0.35, perDifficulty: 0.2, max: 0.6 }
+        }
+    },
+
+    // Swarm script
+    swarms: {
+        schedule: [
+            { time: 12, level: 1 },   // Early game: smaller swarm
+            { time: 28, level: 2 },   // Mid game: medium swarm
+            { time: 45, level: 3 }    // Late game: large swarm
+        ],
+        startJitter: 3,               // s added at random to each swarm time
+        counts: { 1: 7, 2: 12, 3: 18 },
+        countJitter: 3,
+        spawnInterval: { base: 110, perLevel: -10, min: 70 },
+        length: 4000,                 // ms a swarm counts as active
+        // Survival and the hazard drill: swarms recur, sooner and bigger each time
+        escalating: {
+            first: 12,
+            gap: 18,
+            gapStep: 1,
+            minGap: 8,
+            extraPerLevel: 4,         // Spawns added per level past the last counts entry
+            maxCount: 36
+        }
+    },
+
+    // Precision scoring (runs opt in): taps that hit nothing cost points
+    precision: {
+        missPenalty: -10,
+        breaksCombo: true                              // A miss also resets the multiplier
+    },
+
+    // Adaptive difficulty (unranked runs opt in): skill in [-1, 1] scales the fixed curve
+    adaptive: {
+        window: 12,                                    // Recent kills/escapes considered
+        minSamples: 4,                                 // Outcomes before in-run play counts
+        response: 0.25,                                // How fast skill follows the measurement
+        hitRate: { target: 0.8, spread: 0.2 },         // Kills / (kills + escapes)
+        reaction: { target: 1200, spread: 600 },       // ms from spawn to kill
+        history: { pivot: 1500, range: 1500, weight: 0.5 }, // Best score -> starting skill
+        bounds: { spawnInterval: 0.3, speed: 0.2, hazardChance: 0.5 } // Max +/- fraction at skill 1
+    },
+
+    // Flight patterns (runs opt in). First matching rule wins; chance is one roll per insect
+    movement: {
+        rules: [
+            { swarm: true, pattern: 'flock' },
+            { types: ['blink'], pattern: 'hoverDart', minDifficulty: 0.25 },
+            { types: ['bee', 'skull'], pattern: 'zigzag', minDifficulty: 0.2, chance: 0.6 },
+            { pattern: 'arc', minDifficulty: 0.3, chance: 0.35 },
+            { pattern: 'zigzag', minDifficulty: 0.5, chance: 0.6 }
+        ],
+        patterns: {
+            zigzag: { amplitude: 36, waves: 3 },
+            arc: { bend: 0.3 },                        // Control point offset, fraction of path length
+            hoverDart: { hops: 3, hover: 0.45, bob: 6 },
+            flock: {
+                cohesion: 0.00005,
+                separation: 0.02,
+                alignment: 0.05,
+                tether: 0.0002,
+                spacing: 36,                           // px members try to keep apart
+                radius: 60,                            // px max drift from the swarm lane
+                maxSpeed: 0.12,                        // px/ms of drift
+                laneSpread: 40                         // px followers start off the leader's lane
+            }
+        }
+    },
+
+    // Boss encounter in the final seconds of a timed run (runs opt in; null disables it)
+    boss: {
+        insect: 'boss',
+        atTimeLeft: 12,               // s on the clock when it arrives
+        hp: 12,
+        size: 96,                     // px
+        killBonus: 250,
+        timeBonus: 20,                // Points per second still on the clock at the kill
+        minion: 'normal',
+        // Phase applies while hp / maxHp <= fromHp
+        phases: [
+            { fromHp: 1, legDuration: 2200, summonEvery: 2000, summonCount: 0 },
+            { fromHp: 0.66, legDuration: 1500, summonEvery: 2500, summonCount: 2 },
+            { fromHp: 0.33, legDuration: 1000, summonEvery: 1800, summonCount: 3 }
+        ]
+    },
+
+    // Power-up pickups (runs opt in; each type equally likely)
+    powerUps: {
+        types: ['freeze', 'bomb', 'magnet', 'slowmo'],
+        firstAt: 8,                   // s into the run
+        every: 12,                    // s between pickups
+        jitter: 6                     // s added at random to each gap
+    },
+
+    // Practice drills (never used by ranked runs)
+    drills: {
+        armored: { only: 'armored' },
+        blink: { only: 'blink' },
+        hazards: { hazardChance: 0.45, heavyBias: 0.4, escalatingSwarms: true }
+    }
+};
+
+const registry = new Map();
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isChance(value) {
+    return isNumber(value) && value >= 0 && value <= 1;
+}
+
+function checkNumbers(errors, path, object, keys) {
+    if (!object || typeof object !== 'object') {
+        errors.push(`${path} is missing`);
+        return;
+    }
+    for (const key of keys) {
+        if (!isNumber(object[key])) errors.push(`${path}.${key} must be a number`);
+    }
+}
+
+function validateInsect(errors, type, insect) {
+    const path = `insects.${type}`;
+    if (!insect || typeof insect !== 'object') {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (typeof insect.emoji !== 'string' || !insect.emoji) errors.push(`${path}.emoji is required`);
+    if (!isNumber(insect.speedFactor) || insect.speedFactor <= 0 || insect.speedFactor > 2) {
+        errors.push(`${path}.speedFactor must be in (0, 2]`);
+    }
+
+    if (insect.powerUp !== undefined) {
+        if (!POWER_UP_EFFECTS.includes(insect.powerUp)) {
+            errors.push(`${path}.powerUp must be one of ${POWER_UP_EFFECTS.join(', ')}`);
+        }
+        if (insect.powerUp !== 'bomb' && (!isNumber(insect.duration) || insect.duration <= 0)) {
+            errors.push(`${path}.duration must be > 0`);
+        }
+        if (insect.powerUp === 'magnet' && (!isNumber(insect.reach) || insect.reach <= 0)) errors.push(`${path}.reach must be > 0`);
+        if (insect.powerUp === 'slowmo' && (!isNumber(insect.flightRate) || insect.flightRate <= 0 || insect.flightRate >= 1)) {
+            errors.push(`${path}.flightRate must be in (0, 1)`);
+        }
+        if (insect.hazard || insect.ability || insect.hits) errors.push(`${path} is a power-up and cannot be a hazard or have abilities`);
+        return;
+    }
+
+    if (insect.hazard) {
+        if (!Number.isInteger(insect.penalty) || insect.penalty > 0) errors.push(`${path}.penalty must be an integer <= 0`);
+        if (!Number.isInteger(insect.avoidBonus) || insect.avoidBonus < 0) errors.push(`${path}.avoidBonus must be an integer >= 0`);
+        if (insect.ability || insect.hits) errors.push(`${path} is a hazard and cannot have abilities or hits`);
+        return;
+    }
+
+    if (!Number.isInteger(insect.points) || insect.points <= 0) errors.push(`${path}.points must be a positive integer`);
+    if (insect.hits !== undefined && (!Number.isInteger(insect.hits) || insect.hits < 1 || insect.hits > 2)) {
+        errors.push(`${path}.hits must be 1 or 2`);
+    }
+    if (insect.ability === undefined) return;
+    if (!ABILITIES.includes(insect.ability)) {
+        errors.push(`${path}.ability must be one of ${ABILITIES.join(', ')}`);
+    } else if (insect.ability === 'heal') {
+        if (!Number.isInteger(insect.healedPoints) || insect.healedPoints < 0) errors.push(`${path}.healedPoints must be an integer >= 0`);
+        if (!isNumber(insect.healDelay) || insect.healDelay <= 0) errors.push(`${path}.healDelay must be > 0`);
+        if (!isNumber(insect.buffFactor) || insect.buffFactor <= 0 || insect.buffFactor > 1) errors.push(`${path}.buffFactor must be in (0, 1]`);
+        if (!isNumber(insect.buffLength) || insect.buffLength <= 0) errors.push(`${path}.buffLength must be > 0`);
+    } else if (insect.ability === 'blink') {
+        if (!isNumber(insect.blinkDelay) || insect.blinkDelay < 0) errors.push(`${path}.blinkDelay must be >= 0`);
+    }
+}
+
+/**
+ * Check a definition set; throws listing every problem found
+ * @param {Object} definitions
+ * @returns {Object} The same definitions
+ */
+export function validateDefinitions(definitions) {
+    const errors = [];
+    const { id, insects, spawning, swarms, precision, adaptive, movement, boss, powerUps, drills } = definitions || {};
+
+    if (typeof id !== 'string' || !id) errors.push('id is required');
+
+    if (!insects || typeof insects !== 'object' || !Object.keys(insects).length) {
+        errors.push('insects must list at least one insect');
+    } else {
+        for (const [type, insect] of Object.entries(insects)) {
+            validateInsect(errors, type, insect);
+        }
+    }
+    const isType = (type) => Boolean(insects && Object.hasOwn(insects, type));
+    const isHazardType = (type) => isType(type) && insects[type].hazard === true;
+    const isPowerUpType = (type) => isType(type) && insects[type].powerUp !== undefined;
+    const isTarget = (type) => isType(type) && !isHazardType(type) && !isPowerUpType(type);
+
+    if (!spawning || typeof spawning !== 'object') {
+        errors.push('spawning is missing');
+    } else {
+        if (!isTarget(spawning.fallback)) {
+            errors.push('spawning.fallback must be a non-hazard insect');
+        }
+        checkNumbers(errors, 'spawning.rate', spawning.rate, [
+            'base', 'min', 'beyondMaxSpeedup', 'jitter', 'jitterPerDifficulty', 'minJitter',
+            'extraChance', 'extraChancePerDifficulty'
+        ]);
+        if (spawning.rate && spawning.rate.min > spawning.rate.base) errors.push('spawning.rate.min must be <= base');
+        if (!Array.isArray(spawning.rate?.extraDelay) || spawning.rate.extraDelay.length !== 2 ||
+            !spawning.rate.extraDelay.every(isNumber)) {
+            errors.push('spawning.rate.extraDelay must be [min, max]');
+        }
+
+        if (!Array.isArray(spawning.elites)) {
+            errors.push('spawning.elites must be an array');
+        } else {
+            let total = 0;
+            spawning.elites.forEach((elite, i) => {
+                if (!isTarget(elite?.type)) errors.push(`spawning.elites[${i}].type must be a non-hazard insect`);
+                if (!isChance(elite?.chance)) errors.push(`spawning.elites[${i}].chance must be in [0, 1]`);
+                if (!isNumber(elite?.unlockAt) || elite.unlockAt < 0) errors.push(`spawning.elites[${i}].unlockAt must be >= 0`);
+                total += elite?.chance || 0;
+            });
+            if (total > 1) errors.push('spawning.elites chances add up to more than 1');
+        }
+
+        const hazards = spawning.hazards;
+        if (!hazards || !isHazardType(hazards.heavy) || !isHazardType(hazards.light)) {
+            errors.push('spawning.hazards.heavy and .light must be hazard insects');
+        }
+        checkNumbers(errors, 'spawning.hazards.chance', hazards?.chance, ['base', 'perDifficulty']);
+        checkNumbers(errors, 'spawning.hazards.swarmChance', hazards?.swarmChance, ['base', 'perLevel', 'perDifficulty', 'max']);
+        checkNumbers(errors, 'spawning.hazards.heavyBias', hazards?.heavyBias, ['base', 'swarmBase', 'perDifficulty', 'max']);
+    }
+
+    if (!swarms || typeof swarms !== 'object') {
+        errors.push('swarms is missing');
+    } else {
+        const levels = Object.keys(swarms.counts || {}).map(Number);
+        if (!levels.length || levels.some(level => !Number.isInteger(level) || level < 1 ||
+            !Number.isInteger(swarms.counts[level]) || swarms.counts[level] < 0)) {
+            errors.push('swarms.counts must map levels (1, 2, ...) to spawn counts');
+        }
+        for (let level = 1; level <= levels.length; level++) {
+            if (!levels.includes(level)) errors.push(`swarms.counts is missing level ${level}`);
+        }
+        if (!Array.isArray(swarms.schedule)) {
+            errors.push('swarms.schedule must be an array');
+        } else {
+            swarms.schedule.forEach((swarm, i) => {
+                if (!isNumber(swarm?.time) || swarm.time < 0) errors.push(`swarms.schedule[${i}].time must be >= 0`);
+                if (!levels.includes(swarm?.level)) errors.push(`swarms.schedule[${i}].level has no count`);
+            });
+        }
+        checkNumbers(errors, 'swarms', swarms, ['startJitter', 'countJitter', 'length']);
+        checkNumbers(errors, 'swarms.spawnInterval', swarms.spawnInterval, ['base', 'perLevel', 'min']);
+        checkNumbers(errors, 'swarms.escalating', swarms.escalating, ['first', 'gap', 'gapStep', 'minGap', 'extraPerLevel', 'maxCount']);
+        if (swarms.escalating && swarms.escalating.minGap <= 0) errors.push('swarms.escalating.minGap must be > 0');
+    }
+
+    if (precision) {
+        if (!Number.isInteger(precision.missPenalty) || precision.missPenalty > 0) errors.push('precision.missPenalty must be an integer <= 0');
+        if (typeof precision.breaksCombo !== 'boolean') errors.push('precision.breaksCombo must be a boolean');
+    }
+
+    if (adaptive) {
+        if (!Number.isInteger(adaptive.window) || adaptive.window < 1) errors.push('adaptive.window must be a positive integer');
+        if (!Number.isInteger(adaptive.minSamples) || adaptive.minSamples < 1) errors.push('adaptive.minSamples must be a positive integer');
+        if (!isNumber(adaptive.response) || adaptive.response <= 0 || adaptive.response > 1) errors.push('adaptive.response must be in (0, 1]');
+        checkNumbers(errors, 'adaptive.hitRate', adaptive.hitRate, ['target', 'spread']);
+        checkNumbers(errors, 'adaptive.reaction', adaptive.reaction, ['target', 'spread']);
+        checkNumbers(errors, 'adaptive.history', adaptive.history, ['pivot', 'range', 'weight']);
+        checkNumbers(errors, 'adaptive.bounds', adaptive.bounds, ['spawnInterval', 'speed', 'hazardChance']);
+        if (adaptive.hitRate?.spread <= 0 || adaptive.reaction?.spread <= 0 || adaptive.history?.range <= 0) {
+            errors.push('adaptive spreads and history.range must be > 0');
+        }
+        for (const [key, bound] of Object.entries(adaptive.bounds || {})) {
+            if (isNumber(bound) && (bound < 0 || bound >= 1)) errors.push(`adaptive.bounds.${key} must be in [0, 1)`);
+        }
+    }
+
+    if (movement) {
+        const known = getMovementPatterns();
+        if (!Array.isArray(movement.rules)) {
+            errors.push('movement.rules must be an array');
+        } else {
+            movement.rules.forEach((rule, i) => {
+                if (!known.includes(rule?.pattern)) errors.push(`movement.rules[${i}].pattern must be one of ${known.join(', ')}`);
+                if (rule?.types !== undefined && (!Array.isArray(rule.types) || !rule.types.every(isType))) {
+                    errors.push(`movement.rules[${i}].types must list insects`);
+                }
+                if (rule?.chance !== undefined && !isChance(rule.chance)) errors.push(`movement.rules[${i}].chance must be in [0, 1]`);
+                if (rule?.minDifficulty !== undefined && !isNumber(rule.minDifficulty)) {
+                    errors.push(`movement.rules[${i}].minDifficulty must be a number`);
+                }
+                if (rule?.pattern !== 'straight' && known.includes(rule?.pattern) && !movement.patterns?.[rule.pattern]) {
+                    errors.push(`movement.patterns.${rule.pattern} is missing`);
+                }
+            });
+        }
+        const { zigzag, arc, hoverDart, flock } = movement.patterns || {};
+        if (zigzag) checkNumbers(errors, 'movement.patterns.zigzag', zigzag, ['amplitude', 'waves']);
+        if (arc) checkNumbers(errors, 'movement.patterns.arc', arc, ['bend']);
+        if (hoverDart) {
+            if (!Number.isInteger(hoverDart.hops) || hoverDart.hops < 1) errors.push('movement.patterns.hoverDart.hops must be a positive integer');
+            if (!isNumber(hoverDart.hover) || hoverDart.hover < 0 || hoverDart.hover >= 1) errors.push('movement.patterns.hoverDart.hover must be in [0, 1)');
+            checkNumbers(errors, 'movement.patterns.hoverDart', hoverDart, ['bob']);
+        }
+        if (flock) {
+            checkNumbers(errors, 'movement.patterns.flock', flock, [
+                'cohesion', 'separation', 'alignment', 'tether', 'spacing', 'radius', 'maxSpeed', 'laneSpread'
+            ]);
+        }
+    }
+
+    if (boss) {
+        if (!isTarget(boss.insect)) errors.push('boss.insect must be a non-hazard insect');
+        if (!isType(boss.minion) || isPowerUpType(boss.minion)) errors.push('boss.minion must be an insect');
+        checkNumbers(errors, 'boss', boss, ['atTimeLeft', 'size', 'killBonus', 'timeBonus']);
+        if (!Number.isInteger(boss.hp) || boss.hp < 1) errors.push('boss.hp must be a positive integer');
+        if (!Array.isArray(boss.phases) || !boss.phases.length || boss.phases[0]?.fromHp !== 1) {
+            errors.push('boss.phases must start with a phase from full hp (fromHp: 1)');
+        } else {
+            boss.phases.forEach((phase, i) => {
+                if (i > 0 && !(phase.fromHp < boss.phases[i - 1].fromHp)) errors.push(`boss.phases[${i}].fromHp must be below the previous phase`);
+                if (!isNumber(phase.legDuration) || phase.legDuration <= 0) errors.push(`boss.phases[${i}].legDuration must be > 0`);
+                if (!isNumber(phase.summonEvery) || phase.summonEvery <= 0) errors.push(`boss.phases[${i}].summonEvery must be > 0`);
+                if (!Number.isInteger(phase.summonCount) || phase.summonCount < 0) errors.push(`boss.phases[${i}].summonCount must be an integer >= 0`);
+            });
+        }
+    }
+
+    if (powerUps) {
+        if (!Array.isArray(powerUps.types) || !powerUps.types.length || !powerUps.types.every(isPowerUpType)) {
+            errors.push('powerUps.types must list power-up insects');
+        }
+        checkNumbers(errors, 'powerUps', powerUps, ['firstAt', 'every', 'jitter']);
+        if (powerUps.every <= 0) errors.push('powerUps.every must be > 0');
+    }
+
+    for (const [name, drill] of Object.entries(drills || {})) {
+        if (drill.only !== undefined && !isType(drill.only)) errors.push(`drills.${name}.only must be an insect`);
+        if (drill.hazardChance !== undefined && !isChance(drill.hazardChance)) errors.push(`drills.${name}.hazardChance must be in [0, 1]`);
+        if (drill.heavyBias !== undefined && !isChance(drill.heavyBias)) errors.push(`drills.${name}.heavyBias must be in [0, 1]`);
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid game definitions "${id}": ${errors.join('; ')}`);
+    }
+    return definitions;
+}
+
+/**
+ * Validate and make a definition set available by id (e.g. a seasonal event)
+ */
+export function registerDefinitions(definitions) {
+    validateDefinitions(definitions);
+    registry.set(definitions.id, definitions);
+    return definitions;
+}
+
+/**
+ * Look up a registered definition set
+ * @returns {Object|null}
+ */
+export function getDefinitions(id = DEFAULT_DEFINITIONS.id) {
+    return registry.get(id) || null;
+}
+
+registerDefinitions(DEFAULT_DEFINITIONS);
@@ -0,0 +1,252 @@
+/* ============================================
+   GAME RULES - Shared scoring and spawn math
+   Pure functions used by the browser game and by
+   server-side replay verification. Insect and wave
+   numbers come from a definition set (gameDefinitions.js)
+   ============================================ */
+
+import { DEFAULT_DEFINITIONS } from './gameDefinitions.js';
+import { easeInOut, getPatternPosition } from './movementPatterns.js';
+
+export { easeInOut };
+
+export const GAME_DURATION = 60;        // seconds
+export const INSECT_SIZE = 48;          // px, also the off-screen margin
+export const BLINK_MARGIN = 64;         // px kept clear when teleporting
+
+// Versus runs: more pauses than this (or longer in total) flag the score
+export const VERSUS_MAX_PAUSES = 3;
+export const VERSUS_MAX_PAUSE_MS = 60000;
+
+// Solo run modes; survival has no timer and ends when the lives run out
+export const GAME_MODES = ['classic', 'survival'];
+export const SURVIVAL_LIVES = 5;
+export const SURVIVAL_MAX_DURATION = 900;    // seconds - hard stop so every replay terminates
+export const SURVIVAL_RAMP = 120;            // seconds past the classic curve to reach max difficulty
+export const SURVIVAL_MAX_DIFFICULTY = 2;
+
+export const MOSQUITO_SPEED = { min: 2400, max: 5600 }; // ms to cross screen
+
+// Options every scored run of a kind plays with (GameSimulation options); boards refuse replays with other ones
+export const RUN_PRESETS = {
+    classic: { mode: 'classic', definitions: 'default', boss: true, powerUps: true, movement: true, precision: false },
+    survival: { mode: 'survival', definitions: 'default', boss: false, powerUps: true, movement: true, precision: false },
+    daily: { mode: 'classic', definitions: 'default', boss: true, powerUps: true, movement: true, precision: false },
+    // Head-to-head runs leave out the boss and pickups so only tapping decides the winner
+    versus: { mode: 'classic', definitions: 'default', boss: false, powerUps: false, movement: true, precision: false }
+};
+
+/**
+ * Did a verified replay play with a preset's options (see replayVerifier stats.options)
+ */
+export function matchesPreset(stats, preset) {
+    const { mode, definitions, ...options } = RUN_PRESETS[preset];
+    return stats?.mode === mode && stats.definitions === definitions &&
+        Object.entries(options).every(([key, value]) => stats.options?.[key] === value);
+}
+
+/**
+ * Catalogue entry for an insect type (unknown types read as the fallback)
+ */
+export function getInsectDef(type, definitions = DEFAULT_DEFINITIONS) {
+    return definitions.insects[type] ?? definitions.insects[definitions.spawning.fallback];
+}
+
+/**
+ * Is this insect type a hazard (costs points when tapped)
+ */
+export function isHazard(type, definitions = DEFAULT_DEFINITIONS) {
+    return definitions.insects[type]?.hazard === true;
+}
+
+/**
+ * Difficulty ramps from 0 to 1 over the first 60 seconds
+ */
+export function getDifficultyFactor(elapsed) {
+    return Math.min(elapsed / GAME_DURATION, 1);
+}
+
+/**
+ * Survival keeps ramping past 60 seconds (same curve before that)
+ */
+export function getSurvivalDifficulty(elapsed) {
+    if (elapsed <= GAME_DURATION) return getDifficultyFactor(elapsed);
+    return Math.min(1 + (elapsed - GAME_DURATION) / SURVIVAL_RAMP, SURVIVAL_MAX_DIFFICULTY);
+}
+
+/**
+ * Combo multiplier from consecutive kills: 5 = 2x, 10 = 3x
+ */
+export function getComboMultiplier(consecutiveTaps) {
+    if (consecutiveTaps >= 10) return 3;
+    if (consecutiveTaps >= 5) return 2;
+    return 1;
+}
+
+/**
+ * Base points for killing an insect (healers are worth less once they have buffed)
+ */
+export function getKillPoints(type, hasHealed = false, definitions = DEFAULT_DEFINITIONS) {
+    const insect = getInsectDef(type, definitions);
+    if (insect.ability === 'heal' && hasHealed) return insect.healedPoints;
+    return insect.points;
+}
+
+/**
+ * Draw the fixed set of rolls for one spawn. Always the same count so the
+ * sequence never drifts between players with different timing.
+ */
+export function drawSpawnRolls(rng) {
+    return {
+        hazardRoll: rng.next(),
+        skullRoll: rng.next(),
+        eliteRoll: rng.next(),
+        side: rng.int(4),
+        startRoll: rng.next(),
+        endRoll: rng.next(),
+        durationRoll: rng.next()
+    };
+}
+
+/**
+ * Movement rolls for one spawn, also a fixed count (lane rolls are only read by flock followers)
+ */
+export function drawMovementRolls(rng) {
+    return {
+        patternRoll: rng.next(),
+        sideRoll: rng.next(),
+        phaseRoll: rng.next(),
+        laneRollX: rng.next(),
+        laneRollY: rng.next()
+    };
+}
+
+/**
+ * Pick insect type from rolls, elapsed seconds and swarm state
+ * @param {number} [hazardScale] - Adaptive difficulty multiplier on the hazard chance
+ */
+export function rollInsectType(rolls, elapsed, isSwarm = false, swarmLevel = 1,
+    difficultyFactor = getDifficultyFactor(elapsed), definitions = DEFAULT_DEFINITIONS, hazardScale = 1) {
+    const { fallback, elites, hazards } = definitions.spawning;
+
+    // Determine insect type with progressive hazard chance
+    let type = fallback;
+    const { heavyBias, chance, swarmChance } = hazards;
+    const skullBias = Math.min(heavyBias.max, (isSwarm ? heavyBias.swarmBase : heavyBias.base) +
+        difficultyFactor * heavyBias.perDifficulty);
+    const hazardChance = isSwarm
+        // Hazard chance increases with swarm level and game time
+        ? Math.min(swarmChance.max, swarmChance.base + (swarmLevel * swarmChance.perLevel) +
+            difficultyFactor * swarmChance.perDifficulty)
+        : chance.base + difficultyFactor * chance.perDifficulty;
+    if (rolls.hazardRoll < hazardChance * hazardScale) {
+        type = rolls.skullRoll < skullBias ? hazards.heavy : hazards.light;
+    }
+
+    // Elite mosquito spawns (only if not already a hazard); chances stack in list order
+    if (type === fallback) {
+        let threshold = 0;
+        for (const elite of elites) {
+            threshold += elite.chance;
+            if (elapsed >= elite.unlockAt && rolls.eliteRoll < threshold) {
+                type = elite.type;
+                break;
+            }
+        }
+    }
+
+    return type;
+}
+
+/**
+ * Insect type for a practice drill (one type only, or hazard-heavy)
+ */
+export function applyDrill(drill, type, rolls, definitions = DEFAULT_DEFINITIONS) {
+    const rules = drill ? definitions.drills[drill] : null;
+    if (!rules) return type;
+    if (rules.only) return rules.only;
+    if (rules.hazardChance !== undefined && !isHazard(type, definitions) && rolls.hazardRoll < rules.hazardChance) {
+        const { heavy, light } = definitions.spawning.hazards;
+        return rolls.skullRoll < rules.heavyBias ? heavy : light;
+    }
+    return type;
+}
+
+/**
+ * Edge-to-edge flight path inside a play area of width x height
+ */
+export function createFlightPath(rolls, width, height) {
+    const maxX = width - INSECT_SIZE;
+    const maxY = height - INSECT_SIZE;
+
+    switch (rolls.side) {
+        case 0: // Top
+            return { startX: rolls.startRoll * maxX, startY: -INSECT_SIZE, endX: rolls.endRoll * maxX, endY: maxY + INSECT_SIZE };
+        case 1: // Right
+            return { startX: maxX + INSECT_SIZE, startY: rolls.startRoll * maxY, endX: -INSECT_SIZE, endY: rolls.endRoll * maxY };
+        case 2: // Bottom
+            return { startX: rolls.startRoll * maxX, startY: maxY + INSECT_SIZE, endX: rolls.endRoll * maxX, endY: -INSECT_SIZE };
+        default: // Left
+            return { startX: -INSECT_SIZE, startY: rolls.startRoll * maxY, endX: maxX + INSECT_SIZE, endY: rolls.endRoll * maxY };
+    }
+}
+
+/**
+ * Time to cross the screen (swarms and insects with speedFactor < 1 are faster)
+ */
+export function getFlightDuration(rolls, elapsed, type, isSwarm = false, speed = MOSQUITO_SPEED,
+    difficultyFactor = getDifficultyFactor(elapsed), definitions = DEFAULT_DEFINITIONS) {
+    const speedRange = speed.max - speed.min;
+    const speedFactor = Math.min(0.2 + difficultyFactor * 0.55, 1); // Never faster than speed.min
+    let duration = speed.max - speedRange * speedFactor;
+    if (isSwarm) {
+        duration *= 0.92;
+    }
+    const { speedFactor: typeFactor } = getInsectDef(type, definitions);
+    if (typeFactor !== 1) {
+        duration *= typeFactor;
+    }
+    return duration + rolls.durationRoll * 900;
+}
+
+/**
+ * Blink teleport target inside the play area
+ */
+export function getBlinkTarget(rng, width, height) {
+    return {
+        x: rng.next() * (width - BLINK_MARGIN),
+        y: rng.next() * (height - BLINK_MARGIN)
+    };
+}
+
+/**
+ * Movement pattern for a new insect: the first matching rule wins, or null to fly straight
+ * @param {Object} rolls - From drawMovementRolls()
+ */
+export function chooseMovement(rolls, type, isSwarm, difficultyFactor, definitions = DEFAULT_DEFINITIONS) {
+    const movement = definitions.movement;
+    if (!movement) return null;
+
+    const rule = movement.rules.find(item =>
+        (item.swarm === undefined || item.swarm === isSwarm) &&
+        (!item.types || item.types.includes(type)) &&
+        difficultyFactor >= (item.minDifficulty ?? 0) &&
+        rolls.patternRoll < (item.chance ?? 1)
+    );
+    if (!rule || rule.pattern === 'straight') return null;
+
+    return {
+        pattern: rule.pattern,
+        ...movement.patterns[rule.pattern],
+        sign: rolls.sideRoll < 0.5 ? -1 : 1,
+        phase: rolls.phaseRoll
+    };
+}
+
+/**
+ * Position of an insect along its path at `now` (same clock as startTime)
+ */
+export function getInsectPosition(insect, now) {
+    const progress = Math.min(Math.max((now - insect.startTime) / insect.duration, 0), 1);
+    return { ...getPatternPosition(insect, progress), progress };
+}
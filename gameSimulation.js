@@ -0,0 +1,977 @@
+/* ============================================
+   GAME SIMULATION - Headless, tick-driven core
+   All gameplay rules (spawning, swarms, scoring, combo
+   multiplier, elite insects, hazards, timer) with no DOM.
+   The browser Game renders it; the server replays it.
+   Insect and wave numbers come from a definition set.
+   ============================================ */
+
+import { SeededRandom } from './rng.js';
+import { getDefinitions, validateDefinitions } from './gameDefinitions.js';
+import {
+    GAME_DURATION, INSECT_SIZE, MOSQUITO_SPEED, SURVIVAL_LIVES, SURVIVAL_MAX_DURATION, getInsectDef,
+    getDifficultyFactor, getSurvivalDifficulty, getComboMultiplier, getKillPoints, drawSpawnRolls,
+    rollInsectType, applyDrill, createFlightPath, getFlightDuration, getBlinkTarget, getInsectPosition,
+    drawMovementRolls, chooseMovement
+} from './gameRules.js';
+import { stepFlock } from './movementPatterns.js';
+import { AdaptiveDifficulty } from './adaptiveDifficulty.js';
+
+export const SIM_STEP = 16;           // ms per fixed simulation step
+const MAX_TICK = 250;                 // ms - longer frame gaps are clamped
+const TAP_SLOP = 32;                  // px around an insect a direct tap may land
+const HIT_TEST_SLOP = 8;              // px around an insect for point-only taps
+const COMBO_WINDOW = 800;             // ms between kills to extend the visual combo
+const COMBO_RESET = 1500;             // ms of no kills before the visual combo resets
+
+// Definitions may be passed by id (replays) or as a set; sets are validated before use
+function resolveDefinitions(definitions) {
+    if (typeof definitions !== 'string') return validateDefinitions(definitions);
+    const resolved = getDefinitions(definitions);
+    if (!resolved) throw new Error(`Unknown game definitions "${definitions}"`);
+    return resolved;
+}
+
+/**
+ * Deterministic game run. Same seed + same inputs at the same sim times
+ * always produces the same result.
+ *
+ * Events (subscribe with on()):
+ *   spawn(insect) crack(insect) blink(insect) blinkLand(insect)
+ *   kill({ insect, points, multiplier, combo }) hazardHit({ insect, penalty })
+ *   immunityBlock(insect) escape(insect) avoid({ insect, bonus })
+ *   healerBuff(insect) swarm(level) waveCleared(count) timer(timeLeft) score(score)
+ *   multiplier(multiplier) comboReset() boost({ t, boost }) tap({ t, x, y, insectId, hit })
+ *   miss({ x, y, penalty }) end()
+ * Power-up runs:
+ *   powerUp({ insect, effect, duration }) powerUpEnd(effect) powerUpMissed(insect)
+ * Boss runs:
+ *   bossSpawn(boss) bossHit({ insect, points, multiplier, combo }) bossPhase({ insect, phase })
+ *   bossDefeated({ insect, points, bonus, multiplier, combo })
+ * Untimed runs (survival, zen practice):
+ *   survived(seconds)
+ * Survival only:
+ *   life({ lives, insect })
+ */
+export class GameSimulation {
+    /**
+     * @param {Object} options
+     * @param {string} [options.mode] - 'classic' (60s timer) or 'survival' (lives)
+     * @param {string|null} [options.drill] - Practice drill (a key of definitions.drills)
+     * @param {boolean} [options.untimed] - Practice without the countdown
+     * @param {string|Object} [options.definitions] - Registered definition id or a definition set
+     * @param {boolean} [options.boss] - Boss encounter near the end of a timed run
+     * @param {boolean} [options.powerUps] - Power-up pickups fly through the play area
+     * @param {boolean} [options.movement] - Curved, hovering and flocking flight paths
+     * @param {boolean} [options.precision] - Taps that hit nothing cost points
+     * @param {Object|null} [options.adaptive] - { best } to tune the curve to the player; null keeps
+     *   the fixed curve (ranked runs always pass null)
+     */
+    constructor({
+        seed, width, height, duration = GAME_DURATION, speed = MOSQUITO_SPEED,
+        mode = 'classic', drill = null, untimed = false, definitions = 'default', boss = false,
+        powerUps = false, movement = false, adaptive = null, precision = false
+    }) {
+        const root = new SeededRandom(seed);
+        this.seed = root.seed;
+        // One independent stream per system so e.g. a player's blink taps
+        // never change which insects spawn next
+        this.spawnRng = root.fork('spawn');        // Insect type, edge side, path, speed jitter
+        this.scheduleRng = root.fork('schedule');  // Spawn timing and extra spawns
+        this.swarmRng = root.fork('swarm');        // Swarm timing and counts
+        this.blinkRng = root.fork('blink');        // Blink teleport targets (player-driven)
+        this.bossRng = root.fork('boss');          // Boss flight waypoints
+        this.powerUpRng = root.fork('powerUp');    // Power-up timing, type and path
+        this.movementRng = root.fork('movement');  // Flight pattern choice and flock lanes
+
+        this.definitions = resolveDefinitions(definitions);
+        this.width = width;
+        this.height = height;
+        this.mode = mode;
+        this.isSurvival = mode === 'survival';
+        this.isUntimed = this.isSurvival || untimed;
+        this.drill = drill;
+        this.bossEnabled = Boolean(boss && this.definitions.boss) && !this.isUntimed;
+        this.powerUpsEnabled = Boolean(powerUps && this.definitions.powerUps);
+        this.movementEnabled = Boolean(movement && this.definitions.movement);
+        this.precisionEnabled = Boolean(precision && this.definitions.precision);
+        this.adaptive = adaptive && this.definitions.adaptive
+            ? new AdaptiveDifficulty(this.definitions.adaptive, adaptive.best)
+            : null;
+        this.duration = duration;
+        this.speed = { ...speed };
+
+        // Clock
+        this.time = 0;
+        this.flightTime = 0; // Insect movement clock: stops during freeze, slows in slow-mo
+        this.accumulator = 0;
+        this.started = false;
+        this.isOver = false;
+        this.timeLeft = duration;
+        this.survived = 0; // Untimed clock (seconds), counts up
+        this.nextTimerAt = 1000;
+
+        // Score and stats
+        this.score = 0;
+        this.tappedCount = 0;
+        this.escapedCount = 0;
+        this.wavesCleared = 0;
+        this.tapCount = 0;
+        this.missCount = 0;
+        this.reactionTimes = {};    // Insect type -> { count, total, best } ms from spawn to kill
+        this.lives = this.isSurvival ? SURVIVAL_LIVES : null;
+        this.currentCombo = 0;
+        this.bestCombo = 0;
+        this.lastKillTime = -Infinity;
+        this.comboResetAt = null;
+
+        // Challenge system
+        this.comboMultiplier = 1;
+        this.consecutiveTaps = 0;
+        this.hazardImmunity = 0;
+        this.isSwarmActive = false;
+        this.currentSwarmLevel = 0;
+        this.healerBuffActive = false;
+        this.boss = null;           // Live boss insect
+        this.bossSpawned = false;
+        this.bossesDefeated = 0;
+        this.bossDamage = 0;        // Hits landed on the boss
+        this.activeEffects = {};    // Power-up effect -> { until, def } (sim time it wears off)
+        this.powerUpsCollected = {}; // Power-up type -> pickups this run
+        this.flocks = [];           // Swarm flocks: { members, leader, pending } (movement runs)
+
+        this.insects = [];
+        this.nextInsectId = 0;
+        this.timers = [];
+        this.nextTimerSeq = 0;
+        this.listeners = new Map();
+    }
+
+    // ============ EVENTS ============
+
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, payload) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(payload);
+        }
+    }
+
+    // ============ CLOCK ============
+
+    // Seconds into the run as the difficulty curve sees it (bonus time pushes this back)
+    getElapsed() {
+        return this.isUntimed ? this.survived : this.duration - this.timeLeft;
+    }
+
+    getDifficulty() {
+        const elapsed = this.getElapsed();
+        return this.isSurvival ? getSurvivalDifficulty(elapsed) : getDifficultyFactor(elapsed);
+    }
+
+    // Flight duration range (ms), shortened or stretched by adaptive difficulty
+    getSpeed(tuning) {
+        if (!tuning) return this.speed;
+        return { min: this.speed.min * tuning.flightDuration, max: this.speed.max * tuning.flightDuration };
+    }
+
+    // Run a callback `delay` ms of sim time from now
+    schedule(delay, fn) {
+        this.timers.push({ at: this.time + Math.max(0, delay), seq: this.nextTimerSeq++, fn });
+    }
+
+    runDueTimers() {
+        for (;;) {
+            let next = null;
+            for (const timer of this.timers) {
+                if (timer.at <= this.time && (!next || timer.at < next.at || (timer.at === next.at && timer.seq < next.seq))) {
+                    next = timer;
+                }
+            }
+            if (!next || this.isOver) return;
+            this.timers.splice(this.timers.indexOf(next), 1);
+            next.fn();
+        }
+    }
+
+    /**
+     * Start the run: first spawn, countdown, spawn scheduler and swarms
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.scheduleNextSpawn();
+        this.scheduleSwarmEvents();
+        if (this.powerUpsEnabled) {
+            this.schedulePowerUp(this.definitions.powerUps.firstAt);
+        }
+        this.spawnInsect();
+    }
+
+    /**
+     * Advance by real elapsed ms (accumulated into fixed steps)
+     */
+    tick(dt) {
+        if (!this.started || this.isOver) return;
+        this.accumulator += Math.min(Math.max(dt, 0), MAX_TICK);
+        while (this.accumulator >= SIM_STEP && !this.isOver) {
+            this.accumulator -= SIM_STEP;
+            this.step();
+        }
+    }
+
+    /**
+     * Advance exactly to sim time `t` (used when re-playing recorded input)
+     */
+    advanceTo(t) {
+        while (this.time < t && !this.isOver) {
+            this.step();
+        }
+    }
+
+    /**
+     * Run to the end with no further input
+     */
+    runToEnd() {
+        while (!this.isOver) {
+            this.step();
+        }
+    }
+
+    step() {
+        this.time += SIM_STEP;
+        this.expireEffects();
+        const flightRate = this.getFlightRate();
+        this.flightTime += SIM_STEP * flightRate;
+        if (this.flocks.length && flightRate > 0) this.stepFlocks(SIM_STEP * flightRate);
+
+        // Countdown (untimed runs count up instead)
+        while (this.time >= this.nextTimerAt && !this.isOver) {
+            this.nextTimerAt += 1000;
+            if (this.isUntimed) {
+                this.survived++;
+                this.emit('survived', this.survived);
+                if (this.isSurvival && this.survived >= SURVIVAL_MAX_DURATION) {
+                    this.end();
+                    return;
+                }
+                continue;
+            }
+            this.timeLeft--;
+            this.emit('timer', this.timeLeft);
+            if (this.timeLeft <= 0) {
+                this.end();
+                return;
+            }
+            if (this.bossEnabled && !this.bossSpawned && this.timeLeft <= this.definitions.boss.atTimeLeft) {
+                this.spawnBoss();
+            }
+        }
+
+        this.runDueTimers();
+        if (this.isOver) return;
+
+        // Visual combo resets after a pause in kills
+        if (this.comboResetAt !== null && this.time >= this.comboResetAt) {
+            this.comboResetAt = null;
+            this.currentCombo = 0;
+            this.emit('comboReset');
+        }
+
+        for (const insect of [...this.insects]) {
+            if (this.isOver) return; // Last life lost mid-step
+
+            // The boss never escapes, it flies to a new waypoint
+            if (insect.isBoss) {
+                if (this.flightTime - insect.startTime >= insect.duration) {
+                    this.nextBossLeg(insect);
+                }
+                continue;
+            }
+
+            // Healer mosquito activates after its heal delay if not killed
+            const def = getInsectDef(insect.type, this.definitions);
+            if (def.ability === 'heal' && !insect.hasHealed && this.flightTime - insect.startTime >= def.healDelay) {
+                insect.hasHealed = true;
+                this.activateHealerBuff(insect, def);
+            }
+
+            if (this.flightTime - insect.startTime >= insect.duration) {
+                this.escapeInsect(insect);
+            }
+        }
+    }
+
+    end() {
+        if (this.isOver) return;
+        this.isOver = true;
+        this.timers = [];
+        this.emit('end');
+    }
+
+    // ============ BOOSTS ============
+
+    /**
+     * Apply a pre-game or in-run boost
+     * @param {Object} boost - { bonusTime, bonusPoints, startMultiplier, hazardImmunity }
+     */
+    applyBoost({ bonusTime = 0, bonusPoints = 0, startMultiplier = 1, hazardImmunity = 0 }) {
+        if (this.isOver) return;
+        this.timeLeft += bonusTime;
+        this.score += bonusPoints;
+        this.hazardImmunity += hazardImmunity;
+        if (startMultiplier > 1) {
+            this.comboMultiplier = Math.max(this.comboMultiplier, startMultiplier);
+            this.consecutiveTaps = Math.max(this.consecutiveTaps, 5);
+        }
+
+        // Boosts before start() are recorded at t = -1 so replays apply them in the same order
+        this.emit('boost', {
+            t: this.started ? this.time : -1,
+            boost: { bonusTime, bonusPoints, startMultiplier, hazardImmunity }
+        });
+        this.emit('timer', this.timeLeft);
+        this.emit('score', this.score);
+        this.emit('multiplier', this.comboMultiplier);
+    }
+
+    // ============ SPAWNING ============
+
+    scheduleNextSpawn() {
+        // Calculate spawn rate based on elapsed time
+        const difficultyFactor = this.getDifficulty();
+        const rate = this.definitions.spawning.rate;
+        let spawnRate = rate.base - (rate.base - rate.min) * Math.min(difficultyFactor, 1);
+        if (difficultyFactor > 1) {
+            spawnRate *= 1 - (difficultyFactor - 1) * rate.beyondMaxSpeedup; // Survival past 60s
+        }
+        if (this.adaptive) spawnRate *= this.adaptive.getTuning().spawnInterval;
+        const jitter = Math.max(rate.jitter + rate.jitterPerDifficulty * difficultyFactor, rate.minJitter);
+
+        this.schedule(spawnRate + this.scheduleRng.next() * jitter, () => {
+            this.spawnInsect();
+            const extraSpawnChance = rate.extraChance + difficultyFactor * rate.extraChancePerDifficulty;
+            const extraRoll = this.scheduleRng.next();
+            const extraDelay = this.scheduleRng.range(...rate.extraDelay);
+            if (extraRoll < extraSpawnChance) {
+                this.schedule(extraDelay, () => this.spawnInsect());
+            }
+            this.scheduleNextSpawn();
+        });
+    }
+
+    scheduleSwarmEvents() {
+        const { swarms, drills } = this.definitions;
+        if (this.isSurvival || drills[this.drill]?.escalatingSwarms) {
+            this.scheduleEscalatingSwarm(0);
+            return;
+        }
+
+        for (const swarm of swarms.schedule) {
+            const delay = (swarm.time + this.swarmRng.next() * swarms.startJitter) * 1000;
+            this.schedule(delay, () => this.triggerSwarm(swarm.level));
+        }
+    }
+
+    // Survival (and the hazard drill) swarms recur forever, each one sooner and bigger than the last
+    scheduleEscalatingSwarm(wave) {
+        const { startJitter, escalating } = this.definitions.swarms;
+        const gap = wave === 0
+            ? escalating.first
+            : Math.max(escalating.minGap, escalating.gap - wave * escalating.gapStep);
+        const delay = (gap + this.swarmRng.next() * startJitter) * 1000;
+        this.schedule(delay, () => {
+            this.triggerSwarm(wave + 1);
+            this.scheduleEscalatingSwarm(wave + 1);
+        });
+    }
+
+    triggerSwarm(level = 1) {
+        this.isSwarmActive = true;
+        this.currentSwarmLevel = level;
+        this.emit('swarm', level);
+
+        // Progressive spawn count based on level (survival keeps growing past the last scripted level)
+        const { counts, countJitter, spawnInterval: interval, escalating, length } = this.definitions.swarms;
+        const topLevel = Object.keys(counts).length;
+        const count = Math.min(
+            counts[Math.min(level, topLevel)] + Math.max(0, level - topLevel) * escalating.extraPerLevel,
+            escalating.maxCount
+        ) + this.swarmRng.int(countJitter);
+        const spawnInterval = Math.max(interval.min, interval.base + level * interval.perLevel);
+
+        // Movement runs fly each swarm as one flock
+        const flock = this.movementEnabled ? { members: [], leader: null, pending: count } : null;
+        if (flock) this.flocks.push(flock);
+
+        for (let i = 0; i < count; i++) {
+            this.schedule(i * spawnInterval, () => this.spawnInsect(true, level, null, flock));
+        }
+
+        this.schedule(length, () => {
+            this.isSwarmActive = false;
+            this.wavesCleared++;
+            this.emit('waveCleared', this.wavesCleared);
+        });
+    }
+
+    spawnInsect(isSwarm = false, swarmLevel = 1, summoner = null, flock = null) {
+        const elapsed = this.getElapsed();
+        const difficulty = this.getDifficulty();
+
+        // Always draw the same number of rolls per spawn so both versus players
+        // stay on the same point of the sequence
+        const rolls = drawSpawnRolls(this.spawnRng);
+        const tuning = this.adaptive?.getTuning();
+        const rolled = rollInsectType(rolls, elapsed, isSwarm, swarmLevel, difficulty, this.definitions,
+            tuning?.hazardChance);
+        const type = summoner ? this.definitions.boss.minion : applyDrill(this.drill, rolled, rolls, this.definitions);
+
+        const insect = {
+            id: this.nextInsectId++,
+            type,
+            isSwarm,
+            ...createFlightPath(rolls, this.width, this.height),
+            // Swarms and hazards are faster
+            duration: getFlightDuration(rolls, elapsed, type, isSwarm, this.getSpeed(tuning), difficulty, this.definitions),
+            startTime: this.flightTime,
+            spawnedAt: this.time, // Sim time, for reaction stats (startTime stops during freeze)
+            // Elite mosquito state
+            cracked: false,       // For armored: true after first tap
+            blinked: false,       // For blink: true after teleport
+            hasHealed: false      // For healer: true after buffing
+        };
+
+        // Minions burst out of the boss and fly to the edge
+        if (summoner) {
+            const { x, y } = this.getInsectPosition(summoner);
+            insect.startX = x + (summoner.size - INSECT_SIZE) / 2;
+            insect.startY = y + (summoner.size - INSECT_SIZE) / 2;
+        }
+
+        if (flock) flock.pending--;
+        if (this.movementEnabled) this.assignMovement(insect, isSwarm, difficulty, flock);
+
+        this.insects.push(insect);
+        this.emit('spawn', insect);
+        return insect;
+    }
+
+    // ============ MOVEMENT ============
+
+    // Pick a flight pattern; swarm members follow their flock leader's lane
+    assignMovement(insect, isSwarm, difficulty, flock) {
+        const rolls = drawMovementRolls(this.movementRng);
+        const movement = chooseMovement(rolls, insect.type, isSwarm, difficulty, this.definitions);
+        if (!movement) return;
+
+        if (movement.pattern === 'flock' && flock) {
+            const leader = flock.leader;
+            if (leader) {
+                const { laneSpread } = this.definitions.movement.patterns.flock;
+                insect.startX = leader.startX + (rolls.laneRollX - 0.5) * 2 * laneSpread;
+                insect.startY = leader.startY + (rolls.laneRollY - 0.5) * 2 * laneSpread;
+                insect.endX = leader.endX + (rolls.laneRollX - 0.5) * 2 * laneSpread;
+                insect.endY = leader.endY + (rolls.laneRollY - 0.5) * 2 * laneSpread;
+                insect.duration = leader.duration;
+            } else {
+                flock.leader = insect;
+            }
+            Object.assign(movement, { vx: 0, vy: 0, offsetX: 0, offsetY: 0 });
+            flock.members.push(insect);
+        }
+        insect.movement = movement;
+    }
+
+    // Boids step for every live flock; a flock is dropped once it is fully spawned and gone
+    stepFlocks(dt) {
+        const params = this.definitions.movement.patterns.flock;
+        this.flocks = this.flocks.filter((flock) => {
+            flock.members = flock.members.filter(member => this.insects.includes(member));
+            if (!flock.members.length) return flock.pending > 0;
+            stepFlock(flock.members.map(member => ({ ...this.getInsectPosition(member), movement: member.movement })), dt, params);
+            return true;
+        });
+    }
+
+    // ============ BOSS ============
+
+    spawnBoss() {
+        const rules = this.definitions.boss;
+        this.bossSpawned = true;
+
+        const boss = {
+            id: this.nextInsectId++,
+            type: rules.insect,
+            isSwarm: false,
+            isBoss: true,
+            size: rules.size,
+            hp: rules.hp,
+            maxHp: rules.hp,
+            phase: 0,
+            // Enters from the top centre, then roams between waypoints
+            startX: (this.width - rules.size) / 2,
+            startY: -rules.size,
+            endX: (this.width - rules.size) / 2,
+            endY: -rules.size,
+            duration: 0,
+            startTime: this.flightTime,
+            cracked: false,
+            blinked: false,
+            hasHealed: false
+        };
+        this.nextBossLeg(boss);
+
+        this.boss = boss;
+        this.insects.push(boss);
+        this.emit('spawn', boss);
+        this.emit('bossSpawn', boss);
+        this.scheduleBossSummon(boss);
+    }
+
+    // Current phase index from remaining hp (later phases are faster and summon more)
+    getBossPhase(boss) {
+        const { phases } = this.definitions.boss;
+        const fraction = boss.hp / boss.maxHp;
+        let phase = 0;
+        for (let i = 1; i < phases.length; i++) {
+            if (fraction <= phases[i].fromHp) phase = i;
+        }
+        return phase;
+    }
+
+    nextBossLeg(boss) {
+        const { phases } = this.definitions.boss;
+        boss.startX = boss.endX;
+        boss.startY = boss.endY;
+        boss.endX = this.bossRng.next() * Math.max(this.width - boss.size, 0);
+        boss.endY = this.bossRng.next() * Math.max(this.height - boss.size, 0);
+        boss.startTime = this.flightTime;
+        boss.duration = phases[boss.phase].legDuration;
+    }
+
+    scheduleBossSummon(boss) {
+        const { phases } = this.definitions.boss;
+        this.schedule(phases[boss.phase].summonEvery, () => {
+            if (this.boss !== boss) return;
+            for (let i = 0; i < phases[boss.phase].summonCount; i++) {
+                this.spawnInsect(false, 1, boss);
+            }
+            this.scheduleBossSummon(boss);
+        });
+    }
+
+    hitBoss(boss) {
+        boss.hp--;
+        this.bossDamage++;
+        this.extendCombo();
+        const points = getKillPoints(boss.type, false, this.definitions) * this.comboMultiplier;
+
+        if (boss.hp > 0) {
+            this.score += points;
+            this.emit('bossHit', { insect: boss, points, multiplier: this.comboMultiplier, combo: this.currentCombo });
+
+            const phase = this.getBossPhase(boss);
+            if (phase !== boss.phase) {
+                boss.phase = phase;
+                this.emit('bossPhase', { insect: boss, phase });
+            }
+        } else {
+            // Defeated: flat bonus plus a reward for every second still on the clock
+            const rules = this.definitions.boss;
+            const bonus = rules.killBonus + Math.max(this.timeLeft, 0) * rules.timeBonus;
+            this.removeInsect(boss);
+            this.boss = null;
+            this.bossesDefeated++;
+            this.tappedCount++;
+            this.score += points + bonus;
+            this.emit('bossDefeated', { insect: boss, points, bonus, multiplier: this.comboMultiplier, combo: this.currentCombo });
+        }
+
+        this.emit('score', this.score);
+        this.emit('multiplier', this.comboMultiplier);
+    }
+
+    removeInsect(insect) {
+        const index = this.insects.indexOf(insect);
+        if (index > -1) {
+            this.insects.splice(index, 1);
+        }
+    }
+
+    getInsectPosition(insect) {
+        return getInsectPosition(insect, this.flightTime);
+    }
+
+    // ============ POWER-UPS ============
+
+    schedulePowerUp(gap) {
+        const delay = (gap + this.powerUpRng.next() * this.definitions.powerUps.jitter) * 1000;
+        this.schedule(delay, () => {
+            this.spawnPowerUp();
+            this.schedulePowerUp(this.definitions.powerUps.every);
+        });
+    }
+
+    // Own stream for type and path, so pickups never change which insects spawn
+    spawnPowerUp() {
+        const { types } = this.definitions.powerUps;
+        const type = types[this.powerUpRng.int(types.length)];
+        const rolls = drawSpawnRolls(this.powerUpRng);
+
+        const insect = {
+            id: this.nextInsectId++,
+            type,
+            isSwarm: false,
+            isPowerUp: true,
+            ...createFlightPath(rolls, this.width, this.height),
+            duration: getFlightDuration(rolls, this.getElapsed(), type, false, this.speed,
+                this.getDifficulty(), this.definitions),
+            startTime: this.flightTime,
+            cracked: false,
+            blinked: false,
+            hasHealed: false
+        };
+
+        this.insects.push(insect);
+        this.emit('spawn', insect);
+        return insect;
+    }
+
+    collectPowerUp(insect, def) {
+        this.removeInsect(insect);
+        this.powerUpsCollected[insect.type] = (this.powerUpsCollected[insect.type] || 0) + 1;
+
+        // Timed effects stack by extending; a bomb goes off at once
+        if (def.powerUp !== 'bomb') {
+            const until = Math.max(this.activeEffects[def.powerUp]?.until ?? 0, this.time) + def.duration;
+            this.activeEffects[def.powerUp] = { until, def };
+        }
+        this.emit('powerUp', { insect, effect: def.powerUp, duration: def.duration ?? 0 });
+
+        if (def.powerUp === 'bomb') {
+            this.detonateBomb();
+        }
+    }
+
+    // Clears the screen but respects hazards (and other pickups); the boss takes one hit
+    detonateBomb() {
+        for (const insect of [...this.insects]) {
+            if (insect.isBoss) {
+                this.hitBoss(insect);
+                continue;
+            }
+            const def = getInsectDef(insect.type, this.definitions);
+            if (def.hazard || def.powerUp) continue;
+            this.killInsect(insect);
+        }
+    }
+
+    expireEffects() {
+        for (const [effect, { until }] of Object.entries(this.activeEffects)) {
+            if (this.time >= until) {
+                delete this.activeEffects[effect];
+                this.emit('powerUpEnd', effect);
+            }
+        }
+    }
+
+    // 1 normally; 0 while frozen, the slow-mo rate while slowed
+    getFlightRate() {
+        if (this.activeEffects.freeze) return 0;
+        return this.activeEffects.slowmo?.def.flightRate ?? 1;
+    }
+
+    getMagnetReach() {
+        return this.activeEffects.magnet?.def.reach ?? 0;
+    }
+
+    // ============ INPUT ============
+
+    /**
+     * Topmost insect under a point (later spawns render on top)
+     */
+    hitTest(x, y, slop = HIT_TEST_SLOP) {
+        for (let i = this.insects.length - 1; i >= 0; i--) {
+            if (this.isNear(this.insects[i], x, y, slop)) {
+                return this.insects[i];
+            }
+        }
+        return null;
+    }
+
+    isNear(insect, x, y, slop) {
+        const { x: ix, y: iy } = this.getInsectPosition(insect);
+        const size = insect.size ?? INSECT_SIZE;
+        return x >= ix - slop && x <= ix + size + slop && y >= iy - slop && y <= iy + size + slop;
+    }
+
+    /**
+     * Handle a tap at (x, y). When the renderer already knows which insect
+     * was tapped it passes insectId; the point must still be near it.
+     * @returns {Object|null} The insect that was hit
+     */
+    tap(x, y, insectId = null) {
+        if (!this.started || this.isOver) return null;
+
+        // Taps are kept to 0.1px so a recorded replay hit-tests identically
+        x = Math.round(x * 10) / 10;
+        y = Math.round(y * 10) / 10;
+
+        let insect = null;
+        if (insectId !== null && insectId !== undefined) {
+            const candidate = this.insects.find(item => item.id === insectId);
+            if (candidate && this.isNear(candidate, x, y, TAP_SLOP + this.getMagnetReach())) {
+                insect = candidate;
+            }
+        } else {
+            insect = this.hitTest(x, y, HIT_TEST_SLOP + this.getMagnetReach());
+        }
+
+        this.tapCount++;
+        this.emit('tap', { t: this.time, x, y, insectId: insectId ?? -1, hit: Boolean(insect) });
+        if (!insect) {
+            this.missTap(x, y);
+            return null;
+        }
+
+        this.tapInsect(insect);
+        return insect;
+    }
+
+    tapInsect(insect) {
+        if (insect.isBoss) {
+            this.hitBoss(insect);
+            return;
+        }
+
+        const def = getInsectDef(insect.type, this.definitions);
+
+        if (def.powerUp) {
+            this.collectPowerUp(insect, def);
+            return;
+        }
+
+        // Handle hazard taps (bee or skull)
+        if (def.hazard) {
+            this.removeInsect(insect);
+            this.handleHazardTap(insect, def.penalty);
+            return;
+        }
+
+        // Handle Blink mosquito - teleports on first tap
+        if (def.ability === 'blink' && !insect.blinked) {
+            insect.blinked = true;
+            const target = getBlinkTarget(this.blinkRng, this.width, this.height);
+            this.emit('blink', insect);
+            this.schedule(def.blinkDelay, () => {
+                if (!this.insects.includes(insect)) return;
+                insect.startX = target.x;
+                insect.startY = target.y;
+                this.emit('blinkLand', insect);
+            });
+            return; // Don't kill yet
+        }
+
+        // Handle Armored mosquito - requires 2 taps
+        if (def.hits === 2 && !insect.cracked) {
+            insect.cracked = true;
+            this.emit('crack', insect);
+            return; // Don't kill yet, wait for second tap
+        }
+
+        // Now the mosquito is killed
+        this.adaptive?.recordKill(this.flightTime - insect.startTime);
+        this.recordReaction(insect);
+        this.killInsect(insect);
+    }
+
+    // A tap that hit nothing; precision runs pay for it
+    missTap(x, y) {
+        this.missCount++;
+        let penalty = 0;
+        if (this.precisionEnabled) {
+            const { missPenalty, breaksCombo } = this.definitions.precision;
+            penalty = missPenalty;
+            this.score = Math.max(0, this.score + penalty);
+            if (breaksCombo) {
+                this.consecutiveTaps = 0;
+                this.comboMultiplier = 1;
+                this.emit('multiplier', this.comboMultiplier);
+            }
+        }
+        this.emit('miss', { x, y, penalty });
+        if (penalty) this.emit('score', this.score);
+    }
+
+    recordReaction(insect) {
+        const ms = this.time - insect.spawnedAt;
+        if (!this.reactionTimes[insect.type]) {
+            this.reactionTimes[insect.type] = { count: 0, total: 0, best: Infinity };
+        }
+        const entry = this.reactionTimes[insect.type];
+        entry.count++;
+        entry.total += ms;
+        entry.best = Math.min(entry.best, ms);
+    }
+
+    // Share of taps that hit something (null before the first tap)
+    getAccuracy() {
+        return this.tapCount ? (this.tapCount - this.missCount) / this.tapCount : null;
+    }
+
+    /**
+     * Average and best reaction (ms from spawn to the killing tap), overall and per insect type
+     * @returns {{ average: number|null, best: number|null, byType: Object }}
+     */
+    getReactionStats() {
+        const byType = {};
+        let count = 0;
+        let total = 0;
+        let best = Infinity;
+        for (const [type, entry] of Object.entries(this.reactionTimes)) {
+            byType[type] = { count: entry.count, average: Math.round(entry.total / entry.count), best: entry.best };
+            count += entry.count;
+            total += entry.total;
+            best = Math.min(best, entry.best);
+        }
+        return {
+            average: count ? Math.round(total / count) : null,
+            best: count ? best : null,
+            byType
+        };
+    }
+
+    killInsect(insect) {
+        this.removeInsect(insect);
+        this.tappedCount++;
+        this.extendCombo();
+
+        // Base points from the catalogue (elites are worth more)
+        const points = getKillPoints(insect.type, insect.hasHealed, this.definitions) * this.comboMultiplier;
+        this.score += points;
+
+        this.emit('kill', {
+            insect,
+            points,
+            multiplier: this.comboMultiplier,
+            combo: this.currentCombo
+        });
+        this.emit('score', this.score);
+        this.emit('multiplier', this.comboMultiplier);
+    }
+
+    // A kill (or a boss hit) extends the multiplier streak and the visual combo
+    extendCombo() {
+        this.consecutiveTaps++;
+
+        // Update combo multiplier based on consecutive taps
+        this.comboMultiplier = getComboMultiplier(this.consecutiveTaps);
+
+        // Calculate combo for visual effects
+        if (this.time - this.lastKillTime < COMBO_WINDOW) {
+            this.currentCombo++;
+            if (this.currentCombo > this.bestCombo) {
+                this.bestCombo = this.currentCombo;
+            }
+        } else {
+            this.currentCombo = 1;
+        }
+        this.lastKillTime = this.time;
+        this.comboResetAt = this.time + COMBO_RESET;
+    }
+
+    handleHazardTap(insect, penalty) {
+        // Check for hazard immunity from share boost
+        if (this.hazardImmunity > 0) {
+            this.hazardImmunity--;
+            this.emit('immunityBlock', insect);
+            return;
+        }
+
+        // Apply penalty (no immunity) and reset combo multiplier
+        this.score = Math.max(0, this.score + penalty);
+        this.consecutiveTaps = 0;
+        this.comboMultiplier = 1;
+        this.currentCombo = 0;
+
+        this.emit('hazardHit', { insect, penalty });
+        this.emit('score', this.score);
+        this.emit('multiplier', this.comboMultiplier);
+        this.loseLife(insect);
+    }
+
+    // Survival: escapes and hazard hits cost a life, the last one ends the run
+    loseLife(insect) {
+        if (!this.isSurvival || this.isOver) return;
+        this.lives--;
+        this.emit('life', { lives: this.lives, insect });
+        if (this.lives <= 0) {
+            this.end();
+        }
+    }
+
+    // ============ ELITE + ESCAPES ============
+
+    // Healer mosquito buff: speeds up every other active insect for buffLength ms
+    activateHealerBuff(healer, def) {
+        this.healerBuffActive = true;
+        this.emit('healerBuff', healer);
+
+        // Increase speed of existing mosquitoes by reducing duration
+        // (the boss keeps its own clock and pickups aren't insects)
+        for (const insect of this.insects) {
+            if (insect.isBoss || insect.isPowerUp) continue;
+            if (getInsectDef(insect.type, this.definitions).ability !== 'heal') {
+                insect.duration *= def.buffFactor;
+            }
+        }
+
+        this.schedule(def.buffLength, () => {
+            this.healerBuffActive = false;
+        });
+    }
+
+    escapeInsect(insect) {
+        this.removeInsect(insect);
+        const def = getInsectDef(insect.type, this.definitions);
+
+        // Uncollected power-ups just fly off
+        if (def.powerUp) {
+            this.emit('powerUpMissed', insect);
+            return;
+        }
+
+        // Normal mosquito escape = penalty (reset multiplier)
+        if (def.escapeBreaksCombo) {
+            this.escapedCount++;
+            this.adaptive?.recordEscape();
+            this.consecutiveTaps = 0;
+            this.comboMultiplier = 1;
+            this.emit('escape', insect);
+            this.emit('multiplier', this.comboMultiplier);
+            this.loseLife(insect);
+            return;
+        }
+
+        // Hazard escape = REWARD for resisting temptation!
+        if (def.hazard) {
+            const bonus = def.avoidBonus;
+            this.score += bonus;
+            this.emit('avoid', { insect, bonus });
+            this.emit('score', this.score);
+            return;
+        }
+
+        this.emit('escape', insect);
+        this.loseLife(insect);
+    }
+}
@@ -3,21 +3,28 @@
    Uses Supabase API with localStorage fallback
    ============================================ */
 
-const LEADERBOARD_KEY = 'mosquito-leaderboard';
+// One board per solo mode (classic = 60s timed run)
+const LEADERBOARD_KEYS = {
+    classic: 'mosquito-leaderboard',
+    survival: 'mosquito-leaderboard-survival'
+};
 const MAX_ENTRIES = 10;
 const API_URL = '/api/leaderboard';
 
 class LeaderboardManager {
     constructor() {
-        this.entries = [];
-        this.localEntries = this.loadLocal();
+        this.entries = { classic: [], survival: [] };
+        this.localEntries = {
+            classic: this.loadLocal('classic'),
+            survival: this.loadLocal('survival')
+        };
         this.isOnline = false;
     }
 
     // Load from localStorage (fallback)
-    loadLocal() {
+    loadLocal(mode = 'classic') {
         try {
-            const data = localStorage.getItem(LEADERBOARD_KEY);
+            const data = localStorage.getItem(LEADERBOARD_KEYS[mode]);
             return data ? JSON.parse(data) : [];
         } catch {
             return [];
@@ -25,9 +32,9 @@ class LeaderboardManager {
     }
 
     // Save to localStorage
-    saveLocal() {
+    saveLocal(mode = 'classic') {
         try {
-            localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(this.localEntries));
+            localStorage.setItem(LEADERBOARD_KEYS[mode], JSON.stringify(this.localEntries[mode]));
         } catch (e) {
             console.warn('Failed to save local leaderboard:', e);
         }
@@ -93,22 +100,28 @@ class LeaderboardManager {
     }
 
     // Fetch global leaderboard from API
-    async fetchGlobal() {
+    async fetchGlobal(mode = 'classic') {
         try {
-            const response = await fetch(API_URL);
+            const response = await fetch(`${API_URL}?mode=${mode}`);
             if (response.ok) {
                 const data = await response.json();
-                this.entries = (data.entries || []).map(entry => ({
+                this.entries[mode] = (data.entries || []).map(entry => ({
                     score: entry.score,
                     address: this.normalizeAddress(entry.wallet_address) || entry.wallet_address,
                     username: this.sanitizeUsername(entry.username),
                     displayAddress: this.sanitizeUsername(entry.username) || this.formatAddress(entry.wallet_address),
                     tapped: entry.tapped,
                     bestCombo: entry.best_combo,
+                    bossKills: entry.boss_kills || 0,
+                    powerUps: entry.power_ups || 0,
+                    accuracy: entry.taps ? (entry.taps - (entry.misses || 0)) / entry.taps : null,
+                    avgReaction: entry.avg_reaction ?? null,
+                    bestReaction: entry.best_reaction ?? null,
+                    boostedRuns: entry.boosted_runs || 0,
                     timestamp: new Date(entry.created_at).getTime(),
                 }));
                 this.isOnline = true;
-                return this.entries;
+                return this.entries[mode];
             }
         } catch (error) {
             console.log('Using local leaderboard:', error.message);
@@ -116,12 +129,13 @@ class LeaderboardManager {
 
         // Fallback to local
         this.isOnline = false;
-        this.entries = this.localEntries;
-        return this.entries;
+        this.entries[mode] = this.localEntries[mode];
+        return this.entries[mode];
     }
 
-    // Add a new score entry
+    // Add a new score entry (stats.mode picks the board; stats.replayId is the verified run the server ranks)
     async addScore(score, address = null, username = null, stats = {}) {
+        const mode = stats.mode || 'classic';
         const normalizedAddress = address ? this.normalizeAddress(address) : null;
         const sanitizedUsername = this.sanitizeUsername(username);
         const entry = {
@@ -131,21 +145,28 @@ class LeaderboardManager {
             displayAddress: sanitizedUsername || this.formatAddress(address),
             tapped: stats.tapped || 0,
             bestCombo: stats.bestCombo || 1,
+            bossKills: stats.bossKills || 0,
+            powerUps: stats.powerUps || 0,
+            accuracy: stats.taps ? (stats.taps - (stats.misses || 0)) / stats.taps : null,
+            avgReaction: stats.avgReaction ?? null,
+            bestReaction: stats.bestReaction ?? null,
+            boostedRuns: stats.boosted ? 1 : 0,
             timestamp: Date.now(),
         };
 
-        // Try to submit to API
+        // Try to submit to API - the server ranks the verified replay, not this score
         let rank = -1;
         try {
+            if (!stats.replayId) throw new Error('Run has no verified replay');
+
             const response = await fetch(API_URL, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     walletAddress: normalizedAddress,
                     username: sanitizedUsername,
-                    score: score,
-                    tapped: stats.tapped || 0,
-                    bestCombo: stats.bestCombo || 1
+                    replayId: stats.replayId,
+                    mode
                 })
             });
 
@@ -154,7 +175,7 @@ class LeaderboardManager {
                 rank = data.rank || -1;
                 this.isOnline = true;
                 // Refresh global leaderboard
-                await this.fetchGlobal();
+                await this.fetchGlobal(mode);
                 return rank;
             }
         } catch (error) {
@@ -163,13 +184,13 @@ class LeaderboardManager {
 
         // Fallback: save locally
         this.isOnline = false;
-        this.localEntries.push(entry);
-        this.localEntries.sort((a, b) => b.score - a.score);
-        this.localEntries = this.localEntries.slice(0, MAX_ENTRIES);
-        this.saveLocal();
-        this.entries = this.localEntries;
+        const localEntries = [...this.localEntries[mode], entry];
+        localEntries.sort((a, b) => b.score - a.score);
+        this.localEntries[mode] = localEntries.slice(0, MAX_ENTRIES);
+        this.saveLocal(mode);
+        this.entries[mode] = this.localEntries[mode];
 
-        rank = this.localEntries.findIndex(e =>
+        rank = this.localEntries[mode].findIndex(e =>
             e.timestamp === entry.timestamp && e.score === entry.score
         );
 
@@ -177,16 +198,16 @@ class LeaderboardManager {
     }
 
     // Get all leaderboard entries
-    getAll() {
-        const entries = this.entries.length > 0 ? this.entries : this.localEntries;
+    getAll(mode = 'classic') {
+        const entries = this.entries[mode].length > 0 ? this.entries[mode] : this.localEntries[mode];
         return this.dedupeEntries(entries);
     }
 
     // Get player's best score
-    getBestScore(address) {
+    getBestScore(address, mode = 'classic') {
         if (!address) return null;
         const normalizedAddress = this.normalizeAddress(address);
-        const all = this.getAll();
+        const all = this.getAll(mode);
         const playerEntries = all.filter(e => {
             if (!e.address || !normalizedAddress) return false;
             return this.normalizeAddress(e.address) === normalizedAddress;
@@ -195,8 +216,8 @@ class LeaderboardManager {
     }
 
     // Check if score qualifies for leaderboard
-    isHighScore(score) {
-        const all = this.getAll();
+    isHighScore(score, mode = 'classic') {
+        const all = this.getAll(mode);
         if (all.length < MAX_ENTRIES) return true;
         return score > all[all.length - 1].score;
     }
@@ -215,20 +236,22 @@ class LeaderboardManager {
         const sanitizedUsername = this.sanitizeUsername(username);
         if (!sanitizedUsername) return;
 
-        let updated = false;
         const normalizedAddress = this.normalizeAddress(address);
-        this.localEntries.forEach(entry => {
-            if (entry.address && this.normalizeAddress(entry.address) === normalizedAddress) {
-                if (entry.username !== sanitizedUsername) {
-                    entry.username = sanitizedUsername;
-                    entry.displayAddress = sanitizedUsername;
-                    updated = true;
+        for (const mode of Object.keys(this.localEntries)) {
+            let updated = false;
+            this.localEntries[mode].forEach(entry => {
+                if (entry.address && this.normalizeAddress(entry.address) === normalizedAddress) {
+                    if (entry.username !== sanitizedUsername) {
+                        entry.username = sanitizedUsername;
+                        entry.displayAddress = sanitizedUsername;
+                        updated = true;
+                    }
                 }
-            }
-        });
+            });
 
-        if (updated) {
-            this.saveLocal();
+            if (updated) {
+                this.saveLocal(mode);
+            }
         }
     }
 
@@ -0,0 +1,70 @@
+/* ============================================
+   MISSION MANAGER - Daily missions client
+   Missions are generated and tracked server-side
+   per fid (/api/missions); claimed rewards go to
+   the server boost inventory for the next classic
+   run, like share and referral boosts.
+   ============================================ */
+
+import { getQuickAuthHeaders } from './quickAuth.js';
+
+const MISSIONS_API = '/api/missions';
+
+class MissionManager {
+    constructor() {
+        this.day = null;
+        this.missions = [];
+    }
+
+    /**
+     * Load today's missions for a fid
+     */
+    async fetch(fid) {
+        if (!fid) return [];
+
+        try {
+            const response = await fetch(`${MISSIONS_API}?fid=${encodeURIComponent(fid)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.day = data.day;
+            this.missions = data.missions || [];
+        } catch (error) {
+            console.log('Missions unavailable:', error.message);
+        }
+        return this.missions;
+    }
+
+    /**
+     * Claim a completed mission; its boost waits in the inventory for the next run
+     * @returns {Promise<Object|null>} The boost, or null if the claim failed
+     */
+    async claim(fid, missionId) {
+        try {
+            const response = await fetch(`${MISSIONS_API}?action=claim`, {
+                method: 'POST',
+                // Claims are authenticated by the Quick Auth token, the fid only has to agree with it
+                headers: { 'Content-Type': 'application/json', ...(await getQuickAuthHeaders()) },
+                body: JSON.stringify({ fid, missionId })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.log('Mission claim failed:', data.error);
+                return null;
+            }
+
+            this.missions = this.missions.map(mission => (mission.id === missionId ? data.mission : mission));
+            return data.boost;
+        } catch (error) {
+            console.log('Mission claim failed:', error.message);
+            return null;
+        }
+    }
+
+    hasUnclaimed() {
+        return this.missions.some(mission => mission.completedAt && !mission.claimedAt);
+    }
+}
+
+export const missionManager = new MissionManager();
@@ -0,0 +1,176 @@
+/* ============================================
+   MOVEMENT PATTERNS - How insects cross the screen
+   Each pattern maps flight progress (0-1) along an
+   insect's start -> end path to a position. Patterns
+   are pure, except flocking, whose offsets the
+   simulation steps with the boids rules below.
+   Arithmetic only: Math.sin/cos may differ in the last
+   bit between JS engines and replays are re-run on the server.
+   ============================================ */
+
+export function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+}
+
+// sin(2πt) from a rational approximation (max error ~0.2%), identical on every engine
+export function wave(t) {
+    const f = t - Math.floor(t);
+    const u = f < 0.5 ? f * 2 : f * 2 - 1;
+    const s = (16 * u * (1 - u)) / (5 - 4 * u * (1 - u));
+    return f < 0.5 ? s : -s;
+}
+
+// Point at `t` along the straight path, plus the unit normal for sideways offsets
+function along(insect, t) {
+    const dx = insect.endX - insect.startX;
+    const dy = insect.endY - insect.startY;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    return {
+        x: insect.startX + dx * t,
+        y: insect.startY + dy * t,
+        nx: -dy / length,
+        ny: dx / length,
+        length
+    };
+}
+
+const patterns = {
+    // The original flight: one eased line between two edges
+    straight(insect, progress) {
+        const { x, y } = along(insect, easeInOut(progress));
+        return { x, y };
+    },
+
+    // Sideways sine weave that fades in and out at the edges
+    zigzag(insect, progress, { amplitude, waves, phase = 0, sign = 1 }) {
+        const point = along(insect, easeInOut(progress));
+        const offset = amplitude * sign * wave(progress * waves + phase) * 4 * progress * (1 - progress);
+        return { x: point.x + point.nx * offset, y: point.y + point.ny * offset };
+    },
+
+    // Quadratic bezier bowing out to one side of the straight line
+    arc(insect, progress, { bend, sign = 1 }) {
+        const t = easeInOut(progress);
+        const mid = along(insect, 0.5);
+        const controlX = mid.x + mid.nx * mid.length * bend * sign;
+        const controlY = mid.y + mid.ny * mid.length * bend * sign;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        return {
+            x: a * insect.startX + b * controlX + c * insect.endX,
+            y: a * insect.startY + b * controlY + c * insect.endY
+        };
+    },
+
+    // Hovers in place (bobbing), then darts to the next stop
+    hoverDart(insect, progress, { hops, hover, bob, phase = 0 }) {
+        const scaled = Math.min(progress, 1) * hops;
+        const hop = Math.min(Math.floor(scaled), hops - 1);
+        const local = scaled - hop;
+        const isHovering = local < hover;
+        const t = isHovering ? hop / hops : (hop + easeInOut((local - hover) / (1 - hover))) / hops;
+        const point = along(insect, t);
+        const offset = isHovering ? bob * wave(local * 2 + phase) : 0;
+        return { x: point.x + point.nx * offset, y: point.y + point.ny * offset };
+    },
+
+    // Straight eased route plus the boids offset the simulation keeps in insect.movement
+    flock(insect, progress, { offsetX = 0, offsetY = 0 }) {
+        const { x, y } = along(insect, easeInOut(progress));
+        return { x: x + offsetX, y: y + offsetY };
+    }
+};
+
+/**
+ * Names of every registered pattern
+ */
+export function getMovementPatterns() {
+    return Object.keys(patterns);
+}
+
+/**
+ * Add a pattern: fn(insect, progress, params) => { x, y }. Must be deterministic.
+ */
+export function registerMovementPattern(name, fn) {
+    patterns[name] = fn;
+}
+
+/**
+ * Position of an insect on its pattern at `progress` (unknown patterns fly straight)
+ */
+export function getPatternPosition(insect, progress) {
+    const movement = insect.movement;
+    const pattern = (movement && patterns[movement.pattern]) || patterns.straight;
+    return pattern(insect, progress, movement || {});
+}
+
+/**
+ * One boids step for a flock: cohesion, separation and alignment between
+ * members, and a tether back to each member's own route. Offsets are
+ * capped at `radius` so a flock never strays far from its swarm lane.
+ * @param {Array<{x: number, y: number, movement: Object}>} members - Current positions + movement state
+ * @param {number} dt - ms of flight time
+ * @param {Object} params - movement.patterns.flock from the definitions
+ */
+export function stepFlock(members, dt, params) {
+    if (!members.length || dt <= 0) return;
+    const { cohesion, separation, alignment, tether, spacing, radius, maxSpeed } = params;
+
+    let centerX = 0;
+    let centerY = 0;
+    let velocityX = 0;
+    let velocityY = 0;
+    for (const member of members) {
+        centerX += member.x;
+        centerY += member.y;
+        velocityX += member.movement.vx;
+        velocityY += member.movement.vy;
+    }
+    centerX /= members.length;
+    centerY /= members.length;
+    velocityX /= members.length;
+    velocityY /= members.length;
+
+    // Work out every steer first so the result never depends on update order within the step
+    const steers = members.map((member) => {
+        const { movement } = member;
+        let ax = (centerX - member.x) * cohesion + (velocityX - movement.vx) * alignment -
+            movement.offsetX * tether;
+        let ay = (centerY - member.y) * cohesion + (velocityY - movement.vy) * alignment -
+            movement.offsetY * tether;
+
+        for (const other of members) {
+            if (other === member) continue;
+            const dx = member.x - other.x;
+            const dy = member.y - other.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > 0 && distance < spacing) {
+                const push = (spacing - distance) / spacing * separation;
+                ax += dx / distance * push;
+                ay += dy / distance * push;
+            }
+        }
+        return { ax, ay };
+    });
+
+    members.forEach((member, i) => {
+        const { movement } = member;
+        movement.vx += steers[i].ax;
+        movement.vy += steers[i].ay;
+
+        const speed = Math.sqrt(movement.vx * movement.vx + movement.vy * movement.vy);
+        if (speed > maxSpeed) {
+            movement.vx *= maxSpeed / speed;
+            movement.vy *= maxSpeed / speed;
+        }
+
+        movement.offsetX += movement.vx * dt;
+        movement.offsetY += movement.vy * dt;
+        const offset = Math.sqrt(movement.offsetX * movement.offsetX + movement.offsetY * movement.offsetY);
+        if (offset > radius) {
+            movement.offsetX *= radius / offset;
+            movement.offsetY *= radius / offset;
+        }
+    });
+}
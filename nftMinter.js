@@ -281,9 +281,10 @@ class NFTMinter {
      * @param {number} tier - Tier enum value (0-4)
      * @param {number} score - Score achieved
      * @param {number} nonce - Unique nonce
-     * @returns {Promise<string>} Signature from backend
+     * @param {string} replayId - Verified replay from /api/replay
+     * @returns {Promise<{signature: string, score: number}>} Signature and server-verified score
      */
-    async fetchSignature(playerAddress, tier, score, nonce) {
+    async fetchSignature(playerAddress, tier, score, nonce, replayId) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000);
 
@@ -291,7 +292,7 @@ class NFTMinter {
             const response = await fetch('/api/sign-achievement', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ playerAddress, tier, score, nonce }),
+                body: JSON.stringify({ playerAddress, tier, score, nonce, replayId }),
                 signal: controller.signal
             });
 
@@ -301,7 +302,7 @@ class NFTMinter {
             }
 
             const data = await response.json();
-            return data.signature;
+            return { signature: data.signature, score: data.score };
         } catch (error) {
             if (error.name === 'AbortError') {
                 throw new Error('Signature request timed out. Please try again.');
@@ -318,8 +319,9 @@ class NFTMinter {
      * Uses sponsored transactions via paymaster if available
      * @param {number} tier - Tier enum value (0-4)
      * @param {number} score - Score achieved
+     * @param {string} replayId - Verified replay the score comes from
      */
-    async mintAchievement(tier, score) {
+    async mintAchievement(tier, score, replayId) {
         if (!this.isInitialized) {
             const initialized = await this.init();
             if (!initialized) {
@@ -340,9 +342,10 @@ class NFTMinter {
         }
 
         // Generate nonce and get signature from backend
+        // The server signs the score it derived from the replay, not ours
         const nonce = Date.now();
-        const signature = await this.fetchSignature(account, tier, score, nonce);
-        const calldata = this.getMintCalldata(tier, score, nonce, signature);
+        const signed = await this.fetchSignature(account, tier, score, nonce, replayId);
+        const calldata = this.getMintCalldata(tier, signed.score, nonce, signed.signature);
 
         // Try sponsored transaction first (gas-free for user)
         const paymasterUrl = import.meta.env.VITE_PAYMASTER_URL;
@@ -101,6 +101,7 @@ const onchainkitConfig = {
 
 const initialMintState = {
     score: null,
+    replayId: null,
     tier: null,
     label: null,
     canMint: false
@@ -115,6 +116,7 @@ function useGameMintState() {
             const detail = event?.detail ?? {};
             setMintState({
                 score: Number.isFinite(detail.score) ? detail.score : null,
+                replayId: typeof detail.replayId === 'string' ? detail.replayId : null,
                 tier: Number.isFinite(detail.tier) ? detail.tier : null,
                 label: typeof detail.label === 'string' ? detail.label : null,
                 canMint: Boolean(detail.canMint)
@@ -130,7 +132,7 @@ function useGameMintState() {
     return mintState;
 }
 
-async function fetchMintSignature(playerAddress, tier, score, nonce) {
+async function fetchMintSignature(playerAddress, tier, score, nonce, replayId) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000);
 
@@ -138,7 +140,7 @@ async function fetchMintSignature(playerAddress, tier, score, nonce) {
         const response = await fetch('/api/sign-achievement', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ playerAddress, tier, score, nonce }),
+            body: JSON.stringify({ playerAddress, tier, score, nonce, replayId }),
             signal: controller.signal
         });
 
@@ -148,7 +150,7 @@ async function fetchMintSignature(playerAddress, tier, score, nonce) {
         }
 
         const data = await response.json();
-        return data.signature;
+        return { signature: data.signature, score: data.score };
     } finally {
         clearTimeout(timeoutId);
     }
@@ -261,12 +263,18 @@ function OnchainKitWallet() {
         };
     }, [connector, isConnected]);
 
+    // Opening the connect modal or the dropdown pauses a run in progress (game.js listens for game:pause)
+    const pauseForWallet = useCallback(() => {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('game:pause', { detail: { reason: 'wallet' } }));
+    }, []);
+
     const basescanUrl = address
         ? `https://basescan.org/address/${address}`
         : 'https://basescan.org';
 
     return (
-        <div className="onchainkit-panel">
+        <div className="onchainkit-panel" onClickCapture={pauseForWallet}>
             <Wallet className="onchainkit-wallet">
                 <ConnectWallet className="onchainkit-connect" disconnectedLabel="CONNECT WALLET" />
                 <WalletDropdown className="onchainkit-dropdown">
@@ -505,20 +513,20 @@ function MintAchievementPanel() {
         if (!address) {
             throw new Error('Connect wallet to mint.');
         }
-        if (!Number.isFinite(score) || resolvedTier === null) {
-            throw new Error('Finish a game to mint.');
+        if (!Number.isFinite(score) || resolvedTier === null || !mintState.replayId) {
+            throw new Error('Finish a verified game to mint.');
         }
 
         const nonce = Date.now();
-        const signature = await fetchMintSignature(address, resolvedTier, score, nonce);
+        const signed = await fetchMintSignature(address, resolvedTier, score, nonce, mintState.replayId);
 
         return [{
             address: contractAddress,
             abi: MOSQUITO_NFT_ABI,
             functionName: 'mintAchievement',
-            args: [resolvedTier, BigInt(score), BigInt(nonce), signature]
+            args: [resolvedTier, BigInt(signed.score), BigInt(nonce), signed.signature]
         }];
-    }, [address, contractAddress, resolvedTier, score]);
+    }, [address, contractAddress, resolvedTier, score, mintState.replayId]);
 
     return (
         <div className="onchainkit-card onchainkit-mint">
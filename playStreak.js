@@ -0,0 +1,145 @@
+/* ============================================
+   PLAY STREAK - Consecutive days with a verified run
+   Shared by /api/player (advances the streak when a
+   run is credited), /api/streak-reminders and the
+   start screen. Days are counted in the player's own
+   time zone; GamePass holders get one streak saver
+   that covers a single missed day.
+   ============================================ */
+
+// Escalating rewards, paid once each time a streak reaches them
+export const STREAK_MILESTONES = [
+    { days: 3, xp: 50 },
+    { days: 7, xp: 150 },
+    { days: 30, xp: 500 }
+];
+
+export const STREAK_REMINDER_HOUR = 18;   // Local time after which an unplayed day gets a reminder
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * IANA time zone if the runtime knows it, otherwise UTC
+ */
+export function normalizeTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch {
+        return 'UTC';
+    }
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) in a time zone
+ */
+export function getLocalDay(date = new Date(), timeZone = 'UTC') {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: normalizeTimeZone(timeZone),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+/**
+ * Hour of the day (0-23) in a time zone
+ */
+export function getLocalHour(date = new Date(), timeZone = 'UTC') {
+    const hour = new Intl.DateTimeFormat('en-US', {
+        timeZone: normalizeTimeZone(timeZone),
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).format(date);
+    return Number.parseInt(hour, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD to another
+ */
+export function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / DAY_MS);
+}
+
+export function canUseSaver(streak) {
+    return !!streak.gamePass && !streak.saverUsed;
+}
+
+/**
+ * Where a streak stands on `today` (the player's local day)
+ * @param {{ days: number, lastDay: string|null, gamePass: boolean, saverUsed: boolean }} streak
+ * @returns {'none'|'played'|'at-risk'|'saver'|'lapsed'}
+ *   at-risk: played yesterday, not yet today
+ *   saver: missed yesterday, but the saver will cover it if they play today
+ */
+export function getStreakStatus(streak, today) {
+    if (!streak.lastDay || !streak.days) return 'none';
+    const gap = daysBetween(streak.lastDay, today);
+    if (gap <= 0) return 'played';
+    if (gap === 1) return 'at-risk';
+    if (gap === 2 && canUseSaver(streak)) return 'saver';
+    return 'lapsed';
+}
+
+/**
+ * Count a verified run played on `today`
+ * @returns {{ streak: Object, event: 'started'|'continued'|'saved'|'broken'|null, milestone: Object|null }}
+ *   event is null when they already played today; broken means a previous streak was lost
+ */
+export function advanceStreak(streak, today) {
+    const status = getStreakStatus(streak, today);
+    if (status === 'played') return { streak, event: null, milestone: null };
+
+    let event = 'started';
+    const next = { ...streak, lastDay: today };
+    if (status === 'at-risk' || status === 'saver') {
+        event = status === 'saver' ? 'saved' : 'continued';
+        next.days = streak.days + 1;
+        next.saverUsed = streak.saverUsed || status === 'saver';
+    } else {
+        if (status === 'lapsed') event = 'broken';
+        next.days = 1;
+    }
+    next.best = Math.max(streak.best || 0, next.days);
+
+    const milestone = STREAK_MILESTONES.find(item => item.days === next.days) ?? null;
+    return { streak: next, event, milestone };
+}
+
+/**
+ * Next milestone still ahead of a streak (null past the last one)
+ */
+export function getNextMilestone(days) {
+    return STREAK_MILESTONES.find(item => item.days > days) ?? null;
+}
+
+/**
+ * Streak fields of a player_profiles row
+ */
+export function getProfileStreak(profile) {
+    return {
+        days: profile?.streak_days || 0,
+        best: profile?.streak_best || 0,
+        lastDay: profile?.streak_last_day || null,
+        saverUsed: !!profile?.streak_saver_used,
+        gamePass: !!profile?.game_pass
+    };
+}
+
+/**
+ * Start screen summary of a profile's streak as of now
+ */
+export function summarizeStreak(profile, now = new Date()) {
+    const streak = getProfileStreak(profile);
+    const status = getStreakStatus(streak, getLocalDay(now, profile?.time_zone));
+    const days = status === 'lapsed' || status === 'none' ? 0 : streak.days;
+    return {
+        days,
+        best: streak.best,
+        status,
+        saverAvailable: canUseSaver(streak),
+        nextMilestone: getNextMilestone(days)
+    };
+}
@@ -0,0 +1,132 @@
+/* ============================================
+   PLAYER PROFILE
+   Lifetime stats, XP and level kept server-side
+   (keyed by fid, falling back to wallet) so they
+   follow the player across devices. The last
+   profile seen is cached for offline display.
+   ============================================ */
+
+import { getQuickAuthHeaders } from './quickAuth.js';
+
+const PLAYER_API = '/api/player';
+const PROFILE_CACHE_KEY = 'mosquito-profile';
+
+export function getDeviceTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+class PlayerProfileManager {
+    constructor() {
+        this.profile = this.loadCached();
+    }
+
+    loadCached() {
+        try {
+            return JSON.parse(localStorage.getItem(PROFILE_CACHE_KEY));
+        } catch {
+            return null;
+        }
+    }
+
+    cache(profile) {
+        this.profile = profile;
+        if (profile) {
+            localStorage.setItem(PROFILE_CACHE_KEY, JSON.stringify(profile));
+        }
+    }
+
+    /**
+     * Load the player's profile (null if they have no verified runs yet)
+     */
+    async fetch({ fid = null, walletAddress = null } = {}) {
+        if (!fid && !walletAddress) return this.profile;
+
+        const params = new URLSearchParams();
+        if (fid) params.set('fid', fid);
+        if (walletAddress) params.set('walletAddress', walletAddress);
+
+        try {
+            const response = await fetch(`${PLAYER_API}?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            this.cache(data.profile);
+            return data.profile;
+        } catch (error) {
+            console.log('Player profile unavailable:', error.message);
+            return this.profile;
+        }
+    }
+
+    /**
+     * Add a server-verified run to the profile (and today's play streak)
+     * @param {Object} run
+     * @returns {Promise<{profile: Object, xpGained: number, levelUp: boolean, newBadges: string[], missionsCompleted: Object[], streak: Object}|null>}
+     */
+    async recordRun({ replayId, username = null }) {
+        if (!replayId) return null;
+
+        // Streak days roll over at the player's local midnight (only used for a new profile)
+        const timeZone = getDeviceTimeZone();
+
+        try {
+            const response = await fetch(PLAYER_API, {
+                method: 'POST',
+                // Runs uploaded under a fid are only credited with that fid's Quick Auth token
+                headers: { 'Content-Type': 'application/json', ...await getQuickAuthHeaders() },
+                body: JSON.stringify({ replayId, username, timeZone })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.log('Run not added to profile:', data.error);
+                return null;
+            }
+
+            this.cache(data.profile);
+            return {
+                profile: data.profile,
+                xpGained: data.xpGained,
+                levelUp: data.levelUp,
+                newBadges: data.newBadges || [],
+                missionsCompleted: data.missionsCompleted || [],
+                streak: data.streak
+            };
+        } catch (error) {
+            console.log('Profile update failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Move the play streak to another time zone (a fid's profile, with its Quick Auth token)
+     * @returns {Promise<Object|null>} The updated profile, or null if it couldn't be changed
+     */
+    async setTimeZone(timeZone) {
+        try {
+            const response = await fetch(`${PLAYER_API}?action=timezone`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...await getQuickAuthHeaders() },
+                body: JSON.stringify({ timeZone })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.log('Time zone not changed:', data.error);
+                return null;
+            }
+
+            this.cache(data.profile);
+            return data.profile;
+        } catch (error) {
+            console.log('Time zone update failed:', error.message);
+            return null;
+        }
+    }
+
+    getProfile() {
+        return this.profile;
+    }
+}
+
+export const playerProfile = new PlayerProfileManager();
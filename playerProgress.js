@@ -0,0 +1,51 @@
+/* ============================================
+   PLAYER PROGRESS - XP and level rules
+   Shared by /api/player (awards XP from verified
+   replay stats) and the profile panel (level bar).
+   ============================================ */
+
+export const XP_RULES = {
+    perRun: 20,            // Any verified run
+    perPoints: 0.1,        // 1 XP per 10 verified points
+    perHazardAvoided: 5,
+    perBossDefeated: 50,
+    perVersusRun: 15       // On top of perRun
+};
+
+const LEVEL_BASE = 100;    // XP from level 1 to 2
+const LEVEL_STEP = 50;     // Each level after needs this much more
+
+/**
+ * XP a verified run is worth
+ * @param {number} score - Verified score
+ * @param {Object} stats - Replay verifier stats
+ * @param {boolean} [isVersus]
+ */
+export function getRunXp(score, stats, isVersus = false) {
+    return XP_RULES.perRun +
+        Math.floor(Math.max(0, score) * XP_RULES.perPoints) +
+        (stats?.hazardsAvoided || 0) * XP_RULES.perHazardAvoided +
+        (stats?.bossesDefeated || 0) * XP_RULES.perBossDefeated +
+        (isVersus ? XP_RULES.perVersusRun : 0);
+}
+
+/**
+ * XP needed to go from `level` to the next one
+ */
+export function getLevelCost(level) {
+    return LEVEL_BASE + LEVEL_STEP * (level - 1);
+}
+
+/**
+ * Level for a lifetime XP total, plus progress into the current level
+ * @returns {{ level: number, xpIntoLevel: number, xpForNext: number }}
+ */
+export function getLevelProgress(xp) {
+    let level = 1;
+    let remaining = Math.max(0, Math.floor(xp || 0));
+    while (remaining >= getLevelCost(level)) {
+        remaining -= getLevelCost(level);
+        level++;
+    }
+    return { level, xpIntoLevel: remaining, xpForNext: getLevelCost(level) };
+}
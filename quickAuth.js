@@ -0,0 +1,24 @@
+/* ============================================
+   QUICK AUTH - Farcaster sign-in for API writes
+   Endpoints that write on a fid's behalf (replays,
+   profile credits, boosts, missions) only trust a
+   fid proven by a Quick Auth token; the server side
+   is server/farcasterAuth.js.
+   ============================================ */
+
+import { sdk } from '@farcaster/miniapp-sdk';
+
+/**
+ * Authorization header carrying the player's Quick Auth token (the SDK caches and refreshes it)
+ * @returns {Promise<Object>} Empty outside the mini app or if no token could be had
+ */
+export async function getQuickAuthHeaders() {
+    try {
+        if (!(await sdk.isInMiniApp())) return {};
+        const { token } = await sdk.quickAuth.getToken();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    } catch (error) {
+        console.log('Quick Auth unavailable:', error.message);
+        return {};
+    }
+}
@@ -3,6 +3,8 @@
    Handles referral codes, tracking, and rewards
    ============================================ */
 
+import { boostInventory } from './boostInventory.js';
+
 const APP_URL = 'https://tap-mosquito.vercel.app';
 
 class ReferralManager {
@@ -10,12 +12,12 @@ class ReferralManager {
         this.referralCode = null;
         this.referredBy = localStorage.getItem('mosquito-referred-by');
         this.referralCount = parseInt(localStorage.getItem('mosquito-referral-count') || '0');
-        this.pendingReferralBoost = localStorage.getItem('mosquito-referral-boost') === 'true';
     }
 
     /**
      * Initialize referral system on app load
      * Check URL for referral code and process it
+     * (boostInventory must already know the player, for the referral boost)
      */
     init(walletAddress, fid, username = null) {
         // Use username-only referral codes for tracking
@@ -25,7 +27,7 @@ class ReferralManager {
         }
 
         // Check if user came via referral link
-        this.processReferralFromURL();
+        this.processReferralFromURL(username);
     }
 
     /**
@@ -39,7 +41,7 @@ class ReferralManager {
     /**
      * Check URL for referral parameter and process it
      */
-    processReferralFromURL() {
+    processReferralFromURL(username = null) {
         const urlParams = new URLSearchParams(window.location.search);
         const refCode = urlParams.get('ref');
         const normalizedRef = refCode ? refCode.replace(/^@/, '').trim().toLowerCase() : null;
@@ -56,9 +58,8 @@ class ReferralManager {
             this.referredBy = normalizedRef;
             localStorage.setItem('mosquito-referred-by', normalizedRef);
 
-            // Grant boost to the referred player
-            this.pendingReferralBoost = true;
-            localStorage.setItem('mosquito-referral-boost', 'true');
+            // Grant boost to the referred player (server checks they're new)
+            boostInventory.grantReferral(normalizedRef, username);
 
             console.log(`🔗 Referred by: ${refCode}`);
 
@@ -77,29 +78,6 @@ class ReferralManager {
         return `${baseUrl}/?ref=${encodeURIComponent(this.referralCode)}`;
     }
 
-    /**
-     * Check if player has pending referral boost
-     */
-    hasReferralBoost() {
-        return this.pendingReferralBoost;
-    }
-
-    /**
-     * Consume referral boost (called when game starts)
-     */
-    consumeReferralBoost() {
-        if (!this.pendingReferralBoost) return null;
-
-        this.pendingReferralBoost = false;
-        localStorage.removeItem('mosquito-referral-boost');
-
-        return {
-            bonusTime: 10,          // +10 seconds (more than share!)
-            startMultiplier: 2,     // Start with 2x
-            bonusPoints: 50         // +50 starting points
-        };
-    }
-
     /**
      * Record that someone used your referral code
      * Called when a referred player completes their first game
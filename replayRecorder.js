@@ -0,0 +1,146 @@
+/* ============================================
+   REPLAY RECORDER
+   Records the inputs of a run (seed, boosts, taps) plus
+   spawns and hazard hits as a desync check, so the server
+   can re-run the simulation before signing achievements
+   ============================================ */
+
+import { getQuickAuthHeaders } from './quickAuth.js';
+
+const REPLAY_API = '/api/replay';
+export const REPLAY_VERSION = 2;
+
+class ReplayRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.unsubscribers?.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.log = null;
+    }
+
+    /**
+     * Begin recording a simulation. Call before any boosts are applied.
+     * @param {GameSimulation} sim
+     */
+    start(sim) {
+        this.reset();
+        this.log = {
+            v: REPLAY_VERSION,
+            seed: sim.seed,
+            w: sim.width,
+            h: sim.height,
+            mode: sim.mode,
+            defs: sim.definitions.id, // Definition set the run was balanced with
+            boss: sim.bossEnabled,
+            powerUps: sim.powerUpsEnabled,
+            movement: sim.movementEnabled,
+            precision: sim.precisionEnabled,
+            adaptive: sim.adaptive ? { best: sim.adaptive.best } : null, // Unranked runs only
+            duration: sim.duration,
+            boosts: [],   // [t, bonusTime, bonusPoints, startMultiplier, hazardImmunity] (t = -1 before start)
+            taps: [],     // [t, x, y, insectId] (insectId = -1 for point-only taps)
+            spawns: [],   // [id, t, type]
+            hazards: [],  // [t, insectId]
+            pauses: [],   // [t, ms, reason] - sim time frozen, wall-clock length
+            score: null
+        };
+
+        // Sim times are whole steps, so they replay exactly
+        this.unsubscribers = [
+            sim.on('boost', ({ t, boost }) => {
+                this.log.boosts.push([t, boost.bonusTime, boost.bonusPoints, boost.startMultiplier, boost.hazardImmunity]);
+            }),
+            sim.on('tap', ({ t, x, y, insectId }) => {
+                this.log.taps.push([t, x, y, insectId]);
+            }),
+            sim.on('spawn', (insect) => {
+                this.log.spawns.push([insect.id, insect.startTime, insect.type]);
+            }),
+            sim.on('hazardHit', ({ insect }) => {
+                this.log.hazards.push([sim.time, insect.id]);
+            })
+        ];
+    }
+
+    recordPause({ t, ms, reason }) {
+        if (!this.log) return;
+        this.log.pauses.push([t, Math.round(ms), reason]);
+    }
+
+    isRecording() {
+        return this.log !== null;
+    }
+
+    /**
+     * Stop recording and return the finished log
+     */
+    finish(score) {
+        if (!this.log) return null;
+        const log = { ...this.log, score };
+        this.reset();
+        return log;
+    }
+
+    /**
+     * Ask the server for a run seed (classic and survival runs)
+     * @returns {Promise<number|null>} The seed, or null if the server can't be reached
+     */
+    async requestSeed() {
+        try {
+            const response = await fetch(`${REPLAY_API}?action=seed`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            return data.seed;
+        } catch (error) {
+            console.log('Seed request failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Upload a finished replay for server-side verification. A fid is only sent
+     * with a Quick Auth token proving it; without one the run is uploaded by wallet.
+     * @param boostClaimId - Boost inventory claim the run applied (see boostInventory.js)
+     * @param challengeId - Versus challenge whose seed the run used
+     * @returns {Promise<{replayId: string, verifiedScore: number, valid: boolean, boosted: boolean}|null>}
+     */
+    async submit(replay, { walletAddress = null, fid = null, boostClaimId = null, challengeId = null } = {}) {
+        if (!replay) return null;
+
+        try {
+            const authHeaders = fid ? await getQuickAuthHeaders() : {};
+            const response = await fetch(REPLAY_API, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...authHeaders },
+                body: JSON.stringify({
+                    replay,
+                    walletAddress,
+                    fid: authHeaders.Authorization ? fid : null,
+                    boostClaimId,
+                    challengeId
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                console.log('Replay rejected:', data.error);
+                return null;
+            }
+
+            return {
+                replayId: data.replayId,
+                verifiedScore: data.verifiedScore,
+                valid: data.valid,
+                boosted: !!data.stats?.boosted
+            };
+        } catch (error) {
+            console.log('Replay upload failed:', error.message);
+            return null;
+        }
+    }
+}
+
+export const replayRecorder = new ReplayRecorder();
@@ -0,0 +1,99 @@
+/* ============================================
+   SEEDED RANDOM - Deterministic PRNG
+   Shared by the game client and API routes so a
+   seed always produces the same run everywhere
+   ============================================ */
+
+const UINT32_RANGE = 0x100000000;
+
+// Coerce any seed input (number, numeric string) into a uint32
+export function normalizeSeed(seed) {
+    const parsed = typeof seed === 'string' ? Number.parseInt(seed, 10) : Number(seed);
+    if (!Number.isFinite(parsed)) return 0;
+    return ((Math.floor(parsed) % UINT32_RANGE) + UINT32_RANGE) % UINT32_RANGE;
+}
+
+// FNV-1a hash of seed + label, used to derive independent sub-streams
+function hashSeed(seed, label) {
+    let hash = 0x811c9dc5 ^ seed;
+    const text = String(label);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator - small, fast and identical across JS engines
+ */
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /**
+     * Derive an independent stream so draws in one system (e.g. player-driven
+     * blink teleports) never shift the sequence seen by another (spawns)
+     */
+    fork(label) {
+        return new SeededRandom(hashSeed(this.seed, label));
+    }
+}
+
+/**
+ * Generate a fresh random uint32 seed
+ */
+export function generateSeed() {
+    if (globalThis.crypto?.getRandomValues) {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+/**
+ * UTC calendar day as YYYY-MM-DD (the Daily Mosquito rolls over at 00:00 UTC)
+ */
+export function getUtcDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Seed shared by every player on a given UTC day
+ */
+export function getDailySeed(day = getUtcDay()) {
+    return hashSeed(0, `daily:${day}`);
+}
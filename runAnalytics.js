@@ -0,0 +1,128 @@
+/* ============================================
+   RUN ANALYTICS - Post-game breakdown of one run
+   Listens to a GameSimulation and keeps the score
+   timeline, swarm windows, points per insect type,
+   penalties vs bonuses, multiplier uptime and a tap
+   heatmap. No DOM: analyticsScreen.js draws it.
+   ============================================ */
+
+const HEATMAP_COLUMNS = 8;
+
+export class RunAnalytics {
+    constructor(sim) {
+        this.sim = sim;
+        this.timeline = [[0, sim.score]];   // [sim ms, score] on every score change
+        this.swarms = [];                   // { level, start, end } in sim ms
+        this.pointsByType = {};             // Insect type (or 'boss', 'boosts') -> points
+        this.penalties = { hazards: 0, hazardHits: 0, misses: 0, missCount: 0 };
+        this.bonuses = { avoided: 0, avoidCount: 0, boss: 0 };
+        this.multiplierTime = {};           // Multiplier -> sim ms spent at it
+        this.multiplier = sim.comboMultiplier;
+        this.multiplierSince = 0;
+
+        const columns = HEATMAP_COLUMNS;
+        const rows = Math.max(1, Math.round(columns * sim.height / sim.width));
+        this.heatmap = { columns, rows, hits: new Array(columns * rows).fill(0), misses: new Array(columns * rows).fill(0) };
+
+        this.unsubscribers = [
+            sim.on('score', (score) => this.addScorePoint(score)),
+            sim.on('kill', ({ insect, points }) => this.addPoints(insect.type, points)),
+            sim.on('bossHit', ({ points }) => this.addPoints('boss', points)),
+            sim.on('bossDefeated', ({ points, bonus }) => {
+                this.addPoints('boss', points);
+                this.bonuses.boss += bonus;
+            }),
+            sim.on('boost', ({ boost }) => {
+                if (boost.bonusPoints) this.addPoints('boosts', boost.bonusPoints);
+            }),
+            sim.on('hazardHit', ({ penalty }) => {
+                this.penalties.hazards += penalty;
+                this.penalties.hazardHits++;
+            }),
+            sim.on('miss', ({ penalty }) => {
+                this.penalties.misses += penalty;
+                this.penalties.missCount++;
+            }),
+            sim.on('avoid', ({ bonus }) => {
+                this.bonuses.avoided += bonus;
+                this.bonuses.avoidCount++;
+            }),
+            sim.on('multiplier', (multiplier) => this.setMultiplier(multiplier)),
+            sim.on('swarm', (level) => this.swarms.push({ level, start: sim.time, end: null })),
+            sim.on('waveCleared', () => this.closeSwarms()),
+            sim.on('tap', ({ x, y, hit }) => this.addTap(x, y, hit)),
+            sim.on('end', () => this.finish())
+        ];
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    addScorePoint(score) {
+        const last = this.timeline[this.timeline.length - 1];
+        if (last[0] === this.sim.time) {
+            last[1] = score;
+        } else {
+            this.timeline.push([this.sim.time, score]);
+        }
+    }
+
+    addPoints(type, points) {
+        this.pointsByType[type] = (this.pointsByType[type] || 0) + points;
+    }
+
+    setMultiplier(multiplier) {
+        const now = this.sim.time;
+        this.multiplierTime[this.multiplier] = (this.multiplierTime[this.multiplier] || 0) + now - this.multiplierSince;
+        this.multiplier = multiplier;
+        this.multiplierSince = now;
+    }
+
+    closeSwarms() {
+        for (const swarm of this.swarms) {
+            if (swarm.end === null) swarm.end = this.sim.time;
+        }
+    }
+
+    addTap(x, y, hit) {
+        const { columns, rows } = this.heatmap;
+        const column = Math.min(columns - 1, Math.max(0, Math.floor(x / this.sim.width * columns)));
+        const row = Math.min(rows - 1, Math.max(0, Math.floor(y / this.sim.height * rows)));
+        this.heatmap[hit ? 'hits' : 'misses'][row * columns + column]++;
+    }
+
+    finish() {
+        this.setMultiplier(this.multiplier);
+        this.closeSwarms();
+        this.addScorePoint(this.sim.score);
+    }
+
+    /**
+     * Plain-object snapshot for drawing or storing (JSON-safe)
+     */
+    getSummary() {
+        const duration = Math.max(this.sim.time, 1);
+        const multiplierUptime = {};
+        for (const [multiplier, ms] of Object.entries(this.multiplierTime)) {
+            multiplierUptime[multiplier] = ms / duration;
+        }
+        return {
+            score: this.sim.score,
+            duration,
+            timeline: this.timeline.map(point => [...point]),
+            swarms: this.swarms.map(swarm => ({ ...swarm })),
+            pointsByType: { ...this.pointsByType },
+            penalties: { ...this.penalties },
+            bonuses: { ...this.bonuses },
+            multiplierUptime,
+            heatmap: {
+                columns: this.heatmap.columns,
+                rows: this.heatmap.rows,
+                hits: [...this.heatmap.hits],
+                misses: [...this.heatmap.misses]
+            }
+        };
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Boost Inventory
+ *
+ * Run boosts are granted server-side for verified actions (a published share
+ * cast, arriving through a referral, a claimed daily mission, a Silver+
+ * sponsorship) and kept in boost_inventory per player. A classic run claims
+ * its boosts atomically when it starts (api/boosts.js); the replay upload
+ * (api/replay.js) then uses that claim, so every boost in a replay has to
+ * trace back to a granted row, and the run records which ones it used.
+ */
+
+import { randomUUID } from 'crypto';
+import { ethers } from 'ethers';
+
+// Fixed rewards per source (mission rows carry their own boost, see MISSION_REWARDS)
+export const BOOSTS = {
+    share: { bonusTime: 5, startMultiplier: 2, hazardImmunity: 1 },
+    referral: { bonusTime: 10, startMultiplier: 2, bonusPoints: 50 },
+    sponsor: { bonusTime: 10, startMultiplier: 2 }
+};
+
+// One boost per source per run; they stack like the old client flags did
+export const CLAIM_ORDER = ['share', 'referral', 'mission'];
+
+const PRIZE_POOL_ADDRESS = process.env.VITE_PRIZE_POOL_ADDRESS;
+const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+const PRIZE_POOL_ABI = ['function hasBoostPerk(address sponsor) view returns (bool)'];
+
+/**
+ * Boost values with the defaults GameSimulation.applyBoost fills in
+ */
+export function normalizeBoost(boost = {}) {
+    return {
+        bonusTime: boost.bonusTime || 0,
+        bonusPoints: boost.bonusPoints || 0,
+        startMultiplier: boost.startMultiplier || 1,
+        hazardImmunity: boost.hazardImmunity || 0
+    };
+}
+
+/**
+ * Add a boost to a player's inventory
+ * @param supabase - Service-role Supabase client
+ * @param playerKey - `fid:N` or `wallet:0x..` (same keys as player_profiles)
+ * @param source - 'share' | 'referral' | 'mission' | 'sponsor'
+ * @param reference - What earned it (cast hash, mission id...); each is granted once
+ * @returns {Promise<Object|null>} The new row, or null if that reference was already granted
+ */
+export async function grantBoost(supabase, playerKey, source, reference, boost = BOOSTS[source]) {
+    const { data, error } = await supabase
+        .from('boost_inventory')
+        .insert({ player_key: playerKey, source, reference, boost: normalizeBoost(boost) })
+        .select()
+        .single();
+
+    // UNIQUE (player_key, source, reference)
+    if (error?.code === '23505') return null;
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Boosts waiting for a player's next run
+ */
+export async function listBoosts(supabase, playerKey) {
+    const { data, error } = await supabase
+        .from('boost_inventory')
+        .select('id, source, boost, granted_at')
+        .eq('player_key', playerKey)
+        .is('claimed_at', null)
+        .order('granted_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Silver+ sponsors keep a permanent boost, read from the prize pool contract
+ */
+export async function hasSponsorPerk(walletAddress) {
+    if (!walletAddress || !PRIZE_POOL_ADDRESS) return false;
+
+    try {
+        const provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
+        const prizePool = new ethers.Contract(PRIZE_POOL_ADDRESS, PRIZE_POOL_ABI, provider);
+        return await prizePool.hasBoostPerk(walletAddress);
+    } catch (error) {
+        console.error('Sponsor perk lookup failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Claim the boosts for a run that is starting: the oldest waiting boost of
+ * each source, plus the sponsor perk. Rows are taken one at a time with a
+ * `claimed_at IS NULL` guard, so two runs starting together can't both get one.
+ * @returns {Promise<{ claimId: string, boosts: Array<{ id, source, boost }> }>}
+ */
+export async function claimRunBoosts(supabase, playerKey, { walletAddress = null } = {}) {
+    const claimId = randomUUID();
+    const claimedAt = new Date().toISOString();
+    const waiting = await listBoosts(supabase, playerKey);
+    const boosts = [];
+
+    for (const source of CLAIM_ORDER) {
+        for (const row of waiting.filter(item => item.source === source)) {
+            const { data, error } = await supabase
+                .from('boost_inventory')
+                .update({ claimed_at: claimedAt, claim_id: claimId })
+                .eq('id', row.id)
+                .is('claimed_at', null)
+                .select('id, source, boost');
+
+            if (error) throw error;
+            if (data?.length) {
+                boosts.push(data[0]);
+                break;
+            }
+        }
+    }
+
+    // The perk is permanent, so each run gets a fresh row that is claimed on the spot
+    if (await hasSponsorPerk(walletAddress)) {
+        const { data, error } = await supabase
+            .from('boost_inventory')
+            .insert({
+                player_key: playerKey,
+                source: 'sponsor',
+                reference: claimId,
+                boost: normalizeBoost(BOOSTS.sponsor),
+                claimed_at: claimedAt,
+                claim_id: claimId
+            })
+            .select('id, source, boost')
+            .single();
+
+        if (error) throw error;
+        boosts.push(data);
+    }
+
+    return { claimId, boosts };
+}
+
+/**
+ * Pair each boost in a replay ([t, bonusTime, bonusPoints, startMultiplier,
+ * hazardImmunity]) with a distinct claimed row. Claimed boosts the run never
+ * applied (it ended before the claim came back) are simply unused.
+ * @returns {Array|null} The matched rows, or null if a replay boost wasn't claimed
+ */
+export function matchRunBoosts(replayBoosts, rows) {
+    const remaining = [...rows];
+    const matched = [];
+
+    for (const [, bonusTime, bonusPoints, startMultiplier, hazardImmunity] of replayBoosts) {
+        const index = remaining.findIndex(row => {
+            const boost = normalizeBoost(row.boost);
+            return boost.bonusTime === bonusTime &&
+                boost.bonusPoints === bonusPoints &&
+                boost.startMultiplier === startMultiplier &&
+                boost.hazardImmunity === hazardImmunity;
+        });
+        if (index < 0) return null;
+        matched.push(...remaining.splice(index, 1));
+    }
+    return matched;
+}
+
+/**
+ * Take a claim for one replay upload. The claim is marked used before the
+ * replay is stored, so it can back at most one run.
+ * @returns {Promise<Array>} The claim's rows (empty if unknown, someone else's or already used)
+ */
+export async function useClaim(supabase, playerKey, claimId) {
+    if (typeof claimId !== 'string' || !claimId) return [];
+
+    const { data, error } = await supabase
+        .from('boost_inventory')
+        .update({ used_at: new Date().toISOString() })
+        .eq('claim_id', claimId)
+        .eq('player_key', playerKey)
+        .is('used_at', null)
+        .select('id, source, boost');
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Record which replay used a set of boost rows
+ */
+export async function linkBoostsToReplay(supabase, rows, replayId) {
+    if (!rows.length) return;
+
+    const { error } = await supabase
+        .from('boost_inventory')
+        .update({ replay_id: replayId })
+        .in('id', rows.map(row => row.id));
+
+    if (error) throw error;
+}
@@ -0,0 +1,33 @@
+/**
+ * Farcaster Quick Auth
+ *
+ * The mini app gets a Quick Auth token from sdk.quickAuth.getToken() and sends
+ * it as `Authorization: Bearer <token>`. The token's subject is the player's
+ * fid, so endpoints that spend or earn on a player's behalf (api/boosts.js)
+ * don't have to trust a fid from the request body.
+ */
+
+import { createClient } from '@farcaster/quick-auth';
+
+// The domain the mini app is served from; tokens issued for any other domain are refused
+const QUICK_AUTH_DOMAIN = process.env.QUICK_AUTH_DOMAIN || 'tap-mosquito.vercel.app';
+
+const quickAuth = createClient();
+
+/**
+ * The fid proven by the request's Quick Auth token
+ * @returns {Promise<number|null>} The fid, or null if the token is missing or invalid
+ */
+export async function getAuthenticatedFid(req) {
+    const header = req.headers?.authorization;
+    if (typeof header !== 'string' || !header.startsWith('Bearer ')) return null;
+
+    try {
+        const payload = await quickAuth.verifyJwt({ token: header.slice('Bearer '.length), domain: QUICK_AUTH_DOMAIN });
+        const fid = Number(payload.sub);
+        return Number.isInteger(fid) && fid > 0 ? fid : null;
+    } catch (error) {
+        console.log('Quick Auth token rejected:', error.message);
+        return null;
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * Daily Missions
+ *
+ * Three missions per fid per UTC day, picked deterministically from the pool
+ * so the same player always gets the same set for a day. Progress comes from
+ * server-verified runs (api/player.js) and server-side events such as sending
+ * a challenge (api/challenge.js). Each completed mission unlocks one boost
+ * reward, claimed through api/missions.js into the player's boost inventory.
+ */
+
+import { SeededRandom, getUtcDay } from '../rng.js';
+import { fetchNotificationTokens, sendNotification } from './notifications.js';
+import { grantBoost } from './boostInventory.js';
+
+const APP_URL = 'https://tap-mosquito.vercel.app';
+
+export const MISSIONS_PER_DAY = 3;
+
+// Runs, events and claims can write the same row at once, so progress writes re-read and retry
+const MISSION_WRITE_ATTEMPTS = 3;
+
+// Boosts a mission can pay out (claimed from the boost inventory like share/referral boosts)
+export const MISSION_REWARDS = {
+    time: { label: '+5s', boost: { bonusTime: 5 } },
+    points: { label: '+25 pts', boost: { bonusPoints: 25 } },
+    multiplier: { label: '2x start', boost: { startMultiplier: 2 } }
+};
+
+// `{target}` in a title is replaced by the target rolled for the day
+export const MISSION_POOL = [
+    { id: 'kill-armored', title: 'Tap {target} armored mosquitoes', metric: 'kills', insect: 'armored', targets: [10, 20], reward: 'time' },
+    { id: 'kill-blink', title: 'Catch {target} blink mosquitoes', metric: 'kills', insect: 'blink', targets: [8, 15], reward: 'multiplier' },
+    { id: 'kill-healer', title: 'Stop {target} healers', metric: 'kills', insect: 'healer', targets: [3, 6], reward: 'points' },
+    { id: 'avoid-bees', title: 'Avoid {target} bees', metric: 'avoided', insect: 'bee', targets: [10, 20], reward: 'points' },
+    { id: 'score-run', title: 'Score {target} in one run', metric: 'bestScore', targets: [500, 800], reward: 'time' },
+    { id: 'combo', title: 'Chain a {target}-kill combo', metric: 'bestCombo', targets: [8, 12], reward: 'multiplier' },
+    { id: 'play-runs', title: 'Finish {target} runs', metric: 'runs', targets: [3, 5], reward: 'points' },
+    { id: 'boss', title: 'Defeat the boss mosquito', metric: 'bossesDefeated', targets: [1], reward: 'time' },
+    { id: 'send-challenge', title: 'Send a versus challenge', metric: 'challengesSent', targets: [1], reward: 'multiplier' }
+];
+
+/*
+ * How one verified run or server event moves a mission. `sum` metrics add up
+ * over the day; `best` metrics only need one good run.
+ */
+const METRICS = {
+    kills: { sum: ({ stats }, mission) => stats?.kills?.[mission.insect] || 0 },
+    avoided: { sum: ({ stats }, mission) => stats?.avoided?.[mission.insect] || 0 },
+    runs: { sum: ({ stats }) => (stats ? 1 : 0) },
+    bossesDefeated: { sum: ({ stats }) => stats?.bossesDefeated || 0 },
+    challengesSent: { sum: ({ event }) => (event === 'challengeSent' ? 1 : 0) },
+    bestScore: { best: ({ score }) => score || 0 },
+    bestCombo: { best: ({ stats }) => stats?.bestCombo || 0 }
+};
+
+/**
+ * The day's missions for a fid (fresh progress)
+ * @param fid - Farcaster ID
+ * @param day - UTC day (YYYY-MM-DD)
+ */
+export function generateMissions(fid, day = getUtcDay()) {
+    const rng = new SeededRandom(fid).fork(`missions:${day}`);
+    const pool = [...MISSION_POOL];
+    const missions = [];
+    while (missions.length < MISSIONS_PER_DAY && pool.length) {
+        const template = pool.splice(rng.int(pool.length), 1)[0];
+        const target = template.targets[rng.int(template.targets.length)];
+        missions.push({
+            id: template.id,
+            title: template.title.replace('{target}', target),
+            metric: template.metric,
+            insect: template.insect ?? null,
+            target,
+            progress: 0,
+            reward: template.reward,
+            rewardLabel: MISSION_REWARDS[template.reward].label,
+            completedAt: null,
+            claimedAt: null
+        });
+    }
+    return missions;
+}
+
+/**
+ * Apply a verified run ({ stats, score }) or an event ({ event }) to the missions
+ * @returns {{ missions: Object[], completed: Object[] }} Updated list and the ones this completed
+ */
+export function advanceMissions(missions, update) {
+    const now = new Date().toISOString();
+    const completed = [];
+    const next = missions.map((mission) => {
+        if (mission.completedAt) return mission;
+
+        const metric = METRICS[mission.metric];
+        const progress = metric.sum
+            ? mission.progress + metric.sum(update, mission)
+            : Math.max(mission.progress, metric.best(update, mission));
+        const updated = { ...mission, progress: Math.min(progress, mission.target) };
+        if (updated.progress >= mission.target) {
+            updated.completedAt = now;
+            completed.push(updated);
+        }
+        return updated;
+    });
+    return { missions: next, completed };
+}
+
+/**
+ * Load (or create) today's mission row for a fid
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ */
+export async function loadDailyMissions(supabase, fid, day = getUtcDay()) {
+    const { data, error } = await supabase
+        .from('daily_missions')
+        .select('*')
+        .eq('fid', fid)
+        .eq('day', day)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data;
+
+    // Unique (fid, day): a concurrent first load just reads the winner's row
+    const { data: created, error: insertError } = await supabase
+        .from('daily_missions')
+        .upsert({ fid, day, missions: generateMissions(fid, day) }, { onConflict: 'fid,day', ignoreDuplicates: true })
+        .select()
+        .maybeSingle();
+
+    if (insertError) throw insertError;
+    return created ?? loadDailyMissions(supabase, fid, day);
+}
+
+/**
+ * Record a verified run or event against a fid's missions for today and
+ * notify the player about anything it completed
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ * @param update - { stats, score } for a run, { event } for an event
+ * @returns Missions completed by this update
+ */
+export async function trackMissions(supabase, fid, update) {
+    for (let attempt = 0; attempt < MISSION_WRITE_ATTEMPTS; attempt++) {
+        const row = await loadDailyMissions(supabase, fid);
+        const { missions, completed } = advanceMissions(row.missions, update);
+
+        // Only write over the row we read, like claimMission, so progress and claims aren't lost
+        const { data: updated, error } = await supabase
+            .from('daily_missions')
+            .update({ missions, updated_at: new Date().toISOString() })
+            .eq('id', row.id)
+            .eq('updated_at', row.updated_at)
+            .select('id');
+
+        if (error) throw error;
+        if (!updated?.length) continue;
+
+        if (completed.length) {
+            await notifyMissionsCompleted(supabase, fid, row.day, completed);
+        }
+        return completed;
+    }
+
+    throw new Error('Missions kept changing while recording progress');
+}
+
+// Only players who enabled notifications have tokens, so this is opt-in
+async function notifyMissionsCompleted(supabase, fid, day, completed) {
+    const tokens = await fetchNotificationTokens(supabase, fid);
+    if (!tokens.length) return false;
+
+    const title = completed.length === 1 ? '🎯 Mission Complete!' : `🎯 ${completed.length} Missions Complete!`;
+    return sendNotification(tokens, {
+        notificationId: `missions-${day}-${fid}-${completed.map(mission => mission.id).join('-')}`,
+        title,
+        body: completed.length === 1
+            ? `${completed[0].title}: done! Claim your ${completed[0].rewardLabel} boost.`
+            : 'Claim your boosts in Tap That Mosquito.',
+        targetUrl: `${APP_URL}?missions=1`
+    });
+}
+
+/**
+ * Mark a completed mission's reward as claimed
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ * @param missionId - Mission id from today's row
+ * @returns {{ mission?: Object, boost?: Object, error?: string }}
+ */
+export async function claimMission(supabase, fid, missionId) {
+    const row = await loadDailyMissions(supabase, fid);
+    const mission = row.missions.find(item => item.id === missionId);
+    if (!mission) return { error: 'Mission not found' };
+    if (!mission.completedAt) return { error: 'Mission not complete' };
+    if (mission.claimedAt) return { error: 'Reward already claimed' };
+
+    const claimed = { ...mission, claimedAt: new Date().toISOString() };
+    const missions = row.missions.map(item => (item.id === missionId ? claimed : item));
+
+    // Only write over the row we read, so two claims can't both pay out
+    const { data: updated, error } = await supabase
+        .from('daily_missions')
+        .update({ missions, updated_at: claimed.claimedAt })
+        .eq('id', row.id)
+        .eq('updated_at', row.updated_at)
+        .select('id');
+
+    if (error) throw error;
+    if (!updated?.length) return { error: 'Missions changed, try again' };
+
+    // The reward waits in the inventory until the next classic run claims it
+    const { boost } = MISSION_REWARDS[mission.reward];
+    await grantBoost(supabase, `fid:${fid}`, 'mission', `${row.day}:${missionId}`, boost);
+
+    return { mission: claimed, boost };
+}
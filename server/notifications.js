@@ -0,0 +1,115 @@
+/**
+ * Farcaster Notifications
+ *
+ * Sends mini app notifications to the tokens stored by api/webhook.js and
+ * api/notification-tokens.js. Shared by the challenge and mission endpoints.
+ */
+
+/**
+ * Notification tokens a fid has registered (empty if none or on error)
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ */
+export async function fetchNotificationTokens(supabase, fid) {
+    console.log('[Notification] Fetching tokens for FID:', fid);
+
+    if (!supabase) {
+        console.warn('[Notification] Supabase not configured, skipping token fetch');
+        return [];
+    }
+    if (fid === null || fid === undefined) {
+        console.warn('[Notification] FID is null/undefined, skipping token fetch');
+        return [];
+    }
+
+    const parsedFid = Number.parseInt(fid, 10);
+    if (!Number.isFinite(parsedFid)) {
+        console.warn('[Notification] Invalid FID format:', fid);
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from('notification_tokens')
+        .select('token, url')
+        .eq('fid', parsedFid);
+
+    if (error) {
+        console.error('[Notification] Failed to load tokens for FID', parsedFid, ':', error);
+        return [];
+    }
+
+    console.log('[Notification] Found', data?.length || 0, 'token(s) for FID', parsedFid);
+    return data || [];
+}
+
+/**
+ * Deliver one notification to every endpoint the tokens point at
+ * @param tokens - Rows from fetchNotificationTokens()
+ * @param payload - { notificationId, title, body, targetUrl }
+ * @returns True if any endpoint accepted it
+ */
+export async function sendNotification(tokens, payload) {
+    console.log('[Notification] Attempting to send:', {
+        notificationId: payload.notificationId,
+        title: payload.title,
+        tokenCount: tokens?.length || 0
+    });
+
+    if (!tokens || tokens.length === 0) {
+        console.warn('[Notification] No tokens provided, cannot send notification');
+        return false;
+    }
+
+    const grouped = new Map();
+    for (const item of tokens) {
+        if (!item?.token || !item?.url) {
+            console.warn('[Notification] Skipping invalid token entry:', item);
+            continue;
+        }
+        if (!grouped.has(item.url)) {
+            grouped.set(item.url, []);
+        }
+        grouped.get(item.url).push(item.token);
+    }
+
+    console.log('[Notification] Sending to', grouped.size, 'unique endpoint(s)');
+
+    let delivered = false;
+    for (const [url, tokenList] of grouped.entries()) {
+        if (!tokenList.length) continue;
+
+        const requestBody = {
+            ...payload,
+            token: tokenList[0],
+            tokens: tokenList
+        };
+
+        console.log('[Notification] POST to:', url.substring(0, 50) + '...');
+        console.log('[Notification] Payload:', JSON.stringify(requestBody, null, 2));
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (response.ok) {
+                console.log('[Notification] ✅ Successfully delivered to', url.substring(0, 50));
+                delivered = true;
+            } else {
+                const detail = await response.text();
+                console.error('[Notification] ❌ Request failed:', {
+                    status: response.status,
+                    statusText: response.statusText,
+                    detail: detail.substring(0, 200)
+                });
+            }
+        } catch (e) {
+            console.error('[Notification] ❌ Network error:', e.message);
+        }
+    }
+
+    console.log('[Notification] Final delivery status:', delivered ? 'SUCCESS' : 'FAILED');
+    return delivered;
+}
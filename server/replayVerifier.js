@@ -0,0 +1,229 @@
+/**
+ * Replay Verifier
+ *
+ * Re-runs a recorded run through the same GameSimulation the browser uses,
+ * feeding it the recorded boosts and taps at the sim times they happened.
+ * The client's claimed score is never trusted: the score comes from the
+ * simulation, and the recorded spawns and hazard hits must match what the
+ * simulation produced or the replay is treated as a desync.
+ */
+
+import { GameSimulation, SIM_STEP } from '../gameSimulation.js';
+import { REPLAY_VERSION } from '../replayRecorder.js';
+import { GAME_DURATION, GAME_MODES } from '../gameRules.js';
+import { getDefinitions } from '../gameDefinitions.js';
+
+// Survival runs can last up to SURVIVAL_MAX_DURATION, so they get larger logs
+const MAX_SPAWNS = { classic: 800, survival: 10000 };
+const MAX_TAPS = { classic: 3000, survival: 30000 };
+const MAX_BOOSTS = 4;            // share, referral, sponsor, mission
+const MAX_BONUS_TIME = 30;       // share (5) + referral (10) + sponsor (10) + mission (5)
+const MAX_BONUS_POINTS = 75;     // referral (50) + mission (25)
+const MAX_HAZARD_IMMUNITY = 1;   // share
+
+function fail(reason) {
+    return { valid: false, score: 0, reason, stats: null };
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Replays recorded before survival mode have no mode
+function getMode(replay) {
+    return replay.mode ?? 'classic';
+}
+
+// Replays recorded before definition sets were balanced with the default set
+function getDefinitionsId(replay) {
+    return replay.defs ?? 'default';
+}
+
+// Adaptive runs record the best score their starting skill came from; anything else is the fixed curve
+function getAdaptive(replay) {
+    return replay.adaptive && isNumber(replay.adaptive.best) ? { best: replay.adaptive.best } : null;
+}
+
+function validateShape(replay) {
+    if (!replay || typeof replay !== 'object') return 'Missing replay';
+    if (replay.v !== REPLAY_VERSION) return 'Unsupported replay version';
+    if (!isNumber(replay.seed)) return 'Missing seed';
+    if (!isNumber(replay.w) || !isNumber(replay.h) || replay.w < 100 || replay.h < 100 ||
+        replay.w > 4000 || replay.h > 4000) {
+        return 'Invalid play area';
+    }
+    if (replay.duration !== GAME_DURATION) return 'Invalid run duration';
+    if (!GAME_MODES.includes(getMode(replay))) return 'Invalid mode';
+    if (typeof getDefinitionsId(replay) !== 'string' || !getDefinitions(getDefinitionsId(replay))) {
+        return 'Unknown definitions';
+    }
+    for (const key of ['boosts', 'spawns', 'taps', 'hazards']) {
+        if (!Array.isArray(replay[key])) return `Missing ${key}`;
+    }
+    if (replay.spawns.length > MAX_SPAWNS[getMode(replay)]) return 'Too many spawns';
+    if (replay.taps.length > MAX_TAPS[getMode(replay)]) return 'Too many taps';
+    if (replay.boosts.length > MAX_BOOSTS) return 'Too many boosts';
+    if (replay.pauses !== undefined && !Array.isArray(replay.pauses)) return 'Invalid pauses';
+    return null;
+}
+
+// Boosts are applied at the time they were recorded; totals are capped to what the game can grant
+function parseBoosts(boosts) {
+    const parsed = boosts.map(([t, bonusTime, bonusPoints, startMultiplier, hazardImmunity]) => ({
+        t, bonusTime, bonusPoints, startMultiplier, hazardImmunity
+    }));
+
+    let totalTime = 0;
+    let totalPoints = 0;
+    let totalImmunity = 0;
+    for (const boost of parsed) {
+        const values = [boost.t, boost.bonusTime, boost.bonusPoints, boost.startMultiplier, boost.hazardImmunity];
+        if (!values.every(isNumber) || boost.t < -1 || values.slice(1).some(value => value < 0)) return null;
+        if (boost.startMultiplier > 2) return null;
+        totalTime += boost.bonusTime;
+        totalPoints += boost.bonusPoints;
+        totalImmunity += boost.hazardImmunity;
+    }
+
+    if (totalTime > MAX_BONUS_TIME || totalPoints > MAX_BONUS_POINTS || totalImmunity > MAX_HAZARD_IMMUNITY) {
+        return null;
+    }
+    return parsed.sort((a, b) => a.t - b.t);
+}
+
+// Recorded sim times are whole steps; anything else was not produced by the game
+function isStepTime(t) {
+    return Number.isInteger(t) && t >= 0 && t % SIM_STEP === 0;
+}
+
+/**
+ * Re-simulate a replay and derive its score
+ * @param {Object} replay - Log produced by replayRecorder.finish()
+ * @returns {{valid: boolean, score: number, reason: string|null, stats: Object|null}}
+ */
+export function verifyReplay(replay) {
+    const shapeError = validateShape(replay);
+    if (shapeError) return fail(shapeError);
+
+    const boosts = parseBoosts(replay.boosts);
+    if (!boosts) return fail('Invalid boosts');
+
+    const taps = replay.taps;
+    for (let i = 0; i < taps.length; i++) {
+        const [t, x, y, insectId] = taps[i];
+        if (![t, x, y, insectId].every(isNumber) || !isStepTime(t)) return fail(`Tap ${i} is malformed`);
+        if (i > 0 && t < taps[i - 1][0]) return fail(`Tap ${i} out of order`);
+    }
+
+    const mode = getMode(replay);
+    const definitions = getDefinitionsId(replay);
+    const sim = new GameSimulation({
+        seed: replay.seed, width: replay.w, height: replay.h, mode, definitions,
+        boss: replay.boss === true, powerUps: replay.powerUps === true, movement: replay.movement === true,
+        adaptive: getAdaptive(replay), precision: replay.precision === true
+    });
+
+    const spawns = [];
+    const hazards = [];
+    let hazardsAvoided = 0;
+    let rejectedTaps = 0;
+    sim.on('spawn', (insect) => spawns.push([insect.id, insect.startTime, insect.type]));
+    sim.on('hazardHit', ({ insect }) => hazards.push([sim.time, insect.id]));
+    const avoided = {};
+    sim.on('avoid', ({ insect }) => {
+        hazardsAvoided++;
+        avoided[insect.type] = (avoided[insect.type] || 0) + 1;
+    });
+    // Swarms that ran their course without a hazard tap
+    let cleanSwarms = 0;
+    let swarmHazardMark = 0;
+    sim.on('swarm', () => {
+        swarmHazardMark = hazards.length;
+    });
+    sim.on('waveCleared', () => {
+        if (hazards.length === swarmHazardMark) cleanSwarms++;
+    });
+    const kills = {};
+    sim.on('kill', ({ insect }) => {
+        kills[insect.type] = (kills[insect.type] || 0) + 1;
+    });
+    sim.on('bossDefeated', ({ insect }) => {
+        kills[insect.type] = (kills[insect.type] || 0) + 1;
+    });
+    sim.on('tap', ({ hit }) => {
+        if (!hit) rejectedTaps++;
+    });
+
+    // Pre-game boosts (share, referral) land before the first spawn
+    for (const boost of boosts.filter(item => item.t < 0)) {
+        sim.applyBoost(boost);
+    }
+    sim.start();
+
+    // In-run input in sim-time order; boosts before taps at the same step
+    const inputs = [
+        ...boosts.filter(item => item.t >= 0).map(boost => ({ t: boost.t, apply: () => sim.applyBoost(boost) })),
+        ...taps.map(([t, x, y, insectId]) => ({ t, apply: () => sim.tap(x, y, insectId < 0 ? null : insectId) }))
+    ];
+    inputs.sort((a, b) => a.t - b.t);
+
+    for (const input of inputs) {
+        if (input.t % SIM_STEP !== 0) return fail('Input off the simulation step');
+        sim.advanceTo(input.t);
+        if (sim.isOver) break;
+        input.apply();
+    }
+    sim.runToEnd();
+
+    // The recorded log must agree with the simulation
+    if (replay.spawns.length !== spawns.length ||
+        replay.spawns.some((spawn, i) => spawn.join() !== spawns[i].join())) {
+        return fail('Spawns do not match seed');
+    }
+    if (replay.hazards.length !== hazards.length ||
+        replay.hazards.some((hazard, i) => hazard.join() !== hazards[i].join())) {
+        return fail('Hazard hits do not match');
+    }
+
+    return {
+        valid: true,
+        score: sim.score,
+        reason: null,
+        stats: {
+            mode,
+            definitions,
+            // What the run was played with, so boards can hold it to their preset (gameRules RUN_PRESETS)
+            options: {
+                boss: sim.bossEnabled,
+                powerUps: sim.powerUpsEnabled,
+                movement: sim.movementEnabled,
+                precision: sim.precisionEnabled
+            },
+            claimedScore: isNumber(replay.score) ? replay.score : null,
+            tapped: sim.tappedCount,
+            kills,
+            escaped: sim.escapedCount,
+            bestCombo: sim.bestCombo,
+            hazardHits: hazards.length,
+            hazardsAvoided,
+            avoided,
+            cleanSwarms,
+            rejectedTaps,
+            taps: sim.tapCount,
+            misses: sim.missCount,
+            accuracy: sim.getAccuracy(),
+            reactions: sim.getReactionStats(),
+            precision: sim.precisionEnabled,
+            timeSurvived: sim.isSurvival ? sim.survived : null,
+            wavesCleared: sim.wavesCleared,
+            bossesDefeated: sim.bossesDefeated,
+            bossDamage: sim.bossDamage,
+            powerUps: { ...sim.powerUpsCollected },
+            // Adaptive runs are unranked: daily and weekly boards refuse them
+            adaptive: sim.adaptive ? { best: sim.adaptive.best, skill: sim.adaptive.skill } : null,
+            // Pauses never change the simulation, only how long the run took
+            pauses: replay.pauses?.length ?? 0,
+            pausedMs: (replay.pauses ?? []).reduce((sum, pause) => sum + (isNumber(pause?.[1]) ? pause[1] : 0), 0)
+        }
+    };
+}
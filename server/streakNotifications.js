@@ -0,0 +1,70 @@
+/**
+ * Play Streak Notifications
+ *
+ * Milestone, reminder and lost-streak notifications for the daily play
+ * streak (see playStreak.js). Sent only to players who enabled notifications.
+ */
+
+import { fetchNotificationTokens, sendNotification } from './notifications.js';
+
+const APP_URL = 'https://tap-mosquito.vercel.app';
+
+/**
+ * A streak just reached a milestone
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ * @param days - Streak length
+ * @param milestone - Entry from STREAK_MILESTONES
+ */
+export async function notifyStreakMilestone(supabase, fid, days, milestone) {
+    const tokens = await fetchNotificationTokens(supabase, fid);
+    if (!tokens.length) return false;
+
+    return sendNotification(tokens, {
+        notificationId: `streak-milestone-${fid}-${days}-${Date.now()}`,
+        title: `🔥 ${days}-Day Streak!`,
+        body: `${days} days in a row! +${milestone.xp} XP bonus added to your profile.`,
+        targetUrl: APP_URL
+    });
+}
+
+/**
+ * Played yesterday but not yet today
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ * @param days - Streak length at stake
+ * @param day - Player's local day (one reminder per day)
+ * @param saver - True if the streak saver would cover a miss
+ */
+export async function notifyStreakAtRisk(supabase, fid, days, day, saver = false) {
+    const tokens = await fetchNotificationTokens(supabase, fid);
+    if (!tokens.length) return false;
+
+    return sendNotification(tokens, {
+        notificationId: `streak-risk-${fid}-${day}`,
+        title: `🔥 Keep your ${days}-day streak!`,
+        body: saver
+            ? 'Your streak saver is covering you - play today to keep the streak going.'
+            : 'One quick game today keeps your streak alive.',
+        targetUrl: APP_URL
+    });
+}
+
+/**
+ * A streak lapsed without a game
+ * @param supabase - Service-role Supabase client
+ * @param fid - Farcaster ID
+ * @param days - Length of the streak that was lost
+ * @param day - Player's local day
+ */
+export async function notifyStreakLost(supabase, fid, days, day) {
+    const tokens = await fetchNotificationTokens(supabase, fid);
+    if (!tokens.length) return false;
+
+    return sendNotification(tokens, {
+        notificationId: `streak-lost-${fid}-${day}`,
+        title: '💔 Streak lost',
+        body: `Your ${days}-day streak ended. Start a new one today!`,
+        targetUrl: APP_URL
+    });
+}
@@ -0,0 +1,79 @@
+/**
+ * Versus Badges
+ *
+ * Badges for versus results (the badges.js metrics marked onChallengeComplete).
+ * A player's run is credited to their profile as soon as it is uploaded, often
+ * before the opponent has played, so a win only exists once the challenge
+ * completes - api/challenge.js judges these badges for both players then.
+ */
+
+import { evaluateBadges } from '../badges.js';
+
+// A badge write can race a run being credited (api/player.js), so each write re-reads and retries
+const PROFILE_WRITE_ATTEMPTS = 3;
+
+// Versus battles this fid has won since midnight UTC
+async function countVersusWinsToday(supabase, fid) {
+    const today = new Date().toISOString().slice(0, 10);
+    const { count, error } = await supabase
+        .from('challenges')
+        .select('id', { count: 'exact', head: true })
+        .eq('winner_fid', fid)
+        .eq('status', 'completed')
+        .gte('completed_at', `${today}T00:00:00Z`);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+async function awardPlayerBadges(supabase, fid) {
+    const versusWinsToday = await countVersusWinsToday(supabase, fid);
+
+    for (let attempt = 0; attempt < PROFILE_WRITE_ATTEMPTS; attempt++) {
+        const { data: profile, error } = await supabase
+            .from('player_profiles')
+            .select('*')
+            .eq('player_key', `fid:${fid}`)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!profile) return [];
+
+        const newBadges = evaluateBadges({ profile, versusWinsToday }, profile.badges || {}, true);
+        if (!newBadges.length) return [];
+
+        const unlockedAt = new Date().toISOString();
+        const badges = { ...(profile.badges || {}) };
+        for (const id of newBadges) {
+            badges[id] = unlockedAt;
+        }
+
+        // Only if nobody else has written the profile since it was read
+        const { data: saved, error: saveError } = await supabase
+            .from('player_profiles')
+            .update({ badges, updated_at: unlockedAt })
+            .eq('player_key', profile.player_key)
+            .eq('updated_at', profile.updated_at)
+            .select('player_key')
+            .maybeSingle();
+
+        if (saveError) throw saveError;
+        if (saved) return newBadges;
+    }
+
+    throw new Error('Profile kept changing while awarding versus badges');
+}
+
+/**
+ * Unlock the versus badges a completed challenge earned its players
+ * @param supabase - Service-role Supabase client
+ * @param challenge - The completed challenge row
+ * @returns {Promise<Object>} fid -> newly unlocked badge ids
+ */
+export async function awardVersusBadges(supabase, challenge) {
+    const awarded = {};
+    for (const fid of [challenge.challenger_fid, challenge.opponent_fid]) {
+        if (fid) awarded[fid] = await awardPlayerBadges(supabase, fid);
+    }
+    return awarded;
+}
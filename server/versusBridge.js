@@ -0,0 +1,207 @@
+/**
+ * Versus Bridge
+ *
+ * Links casual Supabase challenges (fid-driven, api/challenge.js) with
+ * VersusNFT challenges (address-driven). An on-chain challenge row stores both
+ * players' Farcaster-verified addresses; the on-chain id, transaction hashes
+ * and on-chain status are filled in from ChallengeCreated / ChallengeAccepted /
+ * ChallengeCancelled events, either reported by a player (?action=link) or
+ * picked up by the scheduled sync (api/versus-sync.js).
+ */
+
+import { ethers } from 'ethers';
+import { VERSUS_CONTRACT_ADDRESSES } from '../versusContract.js';
+
+const BASE_RPC_URL = process.env.BASE_RPC_URL || 'https://mainnet.base.org';
+
+// Same chain -> deployment mapping as the client (versusContract.js); BASE_RPC_URL's chain picks the address
+const VERSUS_CHAINS = { 8453: 'mainnet', 84532: 'sepolia' };
+
+const VERSUS_EVENTS_ABI = [
+    'event ChallengeCreated(uint256 indexed challengeId, address indexed challenger, address indexed opponent)',
+    'event ChallengeAccepted(uint256 indexed challengeId, address indexed opponent)',
+    'event ChallengeCancelled(uint256 indexed challengeId)'
+];
+
+const versusInterface = new ethers.Interface(VERSUS_EVENTS_ABI);
+const CHALLENGE_EVENT_TOPICS = ['ChallengeCreated', 'ChallengeAccepted', 'ChallengeCancelled']
+    .map(name => versusInterface.getEvent(name).topicHash);
+
+function getProvider() {
+    return new ethers.JsonRpcProvider(BASE_RPC_URL);
+}
+
+let versusAddress = null;
+
+// The VersusNFT deployment on the RPC's chain (VERSUS_NFT_ADDRESS overrides it)
+async function getVersusAddress(provider) {
+    if (process.env.VERSUS_NFT_ADDRESS) return process.env.VERSUS_NFT_ADDRESS.toLowerCase();
+
+    if (!versusAddress) {
+        const { chainId } = await provider.getNetwork();
+        const chain = VERSUS_CHAINS[Number(chainId)];
+        if (!chain) throw new Error(`No VersusNFT deployment on chain ${chainId}`);
+        versusAddress = VERSUS_CONTRACT_ADDRESSES[chain].toLowerCase();
+    }
+    return versusAddress;
+}
+
+/**
+ * A player's Farcaster-verified Ethereum addresses, verified first and custody last
+ * @returns {Promise<string[]|null>} Lowercased addresses, or null if the lookup is unavailable
+ */
+export async function getVerifiedAddresses(fid) {
+    const neynarApiKey = process.env.NEYNAR_API_KEY || process.env.VITE_NEYNAR_API_KEY;
+    if (!neynarApiKey) {
+        console.error('NEYNAR_API_KEY missing; cannot look up verified addresses.');
+        return null;
+    }
+
+    try {
+        const response = await fetch(
+            `https://api.neynar.com/v2/farcaster/user/bulk?fids=${encodeURIComponent(fid)}`,
+            { headers: { 'api_key': neynarApiKey } }
+        );
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        const user = data?.users?.[0];
+        if (!user) return [];
+
+        const addresses = [
+            ...(user.verified_addresses?.eth_addresses || []),
+            user.custody_address
+        ];
+        return [...new Set(addresses.filter(address => ethers.isAddress(address)).map(address => address.toLowerCase()))];
+    } catch (error) {
+        console.error('Verified address lookup failed:', error);
+        return null;
+    }
+}
+
+function parseChallengeLog(log, contractAddress) {
+    if (log.address?.toLowerCase() !== contractAddress) return null;
+
+    let parsed;
+    try {
+        parsed = versusInterface.parseLog({ topics: log.topics, data: log.data });
+    } catch {
+        return null;
+    }
+    if (!parsed) return null;
+
+    return {
+        name: parsed.name,
+        challengeId: parsed.args.challengeId.toString(),
+        challenger: parsed.args.challenger?.toLowerCase() || null,
+        opponent: parsed.args.opponent?.toLowerCase() || null,
+        txHash: log.transactionHash
+    };
+}
+
+/**
+ * Challenge events emitted by one transaction
+ * @returns {Promise<Array|null>} The events, or null if the transaction hasn't confirmed
+ */
+export async function readChallengeEvents(txHash) {
+    const provider = getProvider();
+    const contractAddress = await getVersusAddress(provider);
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) return null;
+
+    return receipt.logs.map(log => parseChallengeLog(log, contractAddress)).filter(Boolean);
+}
+
+/**
+ * Challenge events from the most recent blocks, oldest first
+ */
+export async function fetchRecentChallengeEvents(blockCount) {
+    const provider = getProvider();
+    const contractAddress = await getVersusAddress(provider);
+    const latest = await provider.getBlockNumber();
+    const logs = await provider.getLogs({
+        address: contractAddress,
+        fromBlock: Math.max(0, latest - blockCount),
+        toBlock: latest,
+        topics: [CHALLENGE_EVENT_TOPICS]
+    });
+
+    return logs.map(log => parseChallengeLog(log, contractAddress)).filter(Boolean);
+}
+
+async function updateLinkedChallenge(supabase, onchainChallengeId, updates, rowId) {
+    let query = supabase
+        .from('challenges')
+        .update(updates)
+        .eq('onchain_challenge_id', onchainChallengeId)
+        .eq('onchain_status', 'pending');
+    if (rowId) query = query.eq('id', rowId);
+
+    const { data, error } = await query.select().maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Apply one challenge event to its Supabase row. Each step only moves a row
+ * forward (unlinked -> pending -> accepted/cancelled), so replaying events
+ * from both the link action and the sync is harmless.
+ * @param rowId - Only touch this challenge (events reported by a player)
+ * @returns {Promise<Object|null>} The updated row, or null if nothing matched
+ */
+export async function applyChallengeEvent(supabase, event, rowId = null) {
+    if (event.name === 'ChallengeCreated') {
+        // The newest unlinked on-chain challenge between the same two wallets
+        let query = supabase
+            .from('challenges')
+            .select('id')
+            .eq('mode', 'onchain')
+            .is('onchain_challenge_id', null)
+            .eq('challenger_address', event.challenger)
+            .eq('opponent_address', event.opponent)
+            .eq('status', 'pending');
+        if (rowId) query = query.eq('id', rowId);
+
+        const { data: candidate, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!candidate) return null;
+
+        const { data, error: linkError } = await supabase
+            .from('challenges')
+            .update({
+                onchain_challenge_id: event.challengeId,
+                onchain_status: 'pending',
+                create_tx_hash: event.txHash
+            })
+            .eq('id', candidate.id)
+            .is('onchain_challenge_id', null)
+            .select()
+            .maybeSingle();
+
+        // UNIQUE onchain_challenge_id: that challenge already backs another row
+        if (linkError?.code === '23505') return null;
+        if (linkError) throw linkError;
+        return data;
+    }
+
+    if (event.name === 'ChallengeAccepted') {
+        return updateLinkedChallenge(supabase, event.challengeId, {
+            onchain_status: 'accepted',
+            accept_tx_hash: event.txHash
+        }, rowId);
+    }
+
+    if (event.name === 'ChallengeCancelled') {
+        return updateLinkedChallenge(supabase, event.challengeId, {
+            onchain_status: 'cancelled',
+            cancel_tx_hash: event.txHash,
+            status: 'cancelled'
+        }, rowId);
+    }
+
+    return null;
+}
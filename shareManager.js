@@ -6,71 +6,49 @@
 
 import { sdk } from '@farcaster/miniapp-sdk';
 import { referralManager } from './referralManager.js';
+import { boostInventory } from './boostInventory.js';
 
 const APP_URL = 'https://tap-mosquito.vercel.app';
 
 // Get referral link (includes user's referral code if connected)
-function getShareLink() {
-    return referralManager.getReferralLink() || APP_URL;
+// Extra params deep link into a mode, e.g. { mode: 'daily' }
+function getShareLink(params = {}) {
+    const link = referralManager.getReferralLink() || APP_URL;
+    if (!Object.keys(params).length) return link;
+
+    const url = new URL(link);
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+    return url.toString();
 }
 
 class ShareManager {
     constructor() {
         this.hasSharedFirstGame = localStorage.getItem('mosquito-first-game-shared') === 'true';
-        this.pendingBoost = localStorage.getItem('mosquito-pending-boost') === 'true';
-    }
-
-    /**
-     * Grant boost for next game after successful share
-     */
-    grantShareBoost() {
-        this.pendingBoost = true;
-        localStorage.setItem('mosquito-pending-boost', 'true');
-        console.log('🚀 Share boost granted for next game!');
-    }
-
-    /**
-     * Check if player has a pending boost
-     */
-    hasBoost() {
-        return this.pendingBoost;
-    }
-
-    /**
-     * Consume the boost (called when game starts)
-     * Returns boost details or null
-     */
-    consumeBoost() {
-        if (!this.pendingBoost) return null;
-
-        this.pendingBoost = false;
-        localStorage.removeItem('mosquito-pending-boost');
-
-        return {
-            bonusTime: 5,           // +5 seconds
-            startMultiplier: 2,     // Start with 2x
-            hazardImmunity: 1       // First hazard immunity
-        };
     }
 
     /**
      * Core share function using Farcaster SDK with fallbacks
-     * Grants a boost for next game on successful share!
+     * A cast published through the SDK earns a boost for the next game
+     * (verified server-side, so the fallbacks don't earn one)
      * Uses referral link for viral tracking
      */
-    async share(text) {
-        const shareLink = getShareLink();
+    async share(text, linkParams = {}) {
+        const shareLink = getShareLink(linkParams);
         const fullText = text + '\n\n' + shareLink;
         let shared = false;
+        let castHash = null;
 
         // Try SDK composeCast first (only works in Mini App)
         try {
             const isInMiniApp = await sdk.isInMiniApp();
             if (isInMiniApp) {
-                await sdk.actions.composeCast({
+                const result = await sdk.actions.composeCast({
                     text,
                     embeds: [shareLink],
                 });
+                castHash = result?.cast?.hash ?? null;
                 shared = true;
             }
         } catch (sdkError) {
@@ -117,9 +95,9 @@ class ShareManager {
             }
         }
 
-        // Grant boost for next game if share was successful!
-        if (shared) {
-            this.grantShareBoost();
+        // Published casts earn a boost for the next game
+        if (castHash) {
+            boostInventory.grantShare(castHash);
         }
 
         return shared;
@@ -263,6 +241,36 @@ Try to beat my newbie score:`;
         return shared;
     }
 
+    /**
+     * 8. DAILY MOSQUITO SHARE
+     * After the day's ranked Daily Mosquito run - link opens the same run
+     */
+    async shareDailyScore({ score, rank, day }) {
+        const rankText = rank > 0 ? `Daily rank: #${rank}\n` : '';
+
+        const text = `📅 I scored ${score} on today's Daily Mosquito!
+
+${rankText}Same mosquitoes for everyone on ${day} (UTC).
+
+Think you can beat me?`;
+
+        return this.share(text, { mode: 'daily' });
+    }
+
+    /**
+     * 9. BADGE UNLOCK SHARE
+     * When a verified run unlocks a badge
+     */
+    async shareBadgeUnlock({ name, emoji, description }) {
+        const text = `${emoji} Badge unlocked: ${name}!
+
+${description} in Tap That Mosquito.
+
+How many badges can you collect?`;
+
+        return this.share(text);
+    }
+
     /**
      * Get victory title based on win streak
      */
@@ -208,6 +208,100 @@ class SoundManager {
         osc.start(now);
         osc.stop(now + 0.1);
     }
+
+    // Power-up pickup - one sound per effect
+    playPowerUp(effect) {
+        if (this.isMuted || !this.audioContext) return;
+        this.resume();
+
+        if (effect === 'bomb') {
+            this.playBomb();
+            return;
+        }
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        // Freeze chimes down, magnet sweeps up, slow-mo winds down
+        const sweeps = {
+            freeze: { type: 'sine', from: 1760, to: 880, length: 0.35 },
+            magnet: { type: 'triangle', from: 300, to: 1200, length: 0.25 },
+            slowmo: { type: 'sawtooth', from: 600, to: 150, length: 0.45 }
+        };
+        const sweep = sweeps[effect] || sweeps.magnet;
+
+        const osc = ctx.createOscillator();
+        osc.type = sweep.type;
+        osc.frequency.setValueAtTime(sweep.from, now);
+        osc.frequency.exponentialRampToValueAtTime(sweep.to, now + sweep.length);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.15, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + sweep.length);
+
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+
+        osc.start(now);
+        osc.stop(now + sweep.length);
+    }
+
+    // Bomb - long low rumble
+    playBomb() {
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        const bufferSize = ctx.sampleRate * 0.5;
+        const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 3);
+        }
+
+        const noise = ctx.createBufferSource();
+        noise.buffer = buffer;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(400, now);
+        filter.frequency.exponentialRampToValueAtTime(60, now + 0.5);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.7, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.5);
+
+        noise.connect(filter);
+        filter.connect(gain);
+        gain.connect(ctx.destination);
+
+        noise.start(now);
+        noise.stop(now + 0.5);
+    }
+
+    // Power-up wearing off - short falling blip
+    playPowerDown() {
+        if (this.isMuted || !this.audioContext) return;
+        this.resume();
+
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+
+        const osc = ctx.createOscillator();
+        osc.type = 'square';
+        osc.frequency.setValueAtTime(660, now);
+        osc.frequency.exponentialRampToValueAtTime(330, now + 0.12);
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.08, now);
+        gain.gain.exponentialRampToValueAtTime(0.01, now + 0.12);
+
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+
+        osc.start(now);
+        osc.stop(now + 0.12);
+    }
 }
 
 export const soundManager = new SoundManager();
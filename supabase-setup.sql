@@ -14,12 +14,35 @@ CREATE TABLE IF NOT EXISTS leaderboard (
     score INTEGER NOT NULL,
     tapped INTEGER DEFAULT 0,
     best_combo INTEGER DEFAULT 1,
+    boss_kills INTEGER DEFAULT 0,
+    power_ups INTEGER DEFAULT 0,
+    taps INTEGER DEFAULT 0,
+    misses INTEGER DEFAULT 0,
+    avg_reaction INTEGER,
+    best_reaction INTEGER,
+    boosted_runs INTEGER DEFAULT 0,            -- runs in this total that used boosts (see boost_inventory)
     week_start DATE DEFAULT date_trunc('week', CURRENT_DATE)::DATE,
+    mode TEXT DEFAULT 'classic' CHECK (mode IN ('classic', 'survival')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Existing deployments: one board per solo mode
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'classic' CHECK (mode IN ('classic', 'survival'));
+-- Existing deployments: boss encounter stat
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS boss_kills INTEGER DEFAULT 0;
+-- Existing deployments: power-up pickups
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS power_ups INTEGER DEFAULT 0;
+-- Existing deployments: accuracy + reaction stats (ms from spawn to kill)
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS taps INTEGER DEFAULT 0;
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS misses INTEGER DEFAULT 0;
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS avg_reaction INTEGER;
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS best_reaction INTEGER;
+-- Existing deployments: boosted runs are flagged on the weekly board
+ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS boosted_runs INTEGER DEFAULT 0;
+
 -- Index for fast score sorting within current week
 CREATE INDEX IF NOT EXISTS idx_leaderboard_week_score ON leaderboard(week_start, score DESC);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_mode_week_score ON leaderboard(mode, week_start, score DESC);
 CREATE INDEX IF NOT EXISTS idx_leaderboard_wallet ON leaderboard(wallet_address);
 
 -- ============================================
@@ -49,17 +72,223 @@ CREATE TABLE IF NOT EXISTS challenges (
     opponent_username TEXT,
     challenger_score INTEGER,
     opponent_score INTEGER,
-    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'completed', 'expired', 'declined')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'completed', 'expired', 'declined', 'cancelled')),
     winner_fid INTEGER,
+    seed BIGINT,
+    challenger_pauses JSONB,
+    opponent_pauses JSONB,
+    challenger_flagged BOOLEAN DEFAULT FALSE,
+    opponent_flagged BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     expires_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() + INTERVAL '24 hours',
     completed_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Existing deployments: add the shared spawn seed (set when a challenge is accepted)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- Existing deployments: versus pause tracking (flagged = over the pause cap)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS challenger_pauses JSONB;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS opponent_pauses JSONB;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS challenger_flagged BOOLEAN DEFAULT FALSE;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS opponent_flagged BOOLEAN DEFAULT FALSE;
+
+-- Existing deployments: VersusNFT battle signing (see api/sign-battle.js)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS onchain_challenge_id BIGINT;     -- VersusNFT challengeId for this battle
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS battle_signature TEXT;           -- finalizeBattle signature, issued once
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS battle_signed_at TIMESTAMP WITH TIME ZONE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_challenges_onchain ON challenges(onchain_challenge_id) WHERE onchain_challenge_id IS NOT NULL;
+
+-- Existing deployments: challengers can cancel (casual rows directly, on-chain rows via VersusNFT)
+ALTER TABLE challenges DROP CONSTRAINT IF EXISTS challenges_status_check;
+ALTER TABLE challenges ADD CONSTRAINT challenges_status_check
+    CHECK (status IN ('pending', 'accepted', 'completed', 'expired', 'declined', 'cancelled'));
+
+-- Existing deployments: casual vs on-chain challenges, linked to VersusNFT (see server/versusBridge.js)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'casual' CHECK (mode IN ('casual', 'onchain'));
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS challenger_address TEXT;         -- Farcaster-verified wallets (lowercase)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS opponent_address TEXT;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS onchain_status TEXT CHECK (onchain_status IN ('pending', 'accepted', 'cancelled'));
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS create_tx_hash TEXT;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS accept_tx_hash TEXT;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS cancel_tx_hash TEXT;
+CREATE INDEX IF NOT EXISTS idx_challenges_unlinked ON challenges(challenger_address, opponent_address)
+    WHERE mode = 'onchain' AND onchain_challenge_id IS NULL;
+
+-- Existing deployments: the verified replay behind each player's score (see api/replay.js)
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS challenger_replay_id UUID;
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS opponent_replay_id UUID;
+
 -- Indexes for challenge lookups
 CREATE INDEX IF NOT EXISTS idx_challenges_challenger ON challenges(challenger_fid, status);
 CREATE INDEX IF NOT EXISTS idx_challenges_opponent ON challenges(opponent_fid, status);
 CREATE INDEX IF NOT EXISTS idx_challenges_expires ON challenges(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_challenges_winner ON challenges(winner_fid, completed_at) WHERE status = 'completed';
+
+-- ============================================
+-- REPLAYS TABLE (server-verified runs)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS replays (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    wallet_address TEXT,
+    fid INTEGER,
+    seed BIGINT NOT NULL,
+    claimed_score INTEGER,
+    verified_score INTEGER NOT NULL,
+    stats JSONB,
+    replay JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_replays_wallet ON replays(wallet_address, created_at DESC);
+
+-- Existing deployments: each replay adds to its player's profile once
+ALTER TABLE replays ADD COLUMN IF NOT EXISTS profile_credited BOOLEAN DEFAULT FALSE;
+-- Set when the replay is added to the weekly leaderboard (each run counts once)
+ALTER TABLE replays ADD COLUMN IF NOT EXISTS ranked_at TIMESTAMP WITH TIME ZONE;
+-- Set when an achievement mint is signed for the replay (each run is signed once)
+ALTER TABLE replays ADD COLUMN IF NOT EXISTS achievement_signed_at TIMESTAMP WITH TIME ZONE;
+
+-- Seeds issued by /api/replay?action=seed; each one backs a single replay
+CREATE TABLE IF NOT EXISTS run_seeds (
+    seed BIGINT PRIMARY KEY,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================
+-- PLAYER PROFILES (lifetime stats, XP and level)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS player_profiles (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    player_key TEXT UNIQUE NOT NULL,          -- 'fid:<fid>', or 'wallet:<address>' without a fid
+    fid INTEGER,
+    wallet_address TEXT,
+    username TEXT,
+    games_played INTEGER DEFAULT 0,
+    versus_games INTEGER DEFAULT 0,
+    total_score BIGINT DEFAULT 0,
+    best_scores JSONB DEFAULT '{}'::JSONB,    -- mode -> best verified score
+    kills JSONB DEFAULT '{}'::JSONB,          -- insect type -> lifetime kills
+    hazards_avoided INTEGER DEFAULT 0,
+    bosses_defeated INTEGER DEFAULT 0,
+    best_combo INTEGER DEFAULT 0,
+    badges JSONB DEFAULT '{}'::JSONB,         -- badge id -> unlock time (see badges.js)
+    badge_progress JSONB DEFAULT '{}'::JSONB, -- badge id -> counter for streak badges
+    time_zone TEXT DEFAULT 'UTC',             -- IANA zone the play streak is counted in
+    game_pass BOOLEAN DEFAULT FALSE,          -- GamePass holder (unlocks the one-time streak saver)
+    streak_days INTEGER DEFAULT 0,            -- consecutive local days with a verified run
+    streak_best INTEGER DEFAULT 0,
+    streak_last_day DATE,
+    streak_saver_used BOOLEAN DEFAULT FALSE,
+    streak_notified_day DATE,                 -- last reminder / lost-streak notice (see api/streak-reminders.js)
+    xp INTEGER DEFAULT 0,
+    level INTEGER DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Existing deployments: badges
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS badges JSONB DEFAULT '{}'::JSONB;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS badge_progress JSONB DEFAULT '{}'::JSONB;
+
+-- Existing deployments: play streaks
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS time_zone TEXT DEFAULT 'UTC';
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS game_pass BOOLEAN DEFAULT FALSE;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS streak_days INTEGER DEFAULT 0;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS streak_best INTEGER DEFAULT 0;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS streak_last_day DATE;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS streak_saver_used BOOLEAN DEFAULT FALSE;
+ALTER TABLE player_profiles ADD COLUMN IF NOT EXISTS streak_notified_day DATE;
+
+CREATE INDEX IF NOT EXISTS idx_player_profiles_fid ON player_profiles(fid);
+CREATE INDEX IF NOT EXISTS idx_player_profiles_xp ON player_profiles(xp DESC);
+CREATE INDEX IF NOT EXISTS idx_player_profiles_streak ON player_profiles(streak_last_day) WHERE streak_days > 0;
+
+-- ============================================
+-- DAILY MISSIONS (three per fid per UTC day, see server/missionBoard.js)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS daily_missions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    fid INTEGER NOT NULL,
+    day DATE NOT NULL,
+    missions JSONB NOT NULL,                  -- [{ id, title, target, progress, reward, completedAt, claimedAt }]
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (fid, day)
+);
+
+-- ============================================
+-- BOOST INVENTORY (server-granted run boosts, see server/boostInventory.js)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS boost_inventory (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    player_key TEXT NOT NULL,                 -- same keys as player_profiles
+    source TEXT NOT NULL CHECK (source IN ('share', 'referral', 'mission', 'sponsor')),
+    reference TEXT NOT NULL,                  -- what earned it: cast hash, '<day>:<mission id>', claim id...
+    boost JSONB NOT NULL,                     -- { bonusTime, bonusPoints, startMultiplier, hazardImmunity }
+    granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    claimed_at TIMESTAMP WITH TIME ZONE,      -- taken by a starting run
+    claim_id UUID,                            -- the run's claim (api/boosts.js)
+    used_at TIMESTAMP WITH TIME ZONE,         -- claim consumed by a replay upload
+    replay_id UUID REFERENCES replays(id),    -- the run that applied it
+    UNIQUE (player_key, source, reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_boost_inventory_waiting ON boost_inventory(player_key, granted_at) WHERE claimed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_boost_inventory_claim ON boost_inventory(claim_id) WHERE claim_id IS NOT NULL;
+
+-- ============================================
+-- DAILY MOSQUITO TABLE (one ranked run per player per UTC day)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS daily_scores (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    day DATE NOT NULL,
+    fid INTEGER,
+    wallet_address TEXT NOT NULL,
+    username TEXT,
+    score INTEGER NOT NULL,
+    tapped INTEGER DEFAULT 0,
+    best_combo INTEGER DEFAULT 1,
+    boss_kills INTEGER DEFAULT 0,
+    power_ups INTEGER DEFAULT 0,
+    taps INTEGER DEFAULT 0,
+    misses INTEGER DEFAULT 0,
+    avg_reaction INTEGER,
+    best_reaction INTEGER,
+    replay_id UUID UNIQUE REFERENCES replays(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (day, wallet_address)
+);
+
+-- Existing deployments: boss, power-up, accuracy and reaction stats
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS boss_kills INTEGER DEFAULT 0;
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS power_ups INTEGER DEFAULT 0;
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS taps INTEGER DEFAULT 0;
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS misses INTEGER DEFAULT 0;
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS avg_reaction INTEGER;
+ALTER TABLE daily_scores ADD COLUMN IF NOT EXISTS best_reaction INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_scores_day_fid ON daily_scores(day, fid) WHERE fid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_daily_scores_day_score ON daily_scores(day, score DESC);
+
+-- The first Daily Mosquito replay each fid / wallet uploads per day - the only one /api/daily ranks
+CREATE TABLE IF NOT EXISTS daily_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    day DATE NOT NULL,
+    fid INTEGER,
+    wallet_address TEXT,
+    replay_id UUID UNIQUE NOT NULL REFERENCES replays(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_attempts_day_fid ON daily_attempts(day, fid) WHERE fid IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_attempts_day_wallet ON daily_attempts(day, wallet_address) WHERE wallet_address IS NOT NULL;
 
 -- ============================================
 -- ROW LEVEL SECURITY
@@ -68,6 +297,13 @@ CREATE INDEX IF NOT EXISTS idx_challenges_expires ON challenges(expires_at) WHER
 ALTER TABLE leaderboard ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notification_tokens ENABLE ROW LEVEL SECURITY;
 ALTER TABLE challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE replays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_scores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_missions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE boost_inventory ENABLE ROW LEVEL SECURITY;
+ALTER TABLE run_seeds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_attempts ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies if they exist (for re-running)
 DROP POLICY IF EXISTS "Public read access" ON leaderboard;
@@ -76,19 +312,49 @@ DROP POLICY IF EXISTS "Service role only" ON notification_tokens;
 DROP POLICY IF EXISTS "Public read challenges" ON challenges;
 DROP POLICY IF EXISTS "Allow create challenges" ON challenges;
 DROP POLICY IF EXISTS "Allow update challenges" ON challenges;
+DROP POLICY IF EXISTS "Service role only" ON replays;
+DROP POLICY IF EXISTS "Public read daily scores" ON daily_scores;
+DROP POLICY IF EXISTS "Public read profiles" ON player_profiles;
+DROP POLICY IF EXISTS "Service role only" ON daily_missions;
+DROP POLICY IF EXISTS "Service role only" ON boost_inventory;
+DROP POLICY IF EXISTS "Service role only" ON run_seeds;
+DROP POLICY IF EXISTS "Service role only" ON daily_attempts;
 
--- Leaderboard: public read, insert allowed
+-- Leaderboard: public read, written only by the API (service role) from verified replays
 CREATE POLICY "Public read access" ON leaderboard FOR SELECT USING (true);
-CREATE POLICY "Allow insert" ON leaderboard FOR INSERT WITH CHECK (true);
 
 -- Notification tokens: only accessible via service role (not anon)
 CREATE POLICY "Service role only" ON notification_tokens FOR ALL 
     USING (auth.role() = 'service_role');
 
--- Challenges: public read, insert/update allowed
+-- Replays: only written/read by the API (service role)
+CREATE POLICY "Service role only" ON replays FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Daily scores: public read, written only by the API (service role)
+CREATE POLICY "Public read daily scores" ON daily_scores FOR SELECT USING (true);
+
+-- Player profiles: public read, written only by the API (service role)
+CREATE POLICY "Public read profiles" ON player_profiles FOR SELECT USING (true);
+
+-- Daily missions: only read/written by the API (service role)
+CREATE POLICY "Service role only" ON daily_missions FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Boost inventory: only read/written by the API (service role)
+CREATE POLICY "Service role only" ON boost_inventory FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Run seeds: only issued/claimed by the API (service role)
+CREATE POLICY "Service role only" ON run_seeds FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Daily attempts: only recorded/read by the API (service role)
+CREATE POLICY "Service role only" ON daily_attempts FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Challenges: public read, written only by the API (service role) - battle signatures trust the stored scores
 CREATE POLICY "Public read challenges" ON challenges FOR SELECT USING (true);
-CREATE POLICY "Allow create challenges" ON challenges FOR INSERT WITH CHECK (true);
-CREATE POLICY "Allow update challenges" ON challenges FOR UPDATE USING (true);
 
 -- ============================================
 -- HELPER FUNCTION: Expire old challenges
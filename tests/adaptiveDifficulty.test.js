@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveDifficulty } from '../adaptiveDifficulty.js';
+import { DEFAULT_DEFINITIONS } from '../gameDefinitions.js';
+import { GameSimulation } from '../gameSimulation.js';
+import { replayRecorder } from '../replayRecorder.js';
+import { verifyReplay } from '../server/replayVerifier.js';
+
+const params = DEFAULT_DEFINITIONS.adaptive;
+
+function withinBounds(tuning) {
+    const { bounds } = params;
+    return Math.abs(1 - tuning.spawnInterval) <= bounds.spawnInterval + 1e-9 &&
+        Math.abs(1 - tuning.flightDuration) <= bounds.speed + 1e-9 &&
+        Math.abs(tuning.hazardChance - 1) <= bounds.hazardChance + 1e-9;
+}
+
+test('a new player starts on the fixed curve, a strong one above it', () => {
+    const fresh = new AdaptiveDifficulty(params);
+    assert.equal(fresh.skill, 0);
+    assert.deepEqual(fresh.getTuning(), { spawnInterval: 1, flightDuration: 1, hazardChance: 1 });
+
+    const strong = new AdaptiveDifficulty(params, 100000);
+    assert.equal(strong.skill, params.history.weight);
+    assert.ok(strong.getTuning().spawnInterval < 1);
+});
+
+test('fast kills push the curve up, escapes ease it off, always within bounds', () => {
+    const sharp = new AdaptiveDifficulty(params);
+    const struggling = new AdaptiveDifficulty(params);
+    for (let i = 0; i < 40; i++) {
+        sharp.recordKill(300);
+        struggling.recordEscape();
+    }
+
+    assert.ok(sharp.skill > 0.9);
+    assert.ok(struggling.skill < -0.9);
+    assert.ok(withinBounds(sharp.getTuning()));
+    assert.ok(withinBounds(struggling.getTuning()));
+});
+
+test('in-run play only counts once there are enough samples', () => {
+    const adaptive = new AdaptiveDifficulty(params);
+    for (let i = 0; i < params.minSamples - 1; i++) adaptive.recordEscape();
+
+    assert.equal(adaptive.skill, 0);
+});
+
+test('an adaptive run re-adapts identically when its replay is verified', () => {
+    const sim = new GameSimulation({ seed: 99, width: 390, height: 700, adaptive: { best: 3000 } });
+    replayRecorder.start(sim);
+    sim.start();
+    let frames = 0;
+    while (!sim.isOver) {
+        sim.step();
+        if (++frames % 20 === 0 && sim.insects.length) {
+            const insect = sim.insects[0];
+            const { x, y } = sim.getInsectPosition(insect);
+            sim.tap(x + 24, y + 24, insect.id);
+        }
+    }
+    const replay = JSON.parse(JSON.stringify(replayRecorder.finish(sim.score)));
+    const result = verifyReplay(replay);
+
+    assert.equal(result.valid, true, result.reason);
+    assert.equal(result.score, sim.score);
+    assert.deepEqual(result.stats.adaptive, { best: 3000, skill: sim.adaptive.skill });
+});
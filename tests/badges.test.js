@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateBadges } from '../badges.js';
+
+test('versus badges are judged when a challenge completes, not when a run is credited', () => {
+    const profile = { runs: 1, bestScore: 0 };
+
+    const onRun = evaluateBadges({ profile, stats: {}, score: 0, versusWinsToday: 3 });
+    assert.equal(onRun.includes('triple-threat'), false);
+
+    assert.deepEqual(evaluateBadges({ profile, versusWinsToday: 2 }, {}, true), []);
+    assert.deepEqual(evaluateBadges({ profile, versusWinsToday: 3 }, {}, true), ['triple-threat']);
+    assert.deepEqual(evaluateBadges({ profile, versusWinsToday: 3 }, { 'triple-threat': 'earlier' }, true), []);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOOSTS, matchRunBoosts, normalizeBoost } from '../server/boostInventory.js';
+
+// Claimed rows as claimRunBoosts hands them out
+const rows = [
+    { id: 1, source: 'share', boost: normalizeBoost(BOOSTS.share) },
+    { id: 2, source: 'mission', boost: normalizeBoost({ bonusPoints: 25 }) },
+    { id: 3, source: 'sponsor', boost: normalizeBoost(BOOSTS.sponsor) }
+];
+
+// A replay boost entry: [t, bonusTime, bonusPoints, startMultiplier, hazardImmunity]
+function applied(t, boost) {
+    const { bonusTime, bonusPoints, startMultiplier, hazardImmunity } = normalizeBoost(boost);
+    return [t, bonusTime, bonusPoints, startMultiplier, hazardImmunity];
+}
+
+test('each replay boost is matched to a claimed row', () => {
+    const matched = matchRunBoosts([applied(12, BOOSTS.share), applied(12, { bonusPoints: 25 })], rows);
+    assert.deepEqual(matched.map(row => row.source), ['share', 'mission']);
+});
+
+test('a run without boosts matches nothing', () => {
+    assert.deepEqual(matchRunBoosts([], rows), []);
+});
+
+test('a claimed row only covers one replay boost', () => {
+    assert.equal(matchRunBoosts([applied(12, BOOSTS.share), applied(12, BOOSTS.share)], rows), null);
+});
+
+test('a boost that was never claimed is refused', () => {
+    assert.equal(matchRunBoosts([applied(12, { bonusTime: 60 })], rows), null);
+});
+
+test('claimed boosts the run never applied are left unused', () => {
+    const matched = matchRunBoosts([applied(3, BOOSTS.sponsor)], rows);
+    assert.deepEqual(matched.map(row => row.source), ['sponsor']);
+});
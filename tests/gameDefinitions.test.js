@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_DEFINITIONS, getDefinitions, registerDefinitions, validateDefinitions } from '../gameDefinitions.js';
+import { GameSimulation } from '../gameSimulation.js';
+
+// A deep copy of the default set with `edit` applied
+function variant(edit) {
+    const definitions = structuredClone(DEFAULT_DEFINITIONS);
+    edit(definitions);
+    return definitions;
+}
+
+test('the default set is valid and registered', () => {
+    assert.equal(validateDefinitions(DEFAULT_DEFINITIONS), DEFAULT_DEFINITIONS);
+    assert.equal(getDefinitions(), DEFAULT_DEFINITIONS);
+    assert.equal(getDefinitions('missing'), null);
+});
+
+test('every problem in a set is listed', () => {
+    const broken = variant((definitions) => {
+        definitions.id = 'broken';
+        definitions.insects.normal.points = 0;
+        definitions.spawning.fallback = 'bee';
+        definitions.spawning.elites[0].chance = 2;
+    });
+
+    assert.throws(() => validateDefinitions(broken), (error) => {
+        assert.match(error.message, /^Invalid game definitions "broken"/);
+        assert.match(error.message, /insects\.normal\.points must be a positive integer/);
+        assert.match(error.message, /spawning\.fallback must be a non-hazard insect/);
+        assert.match(error.message, /spawning\.elites\[0\]\.chance must be in \[0, 1\]/);
+        return true;
+    });
+});
+
+test('optional sections are checked when present', () => {
+    const cases = [
+        [definitions => { definitions.boss.phases[0].fromHp = 0.5; }, /boss\.phases must start/],
+        [definitions => { definitions.boss.insect = 'skull'; }, /boss\.insect must be a non-hazard insect/],
+        [definitions => { definitions.powerUps.types.push('normal'); }, /powerUps\.types must list power-up insects/],
+        [definitions => { definitions.insects.slowmo.flightRate = 1; }, /slowmo\.flightRate must be in \(0, 1\)/],
+        [definitions => { definitions.movement.rules[0].pattern = 'loop'; }, /movement\.rules\[0\]\.pattern must be one of/],
+        [definitions => { definitions.adaptive.bounds.speed = 1; }, /adaptive\.bounds\.speed must be in \[0, 1\)/],
+        [definitions => { definitions.precision.missPenalty = 5; }, /precision\.missPenalty must be an integer <= 0/],
+        [definitions => { definitions.drills.armored.only = 'wasp'; }, /drills\.armored\.only must be an insect/]
+    ];
+
+    for (const [edit, message] of cases) {
+        assert.throws(() => validateDefinitions(variant(edit)), message);
+    }
+
+    const plain = variant((definitions) => {
+        definitions.boss = null;
+        definitions.powerUps = null;
+        definitions.movement = null;
+    });
+    assert.equal(validateDefinitions(plain), plain);
+});
+
+test('a simulation refuses an invalid set or an unknown id', () => {
+    const broken = variant((definitions) => { definitions.swarms.counts = {}; });
+
+    assert.throws(() => new GameSimulation({ seed: 1, width: 390, height: 700, definitions: broken }), /swarms\.counts/);
+    assert.throws(() => new GameSimulation({ seed: 1, width: 390, height: 700, definitions: 'missing' }),
+        /Unknown game definitions "missing"/);
+});
+
+test('registered sets can be looked up by id', () => {
+    const event = registerDefinitions(variant((definitions) => {
+        definitions.id = 'test-event';
+        definitions.insects.normal.points = 15;
+    }));
+
+    assert.equal(getDefinitions('test-event'), event);
+    assert.throws(() => registerDefinitions(variant((definitions) => {
+        definitions.id = 'test-broken';
+        definitions.insects = {};
+    })), /insects must list at least one insect/);
+    assert.equal(getDefinitions('test-broken'), null);
+});
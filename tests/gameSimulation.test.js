@@ -0,0 +1,310 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation, SIM_STEP } from '../gameSimulation.js';
+import { GAME_DURATION, INSECT_SIZE } from '../gameRules.js';
+import { getPatternPosition, wave } from '../movementPatterns.js';
+
+function createSim(options = {}) {
+    return new GameSimulation({ seed: 4242, width: 390, height: 700, ...options });
+}
+
+// Tap the centre of an insect, naming it the way the renderer does
+function tapInsect(sim, insect) {
+    const { x, y } = sim.getInsectPosition(insect);
+    const size = insect.size ?? INSECT_SIZE;
+    return sim.tap(x + size / 2, y + size / 2, insect.id);
+}
+
+// Step until an insect matching `match` is on screen
+function waitFor(sim, match) {
+    while (!sim.isOver) {
+        const insect = sim.insects.find(match);
+        if (insect) return insect;
+        sim.step();
+    }
+    return null;
+}
+
+// Kill every regular insect as soon as it appears
+function playPerfectly(sim) {
+    while (!sim.isOver) {
+        for (const insect of [...sim.insects]) {
+            const def = sim.definitions.insects[insect.type];
+            if (!def.hazard && !def.powerUp) tapInsect(sim, insect);
+        }
+        sim.step();
+    }
+}
+
+test('the same seed and input plays the same run', () => {
+    const runs = [createSim(), createSim()].map((sim) => {
+        const spawns = [];
+        sim.on('spawn', insect => spawns.push([insect.id, insect.startTime, insect.type]));
+        sim.start();
+        playPerfectly(sim);
+        return { spawns, score: sim.score };
+    });
+
+    assert.deepEqual(runs[1], runs[0]);
+    assert.ok(runs[0].score > 0);
+});
+
+test('a classic run ends when the clock runs out', () => {
+    const sim = createSim();
+    let ended = 0;
+    sim.on('end', () => ended++);
+    sim.start();
+    sim.runToEnd();
+
+    assert.equal(sim.timeLeft, 0);
+    assert.equal(sim.time, GAME_DURATION * 1000);
+    assert.equal(ended, 1);
+    assert.ok(sim.escapedCount > 0);
+});
+
+test('long frame gaps are clamped to a few steps', () => {
+    const sim = createSim();
+    sim.start();
+    sim.tick(10000);
+
+    assert.ok(sim.time <= 250);
+    assert.equal(sim.time % SIM_STEP, 0);
+});
+
+test('killing an insect scores it and tapping nothing is a miss', () => {
+    const sim = createSim();
+    sim.start();
+    const insect = waitFor(sim, item => item.type === 'normal');
+
+    assert.equal(tapInsect(sim, insect), insect);
+    assert.equal(sim.score, sim.definitions.insects.normal.points);
+    assert.equal(sim.insects.includes(insect), false);
+
+    assert.equal(sim.tap(-500, -500), null);
+    assert.equal(sim.missCount, 1);
+    assert.equal(sim.getAccuracy(), 0.5);
+});
+
+test('boosts add time, points and a head start on the multiplier', () => {
+    const sim = createSim();
+    sim.applyBoost({ bonusTime: 5, bonusPoints: 50, startMultiplier: 2, hazardImmunity: 1 });
+    sim.start();
+
+    assert.equal(sim.timeLeft, GAME_DURATION + 5);
+    assert.equal(sim.score, 50);
+    assert.equal(sim.comboMultiplier, 2);
+    assert.equal(sim.hazardImmunity, 1);
+});
+
+test('survival counts up and ends when the last life is lost', () => {
+    const sim = createSim({ mode: 'survival' });
+    const lives = [];
+    sim.on('life', ({ lives: left }) => lives.push(left));
+    sim.start();
+    sim.runToEnd();
+
+    assert.deepEqual(lives, [4, 3, 2, 1, 0]);
+    assert.equal(sim.lives, 0);
+    assert.equal(sim.timeLeft, GAME_DURATION);
+    assert.ok(sim.survived > 0);
+});
+
+test('a hazard tap costs a survival life, a classic one only points', () => {
+    for (const mode of ['survival', 'classic']) {
+        const sim = createSim({ mode, drill: 'hazards' });
+        sim.start();
+        const hazard = waitFor(sim, item => sim.definitions.insects[item.type].hazard);
+        const livesBefore = sim.lives;
+        tapInsect(sim, hazard);
+
+        assert.equal(sim.lives, mode === 'survival' ? livesBefore - 1 : null);
+        assert.equal(sim.score, 0);
+    }
+});
+
+test('the boss arrives late in the run, changes phase and pays a time bonus', () => {
+    const sim = createSim({ boss: true });
+    const phases = [];
+    let defeated = null;
+    sim.on('bossPhase', ({ phase }) => phases.push(phase));
+    sim.on('bossDefeated', (event) => { defeated = event; });
+    sim.start();
+    const boss = waitFor(sim, item => item.isBoss);
+    const rules = sim.definitions.boss;
+
+    assert.equal(sim.timeLeft, rules.atTimeLeft);
+    while (sim.boss) tapInsect(sim, boss);
+
+    assert.deepEqual(phases, [1, 2]);
+    assert.equal(sim.bossesDefeated, 1);
+    assert.equal(sim.bossDamage, rules.hp);
+    assert.equal(defeated.bonus, rules.killBonus + sim.timeLeft * rules.timeBonus);
+});
+
+test('untimed runs never get a boss, and a healer buff never speeds it up', () => {
+    assert.equal(createSim({ mode: 'survival', boss: true }).bossEnabled, false);
+
+    const sim = createSim({ boss: true });
+    sim.start();
+    const boss = waitFor(sim, item => item.isBoss);
+    const duration = boss.duration;
+    sim.activateHealerBuff({ id: -1, type: 'healer' }, sim.definitions.insects.healer);
+
+    assert.equal(boss.duration, duration);
+});
+
+test('power-up pickups never change which insects spawn', () => {
+    const runs = [false, true].map((powerUps) => {
+        const sim = createSim({ powerUps });
+        const spawns = [];
+        let pickups = 0;
+        sim.on('spawn', (insect) => {
+            if (insect.isPowerUp) pickups++;
+            else spawns.push([insect.startTime, insect.type]);
+        });
+        sim.start();
+        sim.runToEnd();
+        return { spawns, pickups };
+    });
+
+    assert.deepEqual(runs[1].spawns, runs[0].spawns);
+    assert.equal(runs[0].pickups, 0);
+    assert.ok(runs[1].pickups > 0);
+});
+
+test('freeze stops the flight clock until it wears off', () => {
+    const sim = createSim({ powerUps: true });
+    const { freeze } = sim.definitions.insects;
+    const ended = [];
+    sim.on('powerUpEnd', effect => ended.push(effect));
+    sim.start();
+    sim.collectPowerUp({ type: 'freeze' }, freeze);
+    const frozenAt = sim.flightTime;
+
+    sim.advanceTo(sim.time + freeze.duration - SIM_STEP);
+    assert.equal(sim.flightTime, frozenAt);
+    sim.advanceTo(sim.time + 2 * SIM_STEP);
+    assert.deepEqual(ended, ['freeze']);
+    assert.ok(sim.flightTime > frozenAt);
+    assert.equal(sim.powerUpsCollected.freeze, 1);
+});
+
+test('a bomb clears the screen but leaves hazards', () => {
+    const sim = createSim({ powerUps: true, drill: 'hazards' });
+    sim.start();
+    waitFor(sim, item => sim.definitions.insects[item.type].hazard);
+    waitFor(sim, item => !sim.definitions.insects[item.type].hazard);
+    const killed = sim.insects.filter(item => !sim.definitions.insects[item.type].hazard).length;
+
+    sim.collectPowerUp({ type: 'bomb' }, sim.definitions.insects.bomb);
+
+    assert.ok(sim.insects.length > 0);
+    assert.ok(sim.insects.every(item => sim.definitions.insects[item.type].hazard));
+    assert.equal(sim.tappedCount, killed);
+});
+
+test('magnet taps reach further and a healer buff leaves pickups alone', () => {
+    const sim = createSim({ powerUps: true });
+    sim.start();
+    const insect = waitFor(sim, item => item.type === 'normal');
+    const { x, y } = sim.getInsectPosition(insect);
+    const offset = INSECT_SIZE + 20;
+
+    assert.equal(sim.tap(x + offset, y), null);
+    sim.collectPowerUp({ type: 'magnet' }, sim.definitions.insects.magnet);
+    assert.equal(sim.tap(x + offset, y), insect);
+
+    const pickup = sim.spawnPowerUp();
+    const duration = pickup.duration;
+    sim.activateHealerBuff({ id: -1, type: 'healer' }, sim.definitions.insects.healer);
+    assert.equal(pickup.duration, duration);
+});
+
+test('movement runs fly every pattern without changing which insects spawn', () => {
+    const runs = [false, true].map((movement) => {
+        const sim = createSim({ movement });
+        const spawns = [];
+        const patterns = new Set();
+        sim.on('spawn', (insect) => {
+            spawns.push([insect.id, insect.startTime, insect.type]);
+            if (insect.movement) patterns.add(insect.movement.pattern);
+        });
+        sim.start();
+        sim.runToEnd();
+        return { spawns, patterns: [...patterns].sort() };
+    });
+
+    assert.deepEqual(runs[1].spawns, runs[0].spawns);
+    assert.deepEqual(runs[0].patterns, []);
+    assert.deepEqual(runs[1].patterns, ['arc', 'flock', 'hoverDart', 'zigzag']);
+});
+
+test('patterns leave from the start edge and reach the end edge', () => {
+    const path = { startX: -48, startY: 100, endX: 400, endY: 500 };
+    const { patterns } = createSim().definitions.movement;
+    for (const [pattern, params] of Object.entries(patterns)) {
+        const insect = { ...path, movement: { pattern, ...params } };
+        const start = getPatternPosition(insect, 0);
+        const end = getPatternPosition(insect, 1);
+
+        assert.deepEqual([Math.round(start.x), Math.round(start.y)], [path.startX, path.startY], pattern);
+        assert.deepEqual([Math.round(end.x), Math.round(end.y)], [path.endX, path.endY], pattern);
+    }
+});
+
+test('swarms fly as one flock that stays near its lane', () => {
+    const sim = createSim({ movement: true });
+    const { radius } = sim.definitions.movement.patterns.flock;
+    sim.start();
+    waitFor(sim, item => item.isSwarm);
+    const flock = sim.flocks[0];
+    sim.advanceTo(sim.time + 2000);
+
+    assert.ok(flock.members.length > 1);
+    assert.ok(flock.members.every(member => member.movement.pattern === 'flock'));
+    for (const { movement } of flock.members) {
+        assert.ok(Math.hypot(movement.offsetX, movement.offsetY) <= radius + 1e-9);
+    }
+});
+
+test('the arithmetic wave stays within 0.3% of a sine', () => {
+    for (let t = 0; t <= 1; t += 0.01) {
+        assert.ok(Math.abs(wave(t) - Math.sin(2 * Math.PI * t)) < 0.003, `t = ${t}`);
+    }
+});
+
+test('precision misses cost points and the multiplier, other runs only count them', () => {
+    for (const precision of [true, false]) {
+        const sim = createSim({ precision });
+        sim.applyBoost({ bonusPoints: 50, startMultiplier: 2 });
+        sim.start();
+        const misses = [];
+        sim.on('miss', ({ penalty }) => misses.push(penalty));
+        sim.tap(-500, -500);
+
+        const { missPenalty } = sim.definitions.precision;
+        assert.deepEqual(misses, [precision ? missPenalty : 0]);
+        assert.equal(sim.score, precision ? 50 + missPenalty : 50);
+        assert.equal(sim.comboMultiplier, precision ? 1 : 2);
+        assert.equal(sim.missCount, 1);
+    }
+
+    const sim = createSim({ precision: true });
+    sim.start();
+    sim.tap(-500, -500);
+    assert.equal(sim.score, 0);
+});
+
+test('reaction times are measured from spawn to the killing tap', () => {
+    const sim = createSim();
+    sim.start();
+    const insect = waitFor(sim, item => item.type === 'normal');
+    sim.advanceTo(insect.spawnedAt + 320);
+    tapInsect(sim, insect);
+
+    const reactions = sim.getReactionStats();
+    assert.deepEqual(reactions.byType.normal, { count: 1, average: 320, best: 320 });
+    assert.equal(reactions.average, 320);
+    assert.equal(reactions.best, 320);
+    assert.equal(createSim().getReactionStats().average, null);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MISSIONS_PER_DAY, MISSION_POOL, advanceMissions, generateMissions } from '../server/missionBoard.js';
+
+// One mission from the pool with a fixed target, fresh progress
+function mission(id, target) {
+    const template = MISSION_POOL.find(item => item.id === id);
+    return {
+        id,
+        title: template.title,
+        metric: template.metric,
+        insect: template.insect ?? null,
+        target,
+        progress: 0,
+        reward: template.reward,
+        completedAt: null,
+        claimedAt: null
+    };
+}
+
+test('a fid gets the same distinct missions all day', () => {
+    const missions = generateMissions(1234, '2026-10-19');
+
+    assert.deepEqual(generateMissions(1234, '2026-10-19'), missions);
+    assert.equal(missions.length, MISSIONS_PER_DAY);
+    assert.equal(new Set(missions.map(item => item.id)).size, MISSIONS_PER_DAY);
+    for (const item of missions) {
+        const template = MISSION_POOL.find(entry => entry.id === item.id);
+        assert.ok(template.targets.includes(item.target));
+        assert.equal(item.progress, 0);
+    }
+});
+
+test('missions change from day to day', () => {
+    const days = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22'];
+    const sets = days.map(day => generateMissions(1234, day).map(item => item.id).join());
+    assert.ok(new Set(sets).size > 1);
+});
+
+test('sum missions add up across runs and cap at the target', () => {
+    let missions = [mission('kill-blink', 8), mission('play-runs', 3)];
+
+    let result = advanceMissions(missions, { stats: { kills: { blink: 5 } }, score: 300 });
+    missions = result.missions;
+    assert.deepEqual(missions.map(item => item.progress), [5, 1]);
+    assert.deepEqual(result.completed, []);
+
+    result = advanceMissions(missions, { stats: { kills: { blink: 9 } }, score: 300 });
+    missions = result.missions;
+    assert.deepEqual(missions.map(item => item.progress), [8, 2]);
+    assert.deepEqual(result.completed.map(item => item.id), ['kill-blink']);
+    assert.ok(missions[0].completedAt);
+});
+
+test('best missions need one good run', () => {
+    const missions = [mission('score-run', 800), mission('combo', 8)];
+
+    const { missions: afterWeak } = advanceMissions(missions, { stats: { bestCombo: 5 }, score: 600 });
+    assert.deepEqual(afterWeak.map(item => item.progress), [600, 5]);
+
+    const { missions: afterStrong, completed } = advanceMissions(afterWeak, { stats: { bestCombo: 3 }, score: 900 });
+    assert.deepEqual(afterStrong.map(item => item.progress), [800, 5]);
+    assert.deepEqual(completed.map(item => item.id), ['score-run']);
+});
+
+test('server events only move their own missions', () => {
+    const missions = [mission('send-challenge', 1), mission('play-runs', 3)];
+    const { missions: next, completed } = advanceMissions(missions, { event: 'challengeSent' });
+
+    assert.deepEqual(next.map(item => item.progress), [1, 0]);
+    assert.deepEqual(completed.map(item => item.id), ['send-challenge']);
+});
+
+test('completed missions stay completed', () => {
+    const [done] = advanceMissions([mission('boss', 1)], { stats: { bossesDefeated: 1 } }).missions;
+    const { missions: [again], completed } = advanceMissions([done], { stats: { bossesDefeated: 1 } });
+
+    assert.equal(again, done);
+    assert.deepEqual(completed, []);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    advanceStreak, getLocalDay, getStreakStatus, normalizeTimeZone, summarizeStreak
+} from '../playStreak.js';
+
+const fresh = { days: 0, best: 0, lastDay: null, saverUsed: false, gamePass: false };
+
+// Play one verified run on each day in turn
+function playDays(streak, days) {
+    const events = [];
+    for (const day of days) {
+        const result = advanceStreak(streak, day);
+        streak = result.streak;
+        events.push(result.event);
+    }
+    return { streak, events };
+}
+
+test('consecutive days build a streak, a second run the same day does not', () => {
+    const { streak, events } = playDays(fresh, ['2026-10-01', '2026-10-01', '2026-10-02', '2026-10-03']);
+
+    assert.deepEqual(events, ['started', null, 'continued', 'continued']);
+    assert.equal(streak.days, 3);
+    assert.equal(streak.best, 3);
+});
+
+test('a missed day breaks the streak without a GamePass', () => {
+    const { streak, events } = playDays(fresh, ['2026-10-01', '2026-10-02', '2026-10-04']);
+
+    assert.deepEqual(events, ['started', 'continued', 'broken']);
+    assert.equal(streak.days, 1);
+    assert.equal(streak.best, 2);
+});
+
+test('the GamePass saver covers one missed day, once', () => {
+    const { streak, events } = playDays({ ...fresh, gamePass: true },
+        ['2026-10-01', '2026-10-02', '2026-10-04', '2026-10-05', '2026-10-07']);
+
+    assert.deepEqual(events, ['started', 'continued', 'saved', 'continued', 'broken']);
+    assert.equal(streak.saverUsed, true);
+    assert.equal(streak.best, 4);
+});
+
+test('milestones pay out on the day they are reached', () => {
+    const days = ['2026-10-01', '2026-10-02', '2026-10-03'];
+    let streak = fresh;
+    const milestones = days.map((day) => {
+        const result = advanceStreak(streak, day);
+        streak = result.streak;
+        return result.milestone?.xp ?? null;
+    });
+
+    assert.deepEqual(milestones, [null, null, 50]);
+});
+
+test('streak status follows the player\'s day', () => {
+    const streak = { days: 3, lastDay: '2026-10-17', gamePass: true, saverUsed: false };
+
+    assert.equal(getStreakStatus(streak, '2026-10-17'), 'played');
+    assert.equal(getStreakStatus(streak, '2026-10-18'), 'at-risk');
+    assert.equal(getStreakStatus(streak, '2026-10-19'), 'saver');
+    assert.equal(getStreakStatus({ ...streak, saverUsed: true }, '2026-10-19'), 'lapsed');
+    assert.equal(getStreakStatus(fresh, '2026-10-19'), 'none');
+});
+
+test('days roll over at local midnight', () => {
+    const instant = new Date('2026-10-19T02:30:00Z');
+
+    assert.equal(getLocalDay(instant, 'America/Los_Angeles'), '2026-10-18');
+    assert.equal(getLocalDay(instant, 'Asia/Tokyo'), '2026-10-19');
+    assert.equal(normalizeTimeZone('Mars/Base'), 'UTC');
+});
+
+test('profile summaries report an at-risk streak', () => {
+    const summary = summarizeStreak(
+        { streak_days: 4, streak_best: 4, streak_last_day: '2026-10-18', time_zone: 'UTC' },
+        new Date('2026-10-19T11:00:00Z')
+    );
+
+    assert.equal(summary.days, 4);
+    assert.equal(summary.status, 'at-risk');
+    assert.deepEqual(summary.nextMilestone, { days: 7, xp: 150 });
+});
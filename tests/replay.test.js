@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../gameSimulation.js';
+import { replayRecorder } from '../replayRecorder.js';
+import { verifyReplay } from '../server/replayVerifier.js';
+import { INSECT_SIZE, RUN_PRESETS, matchesPreset } from '../gameRules.js';
+
+// Play a seeded classic run with boosts and a mix of hits and misses, recording it like game.js does
+function playRun(seed = 12345, options = {}) {
+    const sim = new GameSimulation({ seed, width: 390, height: 700, ...options });
+    replayRecorder.start(sim);
+    sim.applyBoost({ bonusTime: 5, startMultiplier: 2, hazardImmunity: 1 });
+    sim.start();
+
+    let frames = 0;
+    while (!sim.isOver) {
+        sim.tick(16.7);
+        frames++;
+        if (frames === 30) sim.applyBoost({ bonusTime: 10, startMultiplier: 2 });
+        if (frames % 9 === 0 && sim.insects.length) {
+            const insect = sim.insects[frames % sim.insects.length];
+            const position = sim.getInsectPosition(insect);
+            sim.tap(position.x + INSECT_SIZE / 2, position.y + 10, frames % 2 ? insect.id : null);
+        }
+        if (frames % 50 === 0) sim.tap(5, 5);
+    }
+
+    return { sim, replay: replayRecorder.finish(sim.score) };
+}
+
+// The replay as the server receives it
+function upload(replay) {
+    return JSON.parse(JSON.stringify(replay));
+}
+
+test('a recorded run verifies to the same score', () => {
+    const { sim, replay } = playRun();
+    const result = verifyReplay(upload(replay));
+
+    assert.equal(result.valid, true, result.reason);
+    assert.equal(result.score, sim.score);
+    assert.equal(result.stats.tapped, sim.tappedCount);
+    assert.equal(result.stats.bestCombo, sim.bestCombo);
+    assert.ok(sim.score > 0);
+});
+
+test('the same seed replays the same run', () => {
+    const first = playRun(777);
+    const second = playRun(777);
+
+    assert.deepEqual(second.replay.spawns, first.replay.spawns);
+    assert.equal(second.sim.score, first.sim.score);
+});
+
+test('the verified score ignores the claimed score', () => {
+    const { sim, replay } = playRun();
+    const tampered = upload(replay);
+    tampered.score = sim.score * 10;
+
+    const result = verifyReplay(tampered);
+    assert.equal(result.valid, true);
+    assert.equal(result.score, sim.score);
+    assert.equal(result.stats.claimedScore, sim.score * 10);
+});
+
+test('a replay played on another seed is refused', () => {
+    const { replay } = playRun();
+    const tampered = upload(replay);
+    tampered.seed += 1;
+
+    const result = verifyReplay(tampered);
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'Spawns do not match seed');
+});
+
+test('edited spawns are refused', () => {
+    const { replay } = playRun();
+    const tampered = upload(replay);
+    tampered.spawns[0][2] = tampered.spawns[0][2] === 'normal' ? 'armored' : 'normal';
+
+    assert.equal(verifyReplay(tampered).valid, false);
+});
+
+test('retimed taps no longer match the recorded run', () => {
+    const { replay } = playRun();
+    const tampered = upload(replay);
+    tampered.taps.forEach(tap => { tap[0] += 200; });
+
+    assert.equal(verifyReplay(tampered).valid, false);
+});
+
+test('malformed taps and boosts are refused', () => {
+    const { replay } = playRun();
+
+    const badTap = upload(replay);
+    badTap.taps[0] = [badTap.taps[0][0] + 1, 10, 10, -1];
+    assert.equal(verifyReplay(badTap).valid, false);
+
+    const outOfOrder = upload(replay);
+    outOfOrder.taps.reverse();
+    assert.match(verifyReplay(outOfOrder).reason, /out of order/);
+
+    const forgedBoost = upload(replay);
+    forgedBoost.boosts.push([-1, 'lots', 0, 1, 0]);
+    assert.equal(verifyReplay(forgedBoost).reason, 'Invalid boosts');
+});
+
+test('unknown replay versions are refused', () => {
+    const { replay } = playRun();
+    const tampered = upload(replay);
+    tampered.v = 0;
+
+    assert.equal(verifyReplay(tampered).reason, 'Unsupported replay version');
+});
+
+test('verified stats record the options a run was played with', () => {
+    const standard = verifyReplay(upload(playRun(55, RUN_PRESETS.classic).replay));
+    assert.equal(standard.valid, true, standard.reason);
+    assert.deepEqual(standard.stats.options, { boss: true, powerUps: true, movement: true, precision: false });
+    assert.equal(matchesPreset(standard.stats, 'classic'), true);
+    assert.equal(matchesPreset(standard.stats, 'survival'), false);
+
+    const easier = verifyReplay(upload(playRun(55, { ...RUN_PRESETS.classic, boss: false }).replay));
+    assert.equal(easier.valid, true, easier.reason);
+    assert.equal(matchesPreset(easier.stats, 'classic'), false);
+});
+
+test('versus runs play without the boss and pickups', () => {
+    const versus = verifyReplay(upload(playRun(55, RUN_PRESETS.versus).replay));
+    assert.equal(versus.valid, true, versus.reason);
+    assert.deepEqual(versus.stats.options, { boss: false, powerUps: false, movement: true, precision: false });
+    assert.equal(matchesPreset(versus.stats, 'versus'), true);
+    assert.equal(matchesPreset(versus.stats, 'classic'), false);
+});
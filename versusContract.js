@@ -4,6 +4,7 @@
    ============================================ */
 
 import { sdk } from '@farcaster/miniapp-sdk';
+import { ethers } from 'ethers';
 
 // Contract ABI (key functions only)
 export const VERSUS_NFT_ABI = [
@@ -104,6 +105,27 @@ export const VERSUS_NFT_ABI = [
         stateMutability: "view",
         type: "function"
     },
+    {
+        inputs: [{ name: "player", type: "address" }],
+        name: "winStreak",
+        outputs: [{ name: "", type: "uint256" }],
+        stateMutability: "view",
+        type: "function"
+    },
+    {
+        inputs: [{ name: "player", type: "address" }],
+        name: "totalWins",
+        outputs: [{ name: "", type: "uint256" }],
+        stateMutability: "view",
+        type: "function"
+    },
+    {
+        inputs: [{ name: "player", type: "address" }],
+        name: "hasClaimedChampion",
+        outputs: [{ name: "", type: "bool" }],
+        stateMutability: "view",
+        type: "function"
+    },
     {
         inputs: [{ name: "battleId", type: "uint256" }],
         name: "battleWinStreak",
@@ -150,6 +172,15 @@ export const VERSUS_NFT_ABI = [
         ],
         name: "VictoryNFTMinted",
         type: "event"
+    },
+    {
+        anonymous: false,
+        inputs: [
+            { indexed: true, name: "tokenId", type: "uint256" },
+            { indexed: true, name: "champion", type: "address" }
+        ],
+        name: "ChampionNFTMinted",
+        type: "event"
     }
 ];
 
@@ -167,6 +198,26 @@ export const VERSUS_CONTRACT_ADDRESSES = {
     sepolia: "0x0F48Fd7aAC0A3e4FE75029b618b32a66266666B5"
 };
 
+// Mirrors VersusNFT.CHAMPION_WINS_REQUIRED
+export const CHAMPION_WINS_REQUIRED = 5;
+
+// Receipt polling for versus transactions
+const RECEIPT_TIMEOUT_MS = 30000;
+const RECEIPT_POLL_MS = 1500;
+
+const withTimeout = (promise, ms, message) => {
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+            reject(new Error(message));
+        }, ms);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => {
+        clearTimeout(timeoutId);
+    });
+};
+
 // Victory title based on streak
 export function getVictoryTitle(streak) {
     if (streak >= 10) return { title: "Unstoppable", color: "#ff0000" };
@@ -186,6 +237,7 @@ class VersusManager {
         this.isInitialized = false;
         this.currentChallenge = null;
         this.currentBattle = null;
+        this.iface = new ethers.Interface(VERSUS_NFT_ABI);
     }
 
     async init() {
@@ -244,199 +296,385 @@ class VersusManager {
         return accounts?.[0] || null;
     }
 
-    // Simple function selector calculation
-    getFunctionSelector(signature) {
-        const selectors = {
-            'createChallenge(address)': '0x1e83409a',
-            'acceptChallenge(uint256)': '0xe1d3b69f',
-            'cancelChallenge(uint256)': '0x96b5a755',
-            'finalizeBattle(uint256,uint256,uint256,bool,bytes)': '0xabcd1234', // Updated for signature
-            'mintVictoryNFT(uint256)': '0x6a627842',
-            'claimChampionNFT()': '0x379607f5',
-            'getPendingChallenges(address)': '0x12345678',
-            'getPlayerStats(address)': '0x87654321',
-        };
-        return selectors[signature] || '0x00000000';
+    async requestAccount() {
+        if (!this.provider) return null;
+        const accounts = await this.provider.request({ method: 'eth_requestAccounts' });
+        return accounts?.[0] || null;
     }
 
-    // Encode parameters
-    encodeParam(value, type) {
-        if (type === 'address') {
-            return value.slice(2).toLowerCase().padStart(64, '0');
-        }
-        if (type === 'uint256') {
-            return BigInt(value).toString(16).padStart(64, '0');
-        }
-        if (type === 'bool') {
-            return (value ? '1' : '0').padStart(64, '0');
+    async isMiniApp() {
+        try {
+            return await withTimeout(sdk.isInMiniApp(), 2000, 'Miniapp check timed out');
+        } catch {
+            return false;
         }
-        return '';
     }
 
     /**
-     * Create a challenge to opponent
+     * Send a contract call from the connected wallet
+     * Uses a paymaster-sponsored wallet_sendCalls when VITE_PAYMASTER_URL is set
+     * (required inside the Mini App), otherwise a regular transaction
+     * @returns {Promise<{hash: string|null, sponsored: boolean}>}
      */
-    async createChallenge(opponentAddress) {
+    async sendCall(functionName, args = []) {
         if (!this.isInitialized) await this.init();
 
-        const account = await this.getAccount();
+        const account = await this.getAccount() || await this.requestAccount();
         if (!account) throw new Error('No wallet connected');
 
-        const selector = this.getFunctionSelector('createChallenge(address)');
-        const params = this.encodeParam(opponentAddress, 'address');
+        const calldata = this.iface.encodeFunctionData(functionName, args);
+        const paymasterUrl = import.meta.env.VITE_PAYMASTER_URL;
 
-        const txHash = await this.provider.request({
-            method: 'eth_sendTransaction',
-            params: [{
-                from: account,
-                to: this.contractAddress,
-                data: selector + params
-            }]
-        });
+        if (paymasterUrl) {
+            try {
+                const hash = await this.sendCallsTransaction(account, calldata, paymasterUrl);
+                return { hash, sponsored: true };
+            } catch (sponsoredError) {
+                if (await this.isMiniApp()) throw sponsoredError;
+                console.log('Sponsored transaction failed, falling back to regular:', sponsoredError.message);
+            }
+        }
 
-        return { hash: txHash, opponent: opponentAddress };
+        const txHash = await withTimeout(
+            this.provider.request({
+                method: 'eth_sendTransaction',
+                params: [{
+                    from: account,
+                    to: this.contractAddress,
+                    data: calldata,
+                    value: '0x0'
+                }]
+            }),
+            15000,
+            'Wallet request timed out'
+        );
+
+        if (typeof txHash !== 'string' || !txHash.startsWith('0x')) {
+            throw new Error('Transaction rejected by wallet');
+        }
+        return { hash: txHash, sponsored: false };
     }
 
     /**
-     * Accept a pending challenge
+     * Send a single call with wallet_sendCalls (same request shape as nftMinter)
+     * @returns {Promise<string|null>} Transaction hash, if the wallet returned one
      */
-    async acceptChallenge(challengeId) {
-        if (!this.isInitialized) await this.init();
+    async sendCallsTransaction(from, calldata, paymasterUrl) {
+        const chainId = await this.getChainId();
+        const params = {
+            version: '1.0',
+            from,
+            chainId: ethers.toBeHex(chainId),
+            calls: [{
+                to: this.contractAddress,
+                data: calldata,
+                value: '0x0'
+            }],
+            capabilities: {
+                paymasterService: {
+                    url: paymasterUrl
+                }
+            }
+        };
 
-        const account = await this.getAccount();
-        if (!account) throw new Error('No wallet connected');
+        const result = await withTimeout(
+            this.provider.request({
+                method: 'wallet_sendCalls',
+                params: [params]
+            }),
+            15000,
+            'Wallet request timed out'
+        );
+
+        const txHash = typeof result === 'object'
+            ? (result?.transactionHash || result?.hash || null)
+            : result;
+
+        return typeof txHash === 'string' && txHash.startsWith('0x') ? txHash : null;
+    }
 
-        const selector = this.getFunctionSelector('acceptChallenge(uint256)');
-        const params = this.encodeParam(challengeId, 'uint256');
+    /**
+     * Call a view function and decode its result
+     */
+    async readCall(functionName, args = []) {
+        if (!this.isInitialized) await this.init();
+        if (!this.isAvailable()) throw new Error('VersusNFT not available');
 
-        const txHash = await this.provider.request({
-            method: 'eth_sendTransaction',
+        const result = await this.provider.request({
+            method: 'eth_call',
             params: [{
-                from: account,
                 to: this.contractAddress,
-                data: selector + params
-            }]
+                data: this.iface.encodeFunctionData(functionName, args)
+            }, 'latest']
         });
 
+        return this.iface.decodeFunctionResult(functionName, result);
+    }
+
+    /**
+     * Poll for a transaction receipt
+     * @returns {Promise<Object|null>} The receipt, or null if it didn't confirm in time
+     */
+    async waitForReceipt(txHash, timeoutMs = RECEIPT_TIMEOUT_MS) {
+        if (!txHash) return null;
+
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            const receipt = await this.provider.request({
+                method: 'eth_getTransactionReceipt',
+                params: [txHash]
+            });
+
+            if (receipt) {
+                if (receipt.status === '0x0') throw new Error('Transaction reverted');
+                return receipt;
+            }
+            await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+        }
+
+        console.log('Transaction wait timed out:', txHash);
+        return null;
+    }
+
+    /**
+     * Find a VersusNFT event in a receipt
+     * @returns {Object|null} The decoded event args
+     */
+    findEvent(receipt, eventName) {
+        const contract = this.contractAddress.toLowerCase();
+
+        for (const log of receipt?.logs || []) {
+            if (log.address?.toLowerCase() !== contract) continue;
+            try {
+                const parsed = this.iface.parseLog({ topics: log.topics, data: log.data });
+                if (parsed?.name === eventName) return parsed.args;
+            } catch {
+                // Not one of ours
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create a challenge to opponent
+     */
+    async createChallenge(opponentAddress) {
+        const { hash } = await this.sendCall('createChallenge', [opponentAddress]);
+        const receipt = await this.waitForReceipt(hash);
+        if (!receipt) return { hash, opponent: opponentAddress, pending: true };
+
+        const event = this.findEvent(receipt, 'ChallengeCreated');
+        return {
+            hash,
+            opponent: opponentAddress,
+            challengeId: event ? event.challengeId.toString() : null
+        };
+    }
+
+    /**
+     * Accept a pending challenge
+     */
+    async acceptChallenge(challengeId) {
+        const { hash } = await this.sendCall('acceptChallenge', [challengeId]);
+        const receipt = await this.waitForReceipt(hash);
+
         this.currentChallenge = challengeId;
-        return { hash: txHash, challengeId };
+        return { hash, challengeId, pending: !receipt };
+    }
+
+    /**
+     * Cancel a pending challenge (challenger only)
+     */
+    async cancelChallenge(challengeId) {
+        const { hash } = await this.sendCall('cancelChallenge', [challengeId]);
+        const receipt = await this.waitForReceipt(hash);
+        return { hash, challengeId, pending: !receipt };
     }
 
     /**
      * Fetch signature from backend for battle finalization
-     * @param {number} challengeId - Challenge ID
-     * @param {number} winnerScore - Winner's score
-     * @param {number} loserScore - Loser's score
-     * @param {boolean} winnerIsChallenger - True if challenger won
-     * @returns {Promise<string>} Signature from backend
+     * The backend reads the result from the completed challenge, so only its id is sent
+     * @param {string} challengeId - Supabase challenge id
+     * @returns {Promise<{signature: string, onchainChallengeId: string, winnerScore: number, loserScore: number, winnerIsChallenger: boolean}>}
      */
-    async fetchBattleSignature(challengeId, winnerScore, loserScore, winnerIsChallenger) {
-        // TODO: Replace with your backend endpoint
+    async fetchBattleSignature(challengeId) {
+        let data;
         try {
             const response = await fetch('/api/sign-battle', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ challengeId, winnerScore, loserScore, winnerIsChallenger })
+                body: JSON.stringify({ challengeId })
             });
-            if (!response.ok) throw new Error('Backend signing failed');
-            const data = await response.json();
-            return data.signature;
+            data = await response.json();
+            // An already signed battle hands back its signature, so a failed finalize can be retried
+            if (!response.ok && !data.signature) throw new Error(data.error || 'Backend signing failed');
         } catch (error) {
             console.error('Failed to get signature from backend:', error);
-            throw new Error('Battle verification not available. Please try again later.');
+            throw new Error(`Battle verification failed: ${error.message}`);
         }
+        return data;
     }
 
     /**
      * Finalize battle and record winner (requires backend signature)
+     * A battle that is already on-chain (the opponent finalized it, or an earlier
+     * attempt went through) is returned as is instead of being sent again.
+     * @param {string} challengeId - Supabase challenge id (mapped to the on-chain challenge by the backend)
+     * @returns {Promise<{hash: string|null, challengeId: string, battleId: string|null, winnerScore: number, loserScore: number, alreadyFinalized?: boolean, pending?: boolean}>}
      */
-    async finalizeBattle(challengeId, winnerScore, loserScore, winnerIsChallenger) {
-        if (!this.isInitialized) await this.init();
-
-        const account = await this.getAccount();
-        if (!account) throw new Error('No wallet connected');
+    async finalizeBattle(challengeId) {
+        // Scores, winner and on-chain id all come from the backend
+        const { signature, onchainChallengeId, winnerScore, loserScore, winnerIsChallenger } =
+            await this.fetchBattleSignature(challengeId);
+
+        const onchain = await this.getChallenge(onchainChallengeId);
+        if (onchain.status === ChallengeStatus.Completed) {
+            this.currentBattle = onchain.battleId;
+            return {
+                hash: null,
+                challengeId: onchainChallengeId,
+                battleId: onchain.battleId,
+                winnerScore,
+                loserScore,
+                alreadyFinalized: true
+            };
+        }
+        if (onchain.status !== ChallengeStatus.Accepted) {
+            throw new Error('On-chain challenge is not in progress');
+        }
 
-        // Get signature from backend
-        const signature = await this.fetchBattleSignature(challengeId, winnerScore, loserScore, winnerIsChallenger);
+        const { hash, sponsored } = await this.sendCall('finalizeBattle', [
+            onchainChallengeId, winnerScore, loserScore, winnerIsChallenger, signature
+        ]);
+        const receipt = await this.waitForReceipt(hash);
+        const event = receipt ? this.findEvent(receipt, 'BattleFinalized') : null;
+
+        this.currentBattle = event ? event.battleId.toString() : null;
+        return {
+            hash,
+            challengeId: onchainChallengeId,
+            battleId: this.currentBattle,
+            winnerScore,
+            loserScore,
+            sponsored,
+            pending: !receipt
+        };
+    }
 
-        const selector = this.getFunctionSelector('finalizeBattle(uint256,uint256,uint256,bool,bytes)');
-        const params =
-            this.encodeParam(challengeId, 'uint256') +
-            this.encodeParam(winnerScore, 'uint256') +
-            this.encodeParam(loserScore, 'uint256') +
-            this.encodeParam(winnerIsChallenger, 'bool') +
-            // Signature encoding (dynamic bytes) - simplified, use ethers.js in production
-            this.encodeBytes(signature);
+    /**
+     * Mint victory NFT (winner only, once per battle)
+     */
+    async mintVictoryNFT(battleId) {
+        const battle = await this.getBattle(battleId);
+        if (battle.nftMinted) {
+            return { hash: null, battleId, tokenId: null, alreadyMinted: true };
+        }
 
-        const txHash = await this.provider.request({
-            method: 'eth_sendTransaction',
-            params: [{
-                from: account,
-                to: this.contractAddress,
-                data: selector + params
-            }]
-        });
+        const { hash, sponsored } = await this.sendCall('mintVictoryNFT', [battleId]);
+        const receipt = await this.waitForReceipt(hash);
+        const event = receipt ? this.findEvent(receipt, 'VictoryNFTMinted') : null;
 
-        return { hash: txHash, challengeId, winnerScore, loserScore };
+        return {
+            hash,
+            battleId,
+            tokenId: event ? event.tokenId.toString() : null,
+            sponsored,
+            pending: !receipt
+        };
     }
 
     /**
-     * Encode bytes for ABI (simplified)
+     * Claim Champion NFT (requires 5+ wins)
      */
-    encodeBytes(hexString) {
-        // Remove 0x prefix if present
-        const data = hexString.startsWith('0x') ? hexString.slice(2) : hexString;
-        const offset = (4 * 32).toString(16).padStart(64, '0'); // Offset to data
-        const length = (data.length / 2).toString(16).padStart(64, '0');
-        const paddedData = data.padEnd(Math.ceil(data.length / 64) * 64, '0');
-        return offset + length + paddedData;
+    async claimChampionNFT() {
+        const { hash, sponsored } = await this.sendCall('claimChampionNFT');
+        const receipt = await this.waitForReceipt(hash);
+        const event = receipt ? this.findEvent(receipt, 'ChampionNFTMinted') : null;
+
+        return {
+            hash,
+            tokenId: event ? event.tokenId.toString() : null,
+            sponsored,
+            pending: !receipt
+        };
     }
 
     /**
-     * Mint victory NFT (winner only)
+     * On-chain challenge ids still open for a player
+     * @returns {Promise<string[]>}
      */
-    async mintVictoryNFT(battleId) {
-        if (!this.isInitialized) await this.init();
-
-        const account = await this.getAccount();
-        if (!account) throw new Error('No wallet connected');
-
-        const selector = this.getFunctionSelector('mintVictoryNFT(uint256)');
-        const params = this.encodeParam(battleId, 'uint256');
-
-        const txHash = await this.provider.request({
-            method: 'eth_sendTransaction',
-            params: [{
-                from: account,
-                to: this.contractAddress,
-                data: selector + params
-            }]
-        });
-
-        return { hash: txHash, battleId };
+    async getPendingChallenges(player) {
+        const [ids] = await this.readCall('getPendingChallenges', [player]);
+        return ids.map(id => id.toString());
     }
 
     /**
-     * Claim Champion NFT (requires 5+ wins)
+     * Versus record for a player
      */
-    async claimChampionNFT() {
-        if (!this.isInitialized) await this.init();
+    async getPlayerStats(player) {
+        const [wins, streak, battleCount, canClaimChampion] = await this.readCall('getPlayerStats', [player]);
+        return {
+            wins: Number(wins),
+            streak: Number(streak),
+            battleCount: Number(battleCount),
+            canClaimChampion
+        };
+    }
 
-        const account = await this.getAccount();
-        if (!account) throw new Error('No wallet connected');
+    /**
+     * Wins, streak and Champion status straight from the contract
+     */
+    async getVersusRecord(player) {
+        const [[wins], [streak], [claimedChampion]] = await Promise.all([
+            this.readCall('totalWins', [player]),
+            this.readCall('winStreak', [player]),
+            this.readCall('hasClaimedChampion', [player])
+        ]);
+
+        return {
+            totalWins: Number(wins),
+            winStreak: Number(streak),
+            hasClaimedChampion: claimedChampion,
+            canClaimChampion: Number(wins) >= CHAMPION_WINS_REQUIRED && !claimedChampion
+        };
+    }
 
-        const selector = this.getFunctionSelector('claimChampionNFT()');
+    /**
+     * Win streak a battle was won on (what its Victory NFT shows)
+     */
+    async getBattleWinStreak(battleId) {
+        const [streak] = await this.readCall('battleWinStreak', [battleId]);
+        return Number(streak);
+    }
 
-        const txHash = await this.provider.request({
-            method: 'eth_sendTransaction',
-            params: [{
-                from: account,
-                to: this.contractAddress,
-                data: selector
-            }]
-        });
+    /**
+     * On-chain challenge (status is a ChallengeStatus value)
+     */
+    async getChallenge(challengeId) {
+        const [challenger, opponent, status, createdAt, battleId] = await this.readCall('challenges', [challengeId]);
+        return {
+            challenger,
+            opponent,
+            status: Number(status),
+            createdAt: Number(createdAt),
+            battleId: battleId.toString()
+        };
+    }
 
-        return { hash: txHash };
+    /**
+     * Finalized battle
+     */
+    async getBattle(battleId) {
+        const [winner, loser, winnerScore, loserScore, timestamp, nftMinted] = await this.readCall('battles', [battleId]);
+        return {
+            winner,
+            loser,
+            winnerScore: Number(winnerScore),
+            loserScore: Number(loserScore),
+            timestamp: Number(timestamp),
+            nftMinted
+        };
     }
 
     /**